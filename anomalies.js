@@ -0,0 +1,305 @@
+// AIS anomalies: gaps in a vessel's position reports, jumps implying impossible
+// speeds, and positions on land or outside plausible areas. Each run's positions
+// are compared with the stored vessel state and anomalies are stored with a severity.
+const fs = require('fs');
+const path = require('path');
+const { toGeofence, findGeofences } = require('./geofence');
+const { parseDuration } = require('./scheduler');
+const { isValidPosition } = require('./vessel-validation');
+const { valuesRow } = require('./sql');
+
+const ANOMALIES_TABLE = 'vessel_anomalies';
+
+// Ordered from least to most severe
+const SEVERITIES = ['warning', 'critical'];
+
+const DEFAULT_GAP = '6h';
+const DEFAULT_CRITICAL_GAP = '24h';
+const DEFAULT_MAX_IMPLIED_SPEED_KNOTS = 50;
+const DEFAULT_MIN_JUMP_NM = 5;
+
+// An implied speed this many times the limit is critical rather than a warning
+const CRITICAL_SPEED_FACTOR = 2;
+
+const EARTH_RADIUS_NM = 3440.065;
+
+const DEFAULT_ANOMALIES_LIMIT = 100;
+const MAX_ANOMALIES_LIMIT = 10000;
+
+/**
+ * Load areas from a GeoJSON FeatureCollection of Polygon and MultiPolygon features.
+ * Unlike geofences, features need no name, so land polygon datasets work as they are.
+ * @param {string} file - GeoJSON file
+ * @returns {Array<Object>} - Areas as geofences, see geofence.js
+ */
+function loadAreas(file) {
+  let collection;
+  try {
+    collection = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read areas from ${file}: ${error.message}`);
+  }
+  if (collection.type !== 'FeatureCollection' || !Array.isArray(collection.features)) {
+    throw new Error(`${file} must contain a GeoJSON FeatureCollection`);
+  }
+
+  const base = path.basename(file, path.extname(file));
+  return collection.features.map((feature, i) => toGeofence({
+    ...feature,
+    properties: { name: `${base} ${i + 1}`, ...feature.properties }
+  }, file));
+}
+
+/**
+ * Complete anomaly detection options with their defaults
+ * @param {Object} options - Anomaly options
+ * @param {number|string} options.gap - Time without a new position that is an AIS gap,
+ *   in ms or as a duration (default: ANOMALY_GAP or 6h)
+ * @param {number|string} options.criticalGap - Gap that is critical (default: ANOMALY_CRITICAL_GAP or 24h)
+ * @param {number} options.maxImpliedSpeed - Fastest plausible speed between two positions in knots
+ *   (default: ANOMALY_MAX_IMPLIED_SPEED or 50)
+ * @param {number} options.minJumpDistance - Distance in nautical miles below which a position
+ *   change is never a jump, so GPS jitter is ignored (default: ANOMALY_MIN_JUMP_NM or 5)
+ * @param {Array<Object>} options.landAreas - Areas where a position is on land
+ *   (default: loaded from ANOMALY_LAND_AREAS, a GeoJSON file)
+ * @param {Array<Object>} options.plausibleAreas - Areas outside of which a position is implausible,
+ *   empty to skip the check (default: loaded from ANOMALY_PLAUSIBLE_AREAS, a GeoJSON file)
+ * @param {Date} options.now - Reference time for the position age (default: the time of detection)
+ * @returns {Object} - Complete anomaly options, durations in ms
+ */
+function resolveAnomalyOptions(options = {}) {
+  const {
+    gap = process.env.ANOMALY_GAP || DEFAULT_GAP,
+    criticalGap = process.env.ANOMALY_CRITICAL_GAP || DEFAULT_CRITICAL_GAP,
+    maxImpliedSpeed = parseFloat(process.env.ANOMALY_MAX_IMPLIED_SPEED) || DEFAULT_MAX_IMPLIED_SPEED_KNOTS,
+    minJumpDistance = parseFloat(process.env.ANOMALY_MIN_JUMP_NM) || DEFAULT_MIN_JUMP_NM,
+    landAreas = process.env.ANOMALY_LAND_AREAS ? loadAreas(process.env.ANOMALY_LAND_AREAS) : [],
+    plausibleAreas = process.env.ANOMALY_PLAUSIBLE_AREAS ? loadAreas(process.env.ANOMALY_PLAUSIBLE_AREAS) : [],
+    now = null
+  } = options;
+
+  const toMs = value => (typeof value === 'number' ? value : parseDuration(value));
+  const resolved = { gap: toMs(gap), criticalGap: toMs(criticalGap), maxImpliedSpeed, minJumpDistance, landAreas, plausibleAreas, now };
+  if (resolved.criticalGap < resolved.gap) {
+    throw new Error('ANOMALY_CRITICAL_GAP must not be shorter than ANOMALY_GAP');
+  }
+  return resolved;
+}
+
+/**
+ * Load the anomaly options of the service, unless ANOMALY_DETECTION=false
+ * @returns {Object|null} - Options from resolveAnomalyOptions, or null when disabled
+ */
+function loadAnomalyOptions() {
+  if (process.env.ANOMALY_DETECTION === 'false') return null;
+  return resolveAnomalyOptions();
+}
+
+/**
+ * Read a usable position from vessel fields
+ * @param {Object} fields - Normalized or stored vessel fields
+ * @returns {Object|null} - { lat, lon, time } with time in ms, or null without a valid position
+ */
+function readPosition(fields) {
+  if (!fields) return null;
+  const { LAT: lat, LON: lon, LAST_POS: lastPos } = fields;
+  if (!isValidPosition(lat, lon) || lastPos === null || lastPos === undefined) return null;
+  const time = new Date(lastPos).getTime();
+  return isNaN(time) ? null : { lat, lon, time };
+}
+
+/**
+ * Great circle distance between two positions
+ * @param {Object} a - { lat, lon }
+ * @param {Object} b - { lat, lon }
+ * @returns {number} - Distance in nautical miles
+ */
+function distanceNm(a, b) {
+  const toRadians = degrees => (degrees * Math.PI) / 180;
+  const dLat = toRadians(b.lat - a.lat);
+  const dLon = toRadians(b.lon - a.lon);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_NM * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+const round = (value, digits = 1) => Math.round(value * 10 ** digits) / 10 ** digits;
+const hours = ms => round(ms / 3600000);
+
+/**
+ * Compare a vessel's incoming position with its stored one
+ * @param {Object|null} stored - Stored fields with LAT, LON and LAST_POS, or null for a new vessel
+ * @param {Object} incoming - Normalized fields of the vessel as scraped
+ * @param {Object} options - Options from resolveAnomalyOptions
+ * @returns {Array<Object>} - Anomalies as { shipId, type, severity, positionTime, lat, lon, details }
+ */
+function detectVesselAnomalies(stored, incoming, options) {
+  const position = readPosition(incoming);
+  if (!incoming.SHIP_ID || !position) return [];
+
+  const previous = readPosition(stored);
+  const anomalies = [];
+  const add = (type, severity, details) => anomalies.push({
+    shipId: String(incoming.SHIP_ID),
+    type,
+    severity,
+    positionTime: new Date(position.time).toISOString(),
+    lat: position.lat,
+    lon: position.lon,
+    details
+  });
+  const gapSeverity = ms => (ms >= options.criticalGap ? 'critical' : 'warning');
+
+  // The vessel reappeared after not reporting a position for a while
+  if (previous && position.time - previous.time >= options.gap) {
+    const gap = position.time - previous.time;
+    add('ais_gap', gapSeverity(gap), { hours: hours(gap), since: new Date(previous.time).toISOString() });
+  }
+
+  // The vessel is scraped but its position stopped updating
+  const age = (options.now || new Date()).getTime() - position.time;
+  if (age >= options.gap) {
+    add('position_stale', gapSeverity(age), { hours: hours(age) });
+  }
+
+  if (previous && position.time >= previous.time) {
+    const distance = distanceNm(previous, position);
+    if (distance >= options.minJumpDistance) {
+      const elapsedHours = (position.time - previous.time) / 3600000;
+      // A move without a newer position time has no speed at all
+      const impliedSpeed = elapsedHours > 0 ? distance / elapsedHours : null;
+      if (impliedSpeed === null || impliedSpeed > options.maxImpliedSpeed) {
+        const critical = impliedSpeed === null || impliedSpeed > options.maxImpliedSpeed * CRITICAL_SPEED_FACTOR;
+        add('impossible_speed', critical ? 'critical' : 'warning', {
+          distanceNm: round(distance),
+          hours: round(elapsedHours, 2),
+          impliedSpeed: impliedSpeed === null ? null : round(impliedSpeed),
+          from: { lat: previous.lat, lon: previous.lon, time: new Date(previous.time).toISOString() }
+        });
+      }
+    }
+  }
+
+  if (position.lat === 0 && position.lon === 0) {
+    add('null_island', 'warning', {});
+  }
+
+  const land = findGeofences(options.landAreas, position.lat, position.lon);
+  if (land.length > 0) {
+    add('position_on_land', 'critical', { areas: land });
+  }
+
+  if (options.plausibleAreas.length > 0 && findGeofences(options.plausibleAreas, position.lat, position.lon).length === 0) {
+    add('outside_plausible_area', 'warning', {});
+  }
+
+  return anomalies;
+}
+
+/**
+ * Load the stored positions of vessels from vessels_mt
+ * @param {Object} client - PostgreSQL client
+ * @param {Array<string>} shipIds - SHIP_IDs to load
+ * @returns {Promise<Map>} - SHIP_ID -> { LAT, LON, LAST_POS }
+ */
+async function loadStoredPositions(client, shipIds) {
+  const result = await client.query(
+    'SELECT ship_id, lat, lon, last_pos FROM vessels_mt WHERE ship_id = ANY($1)',
+    [shipIds]
+  );
+  return new Map(result.rows.map(row => [String(row.ship_id), { LAT: row.lat, LON: row.lon, LAST_POS: row.last_pos }]));
+}
+
+/**
+ * Detect the anomalies of a batch of vessels against their stored positions
+ * @param {Object} client - PostgreSQL client, inside the writing transaction before the upsert
+ * @param {Array<Object>} vesselsFields - Normalized fields of each vessel
+ * @param {Object} options - Options from resolveAnomalyOptions
+ * @returns {Promise<Array<Object>>} - Anomalies, see detectVesselAnomalies
+ */
+async function detectAnomalies(client, vesselsFields, options) {
+  const stored = await loadStoredPositions(client, vesselsFields.map(fields => fields.SHIP_ID));
+  const batchOptions = { ...options, now: options.now || new Date() };
+  return vesselsFields.flatMap(fields => detectVesselAnomalies(stored.get(fields.SHIP_ID) || null, fields, batchOptions));
+}
+
+/**
+ * Store anomalies. An anomaly already stored for the same vessel, type and
+ * position time is updated instead, so a stale position escalates in place.
+ * @param {Object} client - PostgreSQL client
+ * @param {Array<Object>} anomalies - Anomalies, see detectVesselAnomalies
+ * @param {string} report - Tag of the report the vessels came from
+ * @returns {Promise<number>} - Number of anomalies not stored before
+ */
+async function recordAnomalies(client, anomalies, report = null) {
+  if (anomalies.length === 0) return 0;
+
+  const values = [];
+  const rows = anomalies.map(anomaly => {
+    values.push(anomaly.shipId, anomaly.type, anomaly.severity, anomaly.positionTime,
+      anomaly.lat, anomaly.lon, JSON.stringify(anomaly.details), report);
+    const offset = values.length - 8;
+    return valuesRow(offset, 8);
+  });
+
+  const result = await client.query(`
+    INSERT INTO ${ANOMALIES_TABLE} AS a (ship_id, anomaly_type, severity, position_time, lat, lon, details, report)
+    VALUES ${rows.join(', ')}
+    ON CONFLICT (ship_id, anomaly_type, position_time) DO UPDATE SET
+      severity = EXCLUDED.severity,
+      details = EXCLUDED.details,
+      updated_at = NOW()
+    RETURNING (xmax = 0) AS inserted
+  `, values);
+
+  return result.rows.filter(row => row.inserted).length;
+}
+
+/**
+ * Fetch stored anomalies, most recent first
+ * @param {Object} client - PostgreSQL client or pool
+ * @param {Object} filters - Query filters
+ * @param {string} filters.shipId - Only anomalies of this vessel
+ * @param {string} filters.type - Only anomalies of this type
+ * @param {string} filters.severity - Only anomalies of this severity or worse
+ * @param {Date|string} filters.since - Only anomalies detected or updated since
+ * @param {number} filters.limit - Maximum rows (default: 100, at most 10000)
+ * @returns {Promise<Array>} - Anomaly rows with the vessel's name
+ */
+async function getAnomalies(client, filters = {}) {
+  const values = [];
+  const conditions = [];
+  const addCondition = (sql, value) => {
+    if (value === undefined || value === null || value === '') return;
+    values.push(value);
+    conditions.push(sql.replace('?', `$${values.length}`));
+  };
+
+  addCondition('a.ship_id = ?', filters.shipId);
+  addCondition('a.anomaly_type = ?', filters.type);
+  addCondition('a.severity = ANY(?)', filters.severity ? SEVERITIES.slice(SEVERITIES.indexOf(filters.severity)) : null);
+  addCondition('a.updated_at >= ?', filters.since ? new Date(filters.since).toISOString() : null);
+  values.push(Math.min(parseInt(filters.limit, 10) || DEFAULT_ANOMALIES_LIMIT, MAX_ANOMALIES_LIMIT));
+
+  const result = await client.query(`
+    SELECT a.*, v.shipname
+    FROM ${ANOMALIES_TABLE} a
+    LEFT JOIN vessels_mt v ON v.ship_id = a.ship_id
+    ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+    ORDER BY a.updated_at DESC, a.id DESC
+    LIMIT $${values.length}
+  `, values);
+  return result.rows;
+}
+
+module.exports = {
+  SEVERITIES,
+  resolveAnomalyOptions,
+  loadAnomalyOptions,
+  loadAreas,
+  distanceNm,
+  detectVesselAnomalies,
+  detectAnomalies,
+  recordAnomalies,
+  getAnomalies
+};
@@ -0,0 +1,367 @@
+// Small built-in HTTP API exposing the latest vessel data and scraper health
+const http = require('http');
+const crypto = require('crypto');
+const { pool: defaultPool } = require('./db');
+const { parseBoundingBox, listVessels, getVessel } = require('./vessel-queries');
+const { getRecentRuns } = require('./run-log');
+const { getEvents } = require('./vessel-events');
+const {
+  resolveRoles, findCompanies, getCompany, listCompanyVessels, getCompanyFleetHistory
+} = require('./companies');
+const { REVIEW_STATUSES, getScreeningHits } = require('./screening');
+const { SEVERITIES, getAnomalies } = require('./anomalies');
+const logger = require('./logger').child({ module: 'api' });
+
+// A scrape older than this makes /health report the service as unhealthy
+const DEFAULT_MAX_SCRAPE_AGE_SECONDS = 15 * 60;
+
+// Largest PostgreSQL BIGINT
+const MAX_BIGINT = 9223372036854775807n;
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+  }
+}
+
+/**
+ * Write a JSON response
+ * @param {Object} res - HTTP response
+ * @param {number} status - HTTP status code
+ * @param {Object} body - Response body
+ */
+function sendJson(res, status, body) {
+  const payload = JSON.stringify(body);
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Content-Length': Buffer.byteLength(payload)
+  });
+  res.end(payload);
+}
+
+/**
+ * Parse the role filter of a company route
+ * @param {URLSearchParams} query - Query string
+ * @returns {Array<string>} - Stored role names, see companies.resolveRoles
+ */
+function parseRoles(query) {
+  try {
+    return resolveRoles(query.get('role'));
+  } catch (error) {
+    throw new HttpError(400, error.message);
+  }
+}
+
+/**
+ * Parse an integer query parameter such as limit or offset
+ * @param {URLSearchParams} query - Query string
+ * @param {string} name - Parameter name
+ * @param {number} min - Smallest allowed value
+ * @returns {number|null} - Value, or null when the parameter is not given
+ */
+function parseIntParam(query, name, min) {
+  const value = query.get(name);
+  if (value === null || value === '') return null;
+  if (!/^\d+$/.test(value) || Number(value) < min) {
+    throw new HttpError(400, `${name} must be an integer of at least ${min}`);
+  }
+  return Number(value);
+}
+
+/**
+ * Check that a path or query id fits a PostgreSQL BIGINT, the type of company and event ids
+ * @param {string} value - Id as given
+ * @returns {boolean} - True for a non-negative integer the database can compare
+ */
+function isBigintId(value) {
+  return /^\d+$/.test(value) && BigInt(value) <= MAX_BIGINT;
+}
+
+/**
+ * Check the Authorization header in constant time, so response times do not reveal the token
+ * @param {string|undefined} header - Authorization header of the request
+ * @param {string} token - Expected bearer token
+ * @returns {boolean} - True if the header carries the token
+ */
+function hasBearerToken(header, token) {
+  // Hashing first gives buffers of equal length, as timingSafeEqual requires
+  const digest = value => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(String(header || '')), digest(`Bearer ${token}`));
+}
+
+/**
+ * Fetch a company or fail with 404
+ * @param {Object} pool - PostgreSQL pool
+ * @param {string} companyId - Company id from the path
+ * @returns {Promise<Object>} - Company row
+ */
+async function requireCompany(pool, companyId) {
+  // An id past the BIGINT range cannot exist, and would make the query fail
+  const company = isBigintId(companyId) ? await getCompany(pool, companyId) : null;
+  if (!company) {
+    throw new HttpError(404, `Company ${companyId} not found`);
+  }
+  return company;
+}
+
+/**
+ * Build the route handlers of the API
+ * @param {Object} options - See createApiServer
+ * @returns {Array<Object>} - Routes as { method, pattern, handler }
+ */
+function buildRoutes({ pool, maxScrapeAgeSeconds }) {
+  return [
+    {
+      method: 'GET',
+      pattern: /^\/vessels\/?$/,
+      async handler(params, query) {
+        const bbox = query.get('bbox');
+        const filters = {
+          flag: query.get('flag'),
+          shipType: query.get('shipType') || query.get('ship_type'),
+          area: query.get('area'),
+          status: query.get('status'),
+          report: query.get('report'),
+          bbox: parseBoundingBox(bbox),
+          limit: parseIntParam(query, 'limit', 1),
+          offset: parseIntParam(query, 'offset', 0)
+        };
+
+        if (bbox && !filters.bbox) {
+          throw new HttpError(400, 'bbox must be "minLon,minLat,maxLon,maxLat"');
+        }
+
+        const vessels = await listVessels(pool, filters);
+        return { count: vessels.length, vessels };
+      }
+    },
+    {
+      method: 'GET',
+      pattern: /^\/vessels\/([^/]+)\/?$/,
+      async handler([encodedShipId]) {
+        let shipId;
+        try {
+          shipId = decodeURIComponent(encodedShipId);
+        } catch (error) {
+          throw new HttpError(400, 'Malformed vessel id in the path');
+        }
+
+        const vessel = await getVessel(pool, shipId);
+        if (!vessel) {
+          throw new HttpError(404, `Vessel ${shipId} not found`);
+        }
+        return vessel;
+      }
+    },
+    {
+      method: 'GET',
+      pattern: /^\/companies\/?$/,
+      async handler(params, query) {
+        const companies = await findCompanies(pool, {
+          name: query.get('name'),
+          country: query.get('country'),
+          limit: parseIntParam(query, 'limit', 1)
+        });
+        return { count: companies.length, companies };
+      }
+    },
+    {
+      method: 'GET',
+      pattern: /^\/companies\/(\d+)\/?$/,
+      async handler([companyId]) {
+        return requireCompany(pool, companyId);
+      }
+    },
+    {
+      method: 'GET',
+      pattern: /^\/companies\/(\d+)\/vessels\/?$/,
+      async handler([companyId], query) {
+        const roles = parseRoles(query);
+        const at = query.get('at');
+        if (at && isNaN(Date.parse(at))) {
+          throw new HttpError(400, 'at must be a date');
+        }
+
+        const company = await requireCompany(pool, companyId);
+        const vessels = await listCompanyVessels(pool, companyId, { roles, at });
+        return { company, count: vessels.length, vessels };
+      }
+    },
+    {
+      method: 'GET',
+      pattern: /^\/companies\/(\d+)\/fleet\/?$/,
+      async handler([companyId], query) {
+        const roles = parseRoles(query);
+        const company = await requireCompany(pool, companyId);
+        return { company, ...await getCompanyFleetHistory(pool, companyId, { roles }) };
+      }
+    },
+    {
+      method: 'GET',
+      pattern: /^\/screening\/hits\/?$/,
+      async handler(params, query) {
+        const status = query.get('status');
+        if (status && !REVIEW_STATUSES.includes(status)) {
+          throw new HttpError(400, `status must be one of: ${REVIEW_STATUSES.join(', ')}`);
+        }
+        const minScore = query.get('minScore') || query.get('min_score');
+        if (minScore && isNaN(Number(minScore))) {
+          throw new HttpError(400, 'minScore must be a number');
+        }
+
+        const hits = await getScreeningHits(pool, {
+          status,
+          shipId: query.get('shipId') || query.get('ship_id'),
+          kind: query.get('kind'),
+          minScore: minScore ? Number(minScore) : null,
+          limit: parseIntParam(query, 'limit', 1)
+        });
+        return { count: hits.length, hits };
+      }
+    },
+    {
+      method: 'GET',
+      pattern: /^\/anomalies\/?$/,
+      async handler(params, query) {
+        const severity = query.get('severity');
+        if (severity && !SEVERITIES.includes(severity)) {
+          throw new HttpError(400, `severity must be one of: ${SEVERITIES.join(', ')}`);
+        }
+        const since = query.get('since');
+        if (since && isNaN(Date.parse(since))) {
+          throw new HttpError(400, 'since must be a date');
+        }
+
+        const anomalies = await getAnomalies(pool, {
+          shipId: query.get('shipId') || query.get('ship_id'),
+          type: query.get('type'),
+          severity,
+          since,
+          limit: parseIntParam(query, 'limit', 1)
+        });
+        return { count: anomalies.length, anomalies };
+      }
+    },
+    {
+      method: 'GET',
+      pattern: /^\/events\/?$/,
+      async handler(params, query) {
+        const afterId = query.get('afterId') || query.get('after_id');
+        if (afterId && !isBigintId(afterId)) {
+          throw new HttpError(400, 'afterId must be an event id');
+        }
+
+        const events = await getEvents(pool, {
+          shipId: query.get('shipId') || query.get('ship_id'),
+          type: query.get('type'),
+          afterId,
+          limit: parseIntParam(query, 'limit', 1)
+        });
+        return { count: events.length, events };
+      }
+    },
+    {
+      method: 'GET',
+      pattern: /^\/runs\/latest\/?$/,
+      async handler() {
+        const [run] = await getRecentRuns(pool, { limit: 1 });
+        if (!run) {
+          throw new HttpError(404, 'No scraper runs recorded yet');
+        }
+        return run;
+      }
+    },
+    {
+      method: 'GET',
+      pattern: /^\/health\/?$/,
+      async handler() {
+        const health = { status: 'ok', database: { connected: false }, lastSuccessfulScrape: null };
+
+        try {
+          await pool.query('SELECT 1');
+          health.database.connected = true;
+
+          const [run] = await getRecentRuns(pool, { limit: 1, status: 'success' });
+          if (run) {
+            health.lastSuccessfulScrape = {
+              runId: run.id,
+              report: run.report,
+              finishedAt: run.finished_at,
+              ageSeconds: Math.round((Date.now() - new Date(run.finished_at).getTime()) / 1000)
+            };
+          }
+        } catch (error) {
+          health.database.error = error.message;
+        }
+
+        const scrapeIsStale = !health.lastSuccessfulScrape ||
+          health.lastSuccessfulScrape.ageSeconds > maxScrapeAgeSeconds;
+
+        if (!health.database.connected || scrapeIsStale) {
+          health.status = 'unhealthy';
+          throw Object.assign(new HttpError(503, 'unhealthy'), { body: health });
+        }
+        return health;
+      }
+    }
+  ];
+}
+
+/**
+ * Create the HTTP API server. Call listen() on the result to start it.
+ * @param {Object} options - Server options
+ * @param {Object} options.pool - PostgreSQL pool (default: shared pool from db.js)
+ * @param {string} options.token - Bearer token required on every route but /health (default: API_TOKEN)
+ * @param {number} options.maxScrapeAgeSeconds - Scrape age above which /health fails
+ *   (default: HEALTH_MAX_SCRAPE_AGE_SECONDS or 900)
+ * @returns {http.Server} - HTTP server
+ */
+function createApiServer(options = {}) {
+  const {
+    pool = defaultPool,
+    token = process.env.API_TOKEN,
+    maxScrapeAgeSeconds = parseInt(process.env.HEALTH_MAX_SCRAPE_AGE_SECONDS, 10) || DEFAULT_MAX_SCRAPE_AGE_SECONDS
+  } = options;
+
+  const routes = buildRoutes({ pool, maxScrapeAgeSeconds });
+
+  return http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+
+    try {
+      const matching = routes
+        .map(route => ({ route, match: url.pathname.match(route.pattern) }))
+        .filter(({ match }) => match);
+
+      if (matching.length === 0) {
+        throw new HttpError(404, `No route for ${url.pathname}`);
+      }
+
+      const found = matching.find(({ route }) => route.method === req.method);
+      if (!found) {
+        res.setHeader('Allow', matching.map(({ route }) => route.method).join(', '));
+        throw new HttpError(405, `Method ${req.method} not allowed`);
+      }
+
+      if (token && url.pathname.replace(/\/$/, '') !== '/health' &&
+          !hasBearerToken(req.headers.authorization, token)) {
+        throw new HttpError(401, 'Missing or invalid bearer token');
+      }
+
+      const body = await found.route.handler(found.match.slice(1), url.searchParams);
+      sendJson(res, 200, body);
+    } catch (error) {
+      if (error instanceof HttpError) {
+        sendJson(res, error.status, error.body || { error: error.message });
+        return;
+      }
+
+      logger.error('API request failed', { method: req.method, path: url.pathname, error });
+      sendJson(res, 500, { error: 'Internal server error' });
+    }
+  });
+}
+
+module.exports = { createApiServer };
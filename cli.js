@@ -0,0 +1,573 @@
+#!/usr/bin/env node
+// Command line interface for one-off scrapes, exports and maintenance.
+//
+// Usage: node cli.js <command> [options], see USAGE below. Every command exits
+// with one of EXIT_CODES so that scripts can tell failures apart.
+require('dotenv').config();
+const fs = require('fs');
+const { parseArgs } = require('util');
+const { parseDuration } = require('./scheduler');
+const logger = require('./logger').child({ module: 'cli' });
+
+const EXIT_CODES = {
+  OK: 0,
+  FAILURE: 1,
+  USAGE: 2,
+  NO_DATA: 3,
+  DB_UNAVAILABLE: 4,
+  NOT_FOUND: 5,
+  MIGRATIONS_PENDING: 6
+};
+
+const USAGE = `Usage: node cli.js <command> [options]
+
+Commands:
+  scrape [--once] [--report name]... [--no-headless] [--timeout 2m]
+         [--no-db [--out file.json]]
+      Run the scheduled service, or with --once scrape each report one time.
+      --no-db writes the scraped rows as JSON instead of saving them.
+  export [--format csv|geojson|ndjson|json|columnar] [--history [--since 24h | --from t] [--to t]]
+         [--flag GR,MT] [--ship-type 8] [--area a] [--status s] [--report tag]
+         [--bbox minLon,minLat,maxLon,maxLat] [--limit n] [--out file]
+      Write stored vessels matching the filters, or with --history their positions
+      in a time range; GeoJSON history has one track per vessel.
+  vessel <imo|mmsi|ship-id> [--since 24h]
+      Show a vessel's stored state, its track, events and anomalies since the given time.
+  db check
+      Check the database connection and report pending migrations.
+  session clear [--username name]
+      Forget saved login sessions, of one user or all users.
+  screening hits [--status open|confirmed|dismissed] [--kind imo|mmsi|company|reflag]
+                 [--ship ship-id] [--min-score 0.9] [--since 7d] [--limit n]
+      List stored watchlist and reflagging hits, highest score first.
+  screening review <hit-id> --status confirmed|dismissed|open [--note text] [--reviewer name]
+      Record the review of a hit; reviewed hits keep their status when seen again.
+
+scrape saves through the STORAGE_BACKEND; export, vessel, db check and screening use PostgreSQL.
+
+Exit codes:
+  0 ok, 1 failure, 2 usage error, 3 no data, 4 database unavailable,
+  5 vessel or hit not found, 6 migrations pending`;
+
+const DEFAULT_HISTORY_WINDOW = '24h';
+
+class CliError extends Error {
+  constructor(exitCode, message) {
+    super(message);
+    this.name = 'CliError';
+    this.exitCode = exitCode;
+  }
+}
+
+/**
+ * Parse command options, turning parse errors into usage errors
+ * @param {Array<string>} args - Arguments after the command
+ * @param {Object} options - Option definitions for util.parseArgs
+ * @param {boolean} allowPositionals - Whether positional arguments are accepted
+ * @returns {Object} - { values, positionals }
+ */
+function parseCommandArgs(args, options, allowPositionals = false) {
+  try {
+    return parseArgs({ args, options, allowPositionals, strict: true });
+  } catch (error) {
+    throw new CliError(EXIT_CODES.USAGE, error.message);
+  }
+}
+
+/**
+ * Parse a duration option
+ * @param {string} name - Option name, for the error message
+ * @param {string} value - Duration such as "90s" or "2m"
+ * @returns {number} - Milliseconds
+ */
+function parseDurationOption(name, value) {
+  try {
+    return parseDuration(value);
+  } catch (error) {
+    throw new CliError(EXIT_CODES.USAGE, `--${name}: ${error.message}`);
+  }
+}
+
+/**
+ * Parse a date option
+ * @param {string} name - Option name, for the error message
+ * @param {string} value - ISO 8601 date or date and time
+ * @returns {Date} - Parsed date
+ */
+function parseDateOption(name, value) {
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new CliError(EXIT_CODES.USAGE, `--${name}: "${value}" is not a date`);
+  }
+  return date;
+}
+
+/**
+ * Write command output to a file, or to stdout
+ * @param {string} text - Output
+ * @param {string} out - File path, or undefined for stdout
+ * @param {Object} stdout - Stream written to without a file
+ */
+function writeOutput(text, out, stdout) {
+  if (out) {
+    fs.writeFileSync(out, text);
+  } else {
+    stdout.write(text);
+  }
+}
+
+/**
+ * Keep info logs out of data written to stdout, unless LOG_LEVEL asks for them
+ */
+function quietLogs() {
+  if (!process.env.LOG_LEVEL) {
+    process.env.LOG_LEVEL = 'warn';
+  }
+}
+
+/**
+ * Map a storage setup error from main.prepareStorage to a CliError
+ * @param {Error} error - Error thrown by prepareStorage
+ * @returns {Error} - Error to rethrow
+ */
+function toDatabaseError(error) {
+  if (error.unavailable) return new CliError(EXIT_CODES.DB_UNAVAILABLE, error.message);
+  if (error.pending) return new CliError(EXIT_CODES.MIGRATIONS_PENDING, `${error.message}: ${error.pending.join(', ')}`);
+  return error;
+}
+
+/**
+ * Pick the reports named on the command line
+ * @param {Array<Object>} reports - Enabled report definitions
+ * @param {Array<string>} names - Report names, or empty for every report
+ * @returns {Array<Object>} - Selected reports
+ */
+function selectReports(reports, names = []) {
+  if (names.length === 0) return reports;
+
+  const unknown = names.filter(name => !reports.some(report => report.name === name));
+  if (unknown.length > 0) {
+    throw new CliError(EXIT_CODES.USAGE, `Unknown report(s): ${unknown.join(', ')} ` +
+      `(enabled: ${reports.map(report => report.name).join(', ')})`);
+  }
+  return reports.filter(report => names.includes(report.name));
+}
+
+/**
+ * scrape: run the service, or scrape each report once
+ * @param {Array<string>} args - Command arguments
+ * @param {Object} context - { stdout }
+ * @returns {Promise<number|null>} - Exit code, or null while the service runs
+ */
+async function scrapeCommand(args, { stdout }) {
+  const { values } = parseCommandArgs(args, {
+    once: { type: 'boolean', default: false },
+    report: { type: 'string', multiple: true, default: [] },
+    'no-db': { type: 'boolean', default: false },
+    out: { type: 'string' },
+    'no-headless': { type: 'boolean', default: false },
+    timeout: { type: 'string' }
+  });
+
+  const scrapeOptions = { headless: !values['no-headless'] };
+  if (values.timeout !== undefined) {
+    scrapeOptions.timeout = parseDurationOption('timeout', values.timeout);
+  }
+
+  if (values.out && !values['no-db']) {
+    throw new CliError(EXIT_CODES.USAGE, '--out needs --no-db, saved vessels can be written with "export"');
+  }
+  if (!values.once) {
+    if (values['no-db'] || values.report.length > 0) {
+      throw new CliError(EXIT_CODES.USAGE, '--no-db and --report need --once');
+    }
+    require('./main').startService(scrapeOptions);
+    return null;
+  }
+
+  if (values['no-db']) {
+    return scrapeWithoutDatabase(values, scrapeOptions, stdout);
+  }
+
+  const { runReport, prepareStorage, loadConfiguration, closeResources } = require('./main');
+  const reports = selectReports(loadConfiguration(), values.report);
+
+  let failed = 0;
+  let empty = 0;
+  try {
+    await prepareStorage().catch(error => {
+      throw toDatabaseError(error);
+    });
+
+    for (const report of reports) {
+      try {
+        const counts = await runReport(report, scrapeOptions);
+        if (!counts) empty++;
+      } catch (error) {
+        failed++;
+        logger.error(`Report "${report.name}" failed`, { error: error.message });
+      }
+    }
+  } finally {
+    await closeResources();
+  }
+
+  if (failed > 0) return EXIT_CODES.FAILURE;
+  return empty === reports.length ? EXIT_CODES.NO_DATA : EXIT_CODES.OK;
+}
+
+/**
+ * scrape --once --no-db: scrape each report and write the rows as JSON
+ * @param {Object} values - Parsed scrape options
+ * @param {Object} scrapeOptions - Options for scrapeVesselData
+ * @param {Object} stdout - Stream written to without --out
+ * @returns {Promise<number>} - Exit code
+ */
+async function scrapeWithoutDatabase(values, scrapeOptions, stdout) {
+  const { DEFAULT_SCRAPE_OPTIONS } = require('./main');
+  const { scrapeVesselData, closeBrowser } = require('./vessel-scraper');
+  const { loadReportDefinitions } = require('./report-config');
+  const { extractRows } = require('./pagination');
+  const { loadCredentialPool } = require('./credentials');
+
+  if (!values.out) quietLogs();
+  const reports = selectReports(loadReportDefinitions(), values.report);
+  const credentials = loadCredentialPool();
+
+  const vessels = [];
+  let failed = 0;
+  try {
+    for (const report of reports) {
+      try {
+        const vesselData = await credentials.withAccount(({ username, password }) =>
+          scrapeVesselData({ ...DEFAULT_SCRAPE_OPTIONS, ...scrapeOptions, report, username, password }));
+        vessels.push(...extractRows(vesselData));
+      } catch (error) {
+        // A report without vessels only counts towards NO_DATA
+        if (error.kind === 'empty_report') continue;
+        failed++;
+        logger.error(`Report "${report.name}" failed`, { kind: error.kind, error: error.message, diagnostics: error.diagnostics });
+      }
+    }
+  } finally {
+    await closeBrowser();
+  }
+
+  writeOutput(`${JSON.stringify(vessels, null, 2)}\n`, values.out, stdout);
+  logger.info(`Scraped ${vessels.length} vessels from ${reports.length} report(s)`, { out: values.out || 'stdout' });
+
+  if (failed > 0) return EXIT_CODES.FAILURE;
+  return vessels.length === 0 ? EXIT_CODES.NO_DATA : EXIT_CODES.OK;
+}
+
+/**
+ * export: write stored vessels, or their position history, matching the filters
+ * @param {Array<string>} args - Command arguments
+ * @param {Object} context - { pool, stdout, now }
+ * @returns {Promise<number>} - Exit code
+ */
+async function exportCommand(args, { pool, stdout, now }) {
+  const { EXPORT_FORMATS, exportData, writeExportFile } = require('./exporter');
+  const { parseBoundingBox } = require('./vessel-queries');
+  const { values } = parseCommandArgs(args, {
+    format: { type: 'string', default: 'json' },
+    history: { type: 'boolean', default: false },
+    since: { type: 'string' },
+    from: { type: 'string' },
+    to: { type: 'string' },
+    flag: { type: 'string' },
+    'ship-type': { type: 'string' },
+    area: { type: 'string' },
+    status: { type: 'string' },
+    report: { type: 'string' },
+    bbox: { type: 'string' },
+    limit: { type: 'string' },
+    out: { type: 'string' }
+  });
+
+  if (!EXPORT_FORMATS.includes(values.format)) {
+    throw new CliError(EXIT_CODES.USAGE, `Unknown format "${values.format}", expected one of: ${EXPORT_FORMATS.join(', ')}`);
+  }
+  const bbox = parseBoundingBox(values.bbox);
+  if (values.bbox && !bbox) {
+    throw new CliError(EXIT_CODES.USAGE, '--bbox must be "minLon,minLat,maxLon,maxLat"');
+  }
+  if (!values.history && (values.since || values.from || values.to)) {
+    throw new CliError(EXIT_CODES.USAGE, '--since, --from and --to need --history');
+  }
+
+  const to = values.to ? parseDateOption('to', values.to) : now;
+  let from;
+  if (values.from) {
+    from = parseDateOption('from', values.from);
+  } else {
+    from = new Date(to.getTime() - parseDurationOption('since', values.since || DEFAULT_HISTORY_WINDOW));
+  }
+
+  if (!values.out) quietLogs();
+  const { count, text } = await exportData(pool, {
+    format: values.format,
+    dataset: values.history ? 'history' : 'state',
+    filters: {
+      flag: values.flag,
+      shipType: values['ship-type'],
+      area: values.area,
+      status: values.status,
+      report: values.report,
+      bbox,
+      limit: values.limit
+    },
+    from,
+    to
+  });
+
+  if (values.out) {
+    await writeExportFile(values.out, text);
+  } else {
+    stdout.write(text);
+  }
+  logger.info(`Exported ${count} ${values.history ? 'positions' : 'vessels'}`,
+    { format: values.format, out: values.out || 'stdout' });
+
+  return count === 0 ? EXIT_CODES.NO_DATA : EXIT_CODES.OK;
+}
+
+/**
+ * vessel: show stored state, track, events and anomalies of the vessels matching an identifier
+ * @param {Array<string>} args - Command arguments
+ * @param {Object} context - { pool, stdout, now }
+ * @returns {Promise<number>} - Exit code
+ */
+async function vesselCommand(args, { pool, stdout, now }) {
+  const { findVessels } = require('./vessel-queries');
+  const { getVesselTrack } = require('./position-history');
+  const { getEvents } = require('./vessel-events');
+  const { getAnomalies } = require('./anomalies');
+  const { values, positionals } = parseCommandArgs(args, {
+    since: { type: 'string', default: DEFAULT_HISTORY_WINDOW }
+  }, true);
+
+  if (positionals.length !== 1) {
+    throw new CliError(EXIT_CODES.USAGE, 'vessel needs exactly one IMO number, MMSI or SHIP_ID');
+  }
+  const since = new Date(now.getTime() - parseDurationOption('since', values.since));
+
+  quietLogs();
+  const vessels = await findVessels(pool, positionals[0]);
+  if (vessels.length === 0) {
+    throw new CliError(EXIT_CODES.NOT_FOUND, `No stored vessel matches ${positionals[0]}`);
+  }
+
+  const history = [];
+  for (const vessel of vessels) {
+    history.push({
+      vessel,
+      track: await getVesselTrack(pool, vessel.ship_id, since, now),
+      events: await getEvents(pool, { shipId: vessel.ship_id, since, limit: 1000 }),
+      anomalies: await getAnomalies(pool, { shipId: vessel.ship_id, since, limit: 1000 })
+    });
+  }
+
+  writeOutput(`${JSON.stringify(history, null, 2)}\n`, undefined, stdout);
+  return EXIT_CODES.OK;
+}
+
+/**
+ * db check: check the connection and report pending migrations
+ * @param {Array<string>} args - Command arguments
+ * @param {Object} context - { pool, stdout }
+ * @returns {Promise<number>} - Exit code
+ */
+async function dbCommand(args, { pool, stdout }) {
+  const { getPendingMigrations } = require('./migrate');
+  const { positionals } = parseCommandArgs(args, {}, true);
+  if (positionals.length !== 1 || positionals[0] !== 'check') {
+    throw new CliError(EXIT_CODES.USAGE, 'Usage: node cli.js db check');
+  }
+
+  let client;
+  try {
+    client = await pool.connect();
+  } catch (error) {
+    throw new CliError(EXIT_CODES.DB_UNAVAILABLE, `Database connection error, check the DB_* variables: ${error.message}`);
+  }
+
+  try {
+    const pending = await getPendingMigrations(client);
+    stdout.write('Database connection ok\n');
+    if (pending.length > 0) {
+      for (const migration of pending) {
+        stdout.write(`${migration.version}-${migration.name}: pending\n`);
+      }
+      return EXIT_CODES.MIGRATIONS_PENDING;
+    }
+    stdout.write('Schema up to date\n');
+    return EXIT_CODES.OK;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * session clear: forget saved login sessions
+ * @param {Array<string>} args - Command arguments
+ * @param {Object} context - { pool }
+ * @returns {Promise<number>} - Exit code
+ */
+async function sessionCommand(args, { pool }) {
+  const { createSessionStore } = require('./session-store');
+  const { values, positionals } = parseCommandArgs(args, {
+    username: { type: 'string' }
+  }, true);
+  if (positionals.length !== 1 || positionals[0] !== 'clear') {
+    throw new CliError(EXIT_CODES.USAGE, 'Usage: node cli.js session clear [--username name]');
+  }
+
+  const store = createSessionStore({ pool });
+  if (!store) {
+    logger.info('Sessions are disabled (SESSION_STORE=none), nothing to clear');
+    return EXIT_CODES.OK;
+  }
+
+  await store.clear(values.username);
+  logger.info(values.username ? `Cleared the saved session of ${values.username}` : 'Cleared all saved sessions',
+    { store: store.type });
+  return EXIT_CODES.OK;
+}
+
+/**
+ * screening: list stored screening hits, or record the review of one
+ * @param {Array<string>} args - Command arguments
+ * @param {Object} context - { pool, stdout, now }
+ * @returns {Promise<number>} - Exit code
+ */
+async function screeningCommand(args, { pool, stdout, now }) {
+  const { REVIEW_STATUSES, getScreeningHits, reviewScreeningHit } = require('./screening');
+  const { values, positionals } = parseCommandArgs(args, {
+    status: { type: 'string' },
+    kind: { type: 'string' },
+    ship: { type: 'string' },
+    'min-score': { type: 'string' },
+    since: { type: 'string' },
+    limit: { type: 'string' },
+    note: { type: 'string' },
+    reviewer: { type: 'string' }
+  }, true);
+  const [action, hitId] = positionals;
+
+  if (values.status && !REVIEW_STATUSES.includes(values.status)) {
+    throw new CliError(EXIT_CODES.USAGE, `--status must be one of: ${REVIEW_STATUSES.join(', ')}`);
+  }
+
+  if (action === 'hits' && positionals.length === 1) {
+    const minScore = values['min-score'] !== undefined ? Number(values['min-score']) : null;
+    if (Number.isNaN(minScore)) {
+      throw new CliError(EXIT_CODES.USAGE, '--min-score must be a number');
+    }
+
+    quietLogs();
+    const hits = await getScreeningHits(pool, {
+      status: values.status,
+      kind: values.kind,
+      shipId: values.ship,
+      minScore,
+      since: values.since ? new Date(now.getTime() - parseDurationOption('since', values.since)) : null,
+      limit: values.limit
+    });
+    writeOutput(`${JSON.stringify(hits, null, 2)}\n`, undefined, stdout);
+    return hits.length === 0 ? EXIT_CODES.NO_DATA : EXIT_CODES.OK;
+  }
+
+  if (action === 'review' && positionals.length === 2) {
+    if (!/^\d+$/.test(hitId)) {
+      throw new CliError(EXIT_CODES.USAGE, 'screening review needs a hit id');
+    }
+    if (!values.status) {
+      throw new CliError(EXIT_CODES.USAGE, 'screening review needs --status');
+    }
+
+    const hit = await reviewScreeningHit(pool, hitId, {
+      status: values.status,
+      note: values.note,
+      reviewer: values.reviewer || process.env.USER || null
+    });
+    if (!hit) {
+      throw new CliError(EXIT_CODES.NOT_FOUND, `No screening hit ${hitId}`);
+    }
+    logger.info(`Marked screening hit ${hitId} as ${values.status}`, { shipId: hit.ship_id, kind: hit.kind });
+    return EXIT_CODES.OK;
+  }
+
+  throw new CliError(EXIT_CODES.USAGE, 'Usage: node cli.js screening hits [options] | screening review <hit-id> --status s');
+}
+
+const COMMANDS = {
+  scrape: scrapeCommand,
+  export: exportCommand,
+  vessel: vesselCommand,
+  db: dbCommand,
+  session: sessionCommand,
+  screening: screeningCommand
+};
+
+/**
+ * Run one command
+ * @param {Array<string>} argv - Arguments, without the node executable and script
+ * @param {Object} context - Dependencies
+ * @param {Object} context.pool - PostgreSQL pool (default: shared pool from db.js)
+ * @param {Object} context.stdout - Output stream (default: process.stdout)
+ * @param {Object} context.stderr - Stream for usage and errors (default: process.stderr)
+ * @param {Date} context.now - Current time, for history windows (default: now)
+ * @returns {Promise<number|null>} - Exit code, or null if the command keeps running
+ */
+async function runCli(argv, context = {}) {
+  const {
+    stdout = process.stdout,
+    stderr = process.stderr,
+    now = new Date()
+  } = context;
+  const [command, ...args] = argv;
+
+  if (!command || command === 'help' || command === '--help' || command === '-h') {
+    (command ? stdout : stderr).write(`${USAGE}\n`);
+    return command ? EXIT_CODES.OK : EXIT_CODES.USAGE;
+  }
+
+  const handler = COMMANDS[command];
+  if (!handler) {
+    stderr.write(`Unknown command "${command}"\n\n${USAGE}\n`);
+    return EXIT_CODES.USAGE;
+  }
+
+  // Only load db.js for commands that use it
+  const pool = context.pool || (command === 'scrape' ? null : require('./db').pool);
+
+  try {
+    return await handler(args, { pool, stdout, now });
+  } catch (error) {
+    if (error instanceof CliError) {
+      stderr.write(`${error.message}\n`);
+      if (error.exitCode === EXIT_CODES.USAGE) {
+        stderr.write(`\n${USAGE}\n`);
+      }
+      return error.exitCode;
+    }
+    logger.error(`${command} failed`, { error: error.message });
+    return EXIT_CODES.FAILURE;
+  }
+}
+
+if (require.main === module) {
+  runCli(process.argv.slice(2)).then(exitCode => {
+    // Without an exit code the service keeps running until it is stopped
+    if (exitCode !== null) {
+      process.exit(exitCode);
+    }
+  });
+}
+
+module.exports = {
+  EXIT_CODES,
+  CliError,
+  runCli
+};
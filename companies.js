@@ -0,0 +1,336 @@
+// Companies behind the owner, manager and other party columns of vessels_mt,
+// and the dated links saying which company held which role for a vessel
+const { PARTY_ROLES } = require('./vessel-fields');
+const { valuesRow } = require('./sql');
+
+// Role names as stored in vessel_companies.role: the party field, lowercased
+const COMPANY_ROLES = PARTY_ROLES.map(role => role.toLowerCase());
+
+// Shorthands accepted wherever roles are filtered
+const ROLE_GROUPS = {
+  manager: ['commercial_manager', 'technical_manager', 'ism_manager'],
+  owner: ['registered_owner', 'beneficial_owner']
+};
+
+// Values the report shows in place of a company name, as normalized
+const PLACEHOLDER_NAMES = new Set(['', 'N A', 'NA', 'UNKNOWN', 'NOT AVAILABLE']);
+
+const DEFAULT_COMPANIES_LIMIT = 100;
+const MAX_COMPANIES_LIMIT = 1000;
+
+/**
+ * Normalize a company name for deduplication: case, punctuation and spacing
+ * differences do not make a different company
+ * @param {string} name - Company name as reported
+ * @returns {string|null} - Normalized name, or null if the value is not a name
+ */
+function normalizeCompanyName(name) {
+  if (name === null || name === undefined) return null;
+  const normalized = String(name)
+    .toUpperCase()
+    .replace(/&/g, ' AND ')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+  return PLACEHOLDER_NAMES.has(normalized) ? null : normalized;
+}
+
+/**
+ * Expand role names and role groups to the stored role names
+ * @param {string|Array} value - Comma-separated or listed roles, e.g. "manager,operator"
+ * @returns {Array<string>} - Stored role names, empty for all roles
+ * @throws {Error} - If a role is unknown
+ */
+function resolveRoles(value) {
+  if (value === undefined || value === null || value === '') return [];
+  const roles = new Set();
+  for (const item of Array.isArray(value) ? value : String(value).split(',')) {
+    const role = String(item).trim().toLowerCase();
+    if (!role) continue;
+    if (ROLE_GROUPS[role]) {
+      ROLE_GROUPS[role].forEach(groupRole => roles.add(groupRole));
+    } else if (COMPANY_ROLES.includes(role)) {
+      roles.add(role);
+    } else {
+      throw new Error(`Unknown company role "${role}", expected one of: ${[...Object.keys(ROLE_GROUPS), ...COMPANY_ROLES].join(', ')}`);
+    }
+  }
+  return [...roles];
+}
+
+/**
+ * Extract the companies a vessel reports, one per party role
+ * @param {Object} fields - Formatted vessel fields
+ * @returns {Array<Object>} - { role, name, normalizedName, country, email, city }
+ */
+function extractParties(fields) {
+  const parties = [];
+  for (const party of PARTY_ROLES) {
+    const normalizedName = normalizeCompanyName(fields[party]);
+    if (!normalizedName) continue;
+    parties.push({
+      role: party.toLowerCase(),
+      name: String(fields[party]).trim(),
+      normalizedName,
+      country: fields[`${party}_COUNTRY`] || '',
+      email: fields[`${party}_EMAIL`] || null,
+      city: fields[`${party}_CITY`] || null
+    });
+  }
+  return parties;
+}
+
+/**
+ * Upsert the companies of a batch of vessels and keep their vessel links
+ * current. A role whose company changed gets its link closed and a new one
+ * opened at the same time; a role the scrape does not report keeps its link.
+ * @param {Object} client - PostgreSQL client inside a transaction
+ * @param {Array<Object>} vessels - Formatted vessel fields
+ * @returns {Promise<Object>} - { companies, opened, closed } link counts
+ */
+async function recordCompanyLinks(client, vessels) {
+  const companies = new Map();
+  const reported = [];
+  const companyKey = party => `${party.normalizedName}\u0000${party.country}`;
+
+  for (const vessel of vessels) {
+    if (!vessel.SHIP_ID) continue;
+    for (const party of extractParties(vessel)) {
+      const key = companyKey(party);
+      const company = companies.get(key);
+      if (!company) {
+        companies.set(key, { ...party });
+      } else {
+        company.email = company.email || party.email;
+        company.city = company.city || party.city;
+      }
+      reported.push({ shipId: String(vessel.SHIP_ID), role: party.role, key });
+    }
+  }
+
+  if (reported.length === 0) {
+    return { companies: 0, opened: 0, closed: 0 };
+  }
+
+  // Upsert the companies; DO UPDATE makes every row come back with its id
+  const values = [];
+  const rows = [...companies.values()].map(company => {
+    values.push(company.name, company.normalizedName, company.country, company.email, company.city);
+    const offset = values.length - 5;
+    return valuesRow(offset, 5);
+  });
+  const upserted = await client.query(`
+    INSERT INTO companies AS c (name, normalized_name, country, email, city)
+    VALUES ${rows.join(', ')}
+    ON CONFLICT (normalized_name, country) DO UPDATE SET
+      email = COALESCE(EXCLUDED.email, c.email),
+      city = COALESCE(EXCLUDED.city, c.city),
+      last_seen_at = NOW()
+    RETURNING id, normalized_name, country
+  `, values);
+
+  const companyIds = new Map(upserted.rows.map(row => [`${row.normalized_name}\u0000${row.country}`, String(row.id)]));
+
+  const current = await client.query(`
+    SELECT id, ship_id, role, company_id
+    FROM vessel_companies
+    WHERE ship_id = ANY($1) AND valid_to IS NULL
+  `, [[...new Set(reported.map(link => link.shipId))]]);
+
+  const currentLinks = new Map(current.rows.map(row => [`${row.ship_id}\u0000${row.role}`, row]));
+  const seen = [];
+  const closed = [];
+  const opened = [];
+
+  for (const link of reported) {
+    const companyId = companyIds.get(link.key);
+    const existing = currentLinks.get(`${link.shipId}\u0000${link.role}`);
+    if (existing && String(existing.company_id) === companyId) {
+      seen.push(existing.id);
+      continue;
+    }
+    if (existing) closed.push(existing.id);
+    opened.push([link.shipId, companyId, link.role]);
+  }
+
+  if (seen.length > 0) {
+    await client.query('UPDATE vessel_companies SET last_seen_at = NOW() WHERE id = ANY($1)', [seen]);
+  }
+
+  // Close before opening, the current link of a ship and role is unique
+  if (closed.length > 0) {
+    await client.query('UPDATE vessel_companies SET valid_to = NOW() WHERE id = ANY($1)', [closed]);
+  }
+
+  if (opened.length > 0) {
+    const linkValues = opened.flat();
+    await client.query(`
+      INSERT INTO vessel_companies (ship_id, company_id, role)
+      VALUES ${opened.map((_, i) => valuesRow(i * 3, 3)).join(', ')}
+    `, linkValues);
+  }
+
+  return { companies: companies.size, opened: opened.length, closed: closed.length };
+}
+
+/**
+ * Find companies whose normalized name contains the given name
+ * @param {Object} client - PostgreSQL client or pool
+ * @param {Object} filters - Query filters
+ * @param {string} filters.name - Name or part of it, normalized before matching
+ * @param {string} filters.country - Exact country
+ * @param {number} filters.limit - Maximum rows (default: 100, at most 1000)
+ * @returns {Promise<Array>} - Company rows with their number of current vessel links
+ */
+async function findCompanies(client, filters = {}) {
+  const values = [];
+  const conditions = [];
+
+  const name = normalizeCompanyName(filters.name);
+  if (name) {
+    values.push(`%${name}%`);
+    conditions.push(`c.normalized_name LIKE $${values.length}`);
+  }
+  if (filters.country) {
+    values.push(filters.country);
+    conditions.push(`c.country = $${values.length}`);
+  }
+
+  values.push(Math.min(parseInt(filters.limit, 10) || DEFAULT_COMPANIES_LIMIT, MAX_COMPANIES_LIMIT));
+
+  const result = await client.query(`
+    SELECT c.*, COUNT(l.id)::int AS current_links
+    FROM companies c
+    LEFT JOIN vessel_companies l ON l.company_id = c.id AND l.valid_to IS NULL
+    ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+    GROUP BY c.id
+    ORDER BY c.normalized_name, c.country
+    LIMIT $${values.length}
+  `, values);
+  return result.rows;
+}
+
+/**
+ * Fetch one company
+ * @param {Object} client - PostgreSQL client or pool
+ * @param {string|number} companyId - Company id
+ * @returns {Promise<Object|null>} - Company row, or null if unknown
+ */
+async function getCompany(client, companyId) {
+  const result = await client.query('SELECT * FROM companies WHERE id = $1', [String(companyId)]);
+  return result.rows[0] || null;
+}
+
+/**
+ * List the vessels a company holds a role for, now or at a point in time.
+ * "All vessels managed by X" is roles: 'manager'.
+ * @param {Object} client - PostgreSQL client or pool
+ * @param {string|number} companyId - Company id
+ * @param {Object} options - Query options
+ * @param {string|Array} options.roles - Roles or role groups, see resolveRoles (default: all)
+ * @param {Date|string} options.at - Point in time (default: current links)
+ * @returns {Promise<Array>} - Vessel rows with the link's role, valid_from and valid_to
+ */
+async function listCompanyVessels(client, companyId, options = {}) {
+  const roles = resolveRoles(options.roles);
+  const values = [String(companyId)];
+  const conditions = ['l.company_id = $1'];
+
+  if (roles.length > 0) {
+    values.push(roles);
+    conditions.push(`l.role = ANY($${values.length})`);
+  }
+
+  if (options.at) {
+    values.push(new Date(options.at).toISOString());
+    conditions.push(`l.valid_from <= $${values.length} AND (l.valid_to IS NULL OR l.valid_to > $${values.length})`);
+  } else {
+    conditions.push('l.valid_to IS NULL');
+  }
+
+  const result = await client.query(`
+    SELECT v.*, l.role, l.valid_from, l.valid_to
+    FROM vessel_companies l
+    JOIN vessels_mt v ON v.ship_id = l.ship_id
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY v.shipname, v.ship_id, l.role
+  `, values);
+  return result.rows;
+}
+
+/**
+ * Turn vessel links into the fleet size after every change. A vessel held in
+ * several of the roles counts once.
+ * @param {Array<Object>} links - Links with ship_id, valid_from and valid_to
+ * @returns {Array<Object>} - { at, vessels } ordered by time
+ */
+function buildFleetTimeline(links) {
+  const changes = [];
+  for (const link of links) {
+    changes.push({ at: new Date(link.valid_from).getTime(), shipId: link.ship_id, delta: 1 });
+    if (link.valid_to) {
+      changes.push({ at: new Date(link.valid_to).getTime(), shipId: link.ship_id, delta: -1 });
+    }
+  }
+  // Closing before opening at the same instant, so a handover is not counted twice
+  changes.sort((a, b) => a.at - b.at || a.delta - b.delta);
+
+  const held = new Map();
+  const timeline = [];
+  for (const change of changes) {
+    const count = (held.get(change.shipId) || 0) + change.delta;
+    if (count === 0) held.delete(change.shipId);
+    else held.set(change.shipId, count);
+
+    const point = { at: new Date(change.at).toISOString(), vessels: held.size };
+    if (timeline.length > 0 && timeline[timeline.length - 1].at === point.at) {
+      timeline[timeline.length - 1] = point;
+    } else {
+      timeline.push(point);
+    }
+  }
+  return timeline;
+}
+
+/**
+ * Fetch every vessel link a company ever had, e.g. the fleet of a beneficial
+ * owner over time with roles: 'beneficial_owner'
+ * @param {Object} client - PostgreSQL client or pool
+ * @param {string|number} companyId - Company id
+ * @param {Object} options - Query options
+ * @param {string|Array} options.roles - Roles or role groups, see resolveRoles (default: all)
+ * @returns {Promise<Object>} - { links, timeline }: links oldest first with the vessel's
+ *   name and identifiers, and the fleet size after every change, see buildFleetTimeline
+ */
+async function getCompanyFleetHistory(client, companyId, options = {}) {
+  const roles = resolveRoles(options.roles);
+  const values = [String(companyId)];
+  let roleCondition = '';
+  if (roles.length > 0) {
+    values.push(roles);
+    roleCondition = `AND l.role = ANY($${values.length})`;
+  }
+
+  const result = await client.query(`
+    SELECT l.ship_id, l.role, l.valid_from, l.valid_to, l.last_seen_at, v.shipname, v.imo, v.mmsi, v.flag
+    FROM vessel_companies l
+    LEFT JOIN vessels_mt v ON v.ship_id = l.ship_id
+    WHERE l.company_id = $1 ${roleCondition}
+    ORDER BY l.valid_from, l.ship_id, l.role
+  `, values);
+
+  return { links: result.rows, timeline: buildFleetTimeline(result.rows) };
+}
+
+module.exports = {
+  COMPANY_ROLES,
+  ROLE_GROUPS,
+  normalizeCompanyName,
+  resolveRoles,
+  extractParties,
+  recordCompanyLinks,
+  findCompanies,
+  getCompany,
+  listCompanyVessels,
+  buildFleetTimeline,
+  getCompanyFleetHistory
+};
@@ -0,0 +1,280 @@
+// Pool of MarineTraffic accounts the scraper rotates through, so one locked or
+// throttled account does not stop scraping until someone notices
+const fs = require('fs');
+const { parseDuration } = require('./scheduler');
+const { ScrapeError } = require('./scrape-errors');
+const logger = require('./logger').child({ module: 'credentials' });
+
+const SELECTIONS = ['round-robin', 'health'];
+const DEFAULT_COOLDOWN = '30m';
+const HOUR_MS = 60 * 60 * 1000;
+
+// Each consecutive failure doubles the cooldown, up to this many times MT_ACCOUNT_COOLDOWN
+const MAX_COOLDOWN_FACTOR = 16;
+
+// Kinds of ScrapeError that are the account's fault. Network errors, layout changes
+// and empty reports say nothing about the account.
+const ACCOUNT_FAILURES = ['bad_credentials', 'captcha', 'throttled'];
+
+/**
+ * Check whether an error means the account itself should be rested
+ * @param {Error} error - Error thrown by scrapeVesselData
+ * @returns {boolean} - True for rejected logins, CAPTCHA pages and throttling
+ */
+function isAccountFailure(error) {
+  return error instanceof ScrapeError && ACCOUNT_FAILURES.includes(error.kind);
+}
+
+/**
+ * Validate one account entry
+ * @param {Object} entry - { username, password, maxRunsPerHour }
+ * @param {string} source - Where the entry came from, for error messages
+ * @returns {Object} - Account
+ */
+function toAccount(entry, source) {
+  if (!entry || typeof entry.username !== 'string' || !entry.username ||
+      typeof entry.password !== 'string' || !entry.password) {
+    throw new Error(`Every account in ${source} needs a username and a password`);
+  }
+  const account = { username: entry.username, password: entry.password };
+  if (entry.maxRunsPerHour !== undefined && entry.maxRunsPerHour !== null) {
+    if (!Number.isInteger(entry.maxRunsPerHour) || entry.maxRunsPerHour <= 0) {
+      throw new Error(`maxRunsPerHour of account ${entry.username} in ${source} must be a positive integer`);
+    }
+    account.maxRunsPerHour = entry.maxRunsPerHour;
+  }
+  return account;
+}
+
+/**
+ * Parse MT_ACCOUNTS, a comma separated list of username:password pairs. Passwords
+ * containing commas have to go in MT_ACCOUNTS_FILE instead.
+ * @param {string} text - Account list
+ * @returns {Array<Object>} - Accounts
+ */
+function parseAccountList(text) {
+  return String(text).split(',').map(item => item.trim()).filter(Boolean).map(item => {
+    const separator = item.indexOf(':');
+    // The entry holds a password, so it is left out of the message
+    if (separator <= 0) {
+      throw new Error('Invalid MT_ACCOUNTS entry, expected username:password');
+    }
+    return toAccount({ username: item.slice(0, separator), password: item.slice(separator + 1) }, 'MT_ACCOUNTS');
+  });
+}
+
+/**
+ * Read accounts from a JSON secrets file: an array of { username, password, maxRunsPerHour },
+ * or an object with that array in `accounts`
+ * @param {string} file - Path of the file
+ * @returns {Array<Object>} - Accounts
+ */
+function readAccountsFile(file) {
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read MT_ACCOUNTS_FILE ${file}: ${error.message}`);
+  }
+  const entries = Array.isArray(parsed) ? parsed : parsed && parsed.accounts;
+  if (!Array.isArray(entries)) {
+    throw new Error(`MT_ACCOUNTS_FILE ${file} must hold an array of accounts`);
+  }
+  return entries.map(entry => toAccount(entry, file));
+}
+
+/**
+ * Load the configured accounts from MT_ACCOUNTS_FILE, MT_ACCOUNTS and MT_USERNAME/MT_PASSWORD,
+ * in that order. An account listed twice keeps its first entry.
+ * @param {Object} env - Environment variables (default: process.env)
+ * @returns {Array<Object>} - Accounts ({ username, password, maxRunsPerHour })
+ */
+function loadAccounts(env = process.env) {
+  const accounts = [];
+  if (env.MT_ACCOUNTS_FILE) accounts.push(...readAccountsFile(env.MT_ACCOUNTS_FILE));
+  if (env.MT_ACCOUNTS) accounts.push(...parseAccountList(env.MT_ACCOUNTS));
+  if (env.MT_USERNAME && env.MT_PASSWORD) {
+    accounts.push({ username: env.MT_USERNAME, password: env.MT_PASSWORD });
+  }
+
+  const seen = new Set();
+  return accounts.filter(account => !seen.has(account.username) && seen.add(account.username));
+}
+
+/**
+ * Create a pool that hands out accounts and rests the ones that fail. Cooldowns and
+ * usage are kept in memory, so a restart makes every account available again.
+ * @param {Array<Object>} accounts - Accounts from loadAccounts
+ * @param {Object} options - Pool options
+ * @param {string} options.selection - 'round-robin' takes turns, 'health' prefers the accounts
+ *   with the fewest recent failures and runs (default: MT_ACCOUNT_SELECTION or round-robin)
+ * @param {string|number} options.cooldown - Rest after a login failure, CAPTCHA or throttling,
+ *   doubled for each further failure in a row (default: MT_ACCOUNT_COOLDOWN or 30m)
+ * @param {number|null} options.maxRunsPerHour - Runs per account in any hour, unless the account
+ *   sets its own (default: MT_ACCOUNT_MAX_RUNS_PER_HOUR, or no limit)
+ * @param {Function} options.now - Clock returning epoch milliseconds, for tests
+ * @returns {Object} - Pool with acquire, release, withAccount and status
+ */
+function createCredentialPool(accounts, options = {}) {
+  const {
+    selection = process.env.MT_ACCOUNT_SELECTION || 'round-robin',
+    cooldown = process.env.MT_ACCOUNT_COOLDOWN || DEFAULT_COOLDOWN,
+    maxRunsPerHour = parseInt(process.env.MT_ACCOUNT_MAX_RUNS_PER_HOUR, 10) || null,
+    now = Date.now
+  } = options;
+
+  if (!SELECTIONS.includes(selection)) {
+    throw new Error(`Unknown MT_ACCOUNT_SELECTION "${selection}", expected one of: ${SELECTIONS.join(', ')}`);
+  }
+  const cooldownMs = typeof cooldown === 'number' ? cooldown : parseDuration(cooldown);
+
+  const entries = accounts.map(account => ({
+    account,
+    limit: account.maxRunsPerHour || maxRunsPerHour,
+    uses: [],
+    failures: 0,
+    cooldownUntil: null,
+    lastUsedAt: null
+  }));
+  let lastIndex = -1;
+
+  // Forget uses older than an hour and return when the entry can next be used
+  function availableAt(entry, time) {
+    entry.uses = entry.uses.filter(used => time - used < HOUR_MS);
+    let at = entry.cooldownUntil || 0;
+    if (entry.limit && entry.uses.length >= entry.limit) {
+      at = Math.max(at, entry.uses[entry.uses.length - entry.limit] + HOUR_MS);
+    }
+    return at;
+  }
+
+  function nextInTurn(available) {
+    for (let step = 1; step <= entries.length; step++) {
+      const entry = entries[(lastIndex + step) % entries.length];
+      if (available.includes(entry)) return entry;
+    }
+    return available[0];
+  }
+
+  function healthiest(available) {
+    return [...available].sort((a, b) =>
+      a.failures - b.failures ||
+      a.uses.length - b.uses.length ||
+      (a.lastUsedAt || 0) - (b.lastUsedAt || 0))[0];
+  }
+
+  const pool = {
+    size: entries.length,
+
+    /**
+     * Take the next usable account and count a run against it
+     * @returns {Object} - { username, password }
+     * @throws {Error} - Without accounts, or when all of them are cooling down or at their
+     *   hourly limit; the error then carries the time the next one frees up in `retryAt` and
+     *   sets `tripBreaker`, so the scheduler pauses the job until then
+     */
+    acquire() {
+      if (entries.length === 0) {
+        throw new Error('MarineTraffic username and password are required, ' +
+          'set MT_USERNAME and MT_PASSWORD, MT_ACCOUNTS or MT_ACCOUNTS_FILE');
+      }
+
+      const time = now();
+      const available = entries.filter(entry => availableAt(entry, time) <= time);
+      if (available.length === 0) {
+        const retryAt = new Date(Math.min(...entries.map(entry => availableAt(entry, time))));
+        const error = new Error(`All ${entries.length} MarineTraffic account(s) are cooling down or ` +
+          `at their hourly limit, the next one is available at ${retryAt.toISOString()}`);
+        error.retryAt = retryAt;
+        error.tripBreaker = true;
+        throw error;
+      }
+
+      const entry = selection === 'health' ? healthiest(available) : nextInTurn(available);
+      entry.uses.push(time);
+      entry.lastUsedAt = time;
+      lastIndex = entries.indexOf(entry);
+      return { username: entry.account.username, password: entry.account.password };
+    },
+
+    /**
+     * Report how a run with an account went. Login failures, CAPTCHA pages and throttling
+     * cool the account down; other errors leave it as it was.
+     * @param {string} username - Account returned by acquire
+     * @param {Error|null} error - Error that ended the run, if any
+     */
+    release(username, error = null) {
+      const entry = entries.find(candidate => candidate.account.username === username);
+      if (!entry) return;
+
+      if (!error) {
+        entry.failures = 0;
+        return;
+      }
+      if (!isAccountFailure(error)) return;
+
+      entry.failures++;
+      const factor = Math.min(2 ** (entry.failures - 1), MAX_COOLDOWN_FACTOR);
+      entry.cooldownUntil = now() + cooldownMs * factor;
+      logger.warn(`Cooling down MarineTraffic account ${username} after ${error.kind}`, {
+        failures: entry.failures,
+        until: new Date(entry.cooldownUntil).toISOString()
+      });
+    },
+
+    /**
+     * Run a scrape with an account from the pool and release it with the outcome
+     * @param {Function} callback - Async function called with { username, password }
+     * @returns {Promise<*>} - What the callback returns
+     */
+    async withAccount(callback) {
+      const account = pool.acquire();
+      try {
+        const result = await callback(account);
+        pool.release(account.username);
+        return result;
+      } catch (error) {
+        pool.release(account.username, error);
+        throw error;
+      }
+    },
+
+    /**
+     * Describe every account, without passwords
+     * @returns {Array<Object>} - { username, available, cooldownUntil, runsLastHour, maxRunsPerHour, failures }
+     */
+    status() {
+      const time = now();
+      return entries.map(entry => {
+        const at = availableAt(entry, time);
+        return {
+          username: entry.account.username,
+          available: at <= time,
+          cooldownUntil: entry.cooldownUntil > time ? new Date(entry.cooldownUntil).toISOString() : null,
+          runsLastHour: entry.uses.length,
+          maxRunsPerHour: entry.limit,
+          failures: entry.failures
+        };
+      });
+    }
+  };
+
+  return pool;
+}
+
+/**
+ * Create the credential pool of the service from the environment
+ * @returns {Object} - Pool from createCredentialPool
+ */
+function loadCredentialPool() {
+  return createCredentialPool(loadAccounts());
+}
+
+module.exports = {
+  SELECTIONS,
+  isAccountFailure,
+  parseAccountList,
+  loadAccounts,
+  createCredentialPool,
+  loadCredentialPool
+};
@@ -0,0 +1,219 @@
+// Save what the browser saw when a scrape failed, one timestamped directory per failure.
+//
+// A diagnostics directory holds:
+//   error.json      - error kind and message, report name and page URL
+//   screenshot.png  - full page screenshot
+//   page.html       - rendered HTML of the page
+//   network.har     - requests and responses in HAR 1.2 layout, without bodies and
+//                     with cookies and authorization headers redacted
+const fs = require('fs');
+const path = require('path');
+const { name: APP_NAME, version: APP_VERSION } = require('./package.json');
+const logger = require('./logger').child({ module: 'diagnostics' });
+
+const DEFAULT_DIAGNOSTICS_DIR = path.join(__dirname, 'diagnostics');
+const DEFAULT_KEEP = 50;
+
+// Oldest requests are dropped beyond this, a report page makes a few hundred
+const MAX_NETWORK_ENTRIES = 1000;
+
+// Headers that carry the session, which is as good as the account password
+const REDACTED_HEADERS = new Set(['cookie', 'set-cookie', 'authorization', 'proxy-authorization']);
+
+/**
+ * Convert a header object to HAR name/value pairs, redacting credentials
+ * @param {Object} headers - Header names and values
+ * @returns {Array<Object>} - [{ name, value }]
+ */
+function harHeaders(headers = {}) {
+  return Object.entries(headers).map(([name, value]) => ({
+    name,
+    value: REDACTED_HEADERS.has(name.toLowerCase()) ? '[redacted]' : String(value)
+  }));
+}
+
+/**
+ * Record the network traffic of a page for a HAR-like log
+ * @param {Object} page - Puppeteer page
+ * @param {Object} options - Log options
+ * @param {number} options.limit - Maximum number of requests kept (default: 1000)
+ * @param {Function} options.now - Clock returning epoch milliseconds, for tests
+ * @returns {Object} - Network log with toHar()
+ */
+function attachNetworkLog(page, { limit = MAX_NETWORK_ENTRIES, now = Date.now } = {}) {
+  const entries = [];
+  const pending = new Map();
+
+  page.on('request', request => {
+    const entry = {
+      source: request,
+      startedAt: now(),
+      request: {
+        method: request.method(),
+        url: request.url(),
+        httpVersion: 'HTTP/1.1',
+        headers: harHeaders(request.headers()),
+        queryString: [],
+        cookies: [],
+        headersSize: -1,
+        bodySize: -1
+      },
+      response: null,
+      resourceType: request.resourceType(),
+      error: null,
+      time: -1
+    };
+    entries.push(entry);
+    pending.set(request, entry);
+    if (entries.length > limit) {
+      pending.delete(entries.shift().source);
+    }
+  });
+
+  page.on('response', response => {
+    const entry = pending.get(response.request());
+    if (!entry) return;
+    pending.delete(response.request());
+    const headers = response.headers();
+    entry.time = now() - entry.startedAt;
+    entry.response = {
+      status: response.status(),
+      statusText: response.statusText(),
+      httpVersion: 'HTTP/1.1',
+      headers: harHeaders(headers),
+      cookies: [],
+      content: { size: -1, mimeType: headers['content-type'] || '' },
+      redirectURL: headers.location || '',
+      headersSize: -1,
+      bodySize: -1
+    };
+  });
+
+  page.on('requestfailed', request => {
+    const entry = pending.get(request);
+    if (!entry) return;
+    pending.delete(request);
+    const failure = request.failure();
+    entry.time = now() - entry.startedAt;
+    entry.error = failure ? failure.errorText : 'failed';
+  });
+
+  return {
+    /**
+     * Build the HAR document of the traffic so far
+     * @returns {Object} - HAR 1.2 log; failed and unanswered requests have status 0
+     *   and their error in `_error`
+     */
+    toHar() {
+      return {
+        log: {
+          version: '1.2',
+          creator: { name: APP_NAME, version: APP_VERSION },
+          entries: entries.map(entry => ({
+            startedDateTime: new Date(entry.startedAt).toISOString(),
+            time: entry.time,
+            request: entry.request,
+            response: entry.response || {
+              status: 0,
+              statusText: '',
+              httpVersion: '',
+              headers: [],
+              cookies: [],
+              content: { size: -1, mimeType: '' },
+              redirectURL: '',
+              headersSize: -1,
+              bodySize: -1
+            },
+            cache: {},
+            timings: { send: 0, wait: entry.time, receive: 0 },
+            _resourceType: entry.resourceType,
+            ...(entry.error || !entry.response ? { _error: entry.error || 'no response' } : {})
+          }))
+        }
+      };
+    }
+  };
+}
+
+/**
+ * Remove the oldest diagnostics directories beyond `keep`
+ * @param {string} dir - Diagnostics root directory
+ * @param {number} keep - Number of directories to keep
+ */
+async function pruneDiagnostics(dir, keep) {
+  const entries = await fs.promises.readdir(dir, { withFileTypes: true });
+  // Directory names start with their timestamp, so they sort oldest first
+  const failures = entries.filter(entry => entry.isDirectory()).map(entry => entry.name).sort();
+  for (const name of failures.slice(0, Math.max(failures.length - keep, 0))) {
+    await fs.promises.rm(path.join(dir, name), { recursive: true, force: true });
+  }
+}
+
+/**
+ * Save a screenshot, the HTML, the network log and the error of a failed scrape. Each artifact
+ * is saved on its own, so a crashed page still leaves the error and network log behind.
+ * @param {Object} options - What to save
+ * @param {string} options.dir - Diagnostics root directory (default: SCRAPER_DIAGNOSTICS_DIR or ./diagnostics)
+ * @param {number} options.keep - Directories kept in the root, oldest are removed (default:
+ *   SCRAPER_DIAGNOSTICS_KEEP or 50)
+ * @param {Object} options.page - Puppeteer page, if one was opened
+ * @param {Object} options.networkLog - Log from attachNetworkLog, if any
+ * @param {Error} options.error - The ScrapeError of the failure
+ * @param {Object} options.report - Report definition being scraped
+ * @param {Date} options.now - Time of the failure, for tests
+ * @returns {Promise<string|null>} - Directory the artifacts were written to, or null if it
+ *   could not be created
+ */
+async function saveDiagnostics(options) {
+  const {
+    dir = process.env.SCRAPER_DIAGNOSTICS_DIR || DEFAULT_DIAGNOSTICS_DIR,
+    keep = parseInt(process.env.SCRAPER_DIAGNOSTICS_KEEP, 10) || DEFAULT_KEEP,
+    page = null,
+    networkLog = null,
+    error,
+    report = null,
+    now = new Date()
+  } = options;
+
+  const reportName = report ? report.name.replace(/[^A-Za-z0-9_-]+/g, '-') : 'scrape';
+  const target = path.join(dir, `${now.toISOString().replace(/[:.]/g, '-')}-${reportName}-${error.kind || 'unknown'}`);
+  try {
+    await fs.promises.mkdir(target, { recursive: true, mode: 0o700 });
+  } catch (mkdirError) {
+    logger.warn('Could not create diagnostics directory', { dir: target, error: mkdirError.message });
+    return null;
+  }
+
+  const save = async (file, produce) => {
+    try {
+      await fs.promises.writeFile(path.join(target, file), await produce());
+    } catch (saveError) {
+      logger.warn(`Could not save diagnostic ${file}`, { error: saveError.message });
+    }
+  };
+
+  await save('error.json', async () => JSON.stringify({
+    kind: error.kind || 'unknown',
+    message: error.message,
+    report: report ? report.name : null,
+    url: page ? page.url() : null,
+    failedAt: now.toISOString()
+  }, null, 2));
+  if (page) {
+    await save('screenshot.png', () => page.screenshot({ fullPage: true }));
+    await save('page.html', () => page.content());
+  }
+  if (networkLog) {
+    await save('network.har', async () => JSON.stringify(networkLog.toHar(), null, 2));
+  }
+
+  await pruneDiagnostics(dir, keep)
+    .catch(pruneError => logger.warn('Could not remove old diagnostics', { error: pruneError.message }));
+  return target;
+}
+
+module.exports = {
+  DEFAULT_DIAGNOSTICS_DIR,
+  attachNetworkLog,
+  saveDiagnostics
+};
@@ -0,0 +1,308 @@
+// Exports of stored vessel data for analysts: the current state from vessels_mt or
+// the position history of a time range, as CSV, GeoJSON, NDJSON, JSON or columnar JSON.
+//
+// Exports run on demand with `node cli.js export`, or after every scrape of a
+// report that lists them under "exports" in reports.json.
+const fs = require('fs');
+const path = require('path');
+const { FIELD_MAP } = require('./vessel-fields');
+const { listVessels } = require('./vessel-queries');
+const { listPositions } = require('./position-history');
+const { parseDuration } = require('./scheduler');
+const { isValidPosition } = require('./vessel-validation');
+const logger = require('./logger').child({ module: 'exporter' });
+
+const DATASETS = ['state', 'history'];
+
+// columnar is the layout of Parquet and Arrow, one array per column, written as JSON
+const EXPORT_FORMATS = ['csv', 'geojson', 'ndjson', 'json', 'columnar'];
+
+const FILE_EXTENSIONS = {
+  csv: 'csv',
+  geojson: 'geojson',
+  ndjson: 'ndjson',
+  json: 'json',
+  columnar: 'columns.json'
+};
+
+const DEFAULT_EXPORT_DIR = path.join(__dirname, 'exports');
+const DEFAULT_HISTORY_WINDOW = '24h';
+
+// Rows per listVessels and listPositions query, larger exports page through
+const STATE_PAGE_SIZE = 10000;
+const HISTORY_PAGE_SIZE = 100000;
+
+// Column order of exports. It is fixed, not taken from the rows, so that
+// spreadsheets and scripts reading the files can rely on it.
+const STATE_COLUMNS = [...Object.values(FIELD_MAP).map(definition => definition.column), 'updated_at'];
+const HISTORY_COLUMNS = [
+  'ship_id', 'shipname', 'imo', 'mmsi', 'flag', 'shiptype',
+  'position_time', 'lat', 'lon', 'speed', 'course', 'status'
+];
+
+// Vessel identity carried by every track feature
+const TRACK_PROPERTIES = ['ship_id', 'shipname', 'imo', 'mmsi', 'flag', 'shiptype'];
+
+/**
+ * Turn a stored value into plain JSON: Dates become ISO strings
+ * @param {*} value - Value as returned by pg
+ * @returns {*} - Exportable value
+ */
+function toExportValue(value) {
+  if (value === undefined) return null;
+  return value instanceof Date ? value.toISOString() : value;
+}
+
+/**
+ * Pick the export columns of a row, in column order
+ * @param {Object} row - Database row
+ * @param {Array<string>} columns - Columns to keep
+ * @returns {Object} - Row with exactly these columns
+ */
+function pickColumns(row, columns) {
+  const picked = {};
+  for (const column of columns) {
+    picked[column] = toExportValue(row[column]);
+  }
+  return picked;
+}
+
+/**
+ * Format one CSV cell, quoting it when it contains a separator, quote or line break
+ * @param {*} value - Cell value
+ * @returns {string} - CSV cell
+ */
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build a GeoJSON FeatureCollection of the vessels' current positions. Rows
+ * without a usable position are left out.
+ * @param {Array<Object>} rows - Rows with the export columns
+ * @returns {Object} - FeatureCollection of Points
+ */
+function toPositionFeatures(rows) {
+  return {
+    type: 'FeatureCollection',
+    features: rows.filter(row => isValidPosition(row.lat, row.lon)).map(row => ({
+      type: 'Feature',
+      geometry: { type: 'Point', coordinates: [row.lon, row.lat] },
+      properties: row
+    }))
+  };
+}
+
+/**
+ * Build a GeoJSON FeatureCollection with one track per vessel. A vessel with a
+ * single position in the range gets a Point instead of a LineString, positions
+ * that are not usable are left out.
+ * @param {Array<Object>} rows - Position rows, grouped by vessel and oldest first
+ * @returns {Object} - FeatureCollection of LineStrings and Points
+ */
+function toTrackFeatures(rows) {
+  const tracks = new Map();
+  for (const row of rows.filter(row => isValidPosition(row.lat, row.lon))) {
+    if (!tracks.has(row.ship_id)) tracks.set(row.ship_id, []);
+    tracks.get(row.ship_id).push(row);
+  }
+
+  const features = [];
+  for (const positions of tracks.values()) {
+    const coordinates = positions.map(position => [position.lon, position.lat]);
+    features.push({
+      type: 'Feature',
+      geometry: coordinates.length === 1
+        ? { type: 'Point', coordinates: coordinates[0] }
+        : { type: 'LineString', coordinates },
+      properties: {
+        ...pickColumns(positions[0], TRACK_PROPERTIES),
+        from: positions[0].position_time,
+        to: positions[positions.length - 1].position_time,
+        positions: positions.length
+      }
+    });
+  }
+  return { type: 'FeatureCollection', features };
+}
+
+/**
+ * Format exported rows
+ * @param {Array<Object>} rows - Database rows
+ * @param {Object} options - Format options
+ * @param {string} options.format - One of EXPORT_FORMATS
+ * @param {string} options.dataset - 'state' or 'history'
+ * @returns {string} - File contents
+ */
+function formatRows(rows, { format, dataset = 'state' }) {
+  const columns = dataset === 'history' ? HISTORY_COLUMNS : STATE_COLUMNS;
+  const records = rows.map(row => pickColumns(row, columns));
+
+  switch (format) {
+    case 'csv':
+      return [columns, ...records.map(record => columns.map(column => record[column]))]
+        .map(cells => `${cells.map(csvCell).join(',')}\r\n`)
+        .join('');
+    case 'geojson':
+      return `${JSON.stringify(dataset === 'history' ? toTrackFeatures(records) : toPositionFeatures(records))}\n`;
+    case 'ndjson':
+      return records.map(record => `${JSON.stringify(record)}\n`).join('');
+    case 'json':
+      return `${JSON.stringify(records, null, 2)}\n`;
+    case 'columnar': {
+      const data = {};
+      for (const column of columns) {
+        data[column] = records.map(record => record[column]);
+      }
+      return `${JSON.stringify({ columns, rowCount: records.length, data })}\n`;
+    }
+    default:
+      throw new Error(`Unknown export format "${format}", expected one of: ${EXPORT_FORMATS.join(', ')}`);
+  }
+}
+
+/**
+ * Fetch every row matching the filters, paging through a list query
+ * @param {Function} list - listVessels or listPositions
+ * @param {number} pageSize - Rows per query
+ * @param {Function} nextPage - (rows) => filters that select the page after the rows fetched so far
+ * @param {Object} client - PostgreSQL client or pool
+ * @param {Object} filters - Filters of the list query
+ * @returns {Promise<Array>} - Rows, at most filters.limit if given
+ */
+async function fetchAll(list, pageSize, nextPage, client, filters) {
+  const limit = parseInt(filters.limit, 10) || Infinity;
+  const rows = [];
+  while (rows.length < limit) {
+    const size = Math.min(pageSize, limit - rows.length);
+    const page = await list(client, { ...filters, ...(rows.length > 0 ? nextPage(rows) : {}), limit: size });
+    // A page of positions holds too many rows to spread into push()
+    for (const row of page) rows.push(row);
+    if (page.length < size) break;
+  }
+  return rows;
+}
+
+const afterFetchedVessels = rows => ({ offset: rows.length });
+
+// Positions page by their key, so rows recorded during a long export neither shift
+// pages nor make later pages scan past everything before them
+const afterLastPosition = rows => {
+  const last = rows[rows.length - 1];
+  return { after: { shipId: last.ship_id, positionTime: last.position_time } };
+};
+
+/**
+ * Query and format an export
+ * @param {Object} client - PostgreSQL client or pool
+ * @param {Object} options - Export options
+ * @param {string} options.format - One of EXPORT_FORMATS
+ * @param {string} options.dataset - 'state' for vessels_mt, 'history' for positions (default: state)
+ * @param {Object} options.filters - Vessel filters: flag, shipType, area, status, report, bbox, limit
+ * @param {Date|string} options.from - Start of the history range (default: 24 hours before `to`)
+ * @param {Date|string} options.to - End of the history range (default: now)
+ * @returns {Promise<Object>} - { count, text } with the number of exported rows and the file contents
+ */
+async function exportData(client, options) {
+  const { format, dataset = 'state', filters = {} } = options;
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw new Error(`Unknown export format "${format}", expected one of: ${EXPORT_FORMATS.join(', ')}`);
+  }
+  if (!DATASETS.includes(dataset)) {
+    throw new Error(`Unknown export dataset "${dataset}", expected one of: ${DATASETS.join(', ')}`);
+  }
+
+  let rows;
+  if (dataset === 'history') {
+    const to = options.to ? new Date(options.to) : new Date();
+    const from = options.from ? new Date(options.from) : new Date(to.getTime() - parseDuration(DEFAULT_HISTORY_WINDOW));
+    rows = await fetchAll(listPositions, HISTORY_PAGE_SIZE, afterLastPosition, client, { ...filters, from, to });
+  } else {
+    rows = await fetchAll(listVessels, STATE_PAGE_SIZE, afterFetchedVessels, client, filters);
+  }
+
+  return { count: rows.length, text: formatRows(rows, { format, dataset }) };
+}
+
+/**
+ * Write an export file. The file is replaced in one step, so readers never see half an export.
+ * @param {string} file - Target path
+ * @param {string} text - File contents
+ */
+async function writeExportFile(file, text) {
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+  const temporary = `${file}.${process.pid}.tmp`;
+  await fs.promises.writeFile(temporary, text);
+  await fs.promises.rename(temporary, file);
+}
+
+/**
+ * Resolve one entry of a report's "exports" list
+ * @param {string|Object} entry - A format name, or { format, dataset, path, window }
+ * @param {Object} report - Report definition with name and tag
+ * @returns {Object} - { format, dataset, path, windowMs }
+ */
+function resolveReportExport(entry, report) {
+  const spec = typeof entry === 'string' ? { format: entry } : entry;
+  const { format, dataset = 'state' } = spec;
+
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw new Error(`Report "${report.name}" has an export with unknown format "${format}", ` +
+      `expected one of: ${EXPORT_FORMATS.join(', ')}`);
+  }
+  if (!DATASETS.includes(dataset)) {
+    throw new Error(`Report "${report.name}" has an export with unknown dataset "${dataset}"`);
+  }
+
+  const suffix = dataset === 'history' ? '-history' : '';
+  return {
+    format,
+    dataset,
+    path: spec.path || path.join(process.env.EXPORT_DIR || DEFAULT_EXPORT_DIR, `${report.name}${suffix}.${FILE_EXTENSIONS[format]}`),
+    windowMs: parseDuration(spec.window || DEFAULT_HISTORY_WINDOW)
+  };
+}
+
+/**
+ * Write the exports a report lists, limited to the vessels tagged by that report.
+ * A failed export is logged and does not stop the others.
+ * @param {Object} client - PostgreSQL client or pool
+ * @param {Object} report - Report definition with resolved exports
+ * @param {Date} now - End of history ranges (default: now)
+ * @returns {Promise<number>} - Number of exports written
+ */
+async function runReportExports(client, report, now = new Date()) {
+  let written = 0;
+  for (const spec of report.exports) {
+    try {
+      const { count, text } = await exportData(client, {
+        format: spec.format,
+        dataset: spec.dataset,
+        filters: { report: report.tag },
+        from: new Date(now.getTime() - spec.windowMs),
+        to: now
+      });
+      await writeExportFile(spec.path, text);
+      written++;
+      logger.info(`Exported ${count} rows of report "${report.name}" to ${spec.path}`,
+        { format: spec.format, dataset: spec.dataset });
+    } catch (error) {
+      logger.error(`Export of report "${report.name}" to ${spec.path} failed`, { error: error.message });
+    }
+  }
+  return written;
+}
+
+module.exports = {
+  DATASETS,
+  EXPORT_FORMATS,
+  STATE_COLUMNS,
+  HISTORY_COLUMNS,
+  formatRows,
+  exportData,
+  writeExportFile,
+  resolveReportExport,
+  runReportExports
+};
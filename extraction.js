@@ -0,0 +1,102 @@
+// Browser-independent helpers for recognising and extracting vessel data.
+// Shared by the live scraper and the offline replay in replay.js.
+
+// API endpoints that might contain vessel data
+const VESSEL_API_URL_PATTERNS = [
+  '/api/exportAPI',
+  '/en/reports',
+  '/api/exportData',
+  '/exportJSON',
+  '/en/vesselDetails',
+  '/en/ais/details',
+  '/api/vd',
+  '/api/exportVessels'
+];
+
+// Property names under which pages embed vessel arrays in their HTML
+const HTML_ARRAY_KEYS = ['data', 'vessels', 'ships', 'tankers'];
+
+/**
+ * Check whether a response URL is one of the endpoints that may carry vessel data
+ * @param {string} url - Response URL
+ * @returns {boolean} - True if the response should be inspected
+ */
+function isVesselApiUrl(url) {
+  return VESSEL_API_URL_PATTERNS.some(pattern => url.includes(pattern));
+}
+
+/**
+ * Check if a parsed JSON response contains what looks like vessel data
+ * @param {*} data - Parsed JSON response
+ * @returns {boolean} - True if the payload has a non-empty vessel array
+ */
+function isVesselPayload(data) {
+  return Boolean(data &&
+    ((data.data && Array.isArray(data.data) && data.data.length > 0) ||
+     (data.vessels && Array.isArray(data.vessels) && data.vessels.length > 0) ||
+     (Array.isArray(data) && data.length > 0 && (data[0].imo || data[0].IMO || data[0].mmsi || data[0].MMSI))));
+}
+
+/**
+ * Find the end of the JSON array that starts at `start`, skipping over strings
+ * @param {string} text - Text containing the array
+ * @param {number} start - Index of the opening bracket
+ * @returns {number} - Index just past the closing bracket, or -1 if unbalanced
+ */
+function findArrayEnd(text, start) {
+  let depth = 0;
+  let inString = false;
+
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+
+    if (inString) {
+      if (char === '\\') i++;
+      else if (char === '"') inString = false;
+      continue;
+    }
+
+    if (char === '"') inString = true;
+    else if (char === '[' || char === '{') depth++;
+    else if (char === ']' || char === '}') {
+      depth--;
+      if (depth === 0) return i + 1;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Search raw page HTML for an embedded JSON array of vessel objects
+ * @param {string} html - Page HTML
+ * @returns {Object|null} - { source, data: { data: [...] } } or null if none found
+ */
+function extractJsonFromHtml(html) {
+  for (const key of HTML_ARRAY_KEYS) {
+    const pattern = new RegExp(`"${key}"\\s*:\\s*\\[\\s*\\{\\s*"[^"]+"\\s*:`, 'g');
+    let match;
+
+    while ((match = pattern.exec(html)) !== null) {
+      const start = html.indexOf('[', match.index);
+      const end = findArrayEnd(html, start);
+      if (end < 0) continue;
+
+      try {
+        const rows = JSON.parse(html.substring(start, end));
+        if (Array.isArray(rows) && rows.length > 0) {
+          return { source: `html-json:${key}`, data: { data: rows } };
+        }
+      } catch (e) {
+        // Continue with the next match if parsing fails
+      }
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  isVesselApiUrl,
+  isVesselPayload,
+  extractJsonFromHtml
+};
@@ -0,0 +1,126 @@
+// Delivery of geofence entry and exit events to the configured notifiers
+const { vesselEvents } = require('./vessel-events');
+const logger = require('./logger').child({ module: 'geofence-alerts' });
+
+const GEOFENCE_EVENT_TYPES = ['geofence_entered', 'geofence_exited'];
+
+const DEFAULT_RETRIES = 3;
+const DEFAULT_RETRY_DELAY_MS = 1000;
+
+/**
+ * Build the alert sent to notifiers for a geofence event
+ * @param {Object} event - geofence_entered or geofence_exited event, see vessel-events.js
+ * @param {Array<Object>} geofences - Geofences, to attach the properties of the fence
+ * @returns {Object} - Alert
+ */
+function buildAlert(event, geofences) {
+  const name = event.type === 'geofence_entered' ? event.newValue : event.oldValue;
+  const geofence = geofences.find(candidate => candidate.name === name);
+  const verb = event.type === 'geofence_entered' ? 'entered' : 'left';
+
+  return {
+    type: event.type,
+    summary: `${event.shipName || `Vessel ${event.shipId}`} ${verb} ${name}`,
+    shipId: event.shipId,
+    shipName: event.shipName ?? null,
+    geofence: { ...(geofence ? geofence.properties : {}), name },
+    position: event.position,
+    report: event.report ?? null,
+    eventId: event.id ?? null,
+    detectedAt: event.detectedAt instanceof Date ? event.detectedAt.toISOString() : event.detectedAt
+  };
+}
+
+/**
+ * Create a dispatcher that sends geofence alerts as vessel events are published
+ * @param {Object} options - Dispatcher options
+ * @param {Array<Object>} options.notifiers - Notifiers, see notifiers/index.js
+ * @param {Array<Object>} options.geofences - Geofences, see geofence.js
+ * @param {number} options.retries - Retries per notifier after a failed delivery (default: ALERT_RETRIES or 3)
+ * @param {number} options.retryDelayMs - Delay before the first retry, doubled on every
+ *   further retry (default: ALERT_RETRY_DELAY_MS or 1000)
+ * @param {Object} options.events - Event emitter to subscribe to (default: vesselEvents)
+ * @returns {Object} - Dispatcher with start, stop, deliver and flush methods
+ */
+function createGeofenceAlerts(options) {
+  // ALERT_RETRIES=0 is valid and disables retries
+  const envRetries = parseInt(process.env.ALERT_RETRIES, 10);
+  const {
+    notifiers,
+    geofences,
+    retries = envRetries >= 0 ? envRetries : DEFAULT_RETRIES,
+    retryDelayMs = parseInt(process.env.ALERT_RETRY_DELAY_MS, 10) || DEFAULT_RETRY_DELAY_MS,
+    events = vesselEvents
+  } = options;
+
+  // Deliveries still running, so that flush() can wait for them
+  const pending = new Set();
+
+  /**
+   * Send one alert through one notifier, retrying with exponential backoff
+   * @param {Object} notifier - Notifier
+   * @param {Object} alert - Alert from buildAlert
+   * @returns {Promise<boolean>} - True if the alert was delivered
+   */
+  async function sendWithRetry(notifier, alert) {
+    for (let attempt = 0; attempt <= retries; attempt++) {
+      try {
+        await notifier.send(alert);
+        logger.info(`Sent ${alert.type} alert through ${notifier.name}`, { shipId: alert.shipId, geofence: alert.geofence.name });
+        return true;
+      } catch (error) {
+        if (attempt === retries) {
+          logger.error(`Giving up on ${alert.type} alert through ${notifier.name} after ${attempt + 1} attempt(s)`,
+            { shipId: alert.shipId, geofence: alert.geofence.name, error: error.message });
+          return false;
+        }
+
+        const delay = retryDelayMs * 2 ** attempt;
+        logger.warn(`${notifier.name} alert delivery failed, retrying in ${delay} ms`, { error: error.message });
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Deliver the alert of a geofence event through every notifier
+   * @param {Object} event - Geofence event
+   * @returns {Promise<Array<boolean>>} - Delivery result per notifier
+   */
+  function deliver(event) {
+    const alert = buildAlert(event, geofences);
+    const delivery = Promise.all(notifiers.map(notifier => sendWithRetry(notifier, alert)));
+    pending.add(delivery);
+    delivery.finally(() => pending.delete(delivery));
+    return delivery;
+  }
+
+  return {
+    start() {
+      for (const type of GEOFENCE_EVENT_TYPES) {
+        events.on(type, deliver);
+      }
+      logger.info(`Sending geofence alerts for ${geofences.length} geofence(s)`,
+        { notifiers: notifiers.map(notifier => notifier.name) });
+    },
+
+    stop() {
+      for (const type of GEOFENCE_EVENT_TYPES) {
+        events.off(type, deliver);
+      }
+    },
+
+    deliver,
+
+    // Wait for alerts that are still being delivered
+    async flush() {
+      await Promise.all([...pending]);
+    }
+  };
+}
+
+module.exports = {
+  buildAlert,
+  createGeofenceAlerts
+};
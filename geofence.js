@@ -0,0 +1,125 @@
+// Geofences: named GeoJSON polygons, and which of them contain a vessel position
+const fs = require('fs');
+const { isValidPosition } = require('./vessel-validation');
+
+/**
+ * Load geofences from a GeoJSON FeatureCollection of Polygon and MultiPolygon features.
+ * Each feature needs a `name` property; all properties are passed on to alerts.
+ * Coordinates are [lon, lat]; polygons crossing the antimeridian must be split.
+ * @param {string} configPath - Path to the GeoJSON file (default: GEOFENCES_CONFIG).
+ *   Without a path, geofencing is disabled and no geofences are returned.
+ * @returns {Array<Object>} - Geofences as { name, properties, polygons, bbox }
+ */
+function loadGeofences(configPath = process.env.GEOFENCES_CONFIG) {
+  if (!configPath) return [];
+
+  let collection;
+  try {
+    collection = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read geofences from ${configPath}: ${error.message}`);
+  }
+
+  if (collection.type !== 'FeatureCollection' || !Array.isArray(collection.features)) {
+    throw new Error(`${configPath} must contain a GeoJSON FeatureCollection`);
+  }
+
+  const geofences = collection.features.map(feature => toGeofence(feature, configPath));
+
+  const names = new Set();
+  for (const geofence of geofences) {
+    if (names.has(geofence.name)) {
+      throw new Error(`Duplicate geofence name "${geofence.name}" in ${configPath}`);
+    }
+    names.add(geofence.name);
+  }
+
+  return geofences;
+}
+
+/**
+ * Turn a GeoJSON feature into a geofence
+ * @param {Object} feature - GeoJSON Feature
+ * @param {string} configPath - Config file, for error messages
+ * @returns {Object} - Geofence
+ */
+function toGeofence(feature, configPath) {
+  const properties = feature.properties || {};
+  if (!properties.name) {
+    throw new Error(`Every geofence in ${configPath} needs a "name" property`);
+  }
+
+  const { type, coordinates } = feature.geometry || {};
+  let polygons;
+  if (type === 'Polygon') {
+    polygons = [coordinates];
+  } else if (type === 'MultiPolygon') {
+    polygons = coordinates;
+  } else {
+    throw new Error(`Geofence "${properties.name}" must be a Polygon or MultiPolygon, not ${type}`);
+  }
+
+  const points = polygons.flatMap(polygon => polygon[0]);
+  const lons = points.map(point => point[0]);
+  const lats = points.map(point => point[1]);
+
+  return {
+    name: properties.name,
+    properties,
+    polygons,
+    bbox: [Math.min(...lons), Math.min(...lats), Math.max(...lons), Math.max(...lats)]
+  };
+}
+
+/**
+ * Ray casting test of a point against one linear ring
+ * @param {Array<Array<number>>} ring - Ring of [lon, lat] points
+ * @param {number} lon - Longitude
+ * @param {number} lat - Latitude
+ * @returns {boolean} - True if the point is inside the ring
+ */
+function isInRing(ring, lon, lat) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > lat) !== (yj > lat) && lon < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * Check whether a position lies inside a geofence, outside of its holes
+ * @param {Object} geofence - Geofence from loadGeofences
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @returns {boolean} - True if the geofence contains the position
+ */
+function containsPosition(geofence, lat, lon) {
+  const [minLon, minLat, maxLon, maxLat] = geofence.bbox;
+  if (lon < minLon || lon > maxLon || lat < minLat || lat > maxLat) return false;
+
+  return geofence.polygons.some(([outer, ...holes]) =>
+    isInRing(outer, lon, lat) && !holes.some(hole => isInRing(hole, lon, lat)));
+}
+
+/**
+ * Names of the geofences that contain a position
+ * @param {Array<Object>} geofences - Geofences from loadGeofences
+ * @param {number|null} lat - Latitude
+ * @param {number|null} lon - Longitude
+ * @returns {Array<string>|null} - Geofence names, or null if the position is unknown or invalid
+ */
+function findGeofences(geofences, lat, lon) {
+  if (!isValidPosition(lat, lon)) return null;
+  return geofences.filter(geofence => containsPosition(geofence, lat, lon)).map(geofence => geofence.name);
+}
+
+module.exports = {
+  loadGeofences,
+  toGeofence,
+  containsPosition,
+  findGeofences
+};
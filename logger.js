@@ -0,0 +1,52 @@
+// Structured JSON logger with levels, one log record per line
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+
+/**
+ * Turn Error instances into plain objects that survive JSON.stringify
+ * @param {*} value - Value to serialize
+ * @returns {*} - Serializable value
+ */
+function serialize(value) {
+  if (value instanceof Error) {
+    return { name: value.name, message: value.message, code: value.code, stack: value.stack };
+  }
+  return value;
+}
+
+/**
+ * Create a logger. Records below LOG_LEVEL (default: info) are dropped;
+ * LOG_FORMAT=text prints human-readable lines instead of JSON.
+ * @param {Object} bindings - Fields added to every record, e.g. { module: 'scraper' }
+ * @returns {Object} - Logger with debug, info, warn, error and child methods
+ */
+function createLogger(bindings = {}) {
+  const write = (level, message, fields = {}) => {
+    const threshold = LEVELS[(process.env.LOG_LEVEL || 'info').toLowerCase()] ?? LEVELS.info;
+    if (LEVELS[level] < threshold) return;
+
+    const record = { time: new Date().toISOString(), level, msg: message, ...bindings };
+    for (const [key, value] of Object.entries(fields)) {
+      record[key] = serialize(value);
+    }
+
+    const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+    if (process.env.LOG_FORMAT === 'text') {
+      const { time, level: _level, msg, ...rest } = record;
+      const extra = Object.keys(rest).length > 0 ? ` ${JSON.stringify(rest)}` : '';
+      stream.write(`${time} ${level.toUpperCase()} ${msg}${extra}\n`);
+    } else {
+      stream.write(`${JSON.stringify(record)}\n`);
+    }
+  };
+
+  return {
+    debug: (message, fields) => write('debug', message, fields),
+    info: (message, fields) => write('info', message, fields),
+    warn: (message, fields) => write('warn', message, fields),
+    error: (message, fields) => write('error', message, fields),
+    child: childBindings => createLogger({ ...bindings, ...childBindings })
+  };
+}
+
+module.exports = createLogger();
+module.exports.createLogger = createLogger;
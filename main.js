@@ -1,318 +1,267 @@
-// Main script that runs the vessel data scraper and stores data in PostgreSQL
+// Main script that runs the vessel data scraper and stores data through the configured storage backend
 require('dotenv').config();
-const { scrapeVesselData } = require('./vessel-scraper');
-const { Pool } = require('pg');
-
-// Create PostgreSQL connection pool using environment variables from .env file
-const pool = new Pool({
-  user: process.env.DB_USER,
-  host: process.env.DB_HOST,
-  database: process.env.DB_NAME,
-  password: process.env.DB_PASSWORD,
-  port: process.env.DB_PORT || 5432,
-});
-
-// Store the latest vessel data
-let latestVesselData = null;
-let isRunning = false;
+const { scrapeVesselData, closeBrowser } = require('./vessel-scraper');
+const { createStorage } = require('./storage');
+const { loadReportDefinitions } = require('./report-config');
+const { createApiServer } = require('./api-server');
+const { extractRows } = require('./pagination');
+const { loadGeofences } = require('./geofence');
+const { createGeofenceAlerts } = require('./geofence-alerts');
+const { createNotifiers } = require('./notifiers');
+const { createScheduler } = require('./scheduler');
+const { runReportExports } = require('./exporter');
+const { loadWatchlists } = require('./screening');
+const { loadAnomalyOptions } = require('./anomalies');
+const { loadCredentialPool } = require('./credentials');
+const logger = require('./logger').child({ module: 'main' });
+
+// Report definitions to scrape, loaded from reports.json at startup
+let reports = [];
+
+// Where vessels and runs are written, selected by STORAGE_BACKEND at startup
+let storage = null;
+
+// Geofences to detect entries and exits of, loaded from GEOFENCES_CONFIG at startup
+let geofences = [];
+let geofenceAlerts = null;
+
+// Watchlists to screen vessels against, loaded from WATCHLIST_FILES at startup
+let watchlist = null;
+
+// Anomaly detection thresholds and areas, loaded from the ANOMALY_* variables at startup
+let anomalies = null;
+
+// MarineTraffic accounts to scrape with, loaded from MT_ACCOUNTS_FILE, MT_ACCOUNTS
+// and MT_USERNAME/MT_PASSWORD at startup
+let credentials = null;
+
+// Runs every report on its schedule, started by main()
+let scheduler = null;
+
+// HTTP API server, started unless API_ENABLED=false
+let apiServer = null;
+
+// Options passed to scrapeVesselData unless the caller overrides them
+const DEFAULT_SCRAPE_OPTIONS = {
+  headless: true,  // Run with --no-headless to watch the browser while debugging
+  timeout: 120000  // 2 minutes
+};
 
 /**
- * Run the scraper and update the latest data
+ * Scrape one report definition, save its vessels and record the run
+ * @param {Object} report - Report definition, see report-config.js
+ * @param {Object} scrapeOptions - Overrides of DEFAULT_SCRAPE_OPTIONS, e.g. { headless, timeout }
+ * @returns {Promise<Object|null>} - Save counts, or null if no data was retrieved
  */
-async function runScraper() {
-  if (isRunning) {
-    console.log('Scraper is already running, skipping this execution');
-    return;
-  }
+async function runReport(report, scrapeOptions = {}) {
+  const runLogger = logger.child({ report: report.name });
+  const runId = await storage.startRun(report.name);
+  runLogger.info(`Starting report "${report.name}"`, { runId });
 
-  isRunning = true;
+  const startTime = Date.now();
+  let account = null;
+  let vesselData = null;
+  let vessels = [];
 
   try {
-    console.log(`Starting vessel data scraper at ${new Date().toISOString()}`);
-
-    const startTime = Date.now();
-    const vesselData = await scrapeVesselData({
-      // Uncomment to override .env credentials
-      // username: 'your_username',
-      // password: 'your_password',
-      headless: true,  // Set to false for debugging
-      timeout: 120000  // 2 minutes timeout
+    vesselData = await credentials.withAccount(({ username, password }) => {
+      account = username;
+      runLogger.info(`Scraping as MarineTraffic account ${username}`);
+      return scrapeVesselData({ ...DEFAULT_SCRAPE_OPTIONS, ...scrapeOptions, report, username, password });
+    }).catch(error => {
+      // A report without vessels is recorded as an empty run, every other kind fails it
+      if (error.kind === 'empty_report') return null;
+      throw error;
     });
 
     const duration = (Date.now() - startTime) / 1000;
 
-    if (vesselData) {
-      latestVesselData = vesselData;
-      console.log(`Scraper completed successfully in ${duration.toFixed(1)} seconds`);
-
-      // Extract and determine the structure of the data
-      let vessels = [];
-      if (vesselData.data && Array.isArray(vesselData.data)) {
-        vessels = vesselData.data;
-      } else if (vesselData.vessels && Array.isArray(vesselData.vessels)) {
-        vessels = vesselData.vessels;
-      } else if (Array.isArray(vesselData)) {
-        vessels = vesselData;
-      }
+    if (!vesselData) {
+      runLogger.warn(`Report "${report.name}" completed in ${duration.toFixed(1)} seconds but no data was retrieved`);
+      await storage.finishRun(runId, { status: 'empty', account });
+      return null;
+    }
 
-      console.log(`Retrieved data for ${vessels.length} vessels`);
+    // Extract and determine the structure of the data
+    vessels = extractRows(vesselData);
 
-      // Save the vessels data to PostgreSQL database
-      await saveVesselsToDatabase(vessels);
-    } else {
-      console.log(`Scraper completed in ${duration.toFixed(1)} seconds but no data was retrieved`);
+    const { provenance } = vesselData;
+    runLogger.info(`Report "${report.name}" scraped in ${duration.toFixed(1)} seconds`,
+      { ...provenance, vessels: vessels.length });
+
+    if (provenance.fidelity === 'low') {
+      runLogger.warn(`Report "${report.name}" was read from the ${provenance.strategy} strategy, ` +
+        'values were parsed from display text and may be rounded');
     }
-  } catch (error) {
-    console.error('Error running vessel data scraper:', error);
-  } finally {
-    isRunning = false;
-  }
-}
 
-/**
- * Save vessel data to PostgreSQL database
- * @param {Array} vessels - Array of vessel objects
- */
-async function saveVesselsToDatabase(vessels) {
-  if (!vessels || vessels.length === 0) {
-    console.log('No vessels to save to database');
-    return;
-  }
+    // Save the vessels through the configured storage backend
+    const counts = await storage.saveVessels(vessels, { report: report.tag, geofences, watchlist, anomalies });
 
-  const client = await pool.connect();
-  let savedCount = 0;
-  let errorCount = 0;
+    await storage.finishRun(runId, {
+      status: 'success',
+      provenance,
+      account,
+      vesselCount: vessels.length,
+      counts
+    });
 
-  try {
-    // Start a transaction
-    await client.query('BEGIN');
-
-    // Process each vessel
-    for (const vessel of vessels) {
-      try {
-        // Check if the vessel already exists in the database
-        const checkResult = await client.query(
-          'SELECT SHIP_ID FROM vessels_mt WHERE SHIP_ID = $1',
-          [vessel.SHIP_ID]
-        );
-
-        // Convert special fields that need formatting
-        let formattedVessel = formatVesselData(vessel);
-
-        if (checkResult.rowCount > 0) {
-          // Vessel exists, perform UPDATE
-          await updateVessel(client, formattedVessel);
-          console.log(`Updated vessel: ${vessel.SHIPNAME} (ID: ${vessel.SHIP_ID})`);
-        } else {
-          // Vessel doesn't exist, perform INSERT
-          await insertVessel(client, formattedVessel);
-          console.log(`Inserted new vessel: ${vessel.SHIPNAME} (ID: ${vessel.SHIP_ID})`);
-        }
-
-        savedCount++;
-      } catch (error) {
-        console.error(`Error saving vessel ${vessel.SHIP_ID}:`, error.message);
-        errorCount++;
+    // Export failures are logged by the exporter and do not fail the run
+    if (report.exports.length > 0) {
+      if (storage.pool) {
+        await runReportExports(storage.pool, report);
+      } else {
+        runLogger.warn(`Report "${report.name}" lists exports, which need the postgres storage backend`);
       }
     }
-
-    // Commit the transaction
-    await client.query('COMMIT');
-
-    console.log(`Database update completed: ${savedCount} vessels saved, ${errorCount} errors`);
+    return counts;
   } catch (error) {
-    // Roll back the transaction on error
-    await client.query('ROLLBACK');
-    console.error('Transaction failed, changes rolled back:', error);
+    await storage.finishRun(runId, {
+      status: 'failed',
+      provenance: vesselData ? vesselData.provenance : undefined,
+      account,
+      vesselCount: vesselData ? vessels.length : null,
+      error
+    }).catch(finishError => runLogger.error('Could not record failed run', { runId, error: finishError }));
     throw error;
-  } finally {
-    // Release the client back to the pool
-    client.release();
   }
 }
 
 /**
- * Format vessel data to match database schema
- * @param {Object} vessel - Vessel data object
- * @returns {Object} - Formatted vessel data
+ * Prepare the storage backend: connect, and create or migrate its schema
+ * @throws {Error} - See the backend's prepare(); the postgres backend flags an
+ *   unreachable database with `unavailable` and lists pending migrations in `pending`
  */
-function formatVesselData(vessel) {
-  const formattedVessel = { ...vessel };
-
-  // Handle null/undefined values
-  Object.keys(formattedVessel).forEach(key => {
-    if (formattedVessel[key] === null || formattedVessel[key] === undefined) {
-      formattedVessel[key] = null;
-    }
-  });
+async function prepareStorage() {
+  await storage.prepare();
+}
 
-  // Format timestamp fields
-  if (formattedVessel.ETA_UPDATED && formattedVessel.ETA_UPDATED !== null) {
-    try {
-      // If it's a number, treat as Unix timestamp
-      if (!isNaN(formattedVessel.ETA_UPDATED)) {
-        const timestamp = parseInt(formattedVessel.ETA_UPDATED);
-        formattedVessel.ETA_UPDATED = new Date(timestamp * 1000).toISOString();
-      }
-    } catch (e) {
-      formattedVessel.ETA_UPDATED = null;
-    }
+/**
+ * Load report definitions, MarineTraffic accounts, geofences, watchlists and anomaly options,
+ * create the storage backend and start sending geofence alerts when a notifier is configured
+ * @returns {Array<Object>} - Enabled report definitions
+ */
+function loadConfiguration() {
+  reports = loadReportDefinitions();
+  storage = createStorage();
+  logger.info(`Loaded ${reports.length} report definition(s)`, { reports: reports.map(report => report.name) });
+
+  credentials = loadCredentialPool();
+  if (credentials.size > 1) {
+    logger.info(`Rotating between ${credentials.size} MarineTraffic accounts`);
   }
 
-  // Format LAUNCH_DATE (if it exists)
-  if (formattedVessel.LAUNCH_DATE && formattedVessel.LAUNCH_DATE !== null) {
-    try {
-      // Try to parse as date string first
-      const date = new Date(formattedVessel.LAUNCH_DATE);
-      if (!isNaN(date.getTime())) {
-        formattedVessel.LAUNCH_DATE = date.toISOString().split('T')[0]; // YYYY-MM-DD
-      } else {
-        formattedVessel.LAUNCH_DATE = null;
-      }
-    } catch (e) {
-      formattedVessel.LAUNCH_DATE = null;
+  geofences = loadGeofences();
+  if (geofences.length > 0) {
+    const notifiers = createNotifiers();
+    if (notifiers.length > 0) {
+      geofenceAlerts = createGeofenceAlerts({ notifiers, geofences });
+      geofenceAlerts.start();
+    } else {
+      logger.warn(`Loaded ${geofences.length} geofence(s) but no notifier is configured, ` +
+        'entries and exits are only recorded in vessel_events');
     }
   }
 
-  // Format FIRST_POS_TIMESTAMP (if it exists)
-  if (formattedVessel.FIRST_POS_TIMESTAMP && formattedVessel.FIRST_POS_TIMESTAMP !== null) {
-    try {
-      // If it's a number, treat as Unix timestamp
-      if (!isNaN(formattedVessel.FIRST_POS_TIMESTAMP)) {
-        const timestamp = parseInt(formattedVessel.FIRST_POS_TIMESTAMP);
-        formattedVessel.FIRST_POS_TIMESTAMP = new Date(timestamp * 1000).toISOString();
-      }
-    } catch (e) {
-      formattedVessel.FIRST_POS_TIMESTAMP = null;
-    }
+  watchlist = loadWatchlists();
+  if (watchlist) {
+    logger.info(`Screening vessels against ${watchlist.entries.length} watchlist entries`);
   }
 
-  // Convert numeric strings to numbers for numeric fields
-  const numericFields = ['LAT', 'LON', 'SPEED', 'COURSE', 'DRAUGHT_MAX', 'DRAUGHT_MIN',
-                         'LENGTH', 'WIDTH', 'LENGTH_B_W_PERPENDICULARS', 'LENGTH_REGISTERED',
-                         'DEPTH', 'BREADTH_MOULDED', 'BREADTH_EXTREME'];
-
-  numericFields.forEach(field => {
-    if (formattedVessel[field] !== null && formattedVessel[field] !== undefined) {
-      if (typeof formattedVessel[field] === 'string') {
-        // Replace any commas with dots for decimal values
-        formattedVessel[field] = formattedVessel[field].replace(',', '.');
-        const numValue = parseFloat(formattedVessel[field]);
-        if (!isNaN(numValue)) {
-          formattedVessel[field] = numValue;
-        }
-      }
-    }
-  });
+  anomalies = loadAnomalyOptions();
+  if (anomalies && storage.type === 'file') {
+    logger.warn('Anomaly detection needs stored vessel state, the file storage backend skips it');
+  }
 
-  return formattedVessel;
+  return reports;
 }
 
 /**
- * Insert a new vessel into the database
- * @param {Object} client - PostgreSQL client
- * @param {Object} vessel - Vessel data
+ * Run the service: scrape every report on its schedule and serve the HTTP API
+ * @param {Object} scrapeOptions - Overrides of DEFAULT_SCRAPE_OPTIONS, see runReport
  */
-async function insertVessel(client, vessel) {
-  // Create the dynamic query based on available fields
-  const fields = Object.keys(vessel).filter(key => vessel[key] !== undefined);
-  const values = fields.map(field => vessel[field]);
-  const placeholders = fields.map((_, i) => `$${i + 1}`).join(', ');
-
-  const query = `
-    INSERT INTO vessels_mt (${fields.join(', ')})
-    VALUES (${placeholders})
-  `;
-
-  await client.query(query, values);
+async function main(scrapeOptions = {}) {
+  loadConfiguration();
+
+  // Test the storage before starting
+  await prepareStorage();
+
+  // Serve vessel data and health over HTTP. The API queries PostgreSQL, so
+  // it is not available with the other storage backends.
+  if (process.env.API_ENABLED !== 'false') {
+    if (storage.pool) {
+      const port = parseInt(process.env.API_PORT, 10) || 3000;
+      apiServer = createApiServer({ pool: storage.pool });
+      apiServer.listen(port, process.env.API_HOST || '0.0.0.0', () => {
+        logger.info(`HTTP API listening on port ${port}`);
+      });
+    } else {
+      logger.info(`HTTP API disabled, it needs the postgres storage backend (using ${storage.type})`);
+    }
+  }
+
+  // One job per report; jobs run one at a time, so reports never overlap.
+  // `npm run run-now` runs them within a few seconds.
+  scheduler = createScheduler({
+    jobs: reports.map(report => ({
+      name: report.name,
+      schedule: report.schedule,
+      run: () => runReport(report, scrapeOptions)
+    }))
+  });
+  scheduler.start();
 }
 
 /**
- * Update an existing vessel in the database
- * @param {Object} client - PostgreSQL client
- * @param {Object} vessel - Vessel data
+ * Stop sending alerts, waiting for deliveries in flight, and close the browser and storage
  */
-async function updateVessel(client, vessel) {
-  // Create the dynamic query based on available fields
-  const fields = Object.keys(vessel)
-    .filter(key => vessel[key] !== undefined && key !== 'SHIP_ID');
-
-  if (fields.length === 0) {
-    console.log(`No fields to update for vessel ${vessel.SHIP_ID}`);
-    return;
+async function closeResources() {
+  if (geofenceAlerts) {
+    geofenceAlerts.stop();
+    await geofenceAlerts.flush();
+  }
+  await closeBrowser();
+  if (storage) {
+    await storage.close();
   }
-
-  const setClause = fields
-    .map((field, i) => `${field} = $${i + 2}`)
-    .join(', ');
-
-  const values = [vessel.SHIP_ID, ...fields.map(field => vessel[field])];
-
-  const query = `
-    UPDATE vessels_mt
-    SET ${setClause}
-    WHERE SHIP_ID = $1
-  `;
-
-  await client.query(query, values);
 }
 
-// Test the database connection before starting
-async function testDbConnection() {
-  try {
-    const client = await pool.connect();
-    console.log('Successfully connected to PostgreSQL database');
-
-    // Check if vessels_mt table exists
-    const tableCheck = await client.query(`
-      SELECT EXISTS (
-        SELECT FROM information_schema.tables
-        WHERE table_schema = 'public'
-        AND table_name = 'vessels_mt'
-      );
-    `);
-
-    if (!tableCheck.rows[0].exists) {
-      console.error('Error: vessels_mt table does not exist in the database!');
-      console.log('Please create the table using the provided schema before running this script.');
-      process.exit(1);
-    }
-
-    client.release();
-    return true;
-  } catch (error) {
-    console.error('Database connection error:', error.message);
-    console.error('Please check your PostgreSQL connection environment variables:');
-    console.error('DB_USER, DB_HOST, DB_NAME, DB_PASSWORD, DB_PORT');
-    console.error('Make sure these are properly defined in your .env file');
-    process.exit(1);
+// Handle graceful shutdown
+async function shutdown() {
+  logger.info('Shutting down...');
+  if (scheduler) {
+    // Do not wait for a running report, closing the browser ends it
+    scheduler.stop();
   }
+  if (apiServer) {
+    await new Promise(resolve => apiServer.close(resolve));
+  }
+  await closeResources();
+  process.exit(0);
 }
 
-// Main execution
-async function main() {
-  // Test database connection before starting
-  await testDbConnection();
-
-  // Run immediately at startup
-  await runScraper();
-
-  // Then run every 3 minutes
-  const INTERVAL_MS = 3 * 60 * 1000; // 3 minutes in milliseconds
-  setInterval(runScraper, INTERVAL_MS);
+/**
+ * Run the service until SIGINT or SIGTERM
+ * @param {Object} scrapeOptions - Overrides of DEFAULT_SCRAPE_OPTIONS, see runReport
+ */
+function startService(scrapeOptions = {}) {
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
 
-  console.log(`Vessel data scraper scheduled to run every 3 minutes`);
+  main(scrapeOptions).catch(error => {
+    logger.error('Fatal error', { error: error.message, pending: error.pending });
+    process.exit(1);
+  });
 }
 
-// Start the main function
-main().catch(error => {
-  console.error('Fatal error:', error);
-  process.exit(1);
-});
+if (require.main === module) {
+  startService();
+}
 
-// Handle graceful shutdown
-process.on('SIGINT', async () => {
-  console.log('Shutting down...');
-  await pool.end();
-  process.exit(0);
-});
\ No newline at end of file
+module.exports = {
+  DEFAULT_SCRAPE_OPTIONS,
+  runReport,
+  prepareStorage,
+  loadConfiguration,
+  closeResources,
+  startService
+};
@@ -0,0 +1,251 @@
+// Versioned schema migrations for vessels_mt and its companion tables
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger').child({ module: 'migrate' });
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATIONS_TABLE = 'schema_migrations';
+
+// Arbitrary key for pg_advisory_lock so that two scrapers starting at the
+// same time do not apply the same migration twice
+const MIGRATION_LOCK_KEY = 7461207;
+
+/**
+ * Load migration definitions from the migrations directory.
+ * Files are named `<version>-<name>.js` and export `up` and `down` SQL strings.
+ * @param {string} dir - Directory containing migration files
+ * @returns {Array<Object>} - Migrations sorted by version
+ */
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  return fs.readdirSync(dir)
+    .filter(file => /^\d+-[\w-]+\.js$/.test(file))
+    .map(file => {
+      const [, version, name] = file.match(/^(\d+)-([\w-]+)\.js$/);
+      const definition = require(path.join(dir, file));
+
+      if (typeof definition.up !== 'string' || typeof definition.down !== 'string') {
+        throw new Error(`Migration ${file} must export "up" and "down" SQL strings`);
+      }
+
+      return { version: parseInt(version, 10), name, up: definition.up, down: definition.down };
+    })
+    .sort((a, b) => a.version - b.version);
+}
+
+/**
+ * Create the table that records applied migration versions
+ * @param {Object} client - PostgreSQL client
+ */
+async function ensureMigrationsTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS ${MIGRATIONS_TABLE} (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )
+  `);
+}
+
+/**
+ * Get the versions that have already been applied
+ * @param {Object} client - PostgreSQL client
+ * @returns {Promise<Set<number>>} - Applied versions
+ */
+async function getAppliedVersions(client) {
+  const result = await client.query(`SELECT version FROM ${MIGRATIONS_TABLE}`);
+  return new Set(result.rows.map(row => Number(row.version)));
+}
+
+/**
+ * Check whether the migrations table exists, without creating it, for read-only checks
+ * @param {Object} client - PostgreSQL client
+ * @returns {Promise<boolean>} - False on a database that was never migrated
+ */
+async function hasMigrationsTable(client) {
+  const result = await client.query('SELECT to_regclass($1) AS name', [MIGRATIONS_TABLE]);
+  return Boolean(result.rows[0] && result.rows[0].name);
+}
+
+/**
+ * Run a callback while holding the migration advisory lock
+ * @param {Object} client - PostgreSQL client
+ * @param {Function} callback - Async function to run
+ */
+async function withMigrationLock(client, callback) {
+  await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+  try {
+    await ensureMigrationsTable(client);
+    return await callback();
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY]);
+  }
+}
+
+/**
+ * Apply a single migration step inside its own transaction
+ * @param {Object} client - PostgreSQL client
+ * @param {string} sql - Migration SQL
+ * @param {string} bookkeeping - Statement that records the step in the migrations table
+ * @param {Array} params - Parameters of the bookkeeping statement
+ */
+async function applyStep(client, sql, bookkeeping, params) {
+  try {
+    await client.query('BEGIN');
+    await client.query(sql);
+    await client.query(bookkeeping, params);
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  }
+}
+
+/**
+ * Get the list of pending migrations without applying them. Only reads, so it
+ * works for a database role without DDL rights.
+ * @param {Object} client - PostgreSQL client
+ * @returns {Promise<Array<Object>>} - Migrations that have not been applied yet
+ */
+async function getPendingMigrations(client) {
+  const applied = await hasMigrationsTable(client) ? await getAppliedVersions(client) : new Set();
+  return loadMigrations().filter(migration => !applied.has(migration.version));
+}
+
+/**
+ * Apply all pending migrations in version order
+ * @param {Object} client - PostgreSQL client
+ * @param {Object} options - Migration options
+ * @param {boolean} options.dryRun - Only print the SQL that would run (default: false)
+ * @returns {Promise<Array<Object>>} - Migrations that were (or would be) applied
+ */
+async function runMigrations(client, options = {}) {
+  const { dryRun = false } = options;
+
+  return withMigrationLock(client, async () => {
+    const applied = await getAppliedVersions(client);
+    const pending = loadMigrations().filter(migration => !applied.has(migration.version));
+
+    if (pending.length === 0) {
+      logger.info('Database schema is up to date');
+      return [];
+    }
+
+    for (const migration of pending) {
+      const label = `${migration.version}-${migration.name}`;
+
+      if (dryRun) {
+        logger.info(`[dry-run] Would apply migration ${label}`, { sql: migration.up.trim() });
+        continue;
+      }
+
+      await applyStep(client, migration.up,
+        `INSERT INTO ${MIGRATIONS_TABLE} (version, name) VALUES ($1, $2)`,
+        [migration.version, migration.name]);
+      logger.info(`Applied migration ${label}`);
+    }
+
+    return pending;
+  });
+}
+
+/**
+ * Roll back the most recently applied migrations
+ * @param {Object} client - PostgreSQL client
+ * @param {Object} options - Rollback options
+ * @param {number} options.steps - Number of migrations to roll back (default: 1)
+ * @param {boolean} options.dryRun - Only print the SQL that would run (default: false)
+ * @returns {Promise<Array<Object>>} - Migrations that were (or would be) rolled back
+ */
+async function rollbackMigrations(client, options = {}) {
+  const { steps = 1, dryRun = false } = options;
+
+  return withMigrationLock(client, async () => {
+    const applied = await getAppliedVersions(client);
+    const toRollBack = loadMigrations()
+      .filter(migration => applied.has(migration.version))
+      .reverse()
+      .slice(0, steps);
+
+    if (toRollBack.length === 0) {
+      logger.info('No applied migrations to roll back');
+      return [];
+    }
+
+    for (const migration of toRollBack) {
+      const label = `${migration.version}-${migration.name}`;
+
+      if (dryRun) {
+        logger.info(`[dry-run] Would roll back migration ${label}`, { sql: migration.down.trim() });
+        continue;
+      }
+
+      await applyStep(client, migration.down,
+        `DELETE FROM ${MIGRATIONS_TABLE} WHERE version = $1`,
+        [migration.version]);
+      logger.info(`Rolled back migration ${label}`);
+    }
+
+    return toRollBack;
+  });
+}
+
+/**
+ * Describe every known migration and whether it has been applied
+ * @param {Object} client - PostgreSQL client
+ * @returns {Promise<Array<Object>>} - Migration status rows
+ */
+async function migrationStatus(client) {
+  const result = await hasMigrationsTable(client)
+    ? await client.query(`SELECT version, applied_at FROM ${MIGRATIONS_TABLE}`)
+    : { rows: [] };
+  const appliedAt = new Map(result.rows.map(row => [Number(row.version), row.applied_at]));
+
+  return loadMigrations().map(migration => ({
+    version: migration.version,
+    name: migration.name,
+    appliedAt: appliedAt.get(migration.version) || null
+  }));
+}
+
+// Command line usage: node migrate.js [up|down|status] [--dry-run] [--steps N]
+async function cli(argv) {
+  const { pool } = require('./db');
+  const command = argv.find(arg => !arg.startsWith('--')) || 'up';
+  const dryRun = argv.includes('--dry-run');
+  const stepsIndex = argv.indexOf('--steps');
+  const steps = stepsIndex >= 0 ? parseInt(argv[stepsIndex + 1], 10) : 1;
+
+  const client = await pool.connect();
+  try {
+    if (command === 'up') {
+      await runMigrations(client, { dryRun });
+    } else if (command === 'down') {
+      await rollbackMigrations(client, { steps, dryRun });
+    } else if (command === 'status') {
+      for (const row of await migrationStatus(client)) {
+        const state = row.appliedAt ? `applied ${new Date(row.appliedAt).toISOString()}` : 'pending';
+        console.log(`${row.version}-${row.name}: ${state}`);
+      }
+    } else {
+      throw new Error(`Unknown migrate command "${command}" (expected up, down or status)`);
+    }
+  } finally {
+    client.release();
+    await pool.end();
+  }
+}
+
+if (require.main === module) {
+  cli(process.argv.slice(2)).catch(error => {
+    logger.error('Migration failed', { error: error.message });
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  loadMigrations,
+  getPendingMigrations,
+  runMigrations,
+  rollbackMigrations,
+  migrationStatus
+};
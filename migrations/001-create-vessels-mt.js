@@ -0,0 +1,114 @@
+// Current state of every tracked vessel, one row per MarineTraffic SHIP_ID.
+// A table created by hand before migrations existed is adopted: the columns and
+// the unique key on ship_id the upserts rely on are added where missing. Columns it
+// already has keep their type.
+const COLUMNS = [
+  ['imo', 'TEXT'],
+  ['mmsi', 'TEXT'],
+  ['callsign', 'TEXT'],
+  ['eni', 'TEXT'],
+  ['shipname', 'TEXT'],
+  ['flag', 'TEXT'],
+  ['shiptype', 'TEXT'],
+  ['type_name', 'TEXT'],
+  ['market', 'TEXT'],
+  ['vessel_class', 'TEXT'],
+  ['area', 'TEXT'],
+  ['area_local', 'TEXT'],
+  ['lat', 'DOUBLE PRECISION'],
+  ['lon', 'DOUBLE PRECISION'],
+  ['speed', 'DOUBLE PRECISION'],
+  ['course', 'DOUBLE PRECISION'],
+  ['status', 'TEXT'],
+  ['last_pos', 'TIMESTAMPTZ'],
+  ['first_pos_timestamp', 'TIMESTAMPTZ'],
+  ['eta_updated', 'TIMESTAMPTZ'],
+  ['draught_max', 'DOUBLE PRECISION'],
+  ['draught_min', 'DOUBLE PRECISION'],
+  ['year_built', 'INTEGER'],
+  ['launch_date', 'DATE'],
+  ['length', 'DOUBLE PRECISION'],
+  ['width', 'DOUBLE PRECISION'],
+  ['length_b_w_perpendiculars', 'DOUBLE PRECISION'],
+  ['length_registered', 'DOUBLE PRECISION'],
+  ['depth', 'DOUBLE PRECISION'],
+  ['breadth_moulded', 'DOUBLE PRECISION'],
+  ['breadth_extreme', 'DOUBLE PRECISION'],
+  ['gross_tonnage', 'INTEGER'],
+  ['dwt', 'INTEGER'],
+  ['teu', 'INTEGER'],
+  ['pax', 'INTEGER'],
+  ['liquid_gas', 'DOUBLE PRECISION'],
+  ['liquid_oil', 'DOUBLE PRECISION'],
+  ['commercial_manager', 'TEXT'],
+  ['commercial_manager_email', 'TEXT'],
+  ['commercial_manager_city', 'TEXT'],
+  ['commercial_manager_country', 'TEXT'],
+  ['registered_owner', 'TEXT'],
+  ['registered_owner_email', 'TEXT'],
+  ['registered_owner_city', 'TEXT'],
+  ['registered_owner_country', 'TEXT'],
+  ['beneficial_owner', 'TEXT'],
+  ['beneficial_owner_email', 'TEXT'],
+  ['beneficial_owner_city', 'TEXT'],
+  ['beneficial_owner_country', 'TEXT'],
+  ['technical_manager', 'TEXT'],
+  ['technical_manager_email', 'TEXT'],
+  ['technical_manager_city', 'TEXT'],
+  ['technical_manager_country', 'TEXT'],
+  ['ism_manager', 'TEXT'],
+  ['ism_manager_email', 'TEXT'],
+  ['ism_manager_city', 'TEXT'],
+  ['ism_manager_country', 'TEXT'],
+  ['operator', 'TEXT'],
+  ['operator_email', 'TEXT'],
+  ['operator_city', 'TEXT'],
+  ['operator_country', 'TEXT'],
+  ['p_i_club', 'TEXT'],
+  ['p_i_club_email', 'TEXT'],
+  ['p_i_club_city', 'TEXT'],
+  ['p_i_club_country', 'TEXT'],
+  ['class_society', 'TEXT'],
+  ['class_society_email', 'TEXT'],
+  ['class_society_city', 'TEXT'],
+  ['class_society_country', 'TEXT'],
+  ['ship_builder', 'TEXT'],
+  ['ship_builder_email', 'TEXT'],
+  ['ship_builder_city', 'TEXT'],
+  ['ship_builder_country', 'TEXT'],
+  ['engine_builder', 'TEXT'],
+  ['engine_builder_email', 'TEXT'],
+  ['engine_builder_city', 'TEXT'],
+  ['engine_builder_country', 'TEXT'],
+  ['updated_at', 'TIMESTAMPTZ NOT NULL DEFAULT NOW()']
+];
+
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS vessels_mt (
+      ship_id TEXT PRIMARY KEY,
+      ${COLUMNS.map(([name, type]) => `${name} ${type}`).join(',\n      ')}
+    );
+
+    ${COLUMNS.map(([name, type]) => `ALTER TABLE vessels_mt ADD COLUMN IF NOT EXISTS ${name} ${type};`).join('\n    ')}
+
+    -- ON CONFLICT (ship_id) needs a unique index on ship_id alone
+    DO $$
+    BEGIN
+      IF NOT EXISTS (
+        SELECT 1 FROM pg_index i
+        JOIN pg_attribute a ON a.attrelid = i.indrelid AND a.attnum = i.indkey[0]
+        WHERE i.indrelid = 'vessels_mt'::regclass AND i.indisunique AND i.indnatts = 1
+          AND i.indpred IS NULL AND a.attname = 'ship_id'
+      ) THEN
+        CREATE UNIQUE INDEX vessels_mt_ship_id_idx ON vessels_mt (ship_id);
+      END IF;
+    END $$;
+
+    CREATE INDEX IF NOT EXISTS vessels_mt_imo_idx ON vessels_mt (imo);
+    CREATE INDEX IF NOT EXISTS vessels_mt_mmsi_idx ON vessels_mt (mmsi);
+  `,
+  down: `
+    DROP TABLE IF EXISTS vessels_mt;
+  `
+};
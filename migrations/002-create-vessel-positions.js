@@ -0,0 +1,20 @@
+// Append-only position history, one row per vessel and position timestamp
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS vessel_positions (
+      id BIGSERIAL PRIMARY KEY,
+      ship_id TEXT NOT NULL,
+      position_time TIMESTAMPTZ NOT NULL,
+      lat DOUBLE PRECISION,
+      lon DOUBLE PRECISION,
+      speed DOUBLE PRECISION,
+      course DOUBLE PRECISION,
+      status TEXT,
+      recorded_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      UNIQUE (ship_id, position_time)
+    );
+  `,
+  down: `
+    DROP TABLE IF EXISTS vessel_positions;
+  `
+};
@@ -0,0 +1,9 @@
+// Report fields that have no mapped column are kept as JSON instead of failing the write
+module.exports = {
+  up: `
+    ALTER TABLE vessels_mt ADD COLUMN IF NOT EXISTS extra JSONB;
+  `,
+  down: `
+    ALTER TABLE vessels_mt DROP COLUMN IF EXISTS extra;
+  `
+};
@@ -0,0 +1,17 @@
+// Vessels that could not be written, kept with their raw payload for inspection
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS vessel_rejects (
+      id BIGSERIAL PRIMARY KEY,
+      ship_id TEXT,
+      payload JSONB NOT NULL,
+      error TEXT NOT NULL,
+      rejected_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+
+    CREATE INDEX IF NOT EXISTS vessel_rejects_rejected_at_idx ON vessel_rejects (rejected_at);
+  `,
+  down: `
+    DROP TABLE IF EXISTS vessel_rejects;
+  `
+};
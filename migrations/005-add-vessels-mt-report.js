@@ -0,0 +1,11 @@
+// Tag of the report definition (see reports.json) that last wrote each vessel
+module.exports = {
+  up: `
+    ALTER TABLE vessels_mt ADD COLUMN IF NOT EXISTS report TEXT;
+    CREATE INDEX IF NOT EXISTS vessels_mt_report_idx ON vessels_mt (report);
+  `,
+  down: `
+    DROP INDEX IF EXISTS vessels_mt_report_idx;
+    ALTER TABLE vessels_mt DROP COLUMN IF EXISTS report;
+  `
+};
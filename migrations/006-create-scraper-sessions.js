@@ -0,0 +1,13 @@
+// Browser sessions per MarineTraffic account, used when SESSION_STORE=postgres
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS scraper_sessions (
+      session_key TEXT PRIMARY KEY,
+      session JSONB NOT NULL,
+      saved_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+  `,
+  down: `
+    DROP TABLE IF EXISTS scraper_sessions;
+  `
+};
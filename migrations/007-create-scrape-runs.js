@@ -0,0 +1,26 @@
+// Audit record of every scraper run, one row per report per run
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS scrape_runs (
+      id BIGSERIAL PRIMARY KEY,
+      report TEXT,
+      status TEXT NOT NULL DEFAULT 'running',
+      started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      finished_at TIMESTAMPTZ,
+      duration_ms INTEGER,
+      strategy TEXT,
+      vessel_count INTEGER,
+      inserted_count INTEGER,
+      updated_count INTEGER,
+      unchanged_count INTEGER,
+      error_count INTEGER,
+      position_count INTEGER,
+      error TEXT
+    );
+
+    CREATE INDEX IF NOT EXISTS scrape_runs_started_at_idx ON scrape_runs (started_at);
+  `,
+  down: `
+    DROP TABLE IF EXISTS scrape_runs;
+  `
+};
@@ -0,0 +1,11 @@
+// Where each run's data came from: the strategy's source URL or selector and its fidelity
+module.exports = {
+  up: `
+    ALTER TABLE scrape_runs ADD COLUMN IF NOT EXISTS source TEXT;
+    ALTER TABLE scrape_runs ADD COLUMN IF NOT EXISTS fidelity TEXT;
+  `,
+  down: `
+    ALTER TABLE scrape_runs DROP COLUMN IF EXISTS fidelity;
+    ALTER TABLE scrape_runs DROP COLUMN IF EXISTS source;
+  `
+};
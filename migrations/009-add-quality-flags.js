@@ -0,0 +1,16 @@
+// Data quality results: rule violations and score per vessel, summary per run
+module.exports = {
+  up: `
+    ALTER TABLE vessels_mt ADD COLUMN IF NOT EXISTS quality_flags JSONB;
+    ALTER TABLE vessels_mt ADD COLUMN IF NOT EXISTS quality_score SMALLINT;
+    ALTER TABLE scrape_runs ADD COLUMN IF NOT EXISTS quality JSONB;
+
+    CREATE INDEX IF NOT EXISTS vessels_mt_quality_score_idx ON vessels_mt (quality_score);
+  `,
+  down: `
+    ALTER TABLE scrape_runs DROP COLUMN IF EXISTS quality;
+    DROP INDEX IF EXISTS vessels_mt_quality_score_idx;
+    ALTER TABLE vessels_mt DROP COLUMN IF EXISTS quality_score;
+    ALTER TABLE vessels_mt DROP COLUMN IF EXISTS quality_flags;
+  `
+};
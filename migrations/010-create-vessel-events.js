@@ -0,0 +1,21 @@
+// State transitions detected between runs, such as status, draught or owner changes
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS vessel_events (
+      id BIGSERIAL PRIMARY KEY,
+      ship_id TEXT NOT NULL,
+      event_type TEXT NOT NULL,
+      field TEXT,
+      old_value JSONB,
+      new_value JSONB,
+      report TEXT,
+      detected_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+
+    CREATE INDEX IF NOT EXISTS vessel_events_ship_id_idx ON vessel_events (ship_id, detected_at);
+    CREATE INDEX IF NOT EXISTS vessel_events_type_idx ON vessel_events (event_type, detected_at);
+  `,
+  down: `
+    DROP TABLE IF EXISTS vessel_events;
+  `
+};
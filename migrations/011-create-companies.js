@@ -0,0 +1,38 @@
+// Companies from the party columns of vessels_mt, and which company holds which
+// role for a vessel over time. Links are created as vessels are scraped, so
+// valid_from of the first links is the first scrape after this migration.
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS companies (
+      id BIGSERIAL PRIMARY KEY,
+      name TEXT NOT NULL,
+      normalized_name TEXT NOT NULL,
+      country TEXT NOT NULL DEFAULT '',
+      email TEXT,
+      city TEXT,
+      first_seen_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      last_seen_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      UNIQUE (normalized_name, country)
+    );
+
+    CREATE INDEX IF NOT EXISTS companies_normalized_name_idx ON companies (normalized_name text_pattern_ops);
+
+    CREATE TABLE IF NOT EXISTS vessel_companies (
+      id BIGSERIAL PRIMARY KEY,
+      ship_id TEXT NOT NULL,
+      company_id BIGINT NOT NULL REFERENCES companies (id),
+      role TEXT NOT NULL,
+      valid_from TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      valid_to TIMESTAMPTZ,
+      last_seen_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+
+    CREATE UNIQUE INDEX IF NOT EXISTS vessel_companies_current_idx
+      ON vessel_companies (ship_id, role) WHERE valid_to IS NULL;
+    CREATE INDEX IF NOT EXISTS vessel_companies_company_idx ON vessel_companies (company_id, role, valid_from);
+  `,
+  down: `
+    DROP TABLE IF EXISTS vessel_companies;
+    DROP TABLE IF EXISTS companies;
+  `
+};
@@ -0,0 +1,30 @@
+// Watchlist and reflagging hits of screening.js, one row per vessel, field and
+// watchlist entry; repeated hits update last_seen_at and keep their review
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS screening_hits (
+      id BIGSERIAL PRIMARY KEY,
+      ship_id TEXT NOT NULL,
+      kind TEXT NOT NULL,
+      field TEXT NOT NULL,
+      value TEXT NOT NULL,
+      matched TEXT NOT NULL DEFAULT '',
+      list TEXT NOT NULL DEFAULT '',
+      score REAL NOT NULL,
+      reason TEXT NOT NULL,
+      report TEXT,
+      review_status TEXT NOT NULL DEFAULT 'open',
+      review_note TEXT,
+      reviewed_by TEXT,
+      reviewed_at TIMESTAMPTZ,
+      first_seen_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      last_seen_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      UNIQUE (ship_id, kind, field, value, matched, list)
+    );
+
+    CREATE INDEX IF NOT EXISTS screening_hits_review_idx ON screening_hits (review_status, last_seen_at);
+  `,
+  down: `
+    DROP TABLE IF EXISTS screening_hits;
+  `
+};
@@ -0,0 +1,25 @@
+// AIS anomalies detected by anomalies.js, one row per vessel, type and position
+// time; detecting the same anomaly again updates its severity and details
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS vessel_anomalies (
+      id BIGSERIAL PRIMARY KEY,
+      ship_id TEXT NOT NULL,
+      anomaly_type TEXT NOT NULL,
+      severity TEXT NOT NULL,
+      position_time TIMESTAMPTZ NOT NULL,
+      lat DOUBLE PRECISION,
+      lon DOUBLE PRECISION,
+      details JSONB,
+      report TEXT,
+      detected_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      UNIQUE (ship_id, anomaly_type, position_time)
+    );
+
+    CREATE INDEX IF NOT EXISTS vessel_anomalies_updated_at_idx ON vessel_anomalies (updated_at);
+  `,
+  down: `
+    DROP TABLE IF EXISTS vessel_anomalies;
+  `
+};
@@ -0,0 +1,9 @@
+// The MarineTraffic account each run scraped with, see credentials.js
+module.exports = {
+  up: `
+    ALTER TABLE scrape_runs ADD COLUMN IF NOT EXISTS account TEXT;
+  `,
+  down: `
+    ALTER TABLE scrape_runs DROP COLUMN IF EXISTS account;
+  `
+};
@@ -0,0 +1,43 @@
+// Alert notifiers configured from the environment.
+// Each notifier exports a factory returning { name, send(alert) }.
+const { createWebhookNotifier } = require('./webhook');
+const { createSmtpNotifier } = require('./smtp');
+
+/**
+ * Create the notifiers enabled by environment variables:
+ * ALERT_WEBHOOK_URL (and ALERT_WEBHOOK_SECRET) for webhooks,
+ * SMTP_HOST with SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASSWORD,
+ * ALERT_EMAIL_FROM and ALERT_EMAIL_TO for email
+ * @param {Object} env - Environment (default: process.env)
+ * @returns {Array<Object>} - Notifiers, empty when none are configured
+ */
+function createNotifiers(env = process.env) {
+  const notifiers = [];
+
+  if (env.ALERT_WEBHOOK_URL) {
+    notifiers.push(createWebhookNotifier({
+      url: env.ALERT_WEBHOOK_URL,
+      secret: env.ALERT_WEBHOOK_SECRET || null
+    }));
+  }
+
+  if (env.SMTP_HOST) {
+    notifiers.push(createSmtpNotifier({
+      host: env.SMTP_HOST,
+      port: parseInt(env.SMTP_PORT, 10) || 587,
+      secure: env.SMTP_SECURE === 'true',
+      user: env.SMTP_USER,
+      password: env.SMTP_PASSWORD,
+      from: env.ALERT_EMAIL_FROM,
+      to: (env.ALERT_EMAIL_TO || '').split(',').map(address => address.trim()).filter(Boolean)
+    }));
+  }
+
+  return notifiers;
+}
+
+module.exports = {
+  createNotifiers,
+  createWebhookNotifier,
+  createSmtpNotifier
+};
@@ -0,0 +1,55 @@
+// Alert delivery by email over SMTP
+const nodemailer = require('nodemailer');
+
+/**
+ * Create an SMTP notifier
+ * @param {Object} options - SMTP options
+ * @param {string} options.host - SMTP server
+ * @param {number} options.port - SMTP port (default: 587)
+ * @param {boolean} options.secure - Connect with TLS from the start, usually on port 465 (default: false)
+ * @param {string} options.user - SMTP username, if the server needs authentication
+ * @param {string} options.password - SMTP password
+ * @param {string} options.from - Sender address
+ * @param {Array<string>} options.to - Recipient addresses
+ * @param {Object} options.transport - nodemailer transport to use instead of one built from the options
+ * @returns {Object} - Notifier with a send(alert) method
+ */
+function createSmtpNotifier(options) {
+  const { host, port = 587, secure = false, user, password, from, to = [], transport } = options;
+
+  if (!transport && !host) {
+    throw new Error('The SMTP notifier needs a host');
+  }
+  if (!from || to.length === 0) {
+    throw new Error('The SMTP notifier needs a sender and at least one recipient');
+  }
+
+  const mailer = transport || nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass: password } : undefined
+  });
+
+  return {
+    name: 'smtp',
+
+    async send(alert) {
+      return mailer.sendMail({
+        from,
+        to: to.join(', '),
+        subject: alert.summary,
+        text: [
+          alert.summary,
+          '',
+          `Vessel: ${alert.shipName || '(unnamed)'} (SHIP_ID ${alert.shipId})`,
+          `Geofence: ${alert.geofence.name}`,
+          `Position: ${alert.position.lat}, ${alert.position.lon}`,
+          `Detected at: ${alert.detectedAt}`
+        ].join('\n')
+      });
+    }
+  };
+}
+
+module.exports = { createSmtpNotifier };
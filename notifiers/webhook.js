@@ -0,0 +1,43 @@
+// Alert delivery by HTTP POST of the alert as JSON
+const crypto = require('crypto');
+
+const DEFAULT_TIMEOUT_MS = 10000;
+
+/**
+ * Create a webhook notifier
+ * @param {Object} options - Webhook options
+ * @param {string} options.url - URL to POST alerts to
+ * @param {string} options.secret - When set, the body is signed with HMAC-SHA256 in X-Signature-256
+ * @param {number} options.timeoutMs - Request timeout in ms (default: 10000)
+ * @returns {Object} - Notifier with a send(alert) method
+ */
+function createWebhookNotifier({ url, secret = null, timeoutMs = DEFAULT_TIMEOUT_MS }) {
+  if (!url) {
+    throw new Error('The webhook notifier needs a url');
+  }
+
+  return {
+    name: 'webhook',
+
+    async send(alert) {
+      const body = JSON.stringify(alert);
+      const headers = { 'Content-Type': 'application/json' };
+      if (secret) {
+        headers['X-Signature-256'] = `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+      }
+
+      const response = await fetch(url, {
+        method: 'POST',
+        headers,
+        body,
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+
+      if (!response.ok) {
+        throw new Error(`Webhook answered HTTP ${response.status}`);
+      }
+    }
+  };
+}
+
+module.exports = { createWebhookNotifier };
@@ -0,0 +1,190 @@
+// Helpers for walking MarineTraffic reports that span more than one page
+const logger = require('./logger').child({ module: 'pagination' });
+
+// Properties MarineTraffic and common grid APIs use for the total row count
+const TOTAL_COUNT_KEYS = ['totalCount', 'total_count', 'total', 'recordsTotal', 'totalRecords', 'count'];
+
+// Query parameters recognised as page number / offset / page size
+const PAGE_PARAMS = ['page', 'pageNumber', 'page_number'];
+const OFFSET_PARAMS = ['offset', 'start', 'skip'];
+const SIZE_PARAMS = ['limit', 'pageSize', 'page_size', 'per_page', 'length'];
+
+// Upper bound on pages walked per report, in case a server ignores paging parameters
+const MAX_PAGES = 500;
+
+/**
+ * Get the array of vessel rows from an API payload
+ * @param {Object|Array} payload - Parsed JSON response
+ * @returns {Array} - Vessel rows (empty if none found)
+ */
+function extractRows(payload) {
+  if (!payload) return [];
+  if (Array.isArray(payload)) return payload;
+  if (Array.isArray(payload.data)) return payload.data;
+  if (Array.isArray(payload.vessels)) return payload.vessels;
+  return [];
+}
+
+/**
+ * Read the total number of rows a paged payload advertises
+ * @param {Object} payload - Parsed JSON response
+ * @returns {number|null} - Advertised total, or null if the payload has none
+ */
+function getAdvertisedTotal(payload) {
+  if (!payload || Array.isArray(payload)) return null;
+
+  for (const container of [payload, payload.meta, payload.pagination]) {
+    if (!container) continue;
+    for (const key of TOTAL_COUNT_KEYS) {
+      const value = parseInt(container[key], 10);
+      if (!isNaN(value)) return value;
+    }
+  }
+  return null;
+}
+
+/**
+ * Parse the total out of a grid pager label such as "1 - 20 of 1,234"
+ * @param {string} text - Pager text
+ * @returns {number|null} - Advertised total, or null if not found
+ */
+function parsePagerTotal(text) {
+  const match = String(text || '').match(/of\s+(?:more than\s+)?([\d.,\s]+)/i);
+  if (!match) return null;
+  const value = parseInt(match[1].replace(/[^\d]/g, ''), 10);
+  return isNaN(value) ? null : value;
+}
+
+/**
+ * Get the SHIP_ID of a row whatever case the key is in
+ * @param {Object} row - Vessel row
+ * @returns {string|null} - SHIP_ID as a string, or null if missing
+ */
+function getShipId(row) {
+  const value = row.SHIP_ID ?? row.ship_id ?? row.shipId ?? row.shipid;
+  return value === undefined || value === null || value === '' ? null : String(value);
+}
+
+/**
+ * Merge pages of vessel rows, keeping the last occurrence of each SHIP_ID.
+ * Rows without a SHIP_ID (table fallback rows) are deduplicated on their content.
+ * @param {Array<Array>} pages - Rows per page, in page order
+ * @returns {Array} - Merged rows
+ */
+function mergeVesselPages(pages) {
+  const merged = new Map();
+
+  for (const rows of pages) {
+    for (const row of rows) {
+      const key = getShipId(row) ?? `row:${JSON.stringify(row)}`;
+      // Delete first so that a re-seen vessel moves to the position of its last occurrence
+      merged.delete(key);
+      merged.set(key, row);
+    }
+  }
+
+  return [...merged.values()];
+}
+
+/**
+ * Build the URL of a given page from the URL of a captured API response.
+ * Uses whichever paging parameters the captured URL already carries,
+ * falling back to a plain `page` parameter.
+ * @param {string} url - URL of the first captured page
+ * @param {number} pageIndex - Zero-based page index
+ * @param {number} pageSize - Rows per page, as observed on the first page
+ * @returns {string} - URL of the requested page
+ */
+function buildPageUrl(url, pageIndex, pageSize) {
+  const parsed = new URL(url);
+  const params = parsed.searchParams;
+
+  const offsetParam = OFFSET_PARAMS.find(name => params.has(name));
+  const pageParam = PAGE_PARAMS.find(name => params.has(name));
+  const sizeParam = SIZE_PARAMS.find(name => params.has(name));
+
+  if (offsetParam) {
+    params.set(offsetParam, String(pageIndex * pageSize));
+  } else {
+    // Page numbers are one-based unless the first page was requested as page 0
+    const base = pageParam && params.get(pageParam) === '0' ? 0 : 1;
+    params.set(pageParam || 'page', String(pageIndex + base));
+  }
+
+  if (sizeParam) {
+    params.set(sizeParam, String(pageSize));
+  }
+
+  return parsed.toString();
+}
+
+/**
+ * Log a warning when fewer rows were collected than the report advertised
+ * @param {number} collected - Rows collected after merging
+ * @param {number|null} total - Advertised total, if known
+ * @param {string} source - What the rows came from, for the log line
+ * @returns {boolean} - True if the collection is short
+ */
+function reportShortfall(collected, total, source) {
+  if (total === null || collected >= total) {
+    return false;
+  }
+  logger.warn(`Collected ${collected} of ${total} vessels advertised by ${source}`,
+    { collected, total, missing: total - collected });
+  return true;
+}
+
+/**
+ * Walk every page of a captured reports API response and merge the rows
+ * @param {Object} firstResponse - { url, data } of the captured first page
+ * @param {Function} fetchPage - Async function returning the parsed payload of a page URL
+ * @returns {Promise<Object>} - Payload with merged `data` and `totalCount`
+ */
+async function collectApiPages(firstResponse, fetchPage) {
+  const firstRows = extractRows(firstResponse.data);
+  const total = getAdvertisedTotal(firstResponse.data);
+  const pages = [firstRows];
+
+  if (total !== null && firstRows.length > 0 && total > firstRows.length) {
+    logger.info(`Report advertises ${total} vessels, ${firstRows.length} on the first page; fetching remaining pages...`);
+
+    const pageSize = firstRows.length;
+    const seen = new Set(firstRows.map(getShipId));
+
+    for (let pageIndex = 1; pageIndex < MAX_PAGES && seen.size < total; pageIndex++) {
+      let rows;
+      try {
+        rows = extractRows(await fetchPage(buildPageUrl(firstResponse.url, pageIndex, pageSize)));
+      } catch (error) {
+        logger.warn(`Error fetching page ${pageIndex + 1} of the report`, { error: error.message });
+        break;
+      }
+
+      // Stop when the server runs out of rows or ignores the paging parameters
+      const newRows = rows.filter(row => !seen.has(getShipId(row)));
+      if (newRows.length === 0) break;
+
+      newRows.forEach(row => seen.add(getShipId(row)));
+      pages.push(rows);
+    }
+  }
+
+  const merged = mergeVesselPages(pages);
+  logger.info(`Collected ${merged.length} vessels from ${pages.length} API page(s)`);
+  reportShortfall(merged.length, total, 'the reports API');
+
+  const base = Array.isArray(firstResponse.data) ? {} : firstResponse.data;
+  return { ...base, data: merged, totalCount: total ?? merged.length };
+}
+
+module.exports = {
+  MAX_PAGES,
+  collectApiPages,
+  extractRows,
+  getAdvertisedTotal,
+  parsePagerTotal,
+  getShipId,
+  mergeVesselPages,
+  buildPageUrl,
+  reportShortfall
+};
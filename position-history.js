@@ -0,0 +1,153 @@
+// Append-only vessel position history, written alongside the vessels_mt upsert
+const { buildVesselConditions } = require('./vessel-queries');
+const { valuesRow } = require('./sql');
+
+const POSITION_TABLE = 'vessel_positions';
+
+const DEFAULT_POSITIONS_LIMIT = 100000;
+const MAX_POSITIONS_LIMIT = 1000000;
+
+/**
+ * Convert the latest position timestamp of a vessel to a Date
+ * @param {*} value - Unix timestamp in seconds or a date string
+ * @returns {Date|null} - Parsed date, or null if it cannot be parsed
+ */
+function parsePositionTime(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+
+  // If it's a number, treat as Unix timestamp
+  const date = !isNaN(value) ? new Date(parseInt(value) * 1000) : new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Append the current positions of a batch of vessels to the history table.
+ * Vessels without a position timestamp are skipped, as are positions whose
+ * timestamp has already been recorded for that vessel.
+ * @param {Object} client - PostgreSQL client
+ * @param {Array<Object>} vessels - Formatted vessel fields
+ * @returns {Promise<number>} - Number of new history rows written
+ */
+async function recordPositions(client, vessels) {
+  const values = [];
+  const rows = [];
+
+  for (const vessel of vessels) {
+    const positionTime = parsePositionTime(vessel.LAST_POS);
+    if (!vessel.SHIP_ID || !positionTime) {
+      continue;
+    }
+
+    const offset = values.length;
+    values.push(
+      String(vessel.SHIP_ID),
+      positionTime.toISOString(),
+      vessel.LAT ?? null,
+      vessel.LON ?? null,
+      vessel.SPEED ?? null,
+      vessel.COURSE ?? null,
+      vessel.STATUS ?? null
+    );
+    rows.push(valuesRow(offset, 7));
+  }
+
+  if (rows.length === 0) {
+    return 0;
+  }
+
+  const result = await client.query(`
+    INSERT INTO ${POSITION_TABLE} (ship_id, position_time, lat, lon, speed, course, status)
+    VALUES ${rows.join(', ')}
+    ON CONFLICT (ship_id, position_time) DO NOTHING
+  `, values);
+
+  return result.rowCount;
+}
+
+/**
+ * Fetch the track of a vessel between two timestamps, oldest position first
+ * @param {Object} client - PostgreSQL client or pool
+ * @param {string|number} shipId - MarineTraffic SHIP_ID
+ * @param {Date|string} from - Start of the time range (inclusive)
+ * @param {Date|string} to - End of the time range (inclusive)
+ * @returns {Promise<Array>} - Position rows ordered by position_time
+ */
+async function getVesselTrack(client, shipId, from, to) {
+  const result = await client.query(`
+    SELECT ship_id, position_time, lat, lon, speed, course, status
+    FROM ${POSITION_TABLE}
+    WHERE ship_id = $1
+      AND position_time BETWEEN $2 AND $3
+    ORDER BY position_time ASC
+  `, [String(shipId), new Date(from).toISOString(), new Date(to).toISOString()]);
+
+  return result.rows;
+}
+
+/**
+ * Fetch the most recent recorded position of a vessel
+ * @param {Object} client - PostgreSQL client or pool
+ * @param {string|number} shipId - MarineTraffic SHIP_ID
+ * @returns {Promise<Object|null>} - Latest position row, or null if none recorded
+ */
+async function getLatestPosition(client, shipId) {
+  const result = await client.query(`
+    SELECT ship_id, position_time, lat, lon, speed, course, status
+    FROM ${POSITION_TABLE}
+    WHERE ship_id = $1
+    ORDER BY position_time DESC
+    LIMIT 1
+  `, [String(shipId)]);
+
+  return result.rows[0] || null;
+}
+
+/**
+ * List the positions recorded in a time range for the vessels matching the filters,
+ * with each vessel's identity, grouped by vessel and oldest position first
+ * @param {Object} client - PostgreSQL client or pool
+ * @param {Object} filters - Vessel filters, see vessel-queries.buildVesselConditions.
+ *   The bounding box applies to the recorded positions, not to the current one.
+ * @param {Date|string} filters.from - Start of the time range (inclusive)
+ * @param {Date|string} filters.to - End of the time range (inclusive)
+ * @param {number} filters.limit - Maximum rows (default: 100000, at most 1000000)
+ * @param {Object} filters.after - { shipId, positionTime } of the last row of the previous page;
+ *   only later rows are listed. Unlike an offset, this does not shift when positions are added.
+ * @returns {Promise<Array>} - Position rows
+ */
+async function listPositions(client, filters = {}) {
+  const values = [new Date(filters.from).toISOString(), new Date(filters.to).toISOString()];
+  const conditions = [
+    'p.position_time BETWEEN $1 AND $2',
+    ...buildVesselConditions({ ...filters, bbox: null }, values, 'v'),
+    ...buildVesselConditions({ bbox: filters.bbox }, values, 'p')
+  ];
+  if (filters.after) {
+    values.push(String(filters.after.shipId), new Date(filters.after.positionTime).toISOString());
+    conditions.push(`(p.ship_id, p.position_time) > ($${values.length - 1}, $${values.length})`);
+  }
+
+  values.push(Math.max(Math.min(parseInt(filters.limit, 10) || DEFAULT_POSITIONS_LIMIT, MAX_POSITIONS_LIMIT), 1));
+
+  const result = await client.query(`
+    SELECT p.ship_id, v.shipname, v.imo, v.mmsi, v.flag, v.shiptype,
+      p.position_time, p.lat, p.lon, p.speed, p.course, p.status
+    FROM ${POSITION_TABLE} p
+    JOIN vessels_mt v ON v.ship_id = p.ship_id
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY p.ship_id, p.position_time
+    LIMIT $${values.length}
+  `, values);
+
+  return result.rows;
+}
+
+module.exports = {
+  parsePositionTime,
+  recordPositions,
+  getVesselTrack,
+  getLatestPosition,
+  listPositions
+};
@@ -0,0 +1,152 @@
+// Record MarineTraffic responses to a fixture directory and replay them offline.
+//
+// A fixture directory holds:
+//   meta.json       - report definition and URL the fixture was recorded from
+//   responses.json  - intercepted JSON responses, in the order they arrived
+//   page.html       - rendered HTML of the reports page
+//
+// Replay runs the same extraction strategies as the scraper. The table and
+// window-variable strategies need a live DOM and are skipped.
+const fs = require('fs');
+const path = require('path');
+const { extractRows } = require('./pagination');
+const { isVesselPayload } = require('./extraction');
+const { resolveStrategies, runStrategies } = require('./strategies');
+const logger = require('./logger').child({ module: 'replay' });
+
+const META_FILE = 'meta.json';
+const RESPONSES_FILE = 'responses.json';
+const PAGE_FILE = 'page.html';
+
+/**
+ * Create a recorder that collects a run's responses and writes them on flush()
+ * @param {string} dir - Fixture directory to write
+ * @returns {Object} - Recorder with recordResponse, setPage, setMeta and flush methods
+ */
+function createRecorder(dir) {
+  const responses = [];
+  let html = null;
+  let meta = {};
+
+  return {
+    recordResponse(entry) {
+      responses.push(entry);
+    },
+
+    setPage(pageHtml) {
+      html = pageHtml;
+    },
+
+    setMeta(runMeta) {
+      meta = runMeta;
+    },
+
+    async flush() {
+      await fs.promises.mkdir(dir, { recursive: true });
+      await fs.promises.writeFile(path.join(dir, META_FILE),
+        JSON.stringify({ ...meta, recordedAt: new Date().toISOString() }, null, 2));
+      await fs.promises.writeFile(path.join(dir, RESPONSES_FILE), JSON.stringify(responses, null, 2));
+      if (html !== null) {
+        await fs.promises.writeFile(path.join(dir, PAGE_FILE), html);
+      }
+    }
+  };
+}
+
+/**
+ * Normalize a URL so that recorded and requested page URLs compare equal
+ * @param {string} url - URL to normalize
+ * @returns {string} - URL with sorted query parameters
+ */
+function normalizeUrl(url) {
+  const parsed = new URL(url);
+  parsed.searchParams.sort();
+  return parsed.toString();
+}
+
+/**
+ * Read a recorded fixture directory
+ * @param {string} dir - Fixture directory
+ * @returns {Object} - { meta, responses, html }
+ */
+function loadFixture(dir) {
+  const read = (file, fallback) => {
+    const filePath = path.join(dir, file);
+    return fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : fallback;
+  };
+
+  return {
+    meta: JSON.parse(read(META_FILE, '{}')),
+    responses: JSON.parse(read(RESPONSES_FILE, '[]')),
+    html: read(PAGE_FILE, null)
+  };
+}
+
+/**
+ * Extract vessel data from a recorded fixture the way scrapeVesselData does
+ * from a live page
+ * @param {string} dir - Fixture directory
+ * @param {string|Array<string>} strategies - Extraction strategies to try, in order
+ *   (default: EXTRACTION_STRATEGIES or all of them, see strategies/index.js)
+ * @returns {Promise<Object|null>} - Vessel data with `provenance`, or null if none found
+ */
+async function replayFixture(dir, strategies) {
+  const { responses, html } = loadFixture(dir);
+
+  // The scraper keeps the last vessel response that was not one of its own page requests
+  const firstPage = [...responses].reverse().find(entry => !entry.paging && isVesselPayload(entry.body));
+  const recorded = new Map(responses.map(entry => [normalizeUrl(entry.url), entry.body]));
+
+  // There is no live page, so the table and window strategies are skipped
+  return runStrategies(resolveStrategies(strategies), {
+    page: null,
+    vesselResponse: firstPage ? { url: firstPage.url, data: firstPage.body } : null,
+    getHtml: async () => html,
+    fetchPage: async url => {
+      const body = recorded.get(normalizeUrl(url));
+      if (body === undefined) {
+        throw new Error(`No recorded response for ${url}`);
+      }
+      return body;
+    }
+  });
+}
+
+// Command line usage: node replay.js <fixture-dir> [--save]
+async function cli(argv) {
+  const dir = argv.find(arg => !arg.startsWith('--'));
+  if (!dir) {
+    throw new Error('Usage: node replay.js <fixture-dir> [--save]');
+  }
+
+  const vesselData = await replayFixture(dir);
+  const vessels = extractRows(vesselData);
+  logger.info(`Replayed ${vessels.length} vessels from ${dir}`, { provenance: vesselData && vesselData.provenance });
+
+  if (argv.includes('--save')) {
+    const { createStorage } = require('./storage');
+    const storage = createStorage();
+    const { meta } = loadFixture(dir);
+    try {
+      await storage.prepare();
+      await storage.saveVessels(vessels, { report: meta.report && meta.report.tag });
+    } finally {
+      await storage.close();
+    }
+  } else {
+    process.stdout.write(`${JSON.stringify(vessels, null, 2)}\n`);
+  }
+}
+
+if (require.main === module) {
+  cli(process.argv.slice(2)).catch(error => {
+    logger.error('Replay failed', { error: error.message });
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  createRecorder,
+  loadFixture,
+  replayFixture
+};
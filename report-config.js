@@ -0,0 +1,116 @@
+// Report definitions: which MarineTraffic reports to scrape and how to tag their vessels
+const fs = require('fs');
+const path = require('path');
+const { resolveReportExport } = require('./exporter');
+
+const REPORTS_BASE_URL = 'https://www.marinetraffic.com/en/reports/';
+const DEFAULT_CONFIG_PATH = path.join(__dirname, 'reports.json');
+
+// How often a report is scraped unless it sets its own schedule, see scheduler.js
+const DEFAULT_SCHEDULE = 'every 3m';
+
+/**
+ * Load and validate the report definitions from a JSON config file
+ * @param {string} configPath - Path to the config file (default: REPORTS_CONFIG or ./reports.json)
+ * @returns {Array<Object>} - Enabled report definitions with resolved column lists
+ */
+function loadReportDefinitions(configPath = process.env.REPORTS_CONFIG || DEFAULT_CONFIG_PATH) {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read report definitions from ${configPath}: ${error.message}`);
+  }
+
+  const columnSets = config.columnSets || {};
+  const reports = (config.reports || [])
+    .filter(report => report.enabled !== false)
+    .map(report => resolveReport(report, columnSets));
+
+  const names = new Set();
+  for (const report of reports) {
+    if (names.has(report.name)) {
+      throw new Error(`Duplicate report name "${report.name}" in ${configPath}`);
+    }
+    names.add(report.name);
+  }
+
+  if (reports.length === 0) {
+    throw new Error(`No enabled report definitions in ${configPath}`);
+  }
+
+  return reports;
+}
+
+/**
+ * Fill in defaults and resolve a named column set for one report definition
+ * @param {Object} report - Report definition as written in the config file
+ * @param {Object} columnSets - Named column lists from the config file
+ * @returns {Object} - Resolved report definition
+ */
+function resolveReport(report, columnSets) {
+  if (!report.name) {
+    throw new Error('Every report definition needs a "name"');
+  }
+
+  let columns = report.columns;
+  if (typeof columns === 'string') {
+    columns = columnSets[columns];
+    if (!columns) {
+      throw new Error(`Report "${report.name}" refers to unknown column set "${report.columns}"`);
+    }
+  }
+
+  if (!Array.isArray(columns) || columns.length === 0) {
+    throw new Error(`Report "${report.name}" has no columns`);
+  }
+
+  const resolved = {
+    name: report.name,
+    assetType: report.assetType || 'vessels',
+    columns,
+    shipTypes: report.shipTypes || [],
+    flags: report.flags || [],
+    areas: report.areas || [],
+    params: report.params || {},
+    tag: report.tag || report.name,
+    schedule: report.schedule || process.env.SCRAPE_SCHEDULE || DEFAULT_SCHEDULE
+  };
+
+  // Files written after every scrape, see exporter.js
+  resolved.exports = (report.exports || []).map(entry => resolveReportExport(entry, resolved));
+
+  return resolved;
+}
+
+/**
+ * Build the MarineTraffic reports URL for a report definition
+ * @param {Object} report - Resolved report definition
+ * @returns {string} - Reports page URL
+ */
+function buildReportUrl(report) {
+  // Commas, colons and the like are kept readable, as in the URLs MarineTraffic builds itself
+  const params = [
+    ['asset_type', report.assetType],
+    ['columns', report.columns.join(',')]
+  ];
+
+  if (report.shipTypes.length > 0) params.push(['ship_type_in', report.shipTypes.join(',')]);
+  if (report.flags.length > 0) params.push(['flag_in', report.flags.join(',')]);
+  if (report.areas.length > 0) params.push(['area_in', report.areas.join(',')]);
+
+  for (const [key, value] of Object.entries(report.params)) {
+    params.push([key, Array.isArray(value) ? value.join(',') : value]);
+  }
+
+  const query = params
+    .map(([key, value]) => `${encodeURIComponent(key)}=${encodeURI(String(value))}`)
+    .join('&');
+
+  return `${REPORTS_BASE_URL}?${query}`;
+}
+
+module.exports = {
+  loadReportDefinitions,
+  buildReportUrl
+};
@@ -0,0 +1,93 @@
+// Audit log of scraper runs in the scrape_runs table
+const RUNS_TABLE = 'scrape_runs';
+
+/**
+ * Record the start of a run
+ * @param {Object} client - PostgreSQL client or pool
+ * @param {string} report - Name of the report definition being scraped
+ * @returns {Promise<number>} - Id of the new run
+ */
+async function startRun(client, report) {
+  const result = await client.query(
+    `INSERT INTO ${RUNS_TABLE} (report) VALUES ($1) RETURNING id`,
+    [report]
+  );
+  return result.rows[0].id;
+}
+
+/**
+ * Record the outcome of a run
+ * @param {Object} client - PostgreSQL client or pool
+ * @param {number} runId - Id returned by startRun
+ * @param {Object} outcome - Run outcome
+ * @param {string} outcome.status - 'success', 'empty' or 'failed'
+ * @param {Object} outcome.provenance - Provenance of the extracted data, see strategies/index.js
+ * @param {string} outcome.account - MarineTraffic account the run scraped with
+ * @param {number} outcome.vesselCount - Vessels retrieved from MarineTraffic
+ * @param {Object} outcome.counts - Counts and quality summary returned by saveVesselsToDatabase
+ * @param {Error|string} outcome.error - Error that ended the run, if any
+ */
+async function finishRun(client, runId, outcome) {
+  const { status, provenance = {}, account = null, vesselCount = null, counts = {}, error = null } = outcome;
+
+  await client.query(`
+    UPDATE ${RUNS_TABLE}
+    SET status = $2,
+        finished_at = NOW(),
+        duration_ms = ROUND(EXTRACT(EPOCH FROM NOW() - started_at) * 1000),
+        strategy = $3,
+        vessel_count = $4,
+        inserted_count = $5,
+        updated_count = $6,
+        unchanged_count = $7,
+        error_count = $8,
+        position_count = $9,
+        error = $10,
+        source = $11,
+        fidelity = $12,
+        quality = $13,
+        account = $14
+    WHERE id = $1
+  `, [
+    runId,
+    status,
+    provenance.strategy ?? null,
+    vesselCount,
+    counts.inserted ?? null,
+    counts.updated ?? null,
+    counts.unchanged ?? null,
+    counts.failed ?? null,
+    counts.positions ?? null,
+    error ? (error.message || String(error)) : null,
+    provenance.source ?? null,
+    provenance.fidelity ?? null,
+    counts.quality ? JSON.stringify(counts.quality) : null,
+    account
+  ]);
+}
+
+/**
+ * Fetch the most recent runs, newest first
+ * @param {Object} client - PostgreSQL client or pool
+ * @param {Object} options - Query options
+ * @param {number} options.limit - Maximum number of runs (default: 20)
+ * @param {string} options.status - Only runs with this status
+ * @returns {Promise<Array>} - Run rows
+ */
+async function getRecentRuns(client, options = {}) {
+  const { limit = 20, status = null } = options;
+  const result = await client.query(`
+    SELECT *
+    FROM ${RUNS_TABLE}
+    WHERE $2::text IS NULL OR status = $2
+    ORDER BY started_at DESC
+    LIMIT $1
+  `, [limit, status]);
+  return result.rows;
+}
+
+module.exports = {
+  startRun,
+  finishRun,
+  getRecentRuns
+};
@@ -0,0 +1,568 @@
+// Job scheduler: cron or interval schedules with jitter, exponential backoff,
+// a circuit breaker, a quiet window, a run-now trigger and state that survives restarts.
+//
+// Schedules are either a 5-field cron expression ("*/5 * * * *", "@hourly") or an
+// interval ("every 3m", "90s"). Cron expressions and the quiet window use the
+// process's local time, set TZ to change it.
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger').child({ module: 'scheduler' });
+
+const DEFAULT_STATE_FILE = path.join(__dirname, '.scheduler-state.json');
+
+const DEFAULTS = {
+  jitterMs: 30 * 1000,
+  backoffBaseMs: 60 * 1000,
+  backoffMaxMs: 60 * 60 * 1000,
+  breakerThreshold: 5,
+  breakerCooldownMs: 60 * 60 * 1000,
+  runNowPollMs: 5 * 1000
+};
+
+const DURATION_UNITS = { ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+const CRON_PRESETS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *'
+};
+
+// Cron fields in order, with their value ranges
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 7 }
+];
+
+// Give up looking for the next cron time after this many days
+const MAX_CRON_LOOKAHEAD_DAYS = 366 * 5;
+
+/**
+ * Parse a duration such as "90s", "3m" or "1h"
+ * @param {string} value - Duration
+ * @returns {number} - Milliseconds
+ */
+function parseDuration(value) {
+  const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*(ms|s|m|h|d)$/i);
+  if (!match) {
+    throw new Error(`Invalid duration "${value}", expected a number followed by ms, s, m, h or d`);
+  }
+  return Math.round(parseFloat(match[1]) * DURATION_UNITS[match[2].toLowerCase()]);
+}
+
+/**
+ * Parse one field of a cron expression
+ * @param {string} text - Field text, e.g. "*", "1-5", "*\/15" or "0,30"
+ * @param {Object} field - Field definition from CRON_FIELDS
+ * @returns {Set<number>|null} - Allowed values, or null for "any"
+ */
+function parseCronField(text, field) {
+  if (text === '*') return null;
+
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const match = part.match(/^(\*|\d+(?:-\d+)?)(?:\/(\d+))?$/);
+    if (!match) {
+      throw new Error(`Invalid cron ${field.name} "${text}"`);
+    }
+
+    let [start, end] = match[1] === '*'
+      ? [field.min, field.max]
+      : match[1].split('-').map(Number);
+    if (end === undefined) end = match[2] ? field.max : start;
+    const step = match[2] ? parseInt(match[2], 10) : 1;
+
+    if (start < field.min || end > field.max || start > end || step < 1) {
+      throw new Error(`Cron ${field.name} "${text}" is outside ${field.min}-${field.max}`);
+    }
+    for (let value = start; value <= end; value += step) {
+      // Sunday is both 0 and 7
+      values.add(field.name === 'dayOfWeek' && value === 7 ? 0 : value);
+    }
+  }
+  return values;
+}
+
+/**
+ * Parse a schedule expression
+ * @param {string} expression - Cron expression, cron preset or interval ("every 3m", "90s")
+ * @returns {Object} - { type: 'interval', ms } or { type: 'cron', fields }
+ */
+function parseSchedule(expression) {
+  const text = String(expression).trim();
+
+  const interval = text.match(/^(?:every\s+|@every\s+)?(\d+(?:\.\d+)?\s*(?:ms|s|m|h|d))$/i);
+  if (interval) {
+    const ms = parseDuration(interval[1]);
+    if (ms <= 0) {
+      throw new Error(`Schedule interval must be positive: "${expression}"`);
+    }
+    return { type: 'interval', ms, expression: text };
+  }
+
+  const parts = (CRON_PRESETS[text] || text).split(/\s+/);
+  if (parts.length !== CRON_FIELDS.length) {
+    throw new Error(`Invalid schedule "${expression}", expected a 5-field cron expression or an interval like "every 3m"`);
+  }
+
+  const fields = {};
+  CRON_FIELDS.forEach((field, i) => {
+    fields[field.name] = parseCronField(parts[i], field);
+  });
+  return { type: 'cron', fields, expression: text };
+}
+
+/**
+ * Check whether a date matches the day fields of a cron schedule. As in cron,
+ * when both day of month and day of week are restricted either may match.
+ * @param {Object} fields - Parsed cron fields
+ * @param {Date} date - Date in local time
+ * @returns {boolean} - True if the day matches
+ */
+function matchesCronDay(fields, date) {
+  const { dayOfMonth, dayOfWeek } = fields;
+  const domMatch = !dayOfMonth || dayOfMonth.has(date.getDate());
+  const dowMatch = !dayOfWeek || dayOfWeek.has(date.getDay());
+  if (dayOfMonth && dayOfWeek) return domMatch || dowMatch;
+  return domMatch && dowMatch;
+}
+
+/**
+ * Find the first time after `from` that matches a cron schedule
+ * @param {Object} fields - Parsed cron fields
+ * @param {Date} from - Start time, exclusive
+ * @returns {Date} - Next matching time
+ */
+function nextCronTime(fields, from) {
+  const date = new Date(from.getTime());
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  const limit = from.getTime() + MAX_CRON_LOOKAHEAD_DAYS * DURATION_UNITS.d;
+  while (date.getTime() <= limit) {
+    if (fields.month && !fields.month.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!matchesCronDay(fields, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (fields.hour && !fields.hour.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+    } else if (fields.minute && !fields.minute.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0, 0);
+    } else {
+      return date;
+    }
+  }
+  throw new Error('Cron schedule never matches');
+}
+
+/**
+ * Parse a quiet window such as "22:00-06:00"
+ * @param {string} value - Window as HH:MM-HH:MM in local time, may wrap past midnight
+ * @returns {Object|null} - { start, end } in minutes after midnight, or null when not set
+ */
+function parseQuietWindow(value) {
+  if (!value) return null;
+  const match = String(value).trim().match(/^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/);
+  if (!match) {
+    throw new Error(`Invalid quiet window "${value}", expected HH:MM-HH:MM`);
+  }
+  const [startHour, startMinute, endHour, endMinute] = match.slice(1).map(Number);
+  if (startHour > 23 || endHour > 23 || startMinute > 59 || endMinute > 59) {
+    throw new Error(`Invalid quiet window "${value}", expected HH:MM-HH:MM`);
+  }
+  return { start: startHour * 60 + startMinute, end: endHour * 60 + endMinute };
+}
+
+/**
+ * Move a time out of the quiet window, to the moment the window ends
+ * @param {Date} date - Planned run time
+ * @param {Object|null} window - Quiet window from parseQuietWindow
+ * @returns {Date} - The same time, or the end of the quiet window it falls in
+ */
+function skipQuietWindow(date, window) {
+  if (!window || window.start === window.end) return date;
+
+  const minutes = date.getHours() * 60 + date.getMinutes();
+  const wraps = window.start > window.end;
+  const inWindow = wraps
+    ? minutes >= window.start || minutes < window.end
+    : minutes >= window.start && minutes < window.end;
+  if (!inWindow) return date;
+
+  const end = new Date(date.getTime());
+  end.setHours(Math.floor(window.end / 60), window.end % 60, 0, 0);
+  if (end <= date) {
+    end.setDate(end.getDate() + 1);
+  }
+  return end;
+}
+
+/**
+ * Read persisted scheduler state
+ * @param {string} stateFile - State file path
+ * @returns {Object} - { jobs: { [name]: jobState } }
+ */
+function loadState(stateFile) {
+  try {
+    const state = JSON.parse(fs.readFileSync(stateFile, 'utf8'));
+    return { jobs: state.jobs || {} };
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.warn(`Could not read scheduler state from ${stateFile}, starting fresh`, { error: error.message });
+    }
+    return { jobs: {} };
+  }
+}
+
+/**
+ * Write scheduler state atomically
+ * @param {string} stateFile - State file path
+ * @param {Object} state - State to write
+ */
+function saveState(stateFile, state) {
+  const tmpFile = `${stateFile}.tmp`;
+  fs.writeFileSync(tmpFile, JSON.stringify({ ...state, savedAt: new Date().toISOString() }, null, 2));
+  fs.renameSync(tmpFile, stateFile);
+}
+
+/**
+ * Create a scheduler. Jobs run one at a time, in the order they fall due.
+ * @param {Object} options - Scheduler options
+ * @param {Array<Object>} options.jobs - Jobs as { name, schedule, run } where run is an async function
+ * @param {string} options.stateFile - Where to persist job state (default: SCHEDULER_STATE_FILE or .scheduler-state.json)
+ * @param {number} options.jitterMs - Random delay of up to this much added to every run
+ *   (default: SCHEDULER_JITTER_SECONDS or 30 s)
+ * @param {string} options.quietWindow - No scheduled runs between HH:MM-HH:MM (default: SCHEDULER_QUIET_HOURS)
+ * @param {number} options.backoffBaseMs - Delay after the first failure, doubled on every further
+ *   failure (default: SCHEDULER_BACKOFF_BASE_SECONDS or 60 s)
+ * @param {number} options.backoffMaxMs - Longest backoff delay (default: SCHEDULER_BACKOFF_MAX_SECONDS or 1 h)
+ * @param {number} options.breakerThreshold - Consecutive failures that open the circuit breaker
+ *   (default: SCHEDULER_BREAKER_THRESHOLD or 5)
+ * @param {number} options.breakerCooldownMs - How long an open breaker pauses a job
+ *   (default: SCHEDULER_BREAKER_COOLDOWN_SECONDS or 1 h)
+ * @param {number} options.runNowPollMs - How often to look for a request from requestRunNow
+ *   (default: SCHEDULER_RUN_NOW_POLL_SECONDS or 5 s)
+ * @param {Function} options.random - Source of randomness for jitter (default: Math.random)
+ * @returns {Object} - Scheduler with start, stop, runNow, status and idle methods
+ */
+function createScheduler(options) {
+  const env = process.env;
+  const seconds = (value, fallback) => (value !== undefined && value !== '' && !isNaN(value) ? Number(value) * 1000 : fallback);
+  const {
+    jobs,
+    stateFile = env.SCHEDULER_STATE_FILE || DEFAULT_STATE_FILE,
+    jitterMs = seconds(env.SCHEDULER_JITTER_SECONDS, DEFAULTS.jitterMs),
+    quietWindow = env.SCHEDULER_QUIET_HOURS,
+    backoffBaseMs = seconds(env.SCHEDULER_BACKOFF_BASE_SECONDS, DEFAULTS.backoffBaseMs),
+    backoffMaxMs = seconds(env.SCHEDULER_BACKOFF_MAX_SECONDS, DEFAULTS.backoffMaxMs),
+    breakerThreshold = parseInt(env.SCHEDULER_BREAKER_THRESHOLD, 10) || DEFAULTS.breakerThreshold,
+    breakerCooldownMs = seconds(env.SCHEDULER_BREAKER_COOLDOWN_SECONDS, DEFAULTS.breakerCooldownMs),
+    runNowPollMs = seconds(env.SCHEDULER_RUN_NOW_POLL_SECONDS, DEFAULTS.runNowPollMs),
+    random = Math.random
+  } = options;
+
+  const quiet = parseQuietWindow(quietWindow);
+  const schedules = new Map(jobs.map(job => [job.name, parseSchedule(job.schedule)]));
+  const state = loadState(stateFile);
+
+  let timer = null;
+  // True while the armed timer starts due jobs on the next turn of the event loop
+  let timerDue = false;
+  let running = null;
+  let stopped = true;
+  let runNowPoll = null;
+  const manualQueue = new Set();
+
+  const jobState = name => {
+    if (!state.jobs[name]) {
+      state.jobs[name] = { nextRunAt: null, lastRunAt: null, lastSuccessAt: null, failures: 0, breakerOpenUntil: null };
+    }
+    return state.jobs[name];
+  };
+
+  const persist = () => {
+    try {
+      saveState(stateFile, state);
+    } catch (error) {
+      logger.warn(`Could not write scheduler state to ${stateFile}`, { error: error.message });
+    }
+  };
+
+  /**
+   * Plan the next run of a job after `from`
+   * @param {string} name - Job name
+   * @param {Date} from - Time the last run finished
+   * @param {number} delayMs - Minimum delay, e.g. a backoff
+   * @returns {Date} - Next run time
+   */
+  const planNextRun = (name, from, delayMs = 0) => {
+    const schedule = schedules.get(name);
+    let next = schedule.type === 'interval'
+      ? new Date(from.getTime() + schedule.ms)
+      : nextCronTime(schedule.fields, from);
+
+    if (next.getTime() < from.getTime() + delayMs) {
+      next = new Date(from.getTime() + delayMs);
+    }
+    next = new Date(next.getTime() + Math.round(random() * jitterMs));
+    return skipQuietWindow(next, quiet);
+  };
+
+  const arm = () => {
+    clearTimeout(timer);
+    timer = null;
+    timerDue = false;
+    if (stopped || running) return;
+
+    const now = Date.now();
+    if (manualQueue.size > 0) {
+      timerDue = true;
+      timer = setTimeout(tick, 0);
+      return;
+    }
+
+    const nextTimes = jobs.map(job => Date.parse(jobState(job.name).nextRunAt));
+    const delay = Math.max(Math.min(...nextTimes) - now, 0);
+    timerDue = delay === 0;
+    // setTimeout overflows past ~24.8 days, so wake up on the way there
+    timer = setTimeout(tick, Math.min(delay, 2 ** 31 - 1));
+  };
+
+  /**
+   * Run one job and update its state
+   * @param {Object} job - Job
+   * @param {boolean} manual - True for a run-now request, which ignores the breaker
+   */
+  const runJob = async (job, manual) => {
+    const current = jobState(job.name);
+    const startedAt = new Date();
+    current.lastRunAt = startedAt.toISOString();
+    logger.info(`Running job "${job.name}"`, { manual, failures: current.failures });
+
+    try {
+      await job.run();
+      current.failures = 0;
+      current.breakerOpenUntil = null;
+      current.lastSuccessAt = new Date().toISOString();
+      current.lastError = null;
+      current.nextRunAt = planNextRun(job.name, new Date()).toISOString();
+    } catch (error) {
+      current.failures++;
+      current.lastError = error.message;
+      const finishedAt = new Date();
+
+      // Some failures, such as every account cooling down, will not go away by retrying soon.
+      // When the error says when they will, the breaker stays open until then.
+      if (current.failures >= breakerThreshold || error.tripBreaker) {
+        current.breakerOpenUntil = (error.tripBreaker && error.retryAt
+          ? new Date(error.retryAt)
+          : new Date(finishedAt.getTime() + breakerCooldownMs)).toISOString();
+        current.nextRunAt = skipQuietWindow(new Date(current.breakerOpenUntil), quiet).toISOString();
+        logger.error(`Circuit breaker opened for job "${job.name}" after ${current.failures} failure(s)`,
+          { until: current.breakerOpenUntil, error: error.message });
+      } else {
+        const backoffMs = Math.min(backoffBaseMs * 2 ** (current.failures - 1), backoffMaxMs);
+        current.nextRunAt = planNextRun(job.name, finishedAt, backoffMs).toISOString();
+        logger.warn(`Job "${job.name}" failed, next attempt at ${current.nextRunAt}`,
+          { failures: current.failures, error: error.message });
+      }
+    }
+
+    persist();
+  };
+
+  const tick = async () => {
+    timer = null;
+    timerDue = false;
+    if (stopped || running) return;
+
+    // Manual requests first, then every job that is due, in order of due time
+    const now = Date.now();
+    const due = [...manualQueue]
+      .map(name => ({ job: jobs.find(job => job.name === name), manual: true }))
+      .concat(jobs
+        .filter(job => !manualQueue.has(job.name) && Date.parse(jobState(job.name).nextRunAt) <= now)
+        .sort((a, b) => Date.parse(jobState(a.name).nextRunAt) - Date.parse(jobState(b.name).nextRunAt))
+        .map(job => ({ job, manual: false })));
+    manualQueue.clear();
+
+    running = (async () => {
+      for (const { job, manual } of due) {
+        if (stopped) break;
+        await runJob(job, manual);
+      }
+    })();
+
+    try {
+      await running;
+    } finally {
+      running = null;
+      arm();
+    }
+  };
+
+  const scheduler = {
+    start() {
+      stopped = false;
+      const now = new Date();
+      for (const job of jobs) {
+        const current = jobState(job.name);
+        // A job that is new, or whose schedule changed while stopped, runs on its new schedule
+        if (current.schedule !== schedules.get(job.name).expression || !current.nextRunAt) {
+          current.schedule = schedules.get(job.name).expression;
+          current.nextRunAt = skipQuietWindow(now, quiet).toISOString();
+        }
+      }
+      // Drop state of jobs that no longer exist
+      for (const name of Object.keys(state.jobs)) {
+        if (!schedules.has(name)) delete state.jobs[name];
+      }
+      persist();
+      logger.info(`Scheduler started with ${jobs.length} job(s)`, {
+        jobs: jobs.map(job => ({ name: job.name, schedule: job.schedule, nextRunAt: jobState(job.name).nextRunAt }))
+      });
+      arm();
+
+      runNowPoll = setInterval(() => {
+        const names = takeRunNowRequest(stateFile);
+        if (names) scheduler.runNow(names);
+      }, runNowPollMs);
+      // The poll alone does not keep the process running
+      runNowPoll.unref();
+    },
+
+    /**
+     * Stop scheduling; a job that is running is allowed to finish
+     */
+    async stop() {
+      stopped = true;
+      clearTimeout(timer);
+      timer = null;
+      clearInterval(runNowPoll);
+      runNowPoll = null;
+      if (running) await running;
+    },
+
+    /**
+     * Run jobs as soon as the current one finishes, ignoring schedule, quiet window and breaker
+     * @param {Array<string>} names - Job names (default: all jobs)
+     */
+    runNow(names = []) {
+      const selected = names.length > 0 ? names : jobs.map(job => job.name);
+      for (const name of selected) {
+        if (!schedules.has(name)) {
+          logger.warn(`Ignoring run-now request for unknown job "${name}"`);
+          continue;
+        }
+        manualQueue.add(name);
+      }
+      logger.info('Run-now requested', { jobs: [...manualQueue] });
+      arm();
+    },
+
+    /**
+     * Current state of every job
+     * @returns {Object} - Job name -> state
+     */
+    status() {
+      return JSON.parse(JSON.stringify(state.jobs));
+    },
+
+    // Resolves once no job is running and none is about to start
+    async idle() {
+      while (running || (timer && timerDue)) {
+        await (running || new Promise(resolve => setImmediate(resolve)));
+      }
+    }
+  };
+
+  return scheduler;
+}
+
+/**
+ * File through which the run-now command tells a running scheduler which jobs to run
+ * @param {string} stateFile - Scheduler state file
+ * @returns {string} - Trigger file path
+ */
+function runNowFile(stateFile) {
+  return `${stateFile}.run-now`;
+}
+
+/**
+ * Take the pending run-now request, if any. The trigger file is renamed before it is
+ * read, so a request written meanwhile is kept for the next poll.
+ * @param {string} stateFile - Scheduler state file
+ * @returns {Array<string>|null} - Job names (empty for every job), or null without a request
+ */
+function takeRunNowRequest(stateFile) {
+  const claimedFile = `${runNowFile(stateFile)}.claimed`;
+  try {
+    fs.renameSync(runNowFile(stateFile), claimedFile);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.warn(`Could not read run-now request ${runNowFile(stateFile)}`, { error: error.message });
+    }
+    return null;
+  }
+
+  try {
+    const names = JSON.parse(fs.readFileSync(claimedFile, 'utf8'));
+    return Array.isArray(names) ? names.map(String) : [];
+  } catch (error) {
+    logger.warn('Could not parse run-now request, running every job', { error: error.message });
+    return [];
+  } finally {
+    fs.rmSync(claimedFile, { force: true });
+  }
+}
+
+/**
+ * Ask the running scheduler to run jobs now. Writes the trigger file, which the
+ * scheduler picks up on its next poll. No signal is sent, so a stale state file
+ * never makes this reach another process.
+ * @param {Array<string>} names - Job names (default: all jobs)
+ * @param {string} stateFile - Scheduler state file
+ */
+function requestRunNow(names = [], stateFile = process.env.SCHEDULER_STATE_FILE || DEFAULT_STATE_FILE) {
+  if (!fs.existsSync(stateFile)) {
+    throw new Error(`No scheduler found, ${stateFile} does not exist`);
+  }
+  const tmpFile = `${runNowFile(stateFile)}.tmp`;
+  fs.writeFileSync(tmpFile, JSON.stringify(names));
+  fs.renameSync(tmpFile, runNowFile(stateFile));
+}
+
+// Command line usage: node scheduler.js run-now [job...] | status
+if (require.main === module) {
+  const [command, ...names] = process.argv.slice(2);
+  const stateFile = process.env.SCHEDULER_STATE_FILE || DEFAULT_STATE_FILE;
+  try {
+    if (command === 'run-now') {
+      requestRunNow(names, stateFile);
+      logger.info(`Asked the scheduler to run ${names.length > 0 ? names.join(', ') : 'every job'}`);
+    } else if (command === 'status') {
+      console.log(JSON.stringify(loadState(stateFile).jobs, null, 2));
+    } else {
+      throw new Error('Usage: node scheduler.js run-now [job...] | status');
+    }
+  } catch (error) {
+    logger.error(error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  parseDuration,
+  parseSchedule,
+  nextCronTime,
+  parseQuietWindow,
+  skipQuietWindow,
+  createScheduler,
+  requestRunNow
+};
@@ -0,0 +1,54 @@
+// Typed scraper failures, so callers can tell a rejected login from a challenge page,
+// a changed layout, a flaky network or a report without vessels
+const SCRAPE_ERROR_KINDS = [
+  'bad_credentials', // MarineTraffic rejected the username or password
+  'captcha',         // A CAPTCHA or Cloudflare challenge was shown instead of the site
+  'throttled',       // MarineTraffic answered HTTP 429 and no data was retrieved
+  'layout_changed',  // An element the scraper relies on is missing
+  'network',         // Navigation failed or timed out
+  'empty_report',    // The report page loaded but no strategy found vessel rows
+  'unknown'
+];
+
+// Retrying soon does not help with these, so they open the scheduler's circuit breaker
+// straight away. A CAPTCHA is not one of them: the credential pool cools that account
+// down and the next run rotates to another, see credentials.js.
+const BREAKER_KINDS = ['layout_changed'];
+
+// Puppeteer and Node messages of failed or timed out connections
+const NETWORK_ERROR = /net::ERR_|ECONNRESET|ECONNREFUSED|ENOTFOUND|EAI_AGAIN|ETIMEDOUT|socket hang up|Navigation timeout/i;
+
+class ScrapeError extends Error {
+  /**
+   * @param {string} kind - One of SCRAPE_ERROR_KINDS
+   * @param {string} message - Error message
+   * @param {Object} options - { cause }
+   */
+  constructor(kind, message, options = {}) {
+    super(message, { cause: options.cause });
+    this.name = 'ScrapeError';
+    this.kind = kind;
+    this.tripBreaker = BREAKER_KINDS.includes(kind);
+    // Directory of the screenshot, HTML and network log, set by the scraper once saved
+    this.diagnostics = null;
+  }
+}
+
+/**
+ * Turn any error thrown while scraping into a ScrapeError
+ * @param {Error} error - Error to classify
+ * @returns {ScrapeError} - The error itself if already typed, otherwise a 'network'
+ *   or 'unknown' ScrapeError with the original error as its cause
+ */
+function classifyError(error) {
+  if (error instanceof ScrapeError) return error;
+  const message = error && error.message ? error.message : String(error);
+  const network = NETWORK_ERROR.test(message) || (error && error.name === 'TimeoutError');
+  return new ScrapeError(network ? 'network' : 'unknown', message, { cause: error });
+}
+
+module.exports = {
+  SCRAPE_ERROR_KINDS,
+  ScrapeError,
+  classifyError
+};
@@ -0,0 +1,474 @@
+// Watchlist screening: vessels are matched on IMO number and MMSI, their owners,
+// managers and operator by fuzzy name, and flag or name changes are flagged as
+// possible reflagging. Hits are stored for compliance to review.
+const fs = require('fs');
+const path = require('path');
+const { normalizeCompanyName, ROLE_GROUPS } = require('./companies');
+const { valuesRow } = require('./sql');
+
+const HITS_TABLE = 'screening_hits';
+
+// Name similarity at or above which a company name is a hit
+const DEFAULT_MATCH_THRESHOLD = 0.85;
+
+// Party fields screened against the company names of the watchlists
+const SCREENED_PARTY_FIELDS = [...ROLE_GROUPS.owner, ...ROLE_GROUPS.manager, 'operator']
+  .map(role => role.toUpperCase());
+
+// Legal forms are left out when comparing names, "ACME SHIPPING LTD" is "ACME SHIPPING"
+const LEGAL_FORMS = new Set([
+  'LTD', 'LIMITED', 'INC', 'INCORPORATED', 'CORP', 'CORPORATION', 'CO', 'COMPANY', 'LLC', 'LLP',
+  'PLC', 'SA', 'SAS', 'AG', 'GMBH', 'BV', 'NV', 'AS', 'SRL', 'SPA', 'PTE', 'PTY', 'JSC', 'OOO'
+]);
+
+// Scores of reflagging hits: a flag change alone is common, together with a new name it is typical
+const REFLAG_SCORES = { flagAndName: 0.9, flag: 0.6, name: 0.4 };
+
+const REVIEW_STATUSES = ['open', 'confirmed', 'dismissed'];
+
+const DEFAULT_HITS_LIMIT = 100;
+const MAX_HITS_LIMIT = 10000;
+
+/**
+ * Parse CSV text with a header row, RFC 4180 quoting
+ * @param {string} text - CSV text
+ * @returns {Array<Object>} - Rows keyed by lowercased header
+ */
+function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      record.push(cell);
+      records.push(record);
+      record = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || record.length > 0) {
+    record.push(cell);
+    records.push(record);
+  }
+
+  const [header = [], ...rows] = records.filter(row => row.some(value => value.trim() !== ''));
+  const keys = header.map(key => key.trim().toLowerCase());
+  return rows.map(row => Object.fromEntries(keys.map((key, i) => [key, (row[i] ?? '').trim()])));
+}
+
+/**
+ * Keep the digits of an IMO number or MMSI, "IMO 9074729" is 9074729
+ * @param {*} value - Identifier
+ * @returns {string|null} - Digits, or null for missing values and the IMO placeholder 0
+ */
+function normalizeIdentifier(value) {
+  if (value === null || value === undefined) return null;
+  const digits = String(value).replace(/\D/g, '');
+  return digits === '' || /^0+$/.test(digits) ? null : digits;
+}
+
+/**
+ * Reduce a company name to what is compared: normalized, without legal forms
+ * @param {string} name - Company name
+ * @returns {string|null} - Comparable name, or null if the value is not a name
+ */
+function comparableName(name) {
+  const normalized = normalizeCompanyName(name);
+  if (!normalized) return null;
+  // Rejoin dotted abbreviations, "S.A." normalizes to "S A"
+  const tokens = normalized.replace(/\b(\p{L}) (?=\p{L}\b)/gu, '$1').split(' ');
+  const kept = tokens.filter(token => !LEGAL_FORMS.has(token));
+  // A name that is nothing but legal forms is compared as it is
+  return (kept.length > 0 ? kept : tokens).join(' ');
+}
+
+/**
+ * Levenshtein distance between two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} - Edit distance
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Similarity of two comparable names between 0 and 1: the edit distance ratio,
+ * of the names as written or with their words sorted, whichever is higher
+ * @param {string} a - Comparable name
+ * @param {string} b - Comparable name
+ * @returns {number} - Similarity, 1 for identical names
+ */
+function nameSimilarity(a, b) {
+  if (a === b) return 1;
+  const ratio = (x, y) => 1 - editDistance(x, y) / Math.max(x.length, y.length, 1);
+  const sorted = name => name.split(' ').sort().join(' ');
+  return Math.max(ratio(a, b), ratio(sorted(a), sorted(b)));
+}
+
+/**
+ * Turn the rows of one watchlist file into entries
+ * @param {Array<Object>} rows - Rows with imo, mmsi, name (or company), list and reason
+ * @param {string} file - Watchlist file or list name, its base name is the default list name
+ * @returns {Array<Object>} - Entries as { list, imo, mmsi, name, comparable, reason }
+ */
+function toEntries(rows, file) {
+  const defaultList = path.basename(file, path.extname(file));
+  return rows.map((row, i) => {
+    const lower = Object.fromEntries(Object.entries(row).map(([key, value]) => [key.toLowerCase(), value]));
+    const name = lower.name || lower.company || null;
+    const entry = {
+      list: lower.list || defaultList,
+      imo: normalizeIdentifier(lower.imo),
+      mmsi: normalizeIdentifier(lower.mmsi),
+      name: name ? String(name).trim() : null,
+      comparable: comparableName(name),
+      reason: lower.reason || null
+    };
+    if (!entry.imo && !entry.mmsi && !entry.comparable) {
+      throw new Error(`Entry ${i + 1} of ${file} has no imo, mmsi or name`);
+    }
+    return entry;
+  });
+}
+
+/**
+ * Load watchlists from CSV files with a header row, or JSON files holding an
+ * array of entries or { list, entries }. Entries have imo, mmsi and/or name
+ * (or company), and optionally list and reason.
+ * @param {string|Array<string>} files - Paths, or a comma-separated list (default: WATCHLIST_FILES).
+ *   Without files, screening is disabled and null is returned.
+ * @returns {Object|null} - Watchlist indexed for screenVessels
+ */
+function loadWatchlists(files = process.env.WATCHLIST_FILES) {
+  const paths = (Array.isArray(files) ? files : String(files || '').split(','))
+    .map(file => file.trim())
+    .filter(Boolean);
+  if (paths.length === 0) return null;
+
+  const entries = [];
+  for (const file of paths) {
+    let rows;
+    try {
+      const text = fs.readFileSync(file, 'utf8');
+      if (path.extname(file).toLowerCase() === '.json') {
+        const parsed = JSON.parse(text);
+        rows = Array.isArray(parsed)
+          ? parsed
+          : (parsed.entries || []).map(entry => ({ list: parsed.list, ...entry }));
+      } else {
+        rows = parseCsv(text);
+      }
+    } catch (error) {
+      throw new Error(`Could not read watchlist ${file}: ${error.message}`);
+    }
+    entries.push(...toEntries(rows, file));
+  }
+
+  return indexWatchlist(entries);
+}
+
+/**
+ * Build a watchlist from entries given in code rather than files
+ * @param {Array<Object>} rows - Entries with imo, mmsi and/or name, see loadWatchlists
+ * @param {string} list - List name of entries without one
+ * @returns {Object} - Watchlist indexed for screenVessels
+ */
+function buildWatchlist(rows, list = 'watchlist') {
+  return indexWatchlist(toEntries(rows, list));
+}
+
+/**
+ * Index watchlist entries for screening
+ * @param {Array<Object>} entries - Entries, see toEntries
+ * @returns {Object} - { entries, imos, mmsis, names, nameTokens }
+ */
+function indexWatchlist(entries) {
+  const watchlist = { entries, imos: new Map(), mmsis: new Map(), names: [], nameTokens: new Map() };
+  const add = (map, key, value) => map.set(key, [...(map.get(key) || []), value]);
+
+  for (const entry of entries) {
+    if (entry.imo) add(watchlist.imos, entry.imo, entry);
+    if (entry.mmsi) add(watchlist.mmsis, entry.mmsi, entry);
+    if (entry.comparable) {
+      watchlist.names.push(entry);
+      for (const token of new Set(entry.comparable.split(' '))) {
+        add(watchlist.nameTokens, token, entry);
+      }
+    }
+  }
+  return watchlist;
+}
+
+/**
+ * Find the watchlist names similar to a company name. Only names sharing a
+ * word with it are compared, which keeps screening fast on long lists.
+ * @param {Object} watchlist - Watchlist, see buildWatchlist
+ * @param {string} comparable - Comparable name, see comparableName
+ * @param {number} threshold - Minimum similarity
+ * @returns {Array<Object>} - { entry, score } by descending score
+ */
+function matchName(watchlist, comparable, threshold) {
+  const candidates = new Set();
+  for (const token of comparable.split(' ')) {
+    for (const entry of watchlist.nameTokens.get(token) || []) {
+      candidates.add(entry);
+    }
+  }
+
+  const matches = [];
+  for (const entry of candidates) {
+    const score = nameSimilarity(comparable, entry.comparable);
+    if (score >= threshold) {
+      matches.push({ entry, score: Math.round(score * 1000) / 1000 });
+    }
+  }
+  return matches.sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Reflagging hits from the flag and name changes detected for a vessel
+ * @param {string} shipId - SHIP_ID
+ * @param {Array<Object>} events - The vessel's events, see vessel-events.diffVessel
+ * @returns {Array<Object>} - Hits
+ */
+function reflagHits(shipId, events) {
+  // A first reported flag or name is not a change
+  const changed = type => events.find(event => event.type === type && event.oldValue !== null);
+  const flag = changed('flag_changed');
+  const name = changed('name_changed');
+  if (!flag && !name) return [];
+
+  const score = flag && name ? REFLAG_SCORES.flagAndName : flag ? REFLAG_SCORES.flag : REFLAG_SCORES.name;
+  const changes = [flag && `flag changed from ${flag.oldValue} to ${flag.newValue}`,
+    name && `name changed from ${name.oldValue} to ${name.newValue}`].filter(Boolean);
+
+  return [flag, name].filter(Boolean).map(event => ({
+    shipId,
+    kind: 'reflag',
+    field: event.field,
+    value: String(event.newValue),
+    matched: String(event.oldValue),
+    list: '',
+    score,
+    reason: `Possible reflagging: ${changes.join(' and ')}`
+  }));
+}
+
+/**
+ * Screen formatted vessels against the watchlists
+ * @param {Array<Object>} vessels - Formatted vessel fields
+ * @param {Object} watchlist - Watchlist, see loadWatchlists
+ * @param {Object} options - Screening options
+ * @param {Array<Object>} options.events - Events detected for these vessels, for reflagging
+ * @param {number} options.threshold - Name similarity threshold (default: WATCHLIST_MATCH_THRESHOLD or 0.85)
+ * @returns {Array<Object>} - Hits as { shipId, kind, field, value, matched, list, score, reason }
+ *   where kind is imo, mmsi, company or reflag
+ */
+function screenVessels(vessels, watchlist, options = {}) {
+  const threshold = options.threshold ?? (parseFloat(process.env.WATCHLIST_MATCH_THRESHOLD) || DEFAULT_MATCH_THRESHOLD);
+  const events = options.events || [];
+  const nameMatches = new Map();
+  const hits = [];
+
+  for (const vessel of vessels) {
+    if (!vessel.SHIP_ID) continue;
+    const shipId = String(vessel.SHIP_ID);
+
+    for (const [kind, field, index] of [['imo', 'IMO', watchlist.imos], ['mmsi', 'MMSI', watchlist.mmsis]]) {
+      const value = normalizeIdentifier(vessel[field]);
+      for (const entry of (value && index.get(value)) || []) {
+        hits.push({
+          shipId,
+          kind,
+          field,
+          value,
+          matched: entry[kind],
+          list: entry.list,
+          score: 1,
+          reason: [`${field} ${value} is on ${entry.list}`, entry.reason].filter(Boolean).join(': ')
+        });
+      }
+    }
+
+    for (const field of SCREENED_PARTY_FIELDS) {
+      const comparable = comparableName(vessel[field]);
+      if (!comparable) continue;
+      // The same company appears on many vessels of a batch
+      if (!nameMatches.has(comparable)) {
+        nameMatches.set(comparable, matchName(watchlist, comparable, threshold));
+      }
+      for (const { entry, score } of nameMatches.get(comparable)) {
+        hits.push({
+          shipId,
+          kind: 'company',
+          field,
+          value: String(vessel[field]),
+          matched: entry.name,
+          list: entry.list,
+          score,
+          reason: [`${field} "${vessel[field]}" matches "${entry.name}" on ${entry.list}`, entry.reason]
+            .filter(Boolean).join(': ')
+        });
+      }
+    }
+
+    hits.push(...reflagHits(shipId, events.filter(event => event.shipId === shipId)));
+  }
+
+  // One hit per vessel, field and watchlist entry even if the entry is listed twice
+  const unique = new Map(hits.map(hit => [hitKey(hit), hit]));
+  return [...unique.values()];
+}
+
+/**
+ * Identity of a hit: stored hits with the same key are the same hit
+ * @param {Object} hit - Hit, see screenVessels
+ * @returns {string} - Key of vessel, kind, field, value and watchlist entry
+ */
+function hitKey(hit) {
+  return [hit.shipId, hit.kind, hit.field, hit.value, hit.matched || '', hit.list || ''].join('\u0000');
+}
+
+/**
+ * Store screening hits. A hit already stored for the same vessel, field and
+ * watchlist entry is updated rather than duplicated and keeps its review.
+ * @param {Object} client - PostgreSQL client inside a transaction
+ * @param {Array<Object>} hits - Hits, see screenVessels
+ * @param {string} report - Tag of the report the vessels came from
+ * @returns {Promise<number>} - Number of hits not stored before
+ */
+async function recordScreeningHits(client, hits, report = null) {
+  if (hits.length === 0) return 0;
+
+  const values = [];
+  const rows = hits.map(hit => {
+    values.push(hit.shipId, hit.kind, hit.field, hit.value, hit.matched || '', hit.list || '', hit.score, hit.reason, report);
+    const offset = values.length - 9;
+    return valuesRow(offset, 9);
+  });
+
+  const result = await client.query(`
+    INSERT INTO ${HITS_TABLE} AS h (ship_id, kind, field, value, matched, list, score, reason, report)
+    VALUES ${rows.join(', ')}
+    ON CONFLICT (ship_id, kind, field, value, matched, list) DO UPDATE SET
+      score = EXCLUDED.score,
+      reason = EXCLUDED.reason,
+      report = EXCLUDED.report,
+      last_seen_at = NOW()
+    RETURNING (xmax = 0) AS inserted
+  `, values);
+
+  return result.rows.filter(row => row.inserted).length;
+}
+
+/**
+ * Fetch stored screening hits, highest score and most recently seen first
+ * @param {Object} client - PostgreSQL client or pool
+ * @param {Object} filters - Query filters
+ * @param {string} filters.status - Review status: open, confirmed or dismissed
+ * @param {string} filters.shipId - Only hits of this vessel
+ * @param {string} filters.kind - Only hits of this kind
+ * @param {number} filters.minScore - Only hits scoring at least this
+ * @param {Date|string} filters.since - Only hits seen since
+ * @param {number} filters.limit - Maximum rows (default: 100, at most 10000)
+ * @returns {Promise<Array>} - Hit rows with the vessel's name, IMO and MMSI
+ */
+async function getScreeningHits(client, filters = {}) {
+  const values = [];
+  const conditions = [];
+  const addCondition = (sql, value) => {
+    if (value === undefined || value === null || value === '') return;
+    values.push(value);
+    conditions.push(sql.replace('?', `$${values.length}`));
+  };
+
+  addCondition('h.review_status = ?', filters.status);
+  addCondition('h.ship_id = ?', filters.shipId);
+  addCondition('h.kind = ?', filters.kind);
+  addCondition('h.score >= ?', filters.minScore);
+  addCondition('h.last_seen_at >= ?', filters.since ? new Date(filters.since).toISOString() : null);
+  values.push(Math.min(parseInt(filters.limit, 10) || DEFAULT_HITS_LIMIT, MAX_HITS_LIMIT));
+
+  const result = await client.query(`
+    SELECT h.*, v.shipname, v.imo, v.mmsi
+    FROM ${HITS_TABLE} h
+    LEFT JOIN vessels_mt v ON v.ship_id = h.ship_id
+    ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+    ORDER BY h.score DESC, h.last_seen_at DESC, h.id
+    LIMIT $${values.length}
+  `, values);
+  return result.rows;
+}
+
+/**
+ * Record the review of a screening hit
+ * @param {Object} client - PostgreSQL client or pool
+ * @param {string|number} hitId - Hit id
+ * @param {Object} review - Review
+ * @param {string} review.status - open, confirmed or dismissed
+ * @param {string} review.note - Reviewer's note
+ * @param {string} review.reviewer - Who reviewed the hit
+ * @returns {Promise<Object|null>} - Updated hit row, or null if unknown
+ * @throws {Error} - If the status is not a review status
+ */
+async function reviewScreeningHit(client, hitId, { status, note = null, reviewer = null }) {
+  if (!REVIEW_STATUSES.includes(status)) {
+    throw new Error(`Unknown review status "${status}", expected one of: ${REVIEW_STATUSES.join(', ')}`);
+  }
+
+  const result = await client.query(`
+    UPDATE ${HITS_TABLE}
+    SET review_status = $2, review_note = $3, reviewed_by = $4, reviewed_at = NOW()
+    WHERE id = $1
+    RETURNING *
+  `, [String(hitId), status, note, reviewer]);
+  return result.rows[0] || null;
+}
+
+module.exports = {
+  REVIEW_STATUSES,
+  parseCsv,
+  normalizeIdentifier,
+  comparableName,
+  nameSimilarity,
+  loadWatchlists,
+  buildWatchlist,
+  screenVessels,
+  hitKey,
+  recordScreeningHits,
+  getScreeningHits,
+  reviewScreeningHit
+};
@@ -0,0 +1,145 @@
+// Persists MarineTraffic browser sessions (cookies and localStorage) between runs
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('./logger').child({ module: 'session-store' });
+
+const DEFAULT_SESSION_DIR = path.join(__dirname, '.sessions');
+const DEFAULT_MAX_AGE_HOURS = 24;
+
+/**
+ * Stable, non-reversible key for a username so that account emails
+ * do not end up in file names
+ * @param {string} username - MarineTraffic username
+ * @returns {string} - Session key
+ */
+function sessionKey(username) {
+  return crypto.createHash('sha256').update(String(username)).digest('hex').slice(0, 32);
+}
+
+/**
+ * Check whether a stored session is still within its maximum age
+ * @param {Object} session - Stored session
+ * @param {number} maxAgeHours - Maximum session age in hours
+ * @returns {boolean} - True if the session may still be used
+ */
+function isFresh(session, maxAgeHours) {
+  const savedAt = new Date(session.savedAt).getTime();
+  return !isNaN(savedAt) && Date.now() - savedAt < maxAgeHours * 60 * 60 * 1000;
+}
+
+/**
+ * Session store that keeps one JSON file per account in a directory
+ * @param {Object} options - Store options
+ * @param {string} options.dir - Directory for session files
+ * @param {number} options.maxAgeHours - Sessions older than this are ignored
+ * @returns {Object} - Session store with load, save and clear methods
+ */
+function createFileSessionStore({ dir = DEFAULT_SESSION_DIR, maxAgeHours = DEFAULT_MAX_AGE_HOURS } = {}) {
+  const fileFor = username => path.join(dir, `${sessionKey(username)}.json`);
+
+  return {
+    type: 'file',
+
+    async load(username) {
+      try {
+        const session = JSON.parse(await fs.promises.readFile(fileFor(username), 'utf8'));
+        return isFresh(session, maxAgeHours) ? session : null;
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          logger.warn('Error reading stored session', { error: error.message });
+        }
+        return null;
+      }
+    },
+
+    async save(username, session) {
+      await fs.promises.mkdir(dir, { recursive: true, mode: 0o700 });
+      const stored = { ...session, savedAt: new Date().toISOString() };
+      // Session cookies are credentials, keep them readable by the owner only
+      await fs.promises.writeFile(fileFor(username), JSON.stringify(stored), { mode: 0o600 });
+    },
+
+    async clear(username) {
+      if (username) {
+        await fs.promises.rm(fileFor(username), { force: true });
+      } else {
+        await fs.promises.rm(dir, { recursive: true, force: true });
+      }
+    }
+  };
+}
+
+/**
+ * Session store backed by the scraper_sessions table
+ * @param {Object} options - Store options
+ * @param {Object} options.pool - PostgreSQL pool (default: shared pool from db.js)
+ * @param {number} options.maxAgeHours - Sessions older than this are ignored
+ * @returns {Object} - Session store with load, save and clear methods
+ */
+function createPostgresSessionStore({ pool = require('./db').pool, maxAgeHours = DEFAULT_MAX_AGE_HOURS } = {}) {
+  return {
+    type: 'postgres',
+
+    async load(username) {
+      const result = await pool.query(
+        'SELECT session, saved_at FROM scraper_sessions WHERE session_key = $1',
+        [sessionKey(username)]
+      );
+      if (result.rowCount === 0) return null;
+
+      const session = { ...result.rows[0].session, savedAt: result.rows[0].saved_at };
+      return isFresh(session, maxAgeHours) ? session : null;
+    },
+
+    async save(username, session) {
+      await pool.query(`
+        INSERT INTO scraper_sessions (session_key, session, saved_at)
+        VALUES ($1, $2, NOW())
+        ON CONFLICT (session_key) DO UPDATE SET session = EXCLUDED.session, saved_at = NOW()
+      `, [sessionKey(username), JSON.stringify(session)]);
+    },
+
+    async clear(username) {
+      if (username) {
+        await pool.query('DELETE FROM scraper_sessions WHERE session_key = $1', [sessionKey(username)]);
+      } else {
+        await pool.query('DELETE FROM scraper_sessions');
+      }
+    }
+  };
+}
+
+/**
+ * Create the session store selected by configuration
+ * @param {Object} options - Store options
+ * @param {string} options.type - 'file', 'postgres' or 'none' (default: SESSION_STORE or 'file')
+ * @param {string} options.dir - Directory for the file store (default: SESSION_DIR or ./.sessions)
+ * @param {number} options.maxAgeHours - Maximum session age (default: SESSION_MAX_AGE_HOURS or 24)
+ * @returns {Object|null} - Session store, or null when sessions are disabled
+ */
+function createSessionStore(options = {}) {
+  const {
+    type = process.env.SESSION_STORE || 'file',
+    dir = process.env.SESSION_DIR || DEFAULT_SESSION_DIR,
+    maxAgeHours = parseFloat(process.env.SESSION_MAX_AGE_HOURS) || DEFAULT_MAX_AGE_HOURS,
+    pool
+  } = options;
+
+  if (type === 'none') {
+    return null;
+  }
+  if (type === 'postgres') {
+    return createPostgresSessionStore({ pool, maxAgeHours });
+  }
+  if (type === 'file') {
+    return createFileSessionStore({ dir, maxAgeHours });
+  }
+  throw new Error(`Unknown SESSION_STORE "${type}" (expected file, postgres or none)`);
+}
+
+module.exports = {
+  createSessionStore,
+  createFileSessionStore,
+  createPostgresSessionStore
+};
@@ -0,0 +1,15 @@
+// Helpers for building parameterized PostgreSQL statements
+
+/**
+ * Build the placeholders of one row of a multi-row INSERT
+ * @param {number} offset - Number of values bound before this row
+ * @param {number} count - Number of columns in the row
+ * @returns {string} - e.g. "($8, $9, $10)" for offset 7 and count 3
+ */
+function valuesRow(offset, count) {
+  return `(${Array.from({ length: count }, (_, i) => `$${offset + i + 1}`).join(', ')})`;
+}
+
+module.exports = {
+  valuesRow
+};
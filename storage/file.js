@@ -0,0 +1,128 @@
+// Storage as NDJSON snapshot files: every save writes the normalized vessels of one
+// scrape to a new file. Snapshots are independent of each other, so this backend
+// keeps no vessel state, records no position history and detects no vessel events.
+// With a watchlist, hits are appended to screening-hits.ndjson; without stored state
+// there are no reflagging hits, and no anomaly detection.
+const fs = require('fs');
+const path = require('path');
+const { prepareVesselBatch, quarantineMessage } = require('../vessel-batch');
+const { resolveValidationOptions, logQualitySummary } = require('../vessel-validation');
+const { writeExportFile } = require('../exporter');
+const { screenVessels } = require('../screening');
+const logger = require('../logger').child({ module: 'storage' });
+
+const DEFAULT_SNAPSHOT_DIR = path.join(__dirname, '..', 'snapshots');
+
+/**
+ * Append records to an NDJSON file
+ * @param {string} file - File path
+ * @param {Array<Object>} records - Records, one per line
+ */
+async function appendRecords(file, records) {
+  if (records.length === 0) return;
+  await fs.promises.appendFile(file, records.map(record => `${JSON.stringify(record)}\n`).join(''));
+}
+
+/**
+ * Create the NDJSON file storage backend
+ * @param {Object} options - Backend options
+ * @param {string} options.dir - Snapshot directory (default: SNAPSHOT_DIR or ./snapshots)
+ * @returns {Object} - Storage backend
+ */
+function createFileStorage(options = {}) {
+  const { dir = process.env.SNAPSHOT_DIR || DEFAULT_SNAPSHOT_DIR } = options;
+  const runs = new Map();
+  let nextRunId = 1;
+
+  return {
+    type: 'file',
+    dir,
+
+    async prepare() {
+      await fs.promises.mkdir(dir, { recursive: true });
+      logger.info(`Writing NDJSON snapshots to ${dir}; position history and vessel events are not recorded`);
+    },
+
+    async startRun(report) {
+      const runId = nextRunId++;
+      runs.set(runId, { id: runId, report, startedAt: new Date().toISOString() });
+      return runId;
+    },
+
+    // Runs are appended to runs.ndjson once they finish
+    async finishRun(runId, outcome) {
+      const { provenance = {}, counts = {}, error = null, ...rest } = outcome;
+      const run = runs.get(runId);
+      runs.delete(runId);
+      await appendRecords(path.join(dir, 'runs.ndjson'), [{
+        ...run,
+        ...rest,
+        ...provenance,
+        counts,
+        error: error ? (error.message || String(error)) : null,
+        finishedAt: new Date().toISOString()
+      }]);
+    },
+
+    /**
+     * Write the vessels of one scrape to <report>-<timestamp>.ndjson, with characters
+     * other than letters, digits, _ and - in the report tag replaced by -. Vessels
+     * without a SHIP_ID and quarantined vessels go to rejects.ndjson.
+     * @param {Array<Object>} vessels - Vessel objects as scraped
+     * @param {Object} saveOptions - Save options, see vessel-store.saveVesselsToDatabase
+     * @returns {Promise<Object>} - Counts, every written vessel counts as inserted
+     */
+    async saveVessels(vessels, saveOptions = {}) {
+      const counts = { inserted: 0, updated: 0, unchanged: 0, failed: 0, positions: 0 };
+      const validation = resolveValidationOptions(saveOptions.validation);
+
+      if (!vessels || vessels.length === 0) {
+        logger.info('No vessels to save');
+        return counts;
+      }
+
+      const { entries, missingShipId, quarantined, quality } = prepareVesselBatch(vessels, {
+        report: saveOptions.report,
+        validation
+      });
+
+      const savedAt = new Date().toISOString();
+      // Report tags are free text, keep them from leaving the snapshot directory
+      const name = (saveOptions.report || 'vessels').replace(/[^A-Za-z0-9_-]+/g, '-');
+      const file = path.join(dir, `${name}-${savedAt.replace(/[:.]/g, '-')}.ndjson`);
+      const records = entries.map(entry => ({ ...entry.formatted.fields, extra: entry.formatted.extra, savedAt }));
+      await writeExportFile(file, records.map(record => `${JSON.stringify(record)}\n`).join(''));
+
+      await appendRecords(path.join(dir, 'rejects.ndjson'), [
+        ...missingShipId.map(vessel => ({ shipId: null, payload: vessel, error: 'vessel has no SHIP_ID', rejectedAt: savedAt })),
+        ...quarantined.map(({ raw, flags }) => ({
+          shipId: raw.SHIP_ID != null ? String(raw.SHIP_ID) : null,
+          payload: raw,
+          error: quarantineMessage(flags),
+          rejectedAt: savedAt
+        }))
+      ]);
+
+      // Every hit is appended, snapshots do not know which hits were seen before
+      const screening = {};
+      if (saveOptions.watchlist) {
+        const hits = screenVessels(entries.map(entry => entry.formatted.fields), saveOptions.watchlist);
+        await appendRecords(path.join(dir, 'screening-hits.ndjson'),
+          hits.map(hit => ({ ...hit, report: saveOptions.report || null, seenAt: savedAt })));
+        screening.screeningHits = hits.length;
+      }
+
+      counts.inserted = records.length;
+      counts.failed = missingShipId.length;
+      logger.info(`Wrote snapshot of ${records.length} vessels to ${file}`, { ...counts, ...screening });
+      logQualitySummary(quality);
+      return { ...counts, events: 0, ...screening, quality };
+    },
+
+    async close() {}
+  };
+}
+
+module.exports = {
+  createFileStorage
+};
@@ -0,0 +1,45 @@
+// Storage backends behind one repository interface, selected by STORAGE_BACKEND.
+//
+// Each backend module exports a factory returning:
+//   type                          - backend name
+//   prepare()                     - connect and create or migrate the schema; call before anything else
+//   startRun(report)              - record the start of a scrape run, resolves to its id
+//   finishRun(runId, outcome)     - record its outcome, see run-log.finishRun
+//   saveVessels(vessels, options) - write scraped vessels, see vessel-store.saveVesselsToDatabase
+//   close()                       - release connections
+// The postgres backend also exposes its `pool`, which the HTTP API and exports query.
+// Only the postgres backend links vessels to companies, see companies.js.
+const { createPostgresStorage } = require('./postgres');
+const { createSqliteStorage } = require('./sqlite');
+const { createFileStorage } = require('./file');
+const { createMemoryStorage } = require('./memory');
+
+const BACKENDS = {
+  postgres: createPostgresStorage,
+  sqlite: createSqliteStorage,
+  file: createFileStorage,
+  memory: createMemoryStorage
+};
+
+/**
+ * Create the storage backend selected by configuration
+ * @param {Object} options - Backend options, passed on to the backend factory
+ * @param {string} options.type - postgres, sqlite, file or memory (default: STORAGE_BACKEND or postgres)
+ * @returns {Object} - Storage backend
+ */
+function createStorage(options = {}) {
+  const { type = process.env.STORAGE_BACKEND || 'postgres', ...backendOptions } = options;
+  const create = BACKENDS[type];
+  if (!create) {
+    throw new Error(`Unknown STORAGE_BACKEND "${type}", expected one of: ${Object.keys(BACKENDS).join(', ')}`);
+  }
+  return create(backendOptions);
+}
+
+module.exports = {
+  createStorage,
+  createPostgresStorage,
+  createSqliteStorage,
+  createFileStorage,
+  createMemoryStorage
+};
@@ -0,0 +1,154 @@
+// Storage in process memory, for tests and throwaway runs. Nothing survives a restart.
+const { writeVessels } = require('./state');
+const { hitKey } = require('../screening');
+
+/**
+ * Create the in-memory storage backend
+ * @returns {Object} - Storage backend, with its contents in `state`
+ */
+function createMemoryStorage() {
+  const state = {
+    vessels: new Map(),
+    positions: new Map(),
+    events: [],
+    rejects: [],
+    screeningHits: new Map(),
+    anomalies: new Map(),
+    runs: []
+  };
+
+  // Steps that undo the changes of the save in progress, so a failed save writes nothing.
+  // Only what the save touches is recorded, not a copy of the whole state.
+  let undo = null;
+
+  // Remember a Map entry as it was before the save changes it
+  const remember = (map, key) => {
+    if (!undo) return;
+    if (map.has(key)) {
+      // Hits and anomalies are updated in place, so keep a copy
+      const previous = { ...map.get(key) };
+      undo.push(() => map.set(key, previous));
+    } else {
+      undo.push(() => map.delete(key));
+    }
+  };
+
+  const adapter = {
+    transaction(callback) {
+      const eventCount = state.events.length;
+      const rejectCount = state.rejects.length;
+      undo = [];
+      try {
+        return callback();
+      } catch (error) {
+        for (const step of undo.reverse()) step();
+        state.events.length = eventCount;
+        state.rejects.length = rejectCount;
+        throw error;
+      } finally {
+        undo = null;
+      }
+    },
+
+    loadVessels(shipIds) {
+      return new Map(shipIds.filter(shipId => state.vessels.has(shipId))
+        .map(shipId => [shipId, state.vessels.get(shipId)]));
+    },
+
+    writeVessel(vessel) {
+      remember(state.vessels, vessel.fields.SHIP_ID);
+      state.vessels.set(vessel.fields.SHIP_ID, {
+        fields: vessel.fields,
+        extra: vessel.extra,
+        updatedAt: new Date()
+      });
+    },
+
+    addPosition(row) {
+      const key = `${row.shipId}|${row.positionTime}`;
+      if (state.positions.has(key)) return false;
+      remember(state.positions, key);
+      state.positions.set(key, row);
+      return true;
+    },
+
+    addEvents(events, report) {
+      const recorded = events.map((event, i) => ({
+        id: state.events.length + i + 1,
+        ...event,
+        report,
+        detectedAt: new Date()
+      }));
+      state.events.push(...recorded);
+      return recorded;
+    },
+
+    addReject(vessel, message) {
+      state.rejects.push({ shipId: vessel.SHIP_ID != null ? String(vessel.SHIP_ID) : null, payload: vessel, error: message });
+    },
+
+    addScreeningHits(hits, report) {
+      let added = 0;
+      for (const hit of hits) {
+        const key = hitKey(hit);
+        remember(state.screeningHits, key);
+        const stored = state.screeningHits.get(key);
+        if (stored) {
+          Object.assign(stored, { score: hit.score, reason: hit.reason, report, lastSeenAt: new Date() });
+        } else {
+          state.screeningHits.set(key, { ...hit, report, reviewStatus: 'open', firstSeenAt: new Date(), lastSeenAt: new Date() });
+          added++;
+        }
+      }
+      return added;
+    },
+
+    addAnomalies(anomalies, report) {
+      let added = 0;
+      for (const anomaly of anomalies) {
+        const key = `${anomaly.shipId}|${anomaly.type}|${anomaly.positionTime}`;
+        remember(state.anomalies, key);
+        const stored = state.anomalies.get(key);
+        if (stored) {
+          Object.assign(stored, { severity: anomaly.severity, details: anomaly.details, updatedAt: new Date() });
+        } else {
+          state.anomalies.set(key, { ...anomaly, report, detectedAt: new Date(), updatedAt: new Date() });
+          added++;
+        }
+      }
+      return added;
+    }
+  };
+
+  return {
+    type: 'memory',
+    state,
+
+    async prepare() {},
+
+    async startRun(report) {
+      state.runs.push({ id: state.runs.length + 1, report, status: 'running', startedAt: new Date() });
+      return state.runs.length;
+    },
+
+    async finishRun(runId, outcome) {
+      const { provenance = {}, counts = {}, error = null, ...rest } = outcome;
+      Object.assign(state.runs[runId - 1], rest, {
+        ...provenance,
+        counts,
+        error: error ? (error.message || String(error)) : null,
+        finishedAt: new Date()
+      });
+    },
+
+    async saveVessels(vessels, options = {}) {
+      return writeVessels(adapter, vessels, options);
+    },
+
+    async close() {}
+  };
+}
+
+module.exports = {
+  createMemoryStorage
+};
@@ -0,0 +1,80 @@
+// Storage in PostgreSQL: vessels_mt, the position history, vessel_events and scrape_runs.
+// The only backend that serves the HTTP API and exports, which query `pool` directly.
+const { runMigrations, getPendingMigrations } = require('../migrate');
+const { saveVesselsToDatabase } = require('../vessel-store');
+const { startRun, finishRun } = require('../run-log');
+const logger = require('../logger').child({ module: 'storage' });
+
+/**
+ * Create the PostgreSQL storage backend
+ * @param {Object} options - Backend options
+ * @param {Object} options.pool - PostgreSQL pool (default: shared pool from db.js)
+ * @param {boolean} options.autoMigrate - Apply pending migrations in prepare()
+ *   (default: true unless DB_AUTO_MIGRATE=false)
+ * @returns {Object} - Storage backend
+ */
+function createPostgresStorage(options = {}) {
+  const {
+    pool = require('../db').pool,
+    autoMigrate = process.env.DB_AUTO_MIGRATE !== 'false'
+  } = options;
+
+  return {
+    type: 'postgres',
+    pool,
+
+    /**
+     * Connect and bring the schema up to date, unless the operator manages
+     * migrations by hand (DB_AUTO_MIGRATE=false)
+     * @throws {Error} - If the database is unreachable, flagged with `unavailable`,
+     *   or migrations are pending, with the pending migrations in `pending`
+     */
+    async prepare() {
+      let client;
+      try {
+        client = await pool.connect();
+      } catch (error) {
+        // Point at DB_USER, DB_HOST, DB_NAME, DB_PASSWORD and DB_PORT in the .env file
+        const unavailable = new Error(`Database connection error, check the DB_* variables in your .env file: ${error.message}`);
+        unavailable.unavailable = true;
+        throw unavailable;
+      }
+      logger.info('Successfully connected to PostgreSQL database');
+
+      try {
+        if (autoMigrate) {
+          await runMigrations(client);
+        } else {
+          const pending = await getPendingMigrations(client);
+          if (pending.length > 0) {
+            const error = new Error(`${pending.length} database migration(s) pending, run "npm run migrate" or unset DB_AUTO_MIGRATE`);
+            error.pending = pending.map(migration => `${migration.version}-${migration.name}`);
+            throw error;
+          }
+        }
+      } finally {
+        client.release();
+      }
+    },
+
+    startRun(report) {
+      return startRun(pool, report);
+    },
+
+    finishRun(runId, outcome) {
+      return finishRun(pool, runId, outcome);
+    },
+
+    saveVessels(vessels, saveOptions = {}) {
+      return saveVesselsToDatabase(vessels, { ...saveOptions, pool });
+    },
+
+    async close() {
+      await pool.end();
+    }
+  };
+}
+
+module.exports = {
+  createPostgresStorage
+};
@@ -0,0 +1,373 @@
+// Storage in a SQLite file, for local development without a PostgreSQL server.
+// The schema mirrors the PostgreSQL tables the pipeline writes; vessels_mt gets a
+// column per FIELD_MAP entry and new fields are added to existing files on prepare().
+const path = require('path');
+const { FIELD_MAP, EXTRA_COLUMN, quoteIdentifier } = require('../vessel-fields');
+const { writeVessels } = require('./state');
+const logger = require('../logger').child({ module: 'storage' });
+
+const DEFAULT_SQLITE_PATH = path.join(__dirname, '..', 'vessels.sqlite');
+
+// SQLite column affinity per vessel-fields converter type
+const COLUMN_TYPES = {
+  text: 'TEXT',
+  float: 'REAL',
+  integer: 'INTEGER',
+  timestamp: 'TEXT',
+  date: 'TEXT',
+  json: 'TEXT'
+};
+
+// Stay well below SQLite's limit on bound parameters per statement
+const LOOKUP_CHUNK_SIZE = 500;
+
+const FIELDS = Object.keys(FIELD_MAP);
+
+// vessels_mt columns in upsert order, the primary key first
+const VESSEL_FIELDS = ['SHIP_ID', ...FIELDS.filter(field => field !== 'SHIP_ID')];
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS vessels_mt (
+    ship_id TEXT PRIMARY KEY,
+    ${EXTRA_COLUMN} TEXT,
+    updated_at TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS vessel_positions (
+    ship_id TEXT NOT NULL,
+    position_time TEXT NOT NULL,
+    lat REAL,
+    lon REAL,
+    speed REAL,
+    course REAL,
+    status TEXT,
+    recorded_at TEXT NOT NULL,
+    PRIMARY KEY (ship_id, position_time)
+  );
+
+  CREATE TABLE IF NOT EXISTS vessel_events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    ship_id TEXT NOT NULL,
+    event_type TEXT NOT NULL,
+    field TEXT,
+    old_value TEXT,
+    new_value TEXT,
+    report TEXT,
+    detected_at TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS vessel_events_ship_id_idx ON vessel_events (ship_id, detected_at);
+
+  CREATE TABLE IF NOT EXISTS vessel_rejects (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    ship_id TEXT,
+    payload TEXT NOT NULL,
+    error TEXT NOT NULL,
+    rejected_at TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS screening_hits (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    ship_id TEXT NOT NULL,
+    kind TEXT NOT NULL,
+    field TEXT NOT NULL,
+    value TEXT NOT NULL,
+    matched TEXT NOT NULL DEFAULT '',
+    list TEXT NOT NULL DEFAULT '',
+    score REAL NOT NULL,
+    reason TEXT NOT NULL,
+    report TEXT,
+    review_status TEXT NOT NULL DEFAULT 'open',
+    review_note TEXT,
+    reviewed_by TEXT,
+    reviewed_at TEXT,
+    first_seen_at TEXT NOT NULL,
+    last_seen_at TEXT NOT NULL,
+    UNIQUE (ship_id, kind, field, value, matched, list)
+  );
+
+  CREATE TABLE IF NOT EXISTS vessel_anomalies (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    ship_id TEXT NOT NULL,
+    anomaly_type TEXT NOT NULL,
+    severity TEXT NOT NULL,
+    position_time TEXT NOT NULL,
+    lat REAL,
+    lon REAL,
+    details TEXT,
+    report TEXT,
+    detected_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL,
+    UNIQUE (ship_id, anomaly_type, position_time)
+  );
+
+  CREATE TABLE IF NOT EXISTS scrape_runs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    report TEXT,
+    status TEXT NOT NULL DEFAULT 'running',
+    started_at TEXT NOT NULL,
+    finished_at TEXT,
+    duration_ms INTEGER,
+    strategy TEXT,
+    source TEXT,
+    fidelity TEXT,
+    vessel_count INTEGER,
+    inserted_count INTEGER,
+    updated_count INTEGER,
+    unchanged_count INTEGER,
+    error_count INTEGER,
+    position_count INTEGER,
+    error TEXT,
+    quality TEXT,
+    account TEXT
+  );
+`;
+
+// scrape_runs columns added after the first release of this backend, with their types
+const ADDED_RUN_COLUMNS = { account: 'TEXT' };
+
+/**
+ * Add a vessels_mt column for every FIELD_MAP entry the file does not have yet
+ * @param {Object} db - better-sqlite3 database
+ */
+function addFieldColumns(db) {
+  const existing = new Set(db.prepare('PRAGMA table_info(vessels_mt)').all().map(column => column.name));
+  for (const field of FIELDS) {
+    const { column, type } = FIELD_MAP[field];
+    if (!existing.has(column)) {
+      db.exec(`ALTER TABLE vessels_mt ADD COLUMN ${quoteIdentifier(column)} ${COLUMN_TYPES[type]}`);
+    }
+  }
+}
+
+/**
+ * Add the ADDED_RUN_COLUMNS a scrape_runs table created by an older version does not have
+ * @param {Object} db - better-sqlite3 database
+ */
+function addRunColumns(db) {
+  const existing = new Set(db.prepare('PRAGMA table_info(scrape_runs)').all().map(column => column.name));
+  for (const [column, type] of Object.entries(ADDED_RUN_COLUMNS)) {
+    if (!existing.has(column)) {
+      db.exec(`ALTER TABLE scrape_runs ADD COLUMN ${column} ${type}`);
+    }
+  }
+}
+
+/**
+ * Create the SQLite storage backend
+ * @param {Object} options - Backend options
+ * @param {string} options.path - Database file, or ":memory:" (default: SQLITE_PATH or ./vessels.sqlite)
+ * @returns {Object} - Storage backend, with the better-sqlite3 handle in `db` once prepared
+ */
+function createSqliteStorage(options = {}) {
+  const { path: file = process.env.SQLITE_PATH || DEFAULT_SQLITE_PATH } = options;
+  let db = null;
+  let statements = null;
+
+  /**
+   * Prepare the statements used by every write, once the schema exists
+   * @returns {Object} - Prepared statements
+   */
+  function prepareStatements() {
+    const quoted = [...VESSEL_FIELDS.map(field => FIELD_MAP[field].column), EXTRA_COLUMN, 'updated_at']
+      .map(quoteIdentifier);
+
+    return {
+      upsertVessel: db.prepare(`
+        INSERT INTO vessels_mt (${quoted.join(', ')})
+        VALUES (${quoted.map(() => '?').join(', ')})
+        ON CONFLICT (ship_id) DO UPDATE SET
+          ${quoted.slice(1).map(column => `${column} = excluded.${column}`).join(', ')}
+      `),
+      insertPosition: db.prepare(`
+        INSERT INTO vessel_positions (ship_id, position_time, lat, lon, speed, course, status, recorded_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT (ship_id, position_time) DO NOTHING
+      `),
+      insertEvent: db.prepare(`
+        INSERT INTO vessel_events (ship_id, event_type, field, old_value, new_value, report, detected_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `),
+      insertReject: db.prepare('INSERT INTO vessel_rejects (ship_id, payload, error, rejected_at) VALUES (?, ?, ?, ?)'),
+      updateScreeningHit: db.prepare(`
+        UPDATE screening_hits SET score = ?, reason = ?, report = ?, last_seen_at = ?
+        WHERE ship_id = ? AND kind = ? AND field = ? AND value = ? AND matched = ? AND list = ?
+      `),
+      insertScreeningHit: db.prepare(`
+        INSERT INTO screening_hits
+          (ship_id, kind, field, value, matched, list, score, reason, report, first_seen_at, last_seen_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `),
+      updateAnomaly: db.prepare(`
+        UPDATE vessel_anomalies SET severity = ?, details = ?, updated_at = ?
+        WHERE ship_id = ? AND anomaly_type = ? AND position_time = ?
+      `),
+      insertAnomaly: db.prepare(`
+        INSERT INTO vessel_anomalies
+          (ship_id, anomaly_type, position_time, severity, details, lat, lon, report, detected_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `)
+    };
+  }
+
+  const adapter = {
+    transaction: callback => db.transaction(callback)(),
+
+    loadVessels(shipIds) {
+      const vessels = new Map();
+      for (let i = 0; i < shipIds.length; i += LOOKUP_CHUNK_SIZE) {
+        const chunk = shipIds.slice(i, i + LOOKUP_CHUNK_SIZE);
+        const rows = db.prepare(`SELECT * FROM vessels_mt WHERE ship_id IN (${chunk.map(() => '?').join(', ')})`).all(chunk);
+        for (const row of rows) {
+          const fields = {};
+          for (const field of FIELDS) {
+            fields[field] = row[FIELD_MAP[field].column] ?? null;
+          }
+          vessels.set(row.ship_id, { fields, extra: row[EXTRA_COLUMN] ? JSON.parse(row[EXTRA_COLUMN]) : null });
+        }
+      }
+      return vessels;
+    },
+
+    writeVessel(vessel) {
+      statements.upsertVessel.run([
+        ...VESSEL_FIELDS.map(field => vessel.fields[field] ?? null),
+        vessel.extra ? JSON.stringify(vessel.extra) : null,
+        new Date().toISOString()
+      ]);
+    },
+
+    addPosition(row) {
+      const result = statements.insertPosition.run(
+        row.shipId, row.positionTime, row.lat, row.lon, row.speed, row.course, row.status, new Date().toISOString()
+      );
+      return result.changes > 0;
+    },
+
+    addEvents(events, report) {
+      const detectedAt = new Date().toISOString();
+      return events.map(event => {
+        const result = statements.insertEvent.run(
+          event.shipId,
+          event.type,
+          event.field,
+          event.oldValue === null ? null : JSON.stringify(event.oldValue),
+          event.newValue === null ? null : JSON.stringify(event.newValue),
+          report,
+          detectedAt
+        );
+        return { id: Number(result.lastInsertRowid), ...event, report, detectedAt };
+      });
+    },
+
+    addReject(vessel, message) {
+      statements.insertReject.run(
+        vessel.SHIP_ID != null ? String(vessel.SHIP_ID) : null,
+        JSON.stringify(vessel),
+        message,
+        new Date().toISOString()
+      );
+    },
+
+    addScreeningHits(hits, report) {
+      const seenAt = new Date().toISOString();
+      let added = 0;
+      for (const hit of hits) {
+        const key = [hit.shipId, hit.kind, hit.field, hit.value, hit.matched || '', hit.list || ''];
+        // A hit stored before keeps its review
+        if (statements.updateScreeningHit.run(hit.score, hit.reason, report, seenAt, ...key).changes === 0) {
+          statements.insertScreeningHit.run(...key, hit.score, hit.reason, report, seenAt, seenAt);
+          added++;
+        }
+      }
+      return added;
+    },
+
+    addAnomalies(anomalies, report) {
+      const detectedAt = new Date().toISOString();
+      let added = 0;
+      for (const anomaly of anomalies) {
+        const key = [anomaly.shipId, anomaly.type, anomaly.positionTime];
+        const details = JSON.stringify(anomaly.details);
+        // Detecting an anomaly again updates it in place
+        if (statements.updateAnomaly.run(anomaly.severity, details, detectedAt, ...key).changes === 0) {
+          statements.insertAnomaly.run(...key, anomaly.severity, details, anomaly.lat, anomaly.lon, report, detectedAt, detectedAt);
+          added++;
+        }
+      }
+      return added;
+    }
+  };
+
+  return {
+    type: 'sqlite',
+
+    get db() {
+      return db;
+    },
+
+    async prepare() {
+      if (db) return;
+      // Only needed for this backend, so PostgreSQL deployments do not load it
+      const Database = require('better-sqlite3');
+      db = new Database(file);
+      db.pragma('journal_mode = WAL');
+      db.exec(SCHEMA);
+      addFieldColumns(db);
+      addRunColumns(db);
+      statements = prepareStatements();
+      logger.info(`Using SQLite storage in ${file}`);
+    },
+
+    async startRun(report) {
+      const result = db.prepare('INSERT INTO scrape_runs (report, started_at) VALUES (?, ?)')
+        .run(report, new Date().toISOString());
+      return Number(result.lastInsertRowid);
+    },
+
+    async finishRun(runId, outcome) {
+      const { status, provenance = {}, account = null, vesselCount = null, counts = {}, error = null } = outcome;
+      const finishedAt = new Date();
+      const { started_at: startedAt } = db.prepare('SELECT started_at FROM scrape_runs WHERE id = ?').get(runId);
+
+      db.prepare(`
+        UPDATE scrape_runs
+        SET status = ?, finished_at = ?, duration_ms = ?, strategy = ?, source = ?, fidelity = ?,
+            vessel_count = ?, inserted_count = ?, updated_count = ?, unchanged_count = ?,
+            error_count = ?, position_count = ?, error = ?, quality = ?, account = ?
+        WHERE id = ?
+      `).run(
+        status,
+        finishedAt.toISOString(),
+        finishedAt.getTime() - Date.parse(startedAt),
+        provenance.strategy ?? null,
+        provenance.source ?? null,
+        provenance.fidelity ?? null,
+        vesselCount,
+        counts.inserted ?? null,
+        counts.updated ?? null,
+        counts.unchanged ?? null,
+        counts.failed ?? null,
+        counts.positions ?? null,
+        error ? (error.message || String(error)) : null,
+        counts.quality ? JSON.stringify(counts.quality) : null,
+        account,
+        runId
+      );
+    },
+
+    async saveVessels(vessels, saveOptions = {}) {
+      return writeVessels(adapter, vessels, saveOptions);
+    },
+
+    async close() {
+      if (db) {
+        db.close();
+        db = null;
+      }
+    }
+  };
+}
+
+module.exports = {
+  createSqliteStorage
+};
@@ -0,0 +1,161 @@
+// Vessel writes for the backends that keep vessel state in process (sqlite, memory).
+// They follow the semantics vessel-store.js implements in SQL for PostgreSQL:
+// a missing value never overwrites a stored one, positions are recorded once per
+// vessel and timestamp, state changes become vessel events, and vessels are
+// screened and checked for anomalies when enabled.
+const { diffVessel, publishEvents } = require('../vessel-events');
+const { screenVessels } = require('../screening');
+const { detectVesselAnomalies } = require('../anomalies');
+const { parsePositionTime } = require('../position-history');
+const { prepareVesselBatch, quarantineMessage } = require('../vessel-batch');
+const { resolveValidationOptions, logQualitySummary } = require('../vessel-validation');
+const logger = require('../logger').child({ module: 'storage' });
+
+/**
+ * Merge incoming fields into a stored vessel
+ * @param {Object|null} stored - Stored vessel as { fields, extra }, or null for a new vessel
+ * @param {Object} incoming - Normalized vessel as { fields, extra }
+ * @returns {Object} - { fields, extra, changed }
+ */
+function mergeVessel(stored, incoming) {
+  const hasExtra = Object.keys(incoming.extra).length > 0;
+  if (!stored) {
+    return { fields: { ...incoming.fields }, extra: hasExtra ? incoming.extra : null, changed: true };
+  }
+
+  const fields = { ...stored.fields };
+  for (const [field, value] of Object.entries(incoming.fields)) {
+    if (value !== null && value !== undefined) {
+      fields[field] = value;
+    }
+  }
+  const extra = hasExtra ? incoming.extra : stored.extra;
+
+  const changed = Object.keys(fields).some(field => fields[field] !== (stored.fields[field] ?? null)) ||
+    JSON.stringify(extra) !== JSON.stringify(stored.extra);
+
+  return { fields, extra, changed };
+}
+
+/**
+ * Position history row of a vessel, as recordPositions would write it
+ * @param {Object} fields - Normalized vessel fields
+ * @returns {Object|null} - { shipId, positionTime, lat, lon, speed, course, status }, or null without a timestamp
+ */
+function toPositionRow(fields) {
+  const positionTime = parsePositionTime(fields.LAST_POS);
+  if (!positionTime) return null;
+
+  return {
+    shipId: String(fields.SHIP_ID),
+    positionTime: positionTime.toISOString(),
+    lat: fields.LAT ?? null,
+    lon: fields.LON ?? null,
+    speed: fields.SPEED ?? null,
+    course: fields.COURSE ?? null,
+    status: fields.STATUS ?? null
+  };
+}
+
+/**
+ * Save scraped vessels through a backend's state adapter. All adapter methods are
+ * synchronous and run inside adapter.transaction, so a failure writes nothing.
+ * @param {Object} adapter - Backend state adapter
+ * @param {Function} adapter.transaction - (callback) => result of running callback atomically
+ * @param {Function} adapter.loadVessels - (shipIds) => Map of SHIP_ID -> { fields, extra }
+ * @param {Function} adapter.writeVessel - ({ fields, extra }) => void, insert or replace
+ * @param {Function} adapter.addPosition - (row) => true if the position was new
+ * @param {Function} adapter.addEvents - (events, report) => events with `id` and `detectedAt`
+ * @param {Function} adapter.addReject - (rawVessel, message) => void
+ * @param {Function} adapter.addScreeningHits - (hits, report) => number of hits not stored before
+ * @param {Function} adapter.addAnomalies - (anomalies, report) => number of anomalies not stored before
+ * @param {Array<Object>} vessels - Vessel objects as scraped
+ * @param {Object} options - Save options, see vessel-store.saveVesselsToDatabase
+ * @returns {Object} - Counts, as saveVesselsToDatabase returns them
+ */
+function writeVessels(adapter, vessels, options = {}) {
+  const counts = { inserted: 0, updated: 0, unchanged: 0, failed: 0, positions: 0 };
+  const validation = resolveValidationOptions(options.validation);
+
+  if (!vessels || vessels.length === 0) {
+    logger.info('No vessels to save');
+    return counts;
+  }
+
+  const { entries, missingShipId, quarantined, quality } = prepareVesselBatch(vessels, {
+    report: options.report,
+    validation
+  });
+  const report = options.report || null;
+  const geofences = options.geofences || [];
+  const watchlist = options.watchlist || null;
+  const anomalyOptions = options.anomalies ? { ...options.anomalies, now: options.anomalies.now || new Date() } : null;
+
+  const pending = { ...counts };
+  const { events, screeningHits, anomalies } = adapter.transaction(() => {
+    for (const vessel of missingShipId) {
+      logger.error(`Error saving vessel ${vessel.SHIPNAME || '(unnamed)'}: vessel has no SHIP_ID`);
+      adapter.addReject(vessel, 'vessel has no SHIP_ID');
+      pending.failed++;
+    }
+
+    for (const { raw, flags } of quarantined) {
+      adapter.addReject(raw, quarantineMessage(flags));
+    }
+
+    const stored = adapter.loadVessels(entries.map(entry => entry.formatted.fields.SHIP_ID));
+    const detected = [];
+    const detectedAnomalies = [];
+    for (const entry of entries) {
+      const { fields } = entry.formatted;
+      const previous = stored.get(fields.SHIP_ID) || null;
+
+      // Diff against the stored state before the merge overwrites it
+      detected.push(...diffVessel(previous && previous.fields, fields, geofences));
+      // Positions that failed validation are bad data rather than anomalies
+      if (anomalyOptions && !entry.positionFlagged) {
+        detectedAnomalies.push(...detectVesselAnomalies(previous && previous.fields, fields, anomalyOptions));
+      }
+
+      const merged = mergeVessel(previous, entry.formatted);
+      if (!previous) pending.inserted++;
+      else if (merged.changed) pending.updated++;
+      else pending.unchanged++;
+
+      if (merged.changed) {
+        adapter.writeVessel(merged);
+      }
+
+      const position = entry.positionFlagged ? null : toPositionRow(fields);
+      if (position && adapter.addPosition(position)) {
+        pending.positions++;
+      }
+    }
+
+    const hits = watchlist
+      ? screenVessels(entries.map(entry => entry.formatted.fields), watchlist, { events: detected })
+      : [];
+    return {
+      events: adapter.addEvents(detected, report),
+      screeningHits: hits.length > 0 ? adapter.addScreeningHits(hits, report) : 0,
+      anomalies: detectedAnomalies.length > 0 ? adapter.addAnomalies(detectedAnomalies, report) : 0
+    };
+  });
+
+  Object.assign(counts, pending);
+  // Hits and anomalies are only counted when screening and detection are enabled
+  const optional = {
+    ...(watchlist ? { screeningHits } : {}),
+    ...(anomalyOptions ? { anomalies } : {})
+  };
+  logger.info('Storage update committed', { ...counts, events: events.length, ...optional });
+  logQualitySummary(quality);
+  publishEvents(events);
+  return { ...counts, events: events.length, ...optional, quality };
+}
+
+module.exports = {
+  mergeVessel,
+  toPositionRow,
+  writeVessels
+};
@@ -0,0 +1,19 @@
+// Extraction from intercepted reports API responses, walking every page of the report
+const { collectApiPages } = require('../pagination');
+
+module.exports = {
+  name: 'api',
+  fidelity: 'high',
+
+  /**
+   * Page through the vessel API response captured while the report loaded
+   * @param {Object} context - Extraction context, see strategies/index.js
+   * @returns {Promise<Object|null>} - { data, source } or null if no response was captured
+   */
+  async extract({ vesselResponse, fetchPage }) {
+    if (!vesselResponse) return null;
+
+    const data = await collectApiPages(vesselResponse, fetchPage);
+    return { data, source: vesselResponse.url };
+  }
+};
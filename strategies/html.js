@@ -0,0 +1,19 @@
+// Extraction of vessel JSON embedded in the raw page HTML
+const { extractJsonFromHtml } = require('../extraction');
+
+module.exports = {
+  name: 'html',
+  fidelity: 'high',
+
+  /**
+   * Search the page HTML for an embedded vessel array
+   * @param {Object} context - Extraction context, see strategies/index.js
+   * @returns {Promise<Object|null>} - { data, source } or null if none found
+   */
+  async extract({ getHtml }) {
+    const html = await getHtml();
+    if (!html) return null;
+
+    return extractJsonFromHtml(html);
+  }
+};
@@ -0,0 +1,86 @@
+// Registry and runner of the vessel data extraction strategies.
+//
+// Each strategy module exports { name, fidelity, requiresPage, extract(context) }.
+// extract resolves to { data, source } or null when it found nothing, where
+// `data` is a vessel payload accepted by pagination.extractRows. The context is:
+//   vesselResponse - last vessel API response captured while the report loaded ({ url, data }), or null
+//   fetchPage(url) - fetch and parse another page of that API response
+//   getHtml()      - resolve to the raw HTML of the report page, or null
+//   page           - live Puppeteer page, absent when replaying a fixture
+const { extractRows } = require('../pagination');
+const logger = require('../logger').child({ module: 'extraction' });
+
+const STRATEGIES = [
+  require('./api'),
+  require('./table'),
+  require('./window'),
+  require('./html')
+];
+
+const DEFAULT_ORDER = STRATEGIES.map(strategy => strategy.name);
+
+/**
+ * Resolve the strategies to run, in order
+ * @param {string|Array<string>} names - Strategy names, comma-separated or as a list
+ *   (default: EXTRACTION_STRATEGIES or "api,table,window,html"). Strategies left out are disabled.
+ * @returns {Array<Object>} - Strategy modules
+ */
+function resolveStrategies(names = process.env.EXTRACTION_STRATEGIES || DEFAULT_ORDER) {
+  const list = (Array.isArray(names) ? names : String(names).split(','))
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+
+  if (list.length === 0) {
+    throw new Error('At least one extraction strategy must be enabled');
+  }
+
+  return list.map(name => {
+    const strategy = STRATEGIES.find(candidate => candidate.name === name);
+    if (!strategy) {
+      throw new Error(`Unknown extraction strategy "${name}", expected one of: ${DEFAULT_ORDER.join(', ')}`);
+    }
+    return strategy;
+  });
+}
+
+/**
+ * Run strategies in order until one produces vessel rows
+ * @param {Array<Object>} strategies - Strategies from resolveStrategies
+ * @param {Object} context - Extraction context, see the top of this file
+ * @returns {Promise<Object|null>} - Vessel payload with a `provenance` property
+ *   ({ strategy, fidelity, source, rowCount }), or null if every strategy came up empty
+ */
+async function runStrategies(strategies, context) {
+  for (const strategy of strategies) {
+    if (strategy.requiresPage && !context.page) {
+      logger.debug(`Skipping ${strategy.name} strategy, it needs a live page`);
+      continue;
+    }
+
+    let result;
+    try {
+      logger.info(`Trying ${strategy.name} extraction strategy...`);
+      result = await strategy.extract(context);
+    } catch (error) {
+      logger.warn(`Error in ${strategy.name} extraction strategy`, { error: error.message });
+      continue;
+    }
+
+    const rowCount = result ? extractRows(result.data).length : 0;
+    if (rowCount === 0) continue;
+
+    const provenance = { strategy: strategy.name, fidelity: strategy.fidelity, source: result.source, rowCount };
+    logger.info(`Extracted ${rowCount} rows with the ${strategy.name} strategy`, { source: result.source });
+
+    const payload = Array.isArray(result.data) ? { data: result.data } : result.data;
+    return { ...payload, provenance };
+  }
+
+  return null;
+}
+
+module.exports = {
+  STRATEGIES,
+  resolveStrategies,
+  runStrategies
+};
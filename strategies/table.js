@@ -0,0 +1,164 @@
+// Extraction from the rendered report table, clicking through its pages.
+// Rows are mapped from header labels and display strings to API fields by
+// table-normalizer.js. Rounded and relative values make them less precise than
+// API rows, so their results are marked as low fidelity.
+const { MAX_PAGES, parsePagerTotal, mergeVesselPages, reportShortfall } = require('../pagination');
+const { LINKS_KEY, normalizeTableRows } = require('../table-normalizer');
+const logger = require('../logger').child({ module: 'extraction', strategy: 'table' });
+
+// Selectors of elements that may hold the report grid, tried in order
+const TABLE_SELECTORS = [
+  'table.MuiTable-root',
+  'table',
+  '.data-table',
+  '.grid-table',
+  '[role="grid"]',
+  '.ag-root-wrapper'
+];
+
+/**
+ * Extract the rows currently rendered in a table or grid element.
+ * Runs in the browser via page.evaluate, so it must not use anything from this module.
+ * @param {string} selector - CSS selector of the table element
+ * @param {string} linksKey - Key under which to put the link targets of each row
+ * @returns {Object|null} - { data, pagerText } or null if the table has no rows
+ */
+function extractTableRows(selector, linksKey) {
+  const table = document.querySelector(selector);
+  if (!table) return null;
+
+  // Check if it's a regular HTML table
+  const rows = Array.from(table.querySelectorAll('tr, [role="row"]'));
+  if (rows.length === 0) return null;
+
+  // Try to get headers
+  let headers = [];
+  const headerRow = rows[0];
+  const headerCells = headerRow.querySelectorAll('th, [role="columnheader"], td');
+  if (headerCells.length > 0) {
+    headers = Array.from(headerCells).map(cell => cell.textContent.trim());
+  } else {
+    // If no headers, make generic ones
+    const firstRow = rows[0];
+    const cellCount = firstRow.querySelectorAll('td, [role="gridcell"]').length;
+    headers = Array.from({ length: cellCount }, (_, i) => `Column${i}`);
+  }
+
+  // Get data rows (skip header row)
+  const dataRows = rows.slice(1);
+  const data = dataRows.map(row => {
+    const cells = row.querySelectorAll('td, [role="gridcell"]');
+    if (cells.length === 0) return null;
+
+    const rowData = {};
+    headers.forEach((header, index) => {
+      const cell = cells[index];
+      if (cell) {
+        // Flags and similar columns render an icon whose title carries the value
+        const icon = cell.querySelector('img[title], img[alt], [title]');
+        rowData[header] = cell.textContent.trim() ||
+          (icon ? (icon.getAttribute('title') || icon.getAttribute('alt') || '').trim() : '');
+      }
+    });
+
+    // Vessel links carry the SHIP_ID, MMSI and IMO, see table-normalizer.js
+    const links = Array.from(row.querySelectorAll('a[href]')).map(link => link.getAttribute('href'));
+    if (links.length > 0) {
+      rowData[linksKey] = links;
+    }
+
+    return rowData;
+  }).filter(Boolean); // Remove any null entries
+
+  // Pager label such as "1-20 of 1,234", used to detect truncated reports
+  const pager = document.querySelector(
+    '.MuiTablePagination-displayedRows, .ag-paging-row-summary-panel, [class*="pagination"], [class*="Pagination"]'
+  );
+
+  return data.length > 0 ? { data, pagerText: pager ? pager.textContent.trim() : null } : null;
+}
+
+/**
+ * Click the grid's "next page" button if there is an enabled one.
+ * Runs in the browser via page.evaluate.
+ * @returns {boolean} - True if the button was clicked
+ */
+function clickNextPage() {
+  const candidates = [
+    ...document.querySelectorAll('button[aria-label*="next page" i], button[title*="next page" i]'),
+    ...document.querySelectorAll('.ag-paging-button[ref="btNext"], [data-testid="NavigateNextIcon"]')
+  ].map(element => element.closest('button, .ag-paging-button') || element);
+
+  const next = candidates.find(button =>
+    !button.disabled &&
+    button.getAttribute('aria-disabled') !== 'true' &&
+    !button.classList.contains('ag-disabled'));
+
+  if (!next) return false;
+  next.click();
+  return true;
+}
+
+/**
+ * Read every page of a rendered table by driving the grid's pagination
+ * @param {Object} page - Puppeteer page
+ * @param {string} selector - CSS selector of the table element
+ * @returns {Promise<Object|null>} - { data, totalCount } with rows normalized to API field names,
+ *   or null if the table has no rows
+ */
+async function collectTablePages(page, selector) {
+  const pages = [];
+  let total = null;
+  let rejectedCount = 0;
+
+  for (let pageIndex = 0; pageIndex < MAX_PAGES; pageIndex++) {
+    const tableData = await page.evaluate(extractTableRows, selector, LINKS_KEY);
+    if (!tableData) break;
+
+    // Key rows by SHIP_ID before merging so pages dedupe like API pages do
+    const { vessels, rejected } = normalizeTableRows(tableData.data);
+    pages.push(vessels);
+    rejectedCount += rejected.length;
+    total = total ?? parsePagerTotal(tableData.pagerText);
+
+    const advanced = await page.evaluate(clickNextPage).catch(() => false);
+    if (!advanced) break;
+
+    // Give the grid time to render the next page
+    await new Promise(resolve => setTimeout(resolve, 2000));
+  }
+
+  if (pages.length === 0) return null;
+
+  const merged = mergeVesselPages(pages);
+  logger.info(`Extracted ${merged.length} rows from ${pages.length} table page(s)`, { rejected: rejectedCount });
+  reportShortfall(merged.length + rejectedCount, total, 'the table pager');
+
+  return { data: merged, totalCount: total ?? merged.length };
+}
+
+module.exports = {
+  name: 'table',
+  fidelity: 'low',
+  requiresPage: true,
+
+  /**
+   * Read the first table-like element on the page that has rows
+   * @param {Object} context - Extraction context, see strategies/index.js
+   * @returns {Promise<Object|null>} - { data, source } or null if no table has rows
+   */
+  async extract({ page }) {
+    for (const selector of TABLE_SELECTORS) {
+      const element = await page.$(selector).catch(() => null);
+      if (!element) continue;
+
+      logger.info(`Found table element with selector: ${selector}`);
+      const tableData = await collectTablePages(page, selector);
+      if (tableData && tableData.data.length > 0) {
+        return { data: tableData, source: selector };
+      }
+    }
+
+    return null;
+  }
+};
@@ -0,0 +1,61 @@
+// Extraction from JavaScript variables the page keeps on `window`
+
+/**
+ * Look for vessel arrays in well-known and arbitrary window properties.
+ * Runs in the browser via page.evaluate, so it must not use anything from this module.
+ * @returns {Object|null} - { source, data } or null if none found
+ */
+function findWindowData() {
+  const looksLikeVessel = sample => sample && (sample.imo || sample.IMO || sample.mmsi || sample.MMSI);
+
+  // Common patterns for where data might be stored
+  if (window.vesselData) return { source: 'window.vesselData', data: window.vesselData };
+  if (window.gridData) return { source: 'window.gridData', data: window.gridData };
+  if (window.tableData) return { source: 'window.tableData', data: window.tableData };
+  if (window.reportData) return { source: 'window.reportData', data: window.reportData };
+
+  // Look for data in React's __INITIAL_DATA__ or similar
+  for (const key in window) {
+    if (window[key] && typeof window[key] === 'object') {
+      // Check for data arrays
+      if (Array.isArray(window[key])) {
+        if (looksLikeVessel(window[key][0])) {
+          return { source: `window.${key}`, data: { data: window[key] } };
+        }
+      }
+
+      // Check for nested data properties
+      if (window[key].data && Array.isArray(window[key].data)) {
+        if (looksLikeVessel(window[key].data[0])) {
+          return { source: `window.${key}.data`, data: window[key] };
+        }
+      }
+
+      // Check other common property names
+      for (const prop of ['vessels', 'ships', 'tankers', 'results']) {
+        if (window[key][prop] && Array.isArray(window[key][prop])) {
+          if (looksLikeVessel(window[key][prop][0])) {
+            return { source: `window.${key}.${prop}`, data: { data: window[key][prop] } };
+          }
+        }
+      }
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  name: 'window',
+  fidelity: 'high',
+  requiresPage: true,
+
+  /**
+   * Read vessel data from the page's JavaScript variables
+   * @param {Object} context - Extraction context, see strategies/index.js
+   * @returns {Promise<Object|null>} - { data, source } or null if none found
+   */
+  async extract({ page }) {
+    return page.evaluate(findWindowData);
+  }
+};
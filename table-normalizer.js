@@ -0,0 +1,252 @@
+// Normalization of rows read from the rendered report table to the API field schema.
+// Table rows are keyed by the grid's header labels and hold display strings
+// ("12.3 kn", "1,234 t", "5 min ago"); this maps them to canonical fields and
+// typed values so they can be stored like API rows.
+const { FIELD_MAP, resolveField } = require('./vessel-fields');
+const logger = require('./logger').child({ module: 'table-normalizer' });
+
+// Key under which extractTableRows puts the link targets found in a row
+const LINKS_KEY = '__links';
+
+/**
+ * Grid header labels that do not resolve through FIELD_MAP and its aliases.
+ * Keys are labels in the form produced by labelToKey.
+ */
+const HEADER_LABELS = {
+  VESSEL_NAME: 'SHIPNAME',
+  VESSEL: 'SHIPNAME',
+  FLAG_CODE: 'FLAG',
+  COUNTRY: 'FLAG',
+  CALL_SIGN: 'CALLSIGN',
+  VESSEL_TYPE: 'SHIPTYPE',
+  VESSEL_TYPE_GENERIC: 'SHIPTYPE',
+  VESSEL_TYPE_DETAILED: 'TYPE_NAME',
+  DETAILED_TYPE: 'TYPE_NAME',
+  GLOBAL_AREA: 'AREA',
+  LOCAL_AREA: 'AREA_LOCAL',
+  LATITUDE: 'LAT',
+  LONGITUDE: 'LON',
+  SPEED_OVER_GROUND: 'SPEED',
+  SOG: 'SPEED',
+  COURSE_OVER_GROUND: 'COURSE',
+  COG: 'COURSE',
+  NAVIGATIONAL_STATUS: 'STATUS',
+  NAV_STATUS: 'STATUS',
+  POSITION_RECEIVED: 'LAST_POS',
+  LAST_POSITION_RECEIVED: 'LAST_POS',
+  LAST_POSITION: 'LAST_POS',
+  FIRST_POSITION_RECEIVED: 'FIRST_POS_TIMESTAMP',
+  BUILT: 'YEAR_BUILT',
+  BEAM: 'WIDTH',
+  LENGTH_OVERALL: 'LENGTH',
+  LOA: 'LENGTH',
+  DEADWEIGHT_TONNAGE: 'DWT',
+  DRAUGHT: 'DRAUGHT_MAX',
+  MAX_DRAUGHT: 'DRAUGHT_MAX',
+  MIN_DRAUGHT: 'DRAUGHT_MIN',
+  P_I: 'P_I_CLUB',
+  CLASSIFICATION_SOCIETY: 'CLASS_SOCIETY',
+  BUILDER: 'SHIP_BUILDER',
+  SHIPBUILDER: 'SHIP_BUILDER'
+};
+
+// Values the grid renders for an empty cell
+const EMPTY_VALUES = new Set(['', '-', '--', '—', '–', 'n/a', 'na', 'unknown']);
+
+// Milliseconds per unit of a relative time such as "5 min ago"
+const RELATIVE_UNITS = [
+  [/^(s|sec|secs|second|seconds)$/, 1000],
+  [/^(m|min|mins|minute|minutes)$/, 60 * 1000],
+  [/^(h|hr|hrs|hour|hours)$/, 60 * 60 * 1000],
+  [/^(d|day|days)$/, 24 * 60 * 60 * 1000],
+  [/^(w|wk|wks|week|weeks)$/, 7 * 24 * 60 * 60 * 1000]
+];
+
+/**
+ * Turn a header label into a lookup key: "Speed (kn)" -> "SPEED", "P&I" -> "P_I"
+ * @param {string} label - Header label as rendered
+ * @returns {string} - Uppercased key with words joined by underscores
+ */
+function labelToKey(label) {
+  return String(label)
+    .replace(/\(.*?\)|\[.*?\]/g, ' ')
+    .trim()
+    .toUpperCase()
+    .replace(/[^A-Z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+}
+
+/**
+ * Resolve a grid header label to its canonical field name
+ * @param {string} label - Header label as rendered
+ * @returns {string|null} - Canonical field name, or null if unknown
+ */
+function resolveHeader(label) {
+  const key = labelToKey(label);
+  if (!key) return null;
+  return HEADER_LABELS[key] || resolveField(key);
+}
+
+/**
+ * Parse a formatted number such as "12.3 kn", "1,234 t", "-3,5" or "36.52° S"
+ * @param {string} value - Display value
+ * @returns {number|null} - Parsed number, or null if the value holds none
+ */
+function parseDisplayNumber(value) {
+  const text = String(value).trim();
+  const match = text.match(/-?\d[\d,. ]*/);
+  if (!match) return null;
+
+  let number = match[0].replace(/\s+/g, '');
+  if (/,\d{3}(?!\d)/.test(number) && !/,\d{1,2}$/.test(number)) {
+    // Commas as thousands separators: 1,234 or 1,234.5
+    number = number.replace(/,/g, '');
+  } else {
+    // A lone comma as decimal separator: 3,5
+    number = number.replace(',', '.');
+  }
+
+  const parsed = parseFloat(number);
+  if (isNaN(parsed)) return null;
+
+  // Hemisphere suffixes of a coordinate
+  return /\d\s*°?\s*[SW]\b/i.test(text) ? -Math.abs(parsed) : parsed;
+}
+
+/**
+ * Parse a display time: "5 min ago", "just now", "2024-03-14 09:30 UTC"
+ * @param {string} value - Display value
+ * @param {Date} now - Reference time for relative values
+ * @returns {string|null} - ISO timestamp, or null if the value is not a time
+ */
+function parseDisplayTime(value, now) {
+  const text = String(value).trim().toLowerCase();
+
+  if (text === 'just now' || text === 'now') {
+    return now.toISOString();
+  }
+
+  const relative = text.match(/^(\d+|an?)\s*([a-z]+)\s+ago$/);
+  if (relative) {
+    const amount = /^\d+$/.test(relative[1]) ? parseInt(relative[1], 10) : 1;
+    const unit = RELATIVE_UNITS.find(([pattern]) => pattern.test(relative[2]));
+    return unit ? new Date(now.getTime() - amount * unit[1]).toISOString() : null;
+  }
+
+  // Grids print times in UTC, with or without a zone suffix
+  const date = new Date(/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}(:\d{2})?$/.test(text)
+    ? `${text.replace(' ', 'T')}Z`
+    : String(value).replace(/\s*\(?UTC\)?$/i, 'Z'));
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Convert a display string to the type of a canonical field
+ * @param {string} field - Canonical field name
+ * @param {*} value - Display value
+ * @param {Date} now - Reference time for relative values
+ * @returns {*} - Typed value, or null for empty and unparseable cells
+ */
+function parseDisplayValue(field, value, now) {
+  if (value === null || value === undefined) return null;
+  if (EMPTY_VALUES.has(String(value).trim().toLowerCase())) return null;
+
+  switch (FIELD_MAP[field].type) {
+    case 'float':
+      return parseDisplayNumber(value);
+    case 'integer': {
+      const number = parseDisplayNumber(value);
+      return number === null ? null : Math.round(number);
+    }
+    case 'timestamp':
+      return parseDisplayTime(value, now);
+    default:
+      return String(value).trim();
+  }
+}
+
+/**
+ * Read SHIP_ID, MMSI and IMO from MarineTraffic vessel links,
+ * e.g. /en/ais/details/ships/shipid:371681/mmsi:538001234/imo:9380295/vessel:AURORA
+ * @param {Array<string>} links - Link targets found in a row
+ * @returns {Object} - Identifiers found, keyed by canonical field name
+ */
+function parseVesselLinks(links = []) {
+  const ids = {};
+  for (const link of links) {
+    for (const [field, pattern] of [['SHIP_ID', /shipid[:=](\d+)/i], ['MMSI', /mmsi[:=](\d+)/i], ['IMO', /imo[:=](\d+)/i]]) {
+      const match = String(link).match(pattern);
+      if (match && !ids[field] && match[1] !== '0') {
+        ids[field] = match[1];
+      }
+    }
+  }
+  return ids;
+}
+
+/**
+ * Normalize one table row to canonical fields and typed values.
+ * Labels that do not map to a field are kept as they are and end up in `extra`.
+ * @param {Object} row - Row keyed by header label
+ * @param {Date} now - Reference time for relative values (default: now)
+ * @returns {Object} - Row keyed by canonical field name
+ */
+function normalizeTableRow(row, now = new Date()) {
+  const vessel = {};
+
+  for (const [label, value] of Object.entries(row)) {
+    if (label === LINKS_KEY) continue;
+
+    const field = resolveHeader(label);
+    if (!field) {
+      vessel[label] = value;
+    } else if (!(field in vessel) || vessel[field] === null) {
+      vessel[field] = parseDisplayValue(field, value, now);
+    }
+  }
+
+  // Identifiers in the vessel link are more reliable than the rendered cells
+  Object.assign(vessel, parseVesselLinks(row[LINKS_KEY]));
+
+  return vessel;
+}
+
+/**
+ * Normalize table rows, dropping those that cannot be keyed to a SHIP_ID
+ * @param {Array<Object>} rows - Rows keyed by header label
+ * @param {Object} options - Normalization options
+ * @param {Date} options.now - Reference time for relative values (default: now)
+ * @returns {Object} - { vessels, rejected } where rejected holds the raw rows without SHIP_ID
+ */
+function normalizeTableRows(rows, options = {}) {
+  const { now = new Date() } = options;
+  const vessels = [];
+  const rejected = [];
+
+  for (const row of rows) {
+    const vessel = normalizeTableRow(row, now);
+    if (vessel.SHIP_ID) {
+      vessels.push(vessel);
+    } else {
+      rejected.push(row);
+    }
+  }
+
+  if (rejected.length > 0) {
+    logger.warn(`Dropped ${rejected.length} table row(s) without a SHIP_ID`, { sample: rejected[0] });
+  }
+
+  return { vessels, rejected };
+}
+
+module.exports = {
+  LINKS_KEY,
+  HEADER_LABELS,
+  resolveHeader,
+  parseDisplayNumber,
+  parseDisplayTime,
+  parseDisplayValue,
+  parseVesselLinks,
+  normalizeTableRow,
+  normalizeTableRows
+};
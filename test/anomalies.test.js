@@ -0,0 +1,118 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  resolveAnomalyOptions, loadAreas, distanceNm, detectVesselAnomalies
+} = require('../anomalies');
+const { createStorage } = require('../storage');
+
+const NOW = new Date('2025-03-01T12:00:00Z');
+const OPTIONS = resolveAnomalyOptions({ landAreas: [], plausibleAreas: [], now: NOW });
+
+// A square "island" around 10N 10E
+const ISLAND = {
+  type: 'FeatureCollection',
+  features: [{
+    type: 'Feature',
+    properties: {},
+    geometry: { type: 'Polygon', coordinates: [[[9, 9], [11, 9], [11, 11], [9, 11], [9, 9]]] }
+  }]
+};
+
+const fields = (lat, lon, lastPos) => ({ SHIP_ID: '1', LAT: lat, LON: lon, LAST_POS: lastPos });
+const types = anomalies => anomalies.map(anomaly => [anomaly.type, anomaly.severity]);
+
+test('thresholds default from the environment and accept durations', () => {
+  assert.deepStrictEqual(
+    { gap: OPTIONS.gap, criticalGap: OPTIONS.criticalGap, maxImpliedSpeed: OPTIONS.maxImpliedSpeed, minJumpDistance: OPTIONS.minJumpDistance },
+    { gap: 6 * 3600000, criticalGap: 24 * 3600000, maxImpliedSpeed: 50, minJumpDistance: 5 }
+  );
+  assert.strictEqual(resolveAnomalyOptions({ gap: '90m', landAreas: [], plausibleAreas: [] }).gap, 90 * 60000);
+  assert.throws(() => resolveAnomalyOptions({ gap: '2d', landAreas: [], plausibleAreas: [] }),
+    /ANOMALY_CRITICAL_GAP must not be shorter than ANOMALY_GAP/);
+});
+
+test('distances are great circle nautical miles', () => {
+  // One degree of latitude is 60 nautical miles
+  assert.strictEqual(Math.round(distanceNm({ lat: 0, lon: 0 }, { lat: 1, lon: 0 })), 60);
+});
+
+test('a vessel reappearing after a long gap is an AIS gap', () => {
+  const stored = fields(35, 14, '2025-02-28T20:00:00Z');
+  const anomalies = detectVesselAnomalies(stored, fields(35.1, 14.1, '2025-03-01T11:00:00Z'), OPTIONS);
+
+  assert.deepStrictEqual(types(anomalies), [['ais_gap', 'warning']]);
+  assert.deepStrictEqual(anomalies[0].details, { hours: 15, since: '2025-02-28T20:00:00.000Z' });
+  assert.strictEqual(anomalies[0].positionTime, '2025-03-01T11:00:00.000Z');
+});
+
+test('a position that stops updating is stale, critical after the critical gap', () => {
+  const stored = fields(35, 14, '2025-02-28T06:00:00Z');
+  assert.deepStrictEqual(types(detectVesselAnomalies(stored, fields(35, 14, '2025-02-28T06:00:00Z'), OPTIONS)),
+    [['position_stale', 'critical']]);
+  assert.deepStrictEqual(types(detectVesselAnomalies(null, fields(35, 14, '2025-03-01T04:00:00Z'), OPTIONS)),
+    [['position_stale', 'warning']]);
+  assert.deepStrictEqual(detectVesselAnomalies(null, fields(35, 14, '2025-03-01T11:55:00Z'), OPTIONS), []);
+});
+
+test('jumps implying impossible speeds are flagged, GPS jitter is not', () => {
+  const stored = fields(35, 14, '2025-03-01T11:00:00Z');
+
+  // 60 nm in one hour
+  const fast = detectVesselAnomalies(stored, fields(36, 14, '2025-03-01T12:00:00Z'), OPTIONS);
+  assert.deepStrictEqual(types(fast), [['impossible_speed', 'warning']]);
+  assert.strictEqual(fast[0].details.impliedSpeed, 60);
+
+  // 600 nm in one hour, and a move without a newer position time
+  assert.deepStrictEqual(types(detectVesselAnomalies(stored, fields(45, 14, '2025-03-01T12:00:00Z'), OPTIONS)),
+    [['impossible_speed', 'critical']]);
+  const teleport = detectVesselAnomalies(stored, fields(36, 14, '2025-03-01T11:00:00Z'), OPTIONS);
+  assert.deepStrictEqual(types(teleport), [['impossible_speed', 'critical']]);
+  assert.strictEqual(teleport[0].details.impliedSpeed, null);
+
+  // 0.6 nm within a minute is below the minimum jump distance
+  assert.deepStrictEqual(detectVesselAnomalies(stored, fields(35.01, 14, '2025-03-01T11:01:00Z'), OPTIONS), []);
+});
+
+test('positions on land, at 0,0 or outside the plausible areas are flagged', () => {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'areas-')), 'land.geojson');
+  fs.writeFileSync(file, JSON.stringify(ISLAND));
+  const island = loadAreas(file);
+  assert.strictEqual(island[0].name, 'land 1');
+
+  const onLand = resolveAnomalyOptions({ landAreas: island, plausibleAreas: [], now: NOW });
+  const landHit = detectVesselAnomalies(null, fields(10, 10, '2025-03-01T11:59:00Z'), onLand);
+  assert.deepStrictEqual(types(landHit), [['position_on_land', 'critical']]);
+  assert.deepStrictEqual(landHit[0].details, { areas: ['land 1'] });
+
+  const plausible = resolveAnomalyOptions({ landAreas: [], plausibleAreas: island, now: NOW });
+  assert.deepStrictEqual(types(detectVesselAnomalies(null, fields(0, 0, '2025-03-01T11:59:00Z'), plausible)),
+    [['null_island', 'warning'], ['outside_plausible_area', 'warning']]);
+});
+
+for (const options of [{ type: 'memory' }, { type: 'sqlite', path: ':memory:' }]) {
+  test(`${options.type} storage compares each run with the stored position`, async () => {
+    const storage = createStorage(options);
+    await storage.prepare();
+    const anomalies = resolveAnomalyOptions({ landAreas: [], plausibleAreas: [], now: NOW });
+    try {
+      const first = await storage.saveVessels([{ SHIP_ID: '1', LAT: 35, LON: 14, LAST_POS: '2025-03-01T11:00:00Z' }], { anomalies });
+      const second = await storage.saveVessels([{ SHIP_ID: '1', LAT: 45, LON: 14, LAST_POS: '2025-03-01T11:30:00Z' }], { anomalies });
+      // Detected again, the same anomaly is not counted twice
+      const stored = await storage.saveVessels([{ SHIP_ID: '2', LAT: 1, LON: 1, LAST_POS: '2025-02-28T00:00:00Z' }], { anomalies });
+      const again = await storage.saveVessels([{ SHIP_ID: '2', LAT: 1, LON: 1, LAST_POS: '2025-02-28T00:00:00Z' }], { anomalies });
+
+      assert.deepStrictEqual([first.anomalies, second.anomalies, stored.anomalies, again.anomalies], [0, 1, 1, 0]);
+
+      const rows = options.type === 'sqlite'
+        ? storage.db.prepare('SELECT ship_id, anomaly_type, severity FROM vessel_anomalies ORDER BY id').all()
+          .map(row => [row.ship_id, row.anomaly_type, row.severity])
+        : [...storage.state.anomalies.values()].map(anomaly => [anomaly.shipId, anomaly.type, anomaly.severity]);
+      assert.deepStrictEqual(rows, [['1', 'impossible_speed', 'critical'], ['2', 'position_stale', 'critical']]);
+    } finally {
+      await storage.close();
+    }
+  });
+}
@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createApiServer } = require('../api-server');
+const { listVessels } = require('../vessel-queries');
+
+// Pool that records the queries it is sent and returns no rows
+function createRecordingPool() {
+  const queries = [];
+  return {
+    queries,
+    query: async (text, values) => {
+      queries.push({ text, values });
+      return { rows: [] };
+    }
+  };
+}
+
+async function withServer(pool, callback, token = null) {
+  const server = createApiServer({ pool, token });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  try {
+    await callback(`http://127.0.0.1:${server.address().port}`);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
+test('negative or non-numeric limit and offset are rejected before querying', async () => {
+  const pool = createRecordingPool();
+  await withServer(pool, async base => {
+    for (const path of ['/vessels?limit=-5', '/vessels?limit=0', '/vessels?offset=-1', '/vessels?limit=ten', '/events?limit=-1']) {
+      const response = await fetch(`${base}${path}`);
+      assert.strictEqual(response.status, 400, path);
+      assert.match((await response.json()).error, /must be an integer of at least/);
+    }
+    assert.strictEqual(pool.queries.length, 0);
+
+    const response = await fetch(`${base}/vessels?limit=5&offset=10`);
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(pool.queries[0].values.slice(-2), [5, 10]);
+  });
+});
+
+test('a malformed escape in a vessel id is a bad request', async () => {
+  const pool = createRecordingPool();
+  await withServer(pool, async base => {
+    const response = await fetch(`${base}/vessels/%E0%A4%A`);
+    assert.strictEqual(response.status, 400);
+    assert.deepStrictEqual(await response.json(), { error: 'Malformed vessel id in the path' });
+    assert.strictEqual((await fetch(`${base}/vessels/123`)).status, 404);
+  });
+});
+
+test('ids past the BIGINT range are refused without querying', async () => {
+  const pool = createRecordingPool();
+  await withServer(pool, async base => {
+    for (const path of ['/companies/99999999999999999999', '/companies/9223372036854775808/vessels',
+      '/companies/99999999999999999999/fleet']) {
+      const response = await fetch(`${base}${path}`);
+      assert.strictEqual(response.status, 404, path);
+    }
+    assert.strictEqual(pool.queries.length, 0);
+
+    assert.strictEqual((await fetch(`${base}/companies/9223372036854775807`)).status, 404);
+    assert.strictEqual(pool.queries.length, 1);
+
+    const events = await fetch(`${base}/events?afterId=99999999999999999999`);
+    assert.strictEqual(events.status, 400);
+    assert.strictEqual(pool.queries.length, 1);
+  });
+});
+
+test('every route but /health needs the bearer token', async () => {
+  await withServer(createRecordingPool(), async base => {
+    const status = async headers => (await fetch(`${base}/vessels`, { headers })).status;
+    assert.strictEqual(await status({}), 401);
+    assert.strictEqual(await status({ authorization: 'Bearer s3cre' }), 401);
+    assert.strictEqual(await status({ authorization: 'Bearer s3cret!' }), 401);
+    assert.strictEqual(await status({ authorization: 'Bearer s3cret' }), 200);
+  }, 's3cret');
+});
+
+test('listVessels clamps limit and offset for callers other than the API', async () => {
+  const pool = createRecordingPool();
+  await listVessels(pool, { limit: -5, offset: -1 });
+  await listVessels(pool, { limit: 50000 });
+  assert.deepStrictEqual(pool.queries.map(query => query.values.slice(-2)), [[1, 0], [10000, 0]]);
+});
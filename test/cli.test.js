@@ -0,0 +1,192 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EXIT_CODES, runCli } = require('../cli');
+const { loadMigrations } = require('../migrate');
+
+const NOW = new Date('2025-03-01T12:00:00Z');
+
+// Collects what a command writes
+function createOutput() {
+  const output = { text: '', write(chunk) { output.text += chunk; } };
+  return output;
+}
+
+// Pool answering the queries of the read commands from canned rows
+function createQueryPool({ vessels = [], positions = [], events = [], appliedVersions = null, connectError = null } = {}) {
+  const queries = [];
+
+  async function query(text, values = []) {
+    const sql = text.trim().replace(/\s+/g, ' ');
+    queries.push({ sql, values });
+
+    if (sql.includes('FROM vessels_mt WHERE imo = $1')) {
+      const id = values[0];
+      return { rows: vessels.filter(row => [row.imo, row.mmsi, row.ship_id].includes(id)) };
+    }
+    if (sql.startsWith('SELECT * FROM vessels_mt')) {
+      return { rows: vessels };
+    }
+    if (sql.includes('FROM vessel_positions')) {
+      return { rows: positions.filter(row => row.ship_id === values[0]) };
+    }
+    if (sql.includes('FROM vessel_events')) {
+      return { rows: events.filter(row => row.ship_id === values[0]) };
+    }
+    if (sql.includes('to_regclass')) {
+      return { rows: [{ name: appliedVersions ? 'schema_migrations' : null }] };
+    }
+    if (sql.includes('FROM schema_migrations')) {
+      return { rows: (appliedVersions || []).map(version => ({ version })) };
+    }
+    return { rows: [], rowCount: 0 };
+  }
+
+  return {
+    queries,
+    query,
+    async connect() {
+      if (connectError) throw connectError;
+      return { query, release() {} };
+    }
+  };
+}
+
+async function run(argv, context = {}) {
+  const stdout = createOutput();
+  const stderr = createOutput();
+  const exitCode = await runCli(argv, { stdout, stderr, now: NOW, ...context });
+  return { exitCode, stdout: stdout.text, stderr: stderr.text };
+}
+
+test('prints usage and exits with the usage code without a command', async () => {
+  const result = await run([]);
+  assert.strictEqual(result.exitCode, EXIT_CODES.USAGE);
+  assert.match(result.stderr, /Usage: node cli\.js <command>/);
+
+  const help = await run(['help']);
+  assert.strictEqual(help.exitCode, EXIT_CODES.OK);
+  assert.match(help.stdout, /Exit codes:/);
+});
+
+test('rejects unknown commands and options as usage errors', async () => {
+  const pool = createQueryPool();
+  assert.strictEqual((await run(['frobnicate'], { pool })).exitCode, EXIT_CODES.USAGE);
+  assert.strictEqual((await run(['export', '--colour', 'red'], { pool })).exitCode, EXIT_CODES.USAGE);
+  assert.strictEqual((await run(['export', '--format', 'xml'], { pool })).exitCode, EXIT_CODES.USAGE);
+  assert.strictEqual((await run(['export', '--bbox', '1,2,3'], { pool })).exitCode, EXIT_CODES.USAGE);
+  assert.strictEqual((await run(['export', '--since', '6h'], { pool })).exitCode, EXIT_CODES.USAGE);
+  assert.strictEqual((await run(['export', '--history', '--from', 'yesterday'], { pool })).exitCode, EXIT_CODES.USAGE);
+  assert.strictEqual((await run(['db', 'repair'], { pool })).exitCode, EXIT_CODES.USAGE);
+  assert.strictEqual(pool.queries.length, 0);
+});
+
+test('checks scrape flags before starting a browser', async () => {
+  assert.strictEqual((await run(['scrape', '--once', '--timeout', 'soon'])).exitCode, EXIT_CODES.USAGE);
+  assert.strictEqual((await run(['scrape', '--once', '--out', 'rows.json'])).exitCode, EXIT_CODES.USAGE);
+  assert.strictEqual((await run(['scrape', '--no-db'])).exitCode, EXIT_CODES.USAGE);
+});
+
+test('exports vessels as NDJSON to a file', async () => {
+  const out = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'cli-')), 'vessels.ndjson');
+  const pool = createQueryPool({ vessels: [{ ship_id: '1', shipname: 'ALPHA' }, { ship_id: '2', shipname: 'BRAVO' }] });
+
+  const result = await run(['export', '--format', 'ndjson', '--flag', 'GR,MT', '--limit', '10', '--out', out], { pool });
+
+  assert.strictEqual(result.exitCode, EXIT_CODES.OK);
+  const lines = fs.readFileSync(out, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+  assert.deepStrictEqual(lines.map(line => line.shipname), ['ALPHA', 'BRAVO']);
+  assert.deepStrictEqual(pool.queries[0].values.slice(0, 1), [['GR', 'MT']]);
+});
+
+test('exits with the no-data code when an export matches nothing', async () => {
+  const result = await run(['export'], { pool: createQueryPool() });
+  assert.strictEqual(result.exitCode, EXIT_CODES.NO_DATA);
+  assert.deepStrictEqual(JSON.parse(result.stdout), []);
+});
+
+test('shows a vessel with its track and events since the window start', async () => {
+  const pool = createQueryPool({
+    vessels: [{ ship_id: '42', imo: '9400019', mmsi: '241234000', shipname: 'ALPHA' }],
+    positions: [{ ship_id: '42', lat: 25.1, lon: 56.4 }],
+    events: [{ ship_id: '42', event_type: 'status_changed' }]
+  });
+
+  const result = await run(['vessel', '9400019', '--since', '6h'], { pool });
+
+  assert.strictEqual(result.exitCode, EXIT_CODES.OK);
+  const [history] = JSON.parse(result.stdout);
+  assert.strictEqual(history.vessel.shipname, 'ALPHA');
+  assert.strictEqual(history.track.length, 1);
+  assert.strictEqual(history.events[0].event_type, 'status_changed');
+
+  const trackQuery = pool.queries.find(query => query.sql.includes('FROM vessel_positions'));
+  assert.deepStrictEqual(trackQuery.values, ['42', '2025-03-01T06:00:00.000Z', NOW.toISOString()]);
+  const eventsQuery = pool.queries.find(query => query.sql.includes('FROM vessel_events'));
+  assert.strictEqual(eventsQuery.values[3], '2025-03-01T06:00:00.000Z');
+});
+
+test('exits with the not-found code for an unknown vessel', async () => {
+  const result = await run(['vessel', '9999999'], { pool: createQueryPool() });
+  assert.strictEqual(result.exitCode, EXIT_CODES.NOT_FOUND);
+  assert.match(result.stderr, /No stored vessel matches 9999999/);
+});
+
+test('screening review records the review of a hit', async () => {
+  const pool = createQueryPool();
+  const unknown = await run(['screening', 'review', '7', '--status', 'dismissed', '--note', 'other vessel', '--reviewer', 'kim'], { pool });
+
+  assert.strictEqual(unknown.exitCode, EXIT_CODES.NOT_FOUND);
+  assert.match(unknown.stderr, /No screening hit 7/);
+  assert.deepStrictEqual(pool.queries[0].values, ['7', 'dismissed', 'other vessel', 'kim']);
+
+  const invalid = await run(['screening', 'review', '7', '--status', 'ignored'], { pool });
+  assert.strictEqual(invalid.exitCode, EXIT_CODES.USAGE);
+  assert.match(invalid.stderr, /--status must be one of: open, confirmed, dismissed/);
+});
+
+test('db check reports an unreachable database and pending migrations', async () => {
+  const unreachable = await run(['db', 'check'], { pool: createQueryPool({ connectError: new Error('ECONNREFUSED') }) });
+  assert.strictEqual(unreachable.exitCode, EXIT_CODES.DB_UNAVAILABLE);
+
+  const versions = loadMigrations().map(migration => migration.version);
+  const pending = await run(['db', 'check'], { pool: createQueryPool({ appliedVersions: versions.slice(0, -1) }) });
+  assert.strictEqual(pending.exitCode, EXIT_CODES.MIGRATIONS_PENDING);
+  assert.match(pending.stdout, new RegExp(`${versions[versions.length - 1]}-.*: pending`));
+
+  const current = await run(['db', 'check'], { pool: createQueryPool({ appliedVersions: versions }) });
+  assert.strictEqual(current.exitCode, EXIT_CODES.OK);
+
+  // A database that was never migrated has every migration pending, and the check creates nothing
+  const pool = createQueryPool();
+  const fresh = await run(['db', 'check'], { pool });
+  assert.strictEqual(fresh.exitCode, EXIT_CODES.MIGRATIONS_PENDING);
+  assert.strictEqual(fresh.stdout.match(/: pending/g).length, versions.length);
+  assert.ok(pool.queries.every(({ sql }) => !/CREATE|INSERT/.test(sql)));
+});
+
+test('session clear removes the saved session of one user', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cli-sessions-'));
+  const previous = { SESSION_STORE: process.env.SESSION_STORE, SESSION_DIR: process.env.SESSION_DIR };
+  process.env.SESSION_STORE = 'file';
+  process.env.SESSION_DIR = dir;
+  try {
+    const { createSessionStore } = require('../session-store');
+    const store = createSessionStore();
+    await store.save('alice', { cookies: [] });
+    await store.save('bob', { cookies: [] });
+
+    const result = await run(['session', 'clear', '--username', 'alice'], { pool: createQueryPool() });
+
+    assert.strictEqual(result.exitCode, EXIT_CODES.OK);
+    assert.strictEqual(await store.load('alice'), null);
+    assert.ok(await store.load('bob'));
+  } finally {
+    for (const [key, value] of Object.entries(previous)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+  }
+});
@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  normalizeCompanyName, resolveRoles, extractParties, buildFleetTimeline, listCompanyVessels
+} = require('../companies');
+const { saveVesselsToDatabase } = require('../vessel-store');
+const { createFakePool } = require('./support/fake-pg');
+
+test('company names differing in case, punctuation or spacing are the same company', () => {
+  assert.strictEqual(normalizeCompanyName('Thenamaris (Ships Mgmt) Inc.'), 'THENAMARIS SHIPS MGMT INC');
+  assert.strictEqual(normalizeCompanyName('  THENAMARIS  SHIPS-MGMT INC '), 'THENAMARIS SHIPS MGMT INC');
+  assert.strictEqual(normalizeCompanyName('Smith & Co'), 'SMITH AND CO');
+  assert.strictEqual(normalizeCompanyName('-'), null);
+  assert.strictEqual(normalizeCompanyName('n/a'), null);
+  assert.strictEqual(normalizeCompanyName(null), null);
+});
+
+test('role groups expand to the stored roles', () => {
+  assert.deepStrictEqual(resolveRoles('manager,operator'),
+    ['commercial_manager', 'technical_manager', 'ism_manager', 'operator']);
+  assert.deepStrictEqual(resolveRoles(undefined), []);
+  assert.throws(() => resolveRoles('captain'), /Unknown company role "captain"/);
+});
+
+test('every reported party becomes a company with its role', () => {
+  const parties = extractParties({
+    SHIP_ID: '1',
+    REGISTERED_OWNER: 'Aurora Shipping Ltd',
+    REGISTERED_OWNER_COUNTRY: 'Greece',
+    REGISTERED_OWNER_EMAIL: 'ops@aurora.example',
+    TECHNICAL_MANAGER: 'UNKNOWN',
+    OPERATOR: null
+  });
+
+  assert.deepStrictEqual(parties, [{
+    role: 'registered_owner',
+    name: 'Aurora Shipping Ltd',
+    normalizedName: 'AURORA SHIPPING LTD',
+    country: 'Greece',
+    email: 'ops@aurora.example',
+    city: null
+  }]);
+});
+
+test('a changed manager closes the old link and opens a new one', async () => {
+  const pool = createFakePool();
+
+  await saveVesselsToDatabase([
+    { SHIP_ID: '1', SHIPNAME: 'AURORA', TECHNICAL_MANAGER: 'Blue Marine', TECHNICAL_MANAGER_COUNTRY: 'Greece', ISM_MANAGER: 'BLUE MARINE.' },
+    { SHIP_ID: '2', SHIPNAME: 'BOREAS', TECHNICAL_MANAGER: 'blue  marine', TECHNICAL_MANAGER_COUNTRY: 'Greece' }
+  ], { pool });
+
+  // One company per name and country, however it is spelled
+  assert.deepStrictEqual(pool.companies.map(company => [company.normalized_name, company.country]), [
+    ['BLUE MARINE', 'Greece'],
+    ['BLUE MARINE', '']
+  ]);
+  assert.strictEqual(pool.companyLinks.length, 3);
+
+  // Vessel 2 changes manager, vessel 1 does not report its managers this time
+  await saveVesselsToDatabase([
+    { SHIP_ID: '1', SHIPNAME: 'AURORA' },
+    { SHIP_ID: '2', SHIPNAME: 'BOREAS', TECHNICAL_MANAGER: 'Red Sea Management', TECHNICAL_MANAGER_COUNTRY: 'Egypt' }
+  ], { pool });
+
+  const links = pool.companyLinks.map(link => [link.ship_id, link.role, link.company_id, link.valid_to === null]);
+  assert.deepStrictEqual(links, [
+    ['1', 'technical_manager', '1', true],
+    ['1', 'ism_manager', '2', true],
+    ['2', 'technical_manager', '1', false],
+    ['2', 'technical_manager', '3', true]
+  ]);
+});
+
+test('vessels at a point in time are the links valid then', async () => {
+  const queries = [];
+  const client = { async query(sql, values) { queries.push({ sql, values }); return { rows: [] }; } };
+
+  await listCompanyVessels(client, 7, { roles: 'manager', at: '2025-03-01T00:00:00Z' });
+
+  assert.match(queries[0].sql, /l\.valid_from <= \$3 AND \(l\.valid_to IS NULL OR l\.valid_to > \$3\)/);
+  assert.deepStrictEqual(queries[0].values, [
+    '7', ['commercial_manager', 'technical_manager', 'ism_manager'], '2025-03-01T00:00:00.000Z'
+  ]);
+});
+
+test('the fleet timeline counts each vessel once and handovers without a gap', () => {
+  const timeline = buildFleetTimeline([
+    { ship_id: '1', valid_from: '2025-01-01T00:00:00Z', valid_to: null },
+    { ship_id: '1', valid_from: '2025-01-01T00:00:00Z', valid_to: '2025-03-01T00:00:00Z' },
+    { ship_id: '2', valid_from: '2025-02-01T00:00:00Z', valid_to: '2025-03-01T00:00:00Z' },
+    { ship_id: '2', valid_from: '2025-03-01T00:00:00Z', valid_to: null }
+  ]);
+
+  assert.deepStrictEqual(timeline, [
+    { at: '2025-01-01T00:00:00.000Z', vessels: 1 },
+    { at: '2025-02-01T00:00:00.000Z', vessels: 2 },
+    { at: '2025-03-01T00:00:00.000Z', vessels: 2 }
+  ]);
+});
@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseAccountList, loadAccounts, createCredentialPool, isAccountFailure } = require('../credentials');
+const { ScrapeError } = require('../scrape-errors');
+
+const ACCOUNTS = [
+  { username: 'a@example.com', password: 'a' },
+  { username: 'b@example.com', password: 'b' },
+  { username: 'c@example.com', password: 'c' }
+];
+
+const MINUTE = 60000;
+
+// A pool on a clock the test moves by hand
+function createPool(options = {}, accounts = ACCOUNTS) {
+  const clock = { time: Date.parse('2025-03-01T12:00:00Z') };
+  const pool = createCredentialPool(accounts, {
+    selection: 'round-robin', cooldown: '30m', maxRunsPerHour: null, now: () => clock.time, ...options
+  });
+  return { pool, clock };
+}
+
+const accountFailure = kind => new ScrapeError(kind, kind);
+const usernames = (pool, count) => Array.from({ length: count }, () => pool.acquire().username);
+
+test('accounts are loaded from a secrets file, MT_ACCOUNTS and MT_USERNAME', () => {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'accounts-')), 'accounts.json');
+  fs.writeFileSync(file, JSON.stringify({ accounts: [{ username: 'a@example.com', password: 'x', maxRunsPerHour: 4 }] }));
+
+  const accounts = loadAccounts({
+    MT_ACCOUNTS_FILE: file,
+    MT_ACCOUNTS: 'b@example.com:p:w, a@example.com:ignored',
+    MT_USERNAME: 'c@example.com',
+    MT_PASSWORD: 'c'
+  });
+
+  assert.deepStrictEqual(accounts, [
+    { username: 'a@example.com', password: 'x', maxRunsPerHour: 4 },
+    { username: 'b@example.com', password: 'p:w' },
+    { username: 'c@example.com', password: 'c' }
+  ]);
+  assert.deepStrictEqual(loadAccounts({}), []);
+  assert.throws(() => parseAccountList('a@example.com'), /^Error: Invalid MT_ACCOUNTS entry, expected username:password$/);
+  assert.throws(() => loadAccounts({ MT_ACCOUNTS_FILE: path.join(path.dirname(file), 'missing.json') }),
+    /Could not read MT_ACCOUNTS_FILE/);
+});
+
+test('round-robin takes turns and skips accounts that are cooling down', () => {
+  const { pool } = createPool();
+  assert.deepStrictEqual(usernames(pool, 4), ['a@example.com', 'b@example.com', 'c@example.com', 'a@example.com']);
+
+  pool.release('b@example.com', accountFailure('captcha'));
+  assert.deepStrictEqual(usernames(pool, 2), ['c@example.com', 'a@example.com']);
+});
+
+test('failing accounts cool down longer after each failure in a row', () => {
+  const { pool, clock } = createPool({}, [ACCOUNTS[0]]);
+  pool.acquire();
+  pool.release('a@example.com', accountFailure('bad_credentials'));
+  assert.throws(() => pool.acquire(), error =>
+    error.retryAt.toISOString() === '2025-03-01T12:30:00.000Z' && /cooling down or at their hourly limit/.test(error.message));
+
+  clock.time += 30 * MINUTE;
+  pool.acquire();
+  pool.release('a@example.com', accountFailure('captcha'));
+  assert.deepStrictEqual(pool.status()[0].cooldownUntil, '2025-03-01T13:30:00.000Z');
+
+  // A success ends the streak, network errors and timeouts do not count against the account
+  clock.time += 60 * MINUTE;
+  pool.acquire();
+  pool.release('a@example.com');
+  pool.acquire();
+  pool.release('a@example.com', new Error('net::ERR_CONNECTION_RESET'));
+  assert.deepStrictEqual(pool.status()[0], {
+    username: 'a@example.com', available: true, cooldownUntil: null, runsLastHour: 2, maxRunsPerHour: null, failures: 0
+  });
+});
+
+test('accounts stop at their hourly limit until the oldest run is an hour old', () => {
+  const { pool, clock } = createPool({ maxRunsPerHour: 2 },
+    [ACCOUNTS[0], { ...ACCOUNTS[1], maxRunsPerHour: 1 }]);
+
+  assert.deepStrictEqual(usernames(pool, 3), ['a@example.com', 'b@example.com', 'a@example.com']);
+  clock.time += 10 * MINUTE;
+  assert.throws(() => pool.acquire(), error => error.retryAt.toISOString() === '2025-03-01T13:00:00.000Z');
+
+  clock.time += 50 * MINUTE;
+  assert.deepStrictEqual(usernames(pool, 3), ['b@example.com', 'a@example.com', 'a@example.com']);
+});
+
+test('health selection prefers accounts without failures, then the least used', () => {
+  const { pool, clock } = createPool({ selection: 'health', cooldown: '1m' });
+  pool.acquire();
+  pool.release('a@example.com', accountFailure('throttled'));
+  clock.time += 2 * MINUTE;
+
+  assert.deepStrictEqual(usernames(pool, 3), ['b@example.com', 'c@example.com', 'b@example.com']);
+  assert.throws(() => createPool({ selection: 'random' }), /Unknown MT_ACCOUNT_SELECTION "random"/);
+});
+
+test('withAccount releases the account with the outcome of the scrape', async () => {
+  const { pool } = createPool({}, [ACCOUNTS[0]]);
+
+  assert.strictEqual(await pool.withAccount(async ({ username }) => username), 'a@example.com');
+  await assert.rejects(pool.withAccount(async () => { throw accountFailure('captcha'); }), /captcha/);
+  assert.strictEqual(pool.status()[0].failures, 1);
+  assert.ok(isAccountFailure(accountFailure('captcha')));
+  assert.ok(!isAccountFailure(new ScrapeError('network', 'Navigation timeout of 30000 ms exceeded')));
+
+  const { pool: empty } = createPool({}, []);
+  assert.throws(() => empty.acquire(), /MarineTraffic username and password are required/);
+});
@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { ScrapeError, classifyError } = require('../scrape-errors');
+const { attachNetworkLog, saveDiagnostics } = require('../diagnostics');
+
+// Just enough of a Puppeteer request and response for the network log
+function fakeRequest(url, headers = {}) {
+  return {
+    url: () => url,
+    method: () => 'GET',
+    headers: () => headers,
+    resourceType: () => 'document',
+    failure: () => ({ errorText: 'net::ERR_CONNECTION_RESET' })
+  };
+}
+
+function fakeResponse(request, status, headers = {}) {
+  return { request: () => request, status: () => status, statusText: () => '', headers: () => headers };
+}
+
+test('errors are classified by kind, and only some open the circuit breaker', () => {
+  const timeout = Object.assign(new Error('Waiting for selector failed'), { name: 'TimeoutError' });
+  assert.strictEqual(classifyError(timeout).kind, 'network');
+  assert.strictEqual(classifyError(new Error('net::ERR_NAME_NOT_RESOLVED at https://www.marinetraffic.com')).kind, 'network');
+  assert.strictEqual(classifyError(timeout).cause, timeout);
+  assert.strictEqual(classifyError(new TypeError('Cannot read properties of null')).kind, 'unknown');
+
+  const captcha = new ScrapeError('captcha', 'challenge');
+  assert.strictEqual(classifyError(captcha), captcha);
+  assert.deepStrictEqual(['captcha', 'layout_changed', 'bad_credentials', 'network', 'empty_report']
+    .map(kind => new ScrapeError(kind, kind).tripBreaker), [false, true, false, false, false]);
+});
+
+test('the network log keeps the latest requests with redacted session headers', () => {
+  const page = new EventEmitter();
+  let time = Date.parse('2025-03-01T12:00:00Z');
+  const log = attachNetworkLog(page, { limit: 2, now: () => time });
+
+  const dropped = fakeRequest('https://www.marinetraffic.com/');
+  const login = fakeRequest('https://www.marinetraffic.com/en/users/login', { cookie: 'session=secret', accept: 'text/html' });
+  const failed = fakeRequest('https://www.marinetraffic.com/en/reports');
+  page.emit('request', dropped);
+  page.emit('request', login);
+  time += 120;
+  page.emit('response', fakeResponse(login, 302, { 'set-cookie': 'session=new', location: '/en/data' }));
+  page.emit('request', failed);
+  page.emit('requestfailed', failed);
+
+  const { log: har } = log.toHar();
+  assert.strictEqual(har.version, '1.2');
+  assert.deepStrictEqual(har.entries.map(entry => [entry.request.url, entry.response.status, entry.time, entry._error]), [
+    ['https://www.marinetraffic.com/en/users/login', 302, 120, undefined],
+    ['https://www.marinetraffic.com/en/reports', 0, 0, 'net::ERR_CONNECTION_RESET']
+  ]);
+  assert.deepStrictEqual(har.entries[0].request.headers, [
+    { name: 'cookie', value: '[redacted]' },
+    { name: 'accept', value: 'text/html' }
+  ]);
+  assert.deepStrictEqual(har.entries[0].response.headers[0], { name: 'set-cookie', value: '[redacted]' });
+  assert.strictEqual(har.entries[0].response.redirectURL, '/en/data');
+});
+
+test('diagnostics are saved to a timestamped directory and old ones are removed', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'diagnostics-'));
+  const page = Object.assign(new EventEmitter(), {
+    url: () => 'https://www.marinetraffic.com/en/users/login',
+    content: async () => '<html><body>Just a moment...</body></html>',
+    screenshot: async () => { throw new Error('Target closed'); }
+  });
+  const networkLog = attachNetworkLog(page);
+  const error = new ScrapeError('captcha', 'MarineTraffic showed a CAPTCHA instead of the login form');
+  const report = { name: 'Tankers / Gulf' };
+
+  const first = await saveDiagnostics({ dir, keep: 2, page, networkLog, error, report, now: new Date('2025-03-01T12:00:00Z') });
+  assert.strictEqual(path.basename(first), '2025-03-01T12-00-00-000Z-Tankers-Gulf-captcha');
+  // A failed screenshot does not stop the other artifacts
+  assert.deepStrictEqual(fs.readdirSync(first).sort(), ['error.json', 'network.har', 'page.html']);
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync(path.join(first, 'error.json'), 'utf8')), {
+    kind: 'captcha',
+    message: 'MarineTraffic showed a CAPTCHA instead of the login form',
+    report: 'Tankers / Gulf',
+    url: 'https://www.marinetraffic.com/en/users/login',
+    failedAt: '2025-03-01T12:00:00.000Z'
+  });
+
+  for (const hour of ['13', '14']) {
+    await saveDiagnostics({ dir, keep: 2, error, now: new Date(`2025-03-01T${hour}:00:00Z`) });
+  }
+  assert.deepStrictEqual(fs.readdirSync(dir).sort(), [
+    '2025-03-01T13-00-00-000Z-scrape-captcha',
+    '2025-03-01T14-00-00-000Z-scrape-captcha'
+  ]);
+});
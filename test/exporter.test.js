@@ -0,0 +1,173 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  STATE_COLUMNS,
+  HISTORY_COLUMNS,
+  formatRows,
+  exportData,
+  resolveReportExport,
+  runReportExports
+} = require('../exporter');
+
+const VESSELS = [
+  {
+    ship_id: '1', shipname: 'ALPHA, "THE"', flag: 'GR', lat: 25.1, lon: 56.4,
+    last_pos: new Date('2025-03-01T10:00:00Z'), quality_flags: [], extra: { ignored: true }
+  },
+  { ship_id: '2', shipname: 'BRAVO', flag: 'MT', lat: 91, lon: 181 }
+];
+
+const POSITIONS = [
+  { ship_id: '1', shipname: 'ALPHA', position_time: new Date('2025-03-01T08:00:00Z'), lat: 25.0, lon: 56.0 },
+  { ship_id: '1', shipname: 'ALPHA', position_time: new Date('2025-03-01T09:00:00Z'), lat: 25.5, lon: 56.5 },
+  { ship_id: '2', shipname: 'BRAVO', position_time: new Date('2025-03-01T09:30:00Z'), lat: 35.0, lon: 14.0 }
+];
+
+// Pool answering vessels_mt and vessel_positions reads
+function createExportPool({ vessels = VESSELS, positions = POSITIONS } = {}) {
+  const queries = [];
+  return {
+    queries,
+    async query(text, values) {
+      const sql = text.trim().replace(/\s+/g, ' ');
+      queries.push({ sql, values });
+      return { rows: sql.includes('FROM vessel_positions') ? positions : vessels };
+    }
+  };
+}
+
+test('CSV has every state column in a fixed order and quotes where needed', () => {
+  const csv = formatRows(VESSELS, { format: 'csv' });
+  const lines = csv.split('\r\n');
+
+  assert.strictEqual(lines[0], STATE_COLUMNS.join(','));
+  assert.ok(!STATE_COLUMNS.includes('extra'));
+  assert.strictEqual(lines.length, 4);
+
+  const cells = lines[1].split(',');
+  assert.strictEqual(cells[STATE_COLUMNS.indexOf('ship_id')], '1');
+  assert.ok(lines[1].includes('"ALPHA, ""THE"""'));
+  assert.ok(lines[1].includes('2025-03-01T10:00:00.000Z'));
+});
+
+test('history CSV uses the position columns', () => {
+  const [header] = formatRows(POSITIONS, { format: 'csv', dataset: 'history' }).split('\r\n');
+  assert.strictEqual(header, HISTORY_COLUMNS.join(','));
+});
+
+test('GeoJSON of the current state has a point per vessel with a valid position', () => {
+  const collection = JSON.parse(formatRows(VESSELS, { format: 'geojson' }));
+
+  assert.strictEqual(collection.type, 'FeatureCollection');
+  assert.strictEqual(collection.features.length, 1);
+  assert.deepStrictEqual(collection.features[0].geometry, { type: 'Point', coordinates: [56.4, 25.1] });
+  assert.strictEqual(collection.features[0].properties.shipname, 'ALPHA, "THE"');
+});
+
+test('GeoJSON of the history has one track per vessel', () => {
+  const collection = JSON.parse(formatRows(POSITIONS, { format: 'geojson', dataset: 'history' }));
+  const [alpha, bravo] = collection.features;
+
+  assert.deepStrictEqual(alpha.geometry, { type: 'LineString', coordinates: [[56.0, 25.0], [56.5, 25.5]] });
+  assert.strictEqual(alpha.properties.positions, 2);
+  assert.strictEqual(alpha.properties.from, '2025-03-01T08:00:00.000Z');
+  assert.strictEqual(alpha.properties.to, '2025-03-01T09:00:00.000Z');
+  assert.strictEqual(bravo.geometry.type, 'Point');
+});
+
+test('NDJSON and columnar exports hold the same values', () => {
+  const records = formatRows(POSITIONS, { format: 'ndjson', dataset: 'history' })
+    .trim().split('\n').map(line => JSON.parse(line));
+  const columnar = JSON.parse(formatRows(POSITIONS, { format: 'columnar', dataset: 'history' }));
+
+  assert.strictEqual(columnar.rowCount, 3);
+  assert.deepStrictEqual(columnar.columns, HISTORY_COLUMNS);
+  assert.deepStrictEqual(columnar.data.lat, records.map(record => record.lat));
+});
+
+test('history exports filter vessels by flag and positions by area', async () => {
+  const pool = createExportPool();
+  const { count } = await exportData(pool, {
+    format: 'ndjson',
+    dataset: 'history',
+    filters: { flag: 'GR', bbox: [50, 20, 60, 30] },
+    from: '2025-03-01T00:00:00Z',
+    to: '2025-03-02T00:00:00Z'
+  });
+
+  assert.strictEqual(count, 3);
+  const [{ sql, values }] = pool.queries;
+  assert.ok(sql.includes('v.flag = ANY($3)'));
+  assert.ok(sql.includes('p.lat BETWEEN $4 AND $5'));
+  assert.deepStrictEqual(values, ['2025-03-01T00:00:00.000Z', '2025-03-02T00:00:00.000Z', ['GR'], 20, 30, 50, 60, 100000]);
+});
+
+test('history exports page through positions by key instead of stopping at one query', async () => {
+  const total = 150000;
+  const time = new Date('2025-03-01T08:00:00Z');
+  const shipId = i => String(i).padStart(6, '0');
+  const queries = [];
+  const pool = {
+    async query(text, values) {
+      // Rows after the keyset cursor, if any, up to the limit
+      const keyset = /\(p\.ship_id, p\.position_time\) >/.test(text);
+      const start = keyset ? Number(values[values.length - 3]) + 1 : 0;
+      const limit = values[values.length - 1];
+      queries.push(keyset ? [values[values.length - 3], limit] : [null, limit]);
+      return {
+        rows: Array.from({ length: Math.max(Math.min(limit, total - start), 0) },
+          (_, i) => ({ ship_id: shipId(start + i), position_time: time, lat: 25, lon: 56 }))
+      };
+    }
+  };
+
+  const { count } = await exportData(pool, { format: 'ndjson', dataset: 'history', to: '2025-03-02T00:00:00Z' });
+  assert.strictEqual(count, total);
+  assert.deepStrictEqual(queries, [[null, 100000], [shipId(99999), 100000]]);
+
+  queries.length = 0;
+  await exportData(pool, { format: 'ndjson', dataset: 'history', filters: { limit: 120000 }, to: '2025-03-02T00:00:00Z' });
+  assert.deepStrictEqual(queries, [[null, 100000], [shipId(99999), 20000]]);
+});
+
+test('rejects unknown formats and datasets', async () => {
+  const pool = createExportPool();
+  await assert.rejects(exportData(pool, { format: 'xlsx' }), /Unknown export format "xlsx"/);
+  await assert.rejects(exportData(pool, { format: 'csv', dataset: 'events' }), /Unknown export dataset/);
+  assert.throws(() => resolveReportExport('xlsx', { name: 'tankers' }), /unknown format "xlsx"/);
+});
+
+test('report exports are written after a scrape, limited to the report tag', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'exports-'));
+  const report = { name: 'tankers', tag: 'tankers-tag' };
+  report.exports = [
+    resolveReportExport({ format: 'csv', path: path.join(dir, 'tankers.csv') }, report),
+    resolveReportExport({ format: 'geojson', dataset: 'history', window: '6h', path: path.join(dir, 'tracks.geojson') }, report)
+  ];
+  const pool = createExportPool();
+
+  const written = await runReportExports(pool, report, new Date('2025-03-01T12:00:00Z'));
+
+  assert.strictEqual(written, 2);
+  assert.ok(fs.readFileSync(path.join(dir, 'tankers.csv'), 'utf8').startsWith('ship_id,'));
+  assert.strictEqual(JSON.parse(fs.readFileSync(path.join(dir, 'tracks.geojson'), 'utf8')).features.length, 2);
+  assert.deepStrictEqual(pool.queries[0].values[0], ['tankers-tag']);
+  assert.strictEqual(pool.queries[1].values[0], '2025-03-01T06:00:00.000Z');
+  assert.deepStrictEqual(fs.readdirSync(dir).sort(), ['tankers.csv', 'tracks.geojson']);
+});
+
+test('report exports default to EXPORT_DIR with the report name', () => {
+  const previous = process.env.EXPORT_DIR;
+  process.env.EXPORT_DIR = '/data/exports';
+  try {
+    const spec = resolveReportExport({ format: 'columnar', dataset: 'history' }, { name: 'tankers' });
+    assert.strictEqual(spec.path, path.join('/data/exports', 'tankers-history.columns.json'));
+    assert.strictEqual(spec.windowMs, 24 * 60 * 60 * 1000);
+  } finally {
+    if (previous === undefined) delete process.env.EXPORT_DIR;
+    else process.env.EXPORT_DIR = previous;
+  }
+});
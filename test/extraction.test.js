@@ -0,0 +1,19 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { isVesselApiUrl, isVesselPayload, extractJsonFromHtml } = require('../extraction');
+
+test('isVesselPayload recognises vessel arrays', () => {
+  assert.ok(isVesselPayload({ data: [{ SHIP_ID: 1 }] }));
+  assert.ok(isVesselPayload([{ MMSI: '538001234' }]));
+  assert.ok(!isVesselPayload({ data: [] }));
+  assert.ok(!isVesselPayload([{ name: 'not a vessel' }]));
+  assert.ok(isVesselApiUrl('https://www.marinetraffic.com/en/reports?asset_type=vessels'));
+});
+
+test('extractJsonFromHtml finds an embedded array despite brackets in strings', () => {
+  const html = '<script>var x = {"title":"a}","vessels":[{"SHIP_ID":"1","NAME":"A ]["},{"SHIP_ID":"2"}]};</script>';
+  const result = extractJsonFromHtml(html);
+  assert.strictEqual(result.source, 'html-json:vessels');
+  assert.deepStrictEqual(result.data.data, [{ SHIP_ID: '1', NAME: 'A ][' }, { SHIP_ID: '2' }]);
+  assert.strictEqual(extractJsonFromHtml('<html></html>'), null);
+});
@@ -0,0 +1,132 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const { loadGeofences, findGeofences } = require('../geofence');
+const { diffVessel } = require('../vessel-events');
+const { createGeofenceAlerts } = require('../geofence-alerts');
+const { createWebhookNotifier, createSmtpNotifier } = require('../notifiers');
+
+const geofences = loadGeofences(path.join(__dirname, '..', 'geofences.example.json'));
+
+test('loadGeofences reads GeoJSON polygons and is disabled without a path', () => {
+  assert.deepStrictEqual(geofences.map(geofence => geofence.name), ['Fujairah anchorage', 'Strait of Hormuz']);
+  assert.deepStrictEqual(geofences[0].bbox, [56.35, 25.05, 56.55, 25.3]);
+  assert.deepStrictEqual(loadGeofences(undefined), []);
+
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'geofences-')), 'geofences.json');
+  fs.writeFileSync(file, JSON.stringify({ type: 'FeatureCollection', features: [{ properties: { name: 'x' }, geometry: { type: 'Point' } }] }));
+  assert.throws(() => loadGeofences(file), /must be a Polygon or MultiPolygon, not Point/);
+});
+
+test('findGeofences respects polygon holes and invalid positions', () => {
+  const [ring] = loadGeofences(path.join(__dirname, '..', 'geofences.example.json'));
+  const donut = {
+    ...ring,
+    polygons: [[ring.polygons[0][0], [[56.4, 25.1], [56.5, 25.1], [56.5, 25.2], [56.4, 25.2], [56.4, 25.1]]]]
+  };
+
+  assert.deepStrictEqual(findGeofences([donut], 25.07, 56.37), ['Fujairah anchorage']);
+  assert.deepStrictEqual(findGeofences([donut], 25.15, 56.45), []);
+  assert.deepStrictEqual(findGeofences(geofences, 26.5, 56.5), ['Strait of Hormuz']);
+  assert.strictEqual(findGeofences(geofences, 91, 181), null);
+  assert.strictEqual(findGeofences(geofences, null, 56.5), null);
+});
+
+test('diffVessel detects geofence entries and exits between runs', () => {
+  const stored = { LAT: 26.5, LON: 56.5 };
+  const events = diffVessel(stored, { SHIP_ID: '1', SHIPNAME: 'AURORA', LAT: 25.2, LON: 56.4 }, geofences);
+
+  assert.deepStrictEqual(events.map(event => [event.type, event.oldValue, event.newValue]), [
+    ['geofence_entered', null, 'Fujairah anchorage'],
+    ['geofence_exited', 'Strait of Hormuz', null]
+  ]);
+  assert.deepStrictEqual(events[0].position, { lat: 25.2, lon: 56.4 });
+
+  // Without a stored position there is nothing to compare against
+  assert.deepStrictEqual(diffVessel({ LAT: null, LON: null }, { SHIP_ID: '1', LAT: 25.2, LON: 56.4 }, geofences), []);
+});
+
+test('webhook alerts are retried until the endpoint accepts them', async () => {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ headers: req.headers, body });
+      res.writeHead(requests.length < 3 ? 503 : 204);
+      res.end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  try {
+    const url = `http://127.0.0.1:${server.address().port}/alerts`;
+    const alerts = createGeofenceAlerts({
+      notifiers: [createWebhookNotifier({ url, secret: 'shh' })],
+      geofences,
+      retries: 3,
+      retryDelayMs: 5
+    });
+
+    const delivered = await alerts.deliver({
+      id: 7,
+      shipId: '1',
+      shipName: 'AURORA',
+      type: 'geofence_entered',
+      oldValue: null,
+      newValue: 'Fujairah anchorage',
+      position: { lat: 25.2, lon: 56.4 },
+      detectedAt: new Date('2024-03-14T10:00:00Z')
+    });
+
+    assert.deepStrictEqual(delivered, [true]);
+    assert.strictEqual(requests.length, 3);
+
+    const alert = JSON.parse(requests[2].body);
+    assert.strictEqual(alert.summary, 'AURORA entered Fujairah anchorage');
+    assert.deepStrictEqual(alert.geofence, { name: 'Fujairah anchorage', kind: 'port' });
+    assert.strictEqual(alert.detectedAt, '2024-03-14T10:00:00.000Z');
+
+    const signature = crypto.createHmac('sha256', 'shh').update(requests[2].body).digest('hex');
+    assert.strictEqual(requests[2].headers['x-signature-256'], `sha256=${signature}`);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+});
+
+test('alerts give up after the configured retries', async () => {
+  let attempts = 0;
+  const failing = { name: 'failing', send: async () => { attempts++; throw new Error('down'); } };
+  const alerts = createGeofenceAlerts({ notifiers: [failing], geofences, retries: 2, retryDelayMs: 1 });
+
+  const delivered = await alerts.deliver({ shipId: '1', type: 'geofence_exited', oldValue: 'Strait of Hormuz', position: {} });
+  assert.deepStrictEqual(delivered, [false]);
+  assert.strictEqual(attempts, 3);
+});
+
+test('SMTP alerts are sent as plain text mail', async () => {
+  const notifier = createSmtpNotifier({
+    from: 'scraper@example.com',
+    to: ['ops@example.com', 'duty@example.com'],
+    transport: nodemailer.createTransport({ jsonTransport: true })
+  });
+
+  const info = await notifier.send({
+    summary: 'AURORA left Strait of Hormuz',
+    shipId: '1',
+    shipName: 'AURORA',
+    geofence: { name: 'Strait of Hormuz' },
+    position: { lat: 25.2, lon: 56.4 },
+    detectedAt: '2024-03-14T10:00:00.000Z'
+  });
+
+  const message = JSON.parse(info.message);
+  assert.strictEqual(message.subject, 'AURORA left Strait of Hormuz');
+  assert.deepStrictEqual(message.to.map(recipient => recipient.address), ['ops@example.com', 'duty@example.com']);
+  assert.match(message.text, /Position: 25.2, 56.4/);
+});
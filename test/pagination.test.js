@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  buildPageUrl,
+  getAdvertisedTotal,
+  parsePagerTotal,
+  mergeVesselPages,
+  collectApiPages
+} = require('../pagination');
+
+test('buildPageUrl reuses the paging parameters of the captured URL', () => {
+  assert.strictEqual(
+    buildPageUrl('https://example.com/api?asset_type=vessels&page=1&limit=50', 2, 50),
+    'https://example.com/api?asset_type=vessels&page=3&limit=50'
+  );
+  assert.strictEqual(
+    buildPageUrl('https://example.com/api?start=0&length=100', 3, 100),
+    'https://example.com/api?start=300&length=100'
+  );
+  assert.strictEqual(
+    buildPageUrl('https://example.com/api?asset_type=vessels', 1, 20),
+    'https://example.com/api?asset_type=vessels&page=2'
+  );
+});
+
+test('getAdvertisedTotal and parsePagerTotal read totals', () => {
+  assert.strictEqual(getAdvertisedTotal({ data: [], totalCount: '1200' }), 1200);
+  assert.strictEqual(getAdvertisedTotal({ data: [], meta: { total: 7 } }), 7);
+  assert.strictEqual(getAdvertisedTotal([{ SHIP_ID: 1 }]), null);
+  assert.strictEqual(parsePagerTotal('1–50 of 1,234'), 1234);
+  assert.strictEqual(parsePagerTotal('Page 1'), null);
+});
+
+test('mergeVesselPages keeps the last occurrence of each SHIP_ID', () => {
+  const merged = mergeVesselPages([
+    [{ SHIP_ID: 1, LAT: 1 }, { SHIP_ID: 2 }],
+    [{ SHIP_ID: 1, LAT: 2 }, { Name: 'table row' }, { Name: 'table row' }]
+  ]);
+  assert.deepStrictEqual(merged, [{ SHIP_ID: 2 }, { SHIP_ID: 1, LAT: 2 }, { Name: 'table row' }]);
+});
+
+test('collectApiPages stops when a server ignores paging parameters', async () => {
+  const firstPage = { url: 'https://example.com/api?page=1', data: { totalCount: 10, data: [{ SHIP_ID: 1 }, { SHIP_ID: 2 }] } };
+  let requests = 0;
+
+  const result = await collectApiPages(firstPage, async () => {
+    requests++;
+    return firstPage.data;
+  });
+
+  assert.strictEqual(requests, 1);
+  assert.strictEqual(result.data.length, 2);
+  assert.strictEqual(result.totalCount, 10);
+});
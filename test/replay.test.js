@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { replayFixture } = require('../replay');
+const { extractRows } = require('../pagination');
+const { saveVesselsToDatabase } = require('../vessel-store');
+const { createFakePool } = require('./support/fake-pg');
+
+const fixture = name => path.join(__dirname, 'fixtures', name);
+
+test('replays every recorded page of an API report and dedupes by SHIP_ID', async () => {
+  const vesselData = await replayFixture(fixture('tankers-paged'));
+
+  assert.deepStrictEqual(vesselData.provenance, {
+    strategy: 'api',
+    fidelity: 'high',
+    source: 'https://www.marinetraffic.com/en/reports?asset_type=vessels&columns=shipname,imo,mmsi&ship_type_in=8&page=1&limit=2',
+    rowCount: 5
+  });
+  assert.strictEqual(vesselData.totalCount, 5);
+  assert.deepStrictEqual(vesselData.data.map(vessel => vessel.SHIP_ID), ['101', '102', '103', '104', '105']);
+
+  // The later page wins for a vessel seen twice
+  const pacificStar = vesselData.data.find(vessel => vessel.SHIP_ID === '102');
+  assert.strictEqual(pacificStar.LAT, '25.21');
+});
+
+test('falls back to JSON embedded in the recorded page HTML', async () => {
+  const vesselData = await replayFixture(fixture('html-embedded'));
+
+  assert.strictEqual(vesselData.provenance.strategy, 'html');
+  assert.strictEqual(vesselData.provenance.source, 'html-json:data');
+  assert.deepStrictEqual(vesselData.data.map(vessel => vessel.SHIPNAME), ['RED SEA [II]', 'ARABIAN "GULF"']);
+});
+
+test('saves replayed vessels and their positions through the bulk upsert', async () => {
+  const pool = createFakePool({ existingShipIds: ['101'] });
+  const vessels = extractRows(await replayFixture(fixture('tankers-paged')));
+
+  const counts = await saveVesselsToDatabase(vessels, { pool, report: 'tankers' });
+
+  assert.deepStrictEqual(counts, {
+    inserted: 4,
+    updated: 1,
+    unchanged: 0,
+    failed: 0,
+    positions: 4,
+    events: 4,
+    quality: { mode: 'flag', checked: 5, clean: 4, flagged: 1, quarantined: 0, dropped: 0, rules: { imo_check_digit: 1 } }
+  });
+
+  const upsert = pool.queries.find(query => query.sql.startsWith('INSERT INTO vessels_mt'));
+  assert.match(upsert.sql, /ON CONFLICT \(ship_id\) DO UPDATE/);
+  assert.ok(upsert.values.includes('tankers'), 'report tag is written');
+  assert.ok(upsert.values.includes(12.4), 'decimal commas are converted');
+  assert.ok(upsert.values.includes(JSON.stringify({ NEW_FIELD: 'x' })), 'unknown fields go to extra');
+  assert.strictEqual(pool.queries.at(-1).sql, 'COMMIT');
+});
+
+test('rejects only the failing vessel when a batch fails', async () => {
+  const pool = createFakePool({
+    failOn: (sql, values) => sql.startsWith('INSERT INTO vessels_mt') && values.includes('103')
+  });
+  const vessels = extractRows(await replayFixture(fixture('tankers-paged')));
+
+  const counts = await saveVesselsToDatabase(vessels, { pool });
+
+  assert.strictEqual(counts.inserted, 4);
+  assert.strictEqual(counts.failed, 1);
+
+  const reject = pool.queries.find(query => query.sql.startsWith('INSERT INTO vessel_rejects'));
+  assert.strictEqual(reject.values[0], '103');
+  assert.strictEqual(reject.values[2], 'simulated failure');
+});
+
+test('quarantines vessels that fail validation when configured to', async () => {
+  const pool = createFakePool();
+  const vessels = extractRows(await replayFixture(fixture('tankers-paged')));
+
+  const counts = await saveVesselsToDatabase(vessels, { pool, validation: { mode: 'quarantine' } });
+
+  assert.strictEqual(counts.inserted, 4);
+  assert.strictEqual(counts.quality.quarantined, 1);
+
+  const reject = pool.queries.find(query => query.sql.startsWith('INSERT INTO vessel_rejects'));
+  assert.strictEqual(reject.values[0], '105');
+  assert.strictEqual(reject.values[2], 'failed validation: IMO 9500022 fails the check digit');
+});
@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadReportDefinitions, buildReportUrl } = require('../report-config');
+
+function writeConfig(config) {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'reports-')), 'reports.json');
+  fs.writeFileSync(file, JSON.stringify(config));
+  return file;
+}
+
+test('loads enabled reports and resolves named column sets', () => {
+  const file = writeConfig({
+    columnSets: { basic: ['shipname', 'imo', 'time_of_latest_position:desc'] },
+    reports: [
+      { name: 'tankers', columns: 'basic', shipTypes: [8], flags: ['GR', 'MT'] },
+      { name: 'cargo', columns: 'basic', enabled: false }
+    ]
+  });
+
+  const reports = loadReportDefinitions(file);
+  assert.deepStrictEqual(reports.map(report => report.name), ['tankers']);
+  assert.strictEqual(reports[0].tag, 'tankers');
+  assert.strictEqual(
+    buildReportUrl(reports[0]),
+    'https://www.marinetraffic.com/en/reports/?asset_type=vessels&columns=shipname,imo,time_of_latest_position:desc&ship_type_in=8&flag_in=GR,MT'
+  );
+});
+
+test('rejects unknown column sets and duplicate names', () => {
+  assert.throws(() => loadReportDefinitions(writeConfig({ reports: [{ name: 'a', columns: 'missing' }] })),
+    /unknown column set/);
+  assert.throws(() => loadReportDefinitions(writeConfig({
+    reports: [{ name: 'a', columns: ['imo'] }, { name: 'a', columns: ['imo'] }]
+  })), /Duplicate report name/);
+});
+
+test('the bundled reports.json reproduces the tanker report URL', () => {
+  const [tankers] = loadReportDefinitions(path.join(__dirname, '..', 'reports.json'));
+  assert.match(buildReportUrl(tankers), /^https:\/\/www\.marinetraffic\.com\/en\/reports\/\?asset_type=vessels&columns=flag,shipname,imo,.*&ship_type_in=8$/);
+});
@@ -0,0 +1,192 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  parseDuration,
+  parseSchedule,
+  nextCronTime,
+  parseQuietWindow,
+  skipQuietWindow,
+  createScheduler,
+  requestRunNow
+} = require('../scheduler');
+const { createCredentialPool } = require('../credentials');
+const { ScrapeError } = require('../scrape-errors');
+
+const stateFile = () => path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'scheduler-')), 'state.json');
+const local = (...args) => new Date(...args);
+
+test('parseSchedule accepts intervals, cron expressions and presets', () => {
+  assert.strictEqual(parseDuration('90s'), 90000);
+  assert.deepStrictEqual(parseSchedule('every 3m'), { type: 'interval', ms: 180000, expression: 'every 3m' });
+  assert.strictEqual(parseSchedule('1h').ms, 3600000);
+
+  const { fields } = parseSchedule('*/15 8-10 * * 1-5');
+  assert.deepStrictEqual([...fields.minute], [0, 15, 30, 45]);
+  assert.deepStrictEqual([...fields.hour], [8, 9, 10]);
+  assert.strictEqual(fields.dayOfMonth, null);
+  assert.deepStrictEqual([...parseSchedule('@weekly').fields.dayOfWeek], [0]);
+
+  assert.throws(() => parseSchedule('every now and then'), /Invalid schedule/);
+  assert.throws(() => parseSchedule('61 * * * *'), /outside 0-59/);
+});
+
+test('nextCronTime finds the next matching minute', () => {
+  const { fields } = parseSchedule('*/15 8-10 * * 1-5');
+  // Friday 10:50 -> Monday 08:00
+  assert.deepStrictEqual(nextCronTime(fields, local(2024, 2, 15, 10, 50)), local(2024, 2, 18, 8, 0));
+  assert.deepStrictEqual(nextCronTime(fields, local(2024, 2, 18, 8, 0)), local(2024, 2, 18, 8, 15));
+  assert.deepStrictEqual(nextCronTime(parseSchedule('0 0 29 2 *').fields, local(2024, 2, 1)), local(2028, 1, 29));
+});
+
+test('skipQuietWindow moves runs to the end of the window', () => {
+  const night = parseQuietWindow('22:00-06:00');
+  assert.deepStrictEqual(skipQuietWindow(local(2024, 2, 14, 23, 30), night), local(2024, 2, 15, 6, 0));
+  assert.deepStrictEqual(skipQuietWindow(local(2024, 2, 15, 5, 0), night), local(2024, 2, 15, 6, 0));
+  assert.deepStrictEqual(skipQuietWindow(local(2024, 2, 15, 12, 0), night), local(2024, 2, 15, 12, 0));
+  assert.throws(() => parseQuietWindow('late'), /Invalid quiet window/);
+});
+
+test('failures back off exponentially and open the circuit breaker', async () => {
+  const file = stateFile();
+  let runs = 0;
+  const scheduler = createScheduler({
+    jobs: [{ name: 'tankers', schedule: 'every 1s', run: async () => { runs++; throw new Error('login failed'); } }],
+    stateFile: file,
+    jitterMs: 0,
+    backoffBaseMs: 60000,
+    backoffMaxMs: 120000,
+    breakerThreshold: 3,
+    breakerCooldownMs: 3600000
+  });
+
+  scheduler.start();
+  await scheduler.idle();
+
+  let state = scheduler.status().tankers;
+  assert.strictEqual(runs, 1);
+  assert.strictEqual(state.failures, 1);
+  assert.strictEqual(state.lastError, 'login failed');
+  const firstDelay = Date.parse(state.nextRunAt) - Date.parse(state.lastRunAt);
+  assert.ok(firstDelay >= 60000 && firstDelay < 61000, `first backoff is ${firstDelay} ms`);
+
+  // Run-now ignores the backoff
+  scheduler.runNow();
+  await scheduler.idle();
+  state = scheduler.status().tankers;
+  const secondDelay = Date.parse(state.nextRunAt) - Date.parse(state.lastRunAt);
+  assert.ok(secondDelay >= 120000 && secondDelay < 121000, `second backoff is ${secondDelay} ms`);
+
+  scheduler.runNow(['tankers']);
+  await scheduler.idle();
+  state = scheduler.status().tankers;
+  assert.strictEqual(runs, 3);
+  assert.ok(state.breakerOpenUntil, 'breaker is open');
+  assert.strictEqual(state.nextRunAt, state.breakerOpenUntil);
+
+  await scheduler.stop();
+
+  // State survives a restart
+  const persisted = JSON.parse(fs.readFileSync(file, 'utf8'));
+  assert.strictEqual(persisted.jobs.tankers.failures, 3);
+  assert.strictEqual(persisted.pid, undefined);
+});
+
+test('requestRunNow leaves a request that the scheduler picks up without a signal', async () => {
+  const file = stateFile();
+  assert.throws(() => requestRunNow([], file), /No scheduler found/);
+
+  let ran;
+  const manualRun = new Promise(resolve => { ran = resolve; });
+  let runs = 0;
+  const scheduler = createScheduler({
+    jobs: [{ name: 'tankers', schedule: 'every 1h', run: async () => { if (++runs === 2) ran(); } }],
+    stateFile: file,
+    jitterMs: 0,
+    runNowPollMs: 5
+  });
+  scheduler.start();
+  await scheduler.idle();
+
+  requestRunNow(['tankers'], file);
+  await manualRun;
+  await scheduler.idle();
+  await scheduler.stop();
+  assert.strictEqual(runs, 2);
+  assert.deepStrictEqual(fs.readdirSync(path.dirname(file)), ['state.json']);
+});
+
+test('a restarted scheduler keeps the persisted next run time', async () => {
+  const file = stateFile();
+  let runs = 0;
+  const jobs = [{ name: 'tankers', schedule: 'every 1h', run: async () => { runs++; } }];
+
+  const first = createScheduler({ jobs, stateFile: file, jitterMs: 0 });
+  first.start();
+  await first.idle();
+  await first.stop();
+  assert.strictEqual(runs, 1);
+
+  const second = createScheduler({ jobs, stateFile: file, jitterMs: 0 });
+  second.start();
+  await second.idle();
+  await second.stop();
+  assert.strictEqual(runs, 1, 'the job is not due again after a restart');
+  assert.ok(Date.parse(second.status().tankers.nextRunAt) > Date.now() + 3500000);
+});
+
+test('errors marked tripBreaker open the breaker at once', async () => {
+  const scheduler = createScheduler({
+    jobs: [{
+      name: 'tankers',
+      schedule: 'every 1m',
+      run: async () => { throw Object.assign(new Error('CAPTCHA shown'), { tripBreaker: true }); }
+    }],
+    stateFile: stateFile(),
+    jitterMs: 0
+  });
+
+  scheduler.start();
+  await scheduler.idle();
+  await scheduler.stop();
+  assert.ok(scheduler.status().tankers.breakerOpenUntil);
+});
+
+test('a CAPTCHA rotates to the next account, the breaker opens once every account rests', async () => {
+  const pool = createCredentialPool([
+    { username: 'a@example.com', password: 'a' },
+    { username: 'b@example.com', password: 'b' }
+  ], { selection: 'round-robin', cooldown: '30m', maxRunsPerHour: null });
+  const used = [];
+  const scheduler = createScheduler({
+    jobs: [{
+      name: 'tankers',
+      schedule: 'every 1m',
+      run: () => pool.withAccount(async ({ username }) => {
+        used.push(username);
+        throw new ScrapeError('captcha', 'CAPTCHA shown');
+      })
+    }],
+    stateFile: stateFile(),
+    jitterMs: 0
+  });
+
+  scheduler.start();
+  await scheduler.idle();
+  assert.strictEqual(scheduler.status().tankers.breakerOpenUntil, null);
+
+  scheduler.runNow();
+  await scheduler.idle();
+  assert.deepStrictEqual(used, ['a@example.com', 'b@example.com']);
+  assert.strictEqual(scheduler.status().tankers.breakerOpenUntil, null);
+
+  // Both accounts are cooling down: the breaker stays open until the first one is back
+  scheduler.runNow();
+  await scheduler.idle();
+  await scheduler.stop();
+  const state = scheduler.status().tankers;
+  assert.deepStrictEqual(used, ['a@example.com', 'b@example.com']);
+  assert.strictEqual(state.breakerOpenUntil, pool.status()[0].cooldownUntil);
+});
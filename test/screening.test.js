@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  parseCsv, comparableName, nameSimilarity, loadWatchlists, buildWatchlist, screenVessels
+} = require('../screening');
+const { createStorage } = require('../storage');
+
+const WATCHLIST = buildWatchlist([
+  { imo: 'IMO 9074729', list: 'sanctions', reason: 'Designated 2024-05-01' },
+  { mmsi: '273456780', list: 'sanctions' },
+  { name: 'Gatik Ship Management LLC', list: 'sanctions' },
+  { name: 'Blue Horizon Shipping', list: 'internal' }
+]);
+
+test('watchlists are read from CSV and JSON files', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'watchlists-'));
+  const csv = path.join(dir, 'ofac.csv');
+  const json = path.join(dir, 'internal.json');
+  fs.writeFileSync(csv, 'IMO,MMSI,Name,Reason\r\n9074729,,,\r\n,,"Gatik Ship Management, LLC","Listed, 2024"\r\n');
+  fs.writeFileSync(json, JSON.stringify({ list: 'watch', entries: [{ company: 'Blue Horizon Shipping' }] }));
+
+  const watchlist = loadWatchlists(`${csv},${json}`);
+
+  assert.deepStrictEqual(watchlist.entries.map(entry => [entry.list, entry.imo, entry.name, entry.reason]), [
+    ['ofac', '9074729', null, null],
+    ['ofac', null, 'Gatik Ship Management, LLC', 'Listed, 2024'],
+    ['watch', null, 'Blue Horizon Shipping', null]
+  ]);
+  assert.strictEqual(loadWatchlists(''), null);
+  assert.throws(() => loadWatchlists(path.join(dir, 'missing.csv')), /Could not read watchlist/);
+});
+
+test('parseCsv keeps quoted commas, quotes and line breaks', () => {
+  assert.deepStrictEqual(parseCsv('name,reason\n"A ""B"" Co","line 1\nline 2"\n'), [
+    { name: 'A "B" Co', reason: 'line 1\nline 2' }
+  ]);
+});
+
+test('legal forms and word order do not hide a company name', () => {
+  assert.strictEqual(comparableName('Gatik Ship Management LLC'), 'GATIK SHIP MANAGEMENT');
+  assert.strictEqual(nameSimilarity('GATIK SHIP MANAGEMENT', 'GATIK SHIP MANAGEMENT'), 1);
+  assert.ok(nameSimilarity('GATIK SHIP MANAGMENT', 'GATIK SHIP MANAGEMENT') > 0.9);
+  assert.ok(nameSimilarity('SHIP MANAGEMENT GATIK', 'GATIK SHIP MANAGEMENT') === 1);
+  assert.ok(nameSimilarity('GATE SHIPPING', 'GATIK SHIP MANAGEMENT') < 0.85);
+});
+
+test('vessels are matched on IMO, MMSI and fuzzy company names', () => {
+  const hits = screenVessels([
+    { SHIP_ID: '1', IMO: '9074729', MMSI: '273456780', TECHNICAL_MANAGER: 'GATIK SHIP MANAGMENT L.L.C.' },
+    { SHIP_ID: '2', IMO: '0', REGISTERED_OWNER: 'Blue Horizon Shipping Ltd', SHIP_BUILDER: 'Gatik Ship Management' },
+    { SHIP_ID: '3', IMO: '9400019', OPERATOR: 'Gate Shipping' }
+  ], WATCHLIST, { threshold: 0.85 });
+
+  assert.deepStrictEqual(hits.map(hit => [hit.shipId, hit.kind, hit.field, hit.list, hit.score]), [
+    ['1', 'imo', 'IMO', 'sanctions', 1],
+    ['1', 'mmsi', 'MMSI', 'sanctions', 1],
+    ['1', 'company', 'TECHNICAL_MANAGER', 'sanctions', 0.952],
+    ['2', 'company', 'REGISTERED_OWNER', 'internal', 1]
+  ]);
+  assert.strictEqual(hits[0].reason, 'IMO 9074729 is on sanctions: Designated 2024-05-01');
+  assert.match(hits[2].reason, /^TECHNICAL_MANAGER "GATIK SHIP MANAGMENT L\.L\.C\." matches "Gatik Ship Management LLC"/);
+});
+
+test('a flag change together with a new name scores as likely reflagging', () => {
+  const events = [
+    { shipId: '1', type: 'flag_changed', field: 'FLAG', oldValue: 'PA', newValue: 'CM' },
+    { shipId: '1', type: 'name_changed', field: 'SHIPNAME', oldValue: 'AURORA', newValue: 'ROSA' },
+    { shipId: '2', type: 'flag_changed', field: 'FLAG', oldValue: 'MT', newValue: 'LR' },
+    // A first reported flag is not a change
+    { shipId: '3', type: 'flag_changed', field: 'FLAG', oldValue: null, newValue: 'GR' }
+  ];
+  const hits = screenVessels([{ SHIP_ID: '1' }, { SHIP_ID: '2' }, { SHIP_ID: '3' }], WATCHLIST, { events });
+
+  assert.deepStrictEqual(hits.map(hit => [hit.shipId, hit.field, hit.value, hit.matched, hit.score]), [
+    ['1', 'FLAG', 'CM', 'PA', 0.9],
+    ['1', 'SHIPNAME', 'ROSA', 'AURORA', 0.9],
+    ['2', 'FLAG', 'LR', 'MT', 0.6]
+  ]);
+  assert.strictEqual(hits[0].reason, 'Possible reflagging: flag changed from PA to CM and name changed from AURORA to ROSA');
+});
+
+for (const options of [{ type: 'memory' }, { type: 'sqlite', path: ':memory:' }]) {
+  test(`${options.type} storage records each hit once and flags reflagging between saves`, async () => {
+    const storage = createStorage(options);
+    await storage.prepare();
+    try {
+      const first = await storage.saveVessels([{ SHIP_ID: '1', SHIPNAME: 'AURORA', FLAG: 'PA', IMO: '9074729' }],
+        { watchlist: WATCHLIST });
+      const second = await storage.saveVessels([{ SHIP_ID: '1', SHIPNAME: 'ROSA', FLAG: 'CM', IMO: '9074729' }],
+        { watchlist: WATCHLIST });
+      const withoutScreening = await storage.saveVessels([{ SHIP_ID: '1', IMO: '9074729' }]);
+
+      assert.strictEqual(first.screeningHits, 1);
+      assert.strictEqual(second.screeningHits, 2);
+      assert.strictEqual('screeningHits' in withoutScreening, false);
+
+      const stored = options.type === 'sqlite'
+        ? storage.db.prepare('SELECT kind, field, review_status AS status FROM screening_hits ORDER BY id').all()
+          .map(row => [row.kind, row.field, row.status])
+        : [...storage.state.screeningHits.values()].map(hit => [hit.kind, hit.field, hit.reviewStatus]);
+      assert.deepStrictEqual(stored, [['imo', 'IMO', 'open'], ['reflag', 'FLAG', 'open'], ['reflag', 'SHIPNAME', 'open']]);
+    } finally {
+      await storage.close();
+    }
+  });
+}
@@ -0,0 +1,185 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStorage, createFileStorage } = require('../storage');
+const { mergeVessel } = require('../storage/state');
+const { vesselEvents } = require('../vessel-events');
+
+const FIRST_SCRAPE = [
+  { SHIP_ID: '1', SHIPNAME: 'AURORA', IMO: '9400019', STATUS: 'Moored', LAT: 25.1, LON: 56.4, LAST_POS: 1740823200, OWNER_NOTE: 'x' },
+  { SHIP_ID: '2', SHIPNAME: 'BOREAS', LAT: 35.0, LON: 14.0, LAST_POS: 1740823200 },
+  { SHIPNAME: 'NO ID' }
+];
+
+const SECOND_SCRAPE = [
+  // STATUS changes, SHIPNAME is not reported and must be kept
+  { SHIP_ID: '1', STATUS: 'Under Way Using Engine', LAT: 25.2, LON: 56.5, LAST_POS: 1740826800 },
+  // Same values as stored
+  { SHIP_ID: '2', SHIPNAME: 'BOREAS', LAT: 35.0, LON: 14.0, LAST_POS: 1740823200 }
+];
+
+// The backends that keep vessel state must behave like the PostgreSQL write path
+for (const options of [{ type: 'memory' }, { type: 'sqlite', path: ':memory:' }]) {
+  test(`${options.type} storage upserts vessels, records positions and detects events`, async () => {
+    const storage = createStorage(options);
+    await storage.prepare();
+    const received = [];
+    const onEvent = event => received.push(event);
+    vesselEvents.on('event', onEvent);
+
+    try {
+      const first = await storage.saveVessels(FIRST_SCRAPE, { report: 'tankers' });
+      assert.deepStrictEqual(
+        { inserted: first.inserted, updated: first.updated, unchanged: first.unchanged, failed: first.failed, positions: first.positions },
+        { inserted: 2, updated: 0, unchanged: 0, failed: 1, positions: 2 }
+      );
+      assert.strictEqual(first.events, 2);
+      assert.strictEqual(first.quality.checked, 2);
+
+      const second = await storage.saveVessels(SECOND_SCRAPE, { report: 'tankers' });
+      assert.deepStrictEqual(
+        { inserted: second.inserted, updated: second.updated, unchanged: second.unchanged, positions: second.positions },
+        { inserted: 0, updated: 1, unchanged: 1, positions: 1 }
+      );
+    } finally {
+      vesselEvents.off('event', onEvent);
+      await storage.close();
+    }
+
+    assert.deepStrictEqual(received.map(event => [event.id, event.shipId, event.type]), [
+      [1, '1', 'new_vessel'],
+      [2, '2', 'new_vessel'],
+      [3, '1', 'status_changed'],
+      [4, '1', 'voyage_started']
+    ]);
+  });
+
+  test(`${options.type} storage records runs and quarantined vessels`, async () => {
+    const storage = createStorage(options);
+    await storage.prepare();
+    try {
+      const runId = await storage.startRun('tankers');
+      const counts = await storage.saveVessels([{ SHIP_ID: '3', IMO: '1234568' }], {
+        validation: { mode: 'quarantine' }
+      });
+      await storage.finishRun(runId, {
+        status: 'success', provenance: { strategy: 'api' }, account: 'ops@example.com', vesselCount: 1, counts
+      });
+
+      assert.strictEqual(counts.inserted, 0);
+      assert.strictEqual(counts.quality.quarantined, 1);
+
+      if (options.type === 'sqlite') {
+        const run = storage.db.prepare('SELECT * FROM scrape_runs WHERE id = ?').get(runId);
+        assert.strictEqual(run.status, 'success');
+        assert.strictEqual(run.strategy, 'api');
+        assert.strictEqual(run.account, 'ops@example.com');
+        assert.strictEqual(JSON.parse(run.quality).quarantined, 1);
+        const reject = storage.db.prepare('SELECT * FROM vessel_rejects').get();
+        assert.match(reject.error, /^failed validation: IMO 1234568/);
+      } else {
+        assert.strictEqual(storage.state.runs[0].status, 'success');
+        assert.strictEqual(storage.state.runs[0].strategy, 'api');
+        assert.strictEqual(storage.state.runs[0].account, 'ops@example.com');
+        assert.match(storage.state.rejects[0].error, /^failed validation: IMO 1234568/);
+      }
+    } finally {
+      await storage.close();
+    }
+  });
+}
+
+test('memory storage writes nothing when a save fails part way', async () => {
+  const storage = createStorage({ type: 'memory' });
+  await storage.prepare();
+  // Screening runs last, after the vessels, positions, events and rejects were written
+  const index = { get: () => { throw new Error('watchlist index failed'); } };
+  try {
+    await storage.saveVessels(FIRST_SCRAPE);
+    const events = [...storage.state.events];
+
+    await assert.rejects(storage.saveVessels([...SECOND_SCRAPE, { SHIP_ID: '3', MMSI: '244660000' }, { SHIPNAME: 'NO ID' }],
+      { watchlist: { imos: index, mmsis: index } }), /watchlist index failed/);
+
+    assert.deepStrictEqual([...storage.state.vessels.keys()], ['1', '2']);
+    assert.strictEqual(storage.state.vessels.get('1').fields.STATUS, 'Moored');
+    assert.deepStrictEqual(storage.state.events, events);
+    assert.strictEqual(storage.state.positions.size, 2);
+    assert.strictEqual(storage.state.rejects.length, 1);
+  } finally {
+    await storage.close();
+  }
+});
+
+test('sqlite storage keeps its data and adds new columns to existing files', async () => {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'storage-')), 'vessels.sqlite');
+  const first = createStorage({ type: 'sqlite', path: file });
+  await first.prepare();
+  await first.saveVessels([FIRST_SCRAPE[0]]);
+  first.db.exec('ALTER TABLE vessels_mt DROP COLUMN teu');
+  first.db.exec('ALTER TABLE scrape_runs DROP COLUMN account');
+  await first.close();
+
+  const second = createStorage({ type: 'sqlite', path: file });
+  await second.prepare();
+  try {
+    const row = second.db.prepare('SELECT shipname, teu, extra FROM vessels_mt WHERE ship_id = ?').get('1');
+    assert.deepStrictEqual({ ...row }, { shipname: 'AURORA', teu: null, extra: '{"OWNER_NOTE":"x"}' });
+    assert.ok(second.db.prepare('PRAGMA table_info(scrape_runs)').all().some(column => column.name === 'account'));
+    const counts = await second.saveVessels([FIRST_SCRAPE[0]]);
+    assert.strictEqual(counts.unchanged, 1);
+  } finally {
+    await second.close();
+  }
+});
+
+test('file storage writes one NDJSON snapshot per save and appends rejects and runs', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'snapshots-'));
+  const storage = createFileStorage({ dir });
+  await storage.prepare();
+
+  const runId = await storage.startRun('tankers');
+  const counts = await storage.saveVessels(FIRST_SCRAPE, { report: 'tankers' });
+  await storage.finishRun(runId, { status: 'success', counts });
+
+  assert.strictEqual(counts.inserted, 2);
+  assert.strictEqual(counts.failed, 1);
+
+  const snapshots = fs.readdirSync(dir).filter(name => name.startsWith('tankers-'));
+  assert.strictEqual(snapshots.length, 1);
+  const rows = fs.readFileSync(path.join(dir, snapshots[0]), 'utf8').trim().split('\n').map(line => JSON.parse(line));
+  assert.deepStrictEqual(rows.map(row => [row.SHIP_ID, row.REPORT]), [['1', 'tankers'], ['2', 'tankers']]);
+
+  const rejects = fs.readFileSync(path.join(dir, 'rejects.ndjson'), 'utf8').trim().split('\n');
+  assert.strictEqual(rejects.length, 1);
+  const [run] = fs.readFileSync(path.join(dir, 'runs.ndjson'), 'utf8').trim().split('\n').map(line => JSON.parse(line));
+  assert.strictEqual(run.report, 'tankers');
+  assert.strictEqual(run.counts.inserted, 2);
+
+  await storage.saveVessels(FIRST_SCRAPE, { report: '../gulf/tankers' });
+  assert.strictEqual(fs.readdirSync(dir).filter(name => name.startsWith('-gulf-tankers-')).length, 1);
+  assert.ok(!fs.existsSync(path.join(path.dirname(dir), 'gulf')));
+});
+
+test('a missing value never overwrites a stored one', () => {
+  const stored = { fields: { SHIP_ID: '1', SHIPNAME: 'AURORA', STATUS: 'Moored' }, extra: { NOTE: 'kept' } };
+  const merged = mergeVessel(stored, { fields: { SHIP_ID: '1', SHIPNAME: null, STATUS: 'Moored' }, extra: {} });
+
+  assert.strictEqual(merged.changed, false);
+  assert.strictEqual(merged.fields.SHIPNAME, 'AURORA');
+  assert.deepStrictEqual(merged.extra, { NOTE: 'kept' });
+});
+
+test('the backend is chosen by STORAGE_BACKEND', () => {
+  const previous = process.env.STORAGE_BACKEND;
+  process.env.STORAGE_BACKEND = 'memory';
+  try {
+    assert.strictEqual(createStorage().type, 'memory');
+    assert.throws(() => createStorage({ type: 'mongo' }), /Unknown STORAGE_BACKEND "mongo"/);
+  } finally {
+    if (previous === undefined) delete process.env.STORAGE_BACKEND;
+    else process.env.STORAGE_BACKEND = previous;
+  }
+});
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { resolveStrategies, runStrategies } = require('../strategies');
+
+const vesselResponse = { url: 'https://example.com/en/reports?page=1', data: { data: [{ SHIP_ID: '1' }] } };
+
+test('resolveStrategies honours the configured order and rejects unknown names', () => {
+  assert.deepStrictEqual(resolveStrategies('html, api').map(strategy => strategy.name), ['html', 'api']);
+  assert.deepStrictEqual(resolveStrategies().map(strategy => strategy.name), ['api', 'table', 'window', 'html']);
+  assert.throws(() => resolveStrategies('api,regex'), /Unknown extraction strategy "regex"/);
+  assert.throws(() => resolveStrategies(''), /At least one/);
+});
+
+test('runStrategies returns the first non-empty result with its provenance', async () => {
+  const html = '<script>window.x = {"vessels":[{"SHIP_ID":"7"},{"SHIP_ID":"8"}]}</script>';
+  const result = await runStrategies(resolveStrategies('html,api'), {
+    vesselResponse,
+    getHtml: async () => html,
+    fetchPage: async () => ({ data: [] })
+  });
+
+  assert.deepStrictEqual(result.data, [{ SHIP_ID: '7' }, { SHIP_ID: '8' }]);
+  assert.deepStrictEqual(result.provenance, { strategy: 'html', fidelity: 'high', source: 'html-json:vessels', rowCount: 2 });
+});
+
+test('runStrategies skips page strategies without a page and survives failing strategies', async () => {
+  const result = await runStrategies(resolveStrategies('table,window,html,api'), {
+    vesselResponse,
+    getHtml: async () => { throw new Error('page crashed'); },
+    fetchPage: async () => ({ data: [] })
+  });
+
+  assert.strictEqual(result.provenance.strategy, 'api');
+  assert.strictEqual(result.provenance.source, vesselResponse.url);
+});
+
+test('table rows are normalized and marked as low fidelity', async () => {
+  const page = {
+    $: async selector => (selector === 'table.MuiTable-root' ? {} : null),
+    evaluate: async fn => (fn.name === 'extractTableRows'
+      ? {
+        data: [
+          { 'Vessel Name': 'AURORA', Speed: '12.3 kn', __links: ['/en/ais/details/ships/shipid:371681/mmsi:538001234'] },
+          { 'Vessel Name': 'NO LINK' }
+        ],
+        pagerText: '1-2 of 2'
+      }
+      : false)
+  };
+
+  const result = await runStrategies(resolveStrategies('table'), { page, vesselResponse: null });
+  assert.deepStrictEqual(result.provenance, { strategy: 'table', fidelity: 'low', source: 'table.MuiTable-root', rowCount: 1 });
+  assert.deepStrictEqual(result.data, [{ SHIPNAME: 'AURORA', SPEED: 12.3, SHIP_ID: '371681', MMSI: '538001234' }]);
+});
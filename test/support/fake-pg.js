@@ -0,0 +1,104 @@
+// Minimal stand-in for a pg Pool. It records every query and answers the
+// statements issued by vessel-store.js with plausible results, so the write
+// pipeline can be tested without a PostgreSQL server.
+
+/**
+ * Create a fake pool
+ * @param {Object} options - Fake pool options
+ * @param {Array<string>} options.existingShipIds - SHIP_IDs already in vessels_mt
+ * @param {Array<Object>} options.storedVessels - vessels_mt rows keyed by column, also counted as existing
+ * @param {Function} options.failOn - (sql, values) => true to make a query throw
+ * @returns {Object} - Pool with connect() and query(), plus the recorded `queries`
+ *   and the `companies` and `companyLinks` written
+ */
+function createFakePool({ existingShipIds = [], storedVessels = [], failOn = null } = {}) {
+  const queries = [];
+  const existing = new Set([...existingShipIds, ...storedVessels.map(row => row.ship_id)].map(String));
+  let nextEventId = 1;
+  // companies and vessel_companies, enough to follow links across saves
+  const companies = [];
+  const companyLinks = [];
+
+  async function query(text, values = []) {
+    const sql = text.trim().replace(/\s+/g, ' ');
+    queries.push({ sql, values });
+
+    if (failOn && failOn(sql, values)) {
+      throw new Error('simulated failure');
+    }
+
+    if (sql.startsWith('INSERT INTO vessels_mt')) {
+      const columnCount = sql.match(/\(([^)]*)\)/)[1].split(',').length;
+      const rows = [];
+      for (let i = 0; i < values.length; i += columnCount) {
+        const shipId = String(values[i]);
+        rows.push({ inserted: !existing.has(shipId) });
+        existing.add(shipId);
+      }
+      return { command: 'INSERT', rows, rowCount: rows.length };
+    }
+
+    if (sql.startsWith('SELECT ship_id,') && sql.includes('FROM vessels_mt WHERE ship_id = ANY')) {
+      const rows = values[0]
+        .filter(shipId => existing.has(shipId))
+        .map(shipId => storedVessels.find(row => String(row.ship_id) === shipId) || { ship_id: shipId });
+      return { command: 'SELECT', rows, rowCount: rows.length };
+    }
+
+    if (sql.startsWith('INSERT INTO vessel_events')) {
+      const rows = Array.from({ length: values.length / 6 }, () => ({ id: nextEventId++, detected_at: new Date() }));
+      return { command: 'INSERT', rows, rowCount: rows.length };
+    }
+
+    if (sql.startsWith('INSERT INTO companies')) {
+      const rows = [];
+      for (let i = 0; i < values.length; i += 5) {
+        const [name, normalizedName, country] = values.slice(i, i + 3);
+        let company = companies.find(row => row.normalized_name === normalizedName && row.country === country);
+        if (!company) {
+          company = { id: String(companies.length + 1), name, normalized_name: normalizedName, country };
+          companies.push(company);
+        }
+        rows.push(company);
+      }
+      return { command: 'INSERT', rows, rowCount: rows.length };
+    }
+
+    if (sql.startsWith('SELECT id, ship_id, role, company_id FROM vessel_companies')) {
+      const rows = companyLinks.filter(link => values[0].includes(link.ship_id) && link.valid_to === null);
+      return { command: 'SELECT', rows, rowCount: rows.length };
+    }
+
+    if (sql.startsWith('UPDATE vessel_companies SET valid_to')) {
+      const rows = companyLinks.filter(link => values[0].includes(link.id));
+      rows.forEach(link => { link.valid_to = new Date(); });
+      return { command: 'UPDATE', rows: [], rowCount: rows.length };
+    }
+
+    if (sql.startsWith('INSERT INTO vessel_companies')) {
+      for (let i = 0; i < values.length; i += 3) {
+        const [shipId, companyId, role] = values.slice(i, i + 3);
+        companyLinks.push({ id: companyLinks.length + 1, ship_id: shipId, company_id: companyId, role, valid_to: null });
+      }
+      return { command: 'INSERT', rows: [], rowCount: values.length / 3 };
+    }
+
+    if (sql.startsWith('INSERT INTO vessel_positions')) {
+      return { command: 'INSERT', rows: [], rowCount: values.length / 7 };
+    }
+
+    return { command: sql.split(' ')[0].toUpperCase(), rows: [], rowCount: 0 };
+  }
+
+  return {
+    queries,
+    companies,
+    companyLinks,
+    query,
+    async connect() {
+      return { query, release() {} };
+    }
+  };
+}
+
+module.exports = { createFakePool };
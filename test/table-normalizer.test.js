@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  resolveHeader,
+  parseDisplayNumber,
+  parseDisplayTime,
+  normalizeTableRow,
+  normalizeTableRows
+} = require('../table-normalizer');
+const { normalizeVessel } = require('../vessel-fields');
+
+const now = new Date('2024-03-14T10:00:00Z');
+
+test('resolveHeader maps grid labels to canonical fields', () => {
+  assert.strictEqual(resolveHeader('Vessel Name'), 'SHIPNAME');
+  assert.strictEqual(resolveHeader('Speed (kn)'), 'SPEED');
+  assert.strictEqual(resolveHeader('Year of Build'), 'YEAR_BUILT');
+  assert.strictEqual(resolveHeader('P&I'), 'P_I_CLUB');
+  assert.strictEqual(resolveHeader('Registered Owner'), 'REGISTERED_OWNER');
+  assert.strictEqual(resolveHeader('Photos'), null);
+});
+
+test('parseDisplayNumber handles units, separators and hemispheres', () => {
+  assert.strictEqual(parseDisplayNumber('12.3 kn'), 12.3);
+  assert.strictEqual(parseDisplayNumber('1,234 t'), 1234);
+  assert.strictEqual(parseDisplayNumber('105,000.5'), 105000.5);
+  assert.strictEqual(parseDisplayNumber('3,5 m'), 3.5);
+  assert.strictEqual(parseDisplayNumber('36.52° S'), -36.52);
+  assert.strictEqual(parseDisplayNumber('n/a'), null);
+});
+
+test('parseDisplayTime resolves relative and UTC times', () => {
+  assert.strictEqual(parseDisplayTime('5 min ago', now), '2024-03-14T09:55:00.000Z');
+  assert.strictEqual(parseDisplayTime('an hour ago', now), '2024-03-14T09:00:00.000Z');
+  assert.strictEqual(parseDisplayTime('just now', now), '2024-03-14T10:00:00.000Z');
+  assert.strictEqual(parseDisplayTime('2024-03-14 09:30 UTC', now), '2024-03-14T09:30:00.000Z');
+  assert.strictEqual(parseDisplayTime('2024-03-14 09:30', now), '2024-03-14T09:30:00.000Z');
+  assert.strictEqual(parseDisplayTime('soon', now), null);
+});
+
+test('normalizeTableRow produces rows that normalizeVessel stores like API rows', () => {
+  const row = normalizeTableRow({
+    'Vessel Name': 'AURORA',
+    Flag: 'GR',
+    IMO: '9380295',
+    'Speed (kn)': '12.3 kn',
+    Deadweight: '105,000 t',
+    'Position Received': '5 min ago',
+    'Navigational Status': '-',
+    Photos: '3',
+    __links: ['/en/ais/details/ships/shipid:371681/mmsi:538001234/imo:9380295/vessel:AURORA']
+  }, now);
+
+  assert.deepStrictEqual(normalizeVessel(row), {
+    fields: {
+      SHIPNAME: 'AURORA',
+      FLAG: 'GR',
+      IMO: '9380295',
+      SPEED: 12.3,
+      DWT: 105000,
+      LAST_POS: '2024-03-14T09:55:00.000Z',
+      STATUS: null,
+      SHIP_ID: '371681',
+      MMSI: '538001234'
+    },
+    extra: { Photos: '3' }
+  });
+});
+
+test('normalizeTableRows rejects rows without a SHIP_ID', () => {
+  const { vessels, rejected } = normalizeTableRows([
+    { 'Ship ID': '42', Name: 'KEYED' },
+    { Name: 'UNKEYED', __links: ['/en/ais/details/ships/shipid:0'] }
+  ], { now });
+
+  assert.deepStrictEqual(vessels, [{ SHIP_ID: '42', SHIPNAME: 'KEYED' }]);
+  assert.strictEqual(rejected.length, 1);
+});
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { diffVessel, vesselEvents } = require('../vessel-events');
+const { saveVesselsToDatabase } = require('../vessel-store');
+const { createFakePool } = require('./support/fake-pg');
+
+test('a vessel without stored state is new', () => {
+  assert.deepStrictEqual(diffVessel(null, { SHIP_ID: '1', SHIPNAME: 'AURORA' }), [
+    { shipId: '1', type: 'new_vessel', field: null, oldValue: null, newValue: 'AURORA' }
+  ]);
+});
+
+test('diffVessel reports typed changes and voyage transitions', () => {
+  const stored = { STATUS: 'Moored', DRAUGHT_MAX: 9.1, REGISTERED_OWNER: 'OLD OWNER', OPERATOR: null };
+  const events = diffVessel(stored, {
+    SHIP_ID: '1',
+    STATUS: 'Under Way Using Engine',
+    DRAUGHT_MAX: 14.2,
+    REGISTERED_OWNER: 'NEW OWNER',
+    OPERATOR: 'FIRST SEEN'
+  });
+
+  assert.deepStrictEqual(events.map(event => [event.type, event.oldValue, event.newValue]), [
+    ['status_changed', 'Moored', 'Under Way Using Engine'],
+    ['draught_changed', 9.1, 14.2],
+    ['owner_changed', 'OLD OWNER', 'NEW OWNER'],
+    ['voyage_started', 'Moored', 'Under Way Using Engine']
+  ]);
+});
+
+test('unreported fields and draught rounding are not changes', () => {
+  const stored = { STATUS: 'Moored', DRAUGHT_MAX: 9.1 };
+  assert.deepStrictEqual(diffVessel(stored, { SHIP_ID: '1', STATUS: null, DRAUGHT_MAX: 9.15 }), []);
+});
+
+test('a single 0.1 m draught step is a change despite floating point error', () => {
+  for (const [oldValue, newValue] of [[9.1, 9.2], [10.1, 10.2], [12.3, 12.4]]) {
+    assert.deepStrictEqual(diffVessel({ DRAUGHT_MAX: oldValue }, { SHIP_ID: '1', DRAUGHT_MAX: newValue })
+      .map(event => [event.type, event.oldValue, event.newValue]), [['draught_changed', oldValue, newValue]]);
+  }
+});
+
+test('saved vessels produce events that subscribers receive after commit', async () => {
+  const pool = createFakePool({
+    storedVessels: [{ ship_id: '1', status: 'Under Way Using Engine', draught_max: 14.2, shipname: 'AURORA' }]
+  });
+  const received = [];
+  const onEvent = event => received.push(event);
+  vesselEvents.on('event', onEvent);
+
+  try {
+    const counts = await saveVesselsToDatabase([
+      { SHIP_ID: '1', SHIPNAME: 'AURORA', STATUS: 'At Anchor', DRAUGHT_MAX: '14.2' },
+      { SHIP_ID: '2', SHIPNAME: 'BOREAS' }
+    ], { pool, report: 'tankers' });
+
+    assert.strictEqual(counts.events, 3);
+  } finally {
+    vesselEvents.off('event', onEvent);
+  }
+
+  assert.deepStrictEqual(received.map(event => [event.id, event.shipId, event.type, event.report]), [
+    [1, '1', 'status_changed', 'tankers'],
+    [2, '1', 'voyage_ended', 'tankers'],
+    [3, '2', 'new_vessel', 'tankers']
+  ]);
+
+  const notify = pool.queries.find(query => query.sql.includes('pg_notify'));
+  assert.strictEqual(notify.values[0], 'vessel_events');
+
+  // Events are written before the transaction commits, subscribers hear of them after
+  const sqls = pool.queries.map(query => query.sql.split(' ').slice(0, 3).join(' '));
+  assert.ok(sqls.indexOf('INSERT INTO vessel_events') < sqls.indexOf('COMMIT'));
+});
@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { normalizeVessel, quoteIdentifier, resolveField } = require('../vessel-fields');
+
+test('normalizeVessel converts values to their column types', () => {
+  const { fields } = normalizeVessel({
+    SHIP_ID: 371681,
+    LAT: '36,5',
+    SPEED: '',
+    YEAR_OF_BUILD: '2009',
+    LAST_POS: '1710408600',
+    LAUNCH_DATE: '2008-11-20T00:00:00Z',
+    DWT: '105,000'
+  });
+
+  assert.deepStrictEqual(fields, {
+    SHIP_ID: '371681',
+    LAT: 36.5,
+    SPEED: null,
+    YEAR_BUILT: 2009,
+    LAST_POS: '2024-03-14T09:30:00.000Z',
+    LAUNCH_DATE: '2008-11-20',
+    DWT: 105
+  });
+});
+
+test('normalizeVessel prefers exact field names over aliases', () => {
+  const { fields } = normalizeVessel({ LAST_POS: '1710408600', TIMESTAMP: '1' });
+  assert.strictEqual(fields.LAST_POS, '2024-03-14T09:30:00.000Z');
+});
+
+test('unknown fields are kept in extra', () => {
+  const { fields, extra } = normalizeVessel({ SHIP_ID: '1', 'Ship Name': 'AURORA', shipname: 'AURORA' });
+  assert.deepStrictEqual(fields, { SHIP_ID: '1', SHIPNAME: 'AURORA' });
+  assert.deepStrictEqual(extra, { 'Ship Name': 'AURORA' });
+});
+
+test('quoteIdentifier and resolveField', () => {
+  assert.strictEqual(quoteIdentifier('a"b'), '"a""b"');
+  assert.strictEqual(resolveField('lat_of_latest_position'), 'LAT');
+  assert.strictEqual(resolveField('Ship Name'), null);
+});
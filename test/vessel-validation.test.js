@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  isValidImo,
+  isValidPosition,
+  resolveValidationOptions,
+  validateVessel,
+  hasPositionFlags,
+  createQualitySummary,
+  recordValidation
+} = require('../vessel-validation');
+
+const options = resolveValidationOptions({ mode: 'flag', now: new Date('2024-03-14T10:00:00Z') });
+
+test('isValidImo checks the IMO check digit', () => {
+  assert.ok(isValidImo('9380295'));
+  assert.ok(isValidImo('9074729'));
+  assert.ok(!isValidImo('9380296'));
+  assert.ok(!isValidImo('938029'));
+});
+
+test('isValidPosition rejects the AIS unavailable position and missing values', () => {
+  assert.ok(isValidPosition(25.1, 56.4));
+  assert.ok(isValidPosition(-90, 180));
+  assert.ok(!isValidPosition(91, 181));
+  assert.ok(!isValidPosition(25.1, -180.5));
+  assert.ok(!isValidPosition(null, 56.4));
+  assert.ok(!isValidPosition(NaN, 56.4));
+});
+
+test('a plausible vessel passes every rule', () => {
+  const result = validateVessel({
+    IMO: '9380295',
+    MMSI: '538001234',
+    LAT: 36.5,
+    LON: -14.2,
+    SPEED: 12.3,
+    COURSE: 359.9,
+    DRAUGHT_MAX: 14.5,
+    YEAR_BUILT: 2009,
+    LAST_POS: '2024-03-14T09:58:00.000Z'
+  }, options);
+
+  assert.deepStrictEqual(result, { flags: [], score: 100 });
+});
+
+test('implausible values are flagged and lower the score', () => {
+  const result = validateVessel({
+    IMO: '9380296',
+    MMSI: '53800123',
+    LAT: 91,
+    LON: 14.2,
+    SPEED: 102.3,
+    LAST_POS: '2024-03-15T10:00:00.000Z'
+  }, options);
+
+  assert.deepStrictEqual(result.flags.map(flag => flag.rule),
+    ['imo_check_digit', 'mmsi_format', 'lat_range', 'speed_range', 'timestamp_range']);
+  assert.strictEqual(result.flags[4].message, 'LAST_POS 2024-03-15T10:00:00.000Z is in the future');
+  assert.strictEqual(result.score, 0);
+  assert.ok(hasPositionFlags(result.flags));
+});
+
+test('missing values and the IMO placeholder 0 are not flagged', () => {
+  assert.deepStrictEqual(validateVessel({ IMO: '0', SPEED: null }, options).flags, []);
+});
+
+test('thresholds and mode are configurable', () => {
+  const strict = resolveValidationOptions({ mode: 'drop', maxSpeed: 30, now: options.now });
+  assert.strictEqual(validateVessel({ SPEED: 35 }, strict).flags[0].rule, 'speed_range');
+  assert.throws(() => resolveValidationOptions({ mode: 'ignore' }), /Unknown validation mode "ignore"/);
+});
+
+test('recordValidation summarises a run', () => {
+  const summary = createQualitySummary('quarantine');
+  recordValidation(summary, { flags: [] });
+  recordValidation(summary, validateVessel({ LAT: 100, LON: 200 }, options));
+
+  assert.deepStrictEqual(summary, {
+    mode: 'quarantine',
+    checked: 2,
+    clean: 1,
+    flagged: 0,
+    quarantined: 1,
+    dropped: 0,
+    rules: { lat_range: 1, lon_range: 1 }
+  });
+});
@@ -0,0 +1,82 @@
+// Preparation of scraped vessels before a storage backend writes them:
+// normalization, one entry per SHIP_ID and validation against the quality rules
+const { normalizeVessel } = require('./vessel-fields');
+const {
+  resolveValidationOptions,
+  validateVessel,
+  hasPositionFlags,
+  createQualitySummary,
+  recordValidation
+} = require('./vessel-validation');
+const logger = require('./logger').child({ module: 'vessel-batch' });
+
+/**
+ * Normalize, deduplicate and validate scraped vessels
+ * @param {Array<Object>} vessels - Vessel objects as scraped
+ * @param {Object} options - Preparation options
+ * @param {string} options.report - Tag of the report definition the vessels came from
+ * @param {Object} options.validation - Validation options, see vessel-validation.resolveValidationOptions
+ * @returns {Object} - { entries, missingShipId, quarantined, quality } where entries lists
+ *   { raw, formatted, positionFlagged } to write, missingShipId the raw vessels without a
+ *   SHIP_ID, quarantined the { raw, flags } of vessels to move to the rejects, and quality
+ *   the run's data quality summary
+ */
+function prepareVesselBatch(vessels, options = {}) {
+  const validation = resolveValidationOptions(options.validation);
+
+  // Convert fields to their database columns and types, keeping the last
+  // occurrence of each SHIP_ID since one statement cannot update a row twice
+  const byShipId = new Map();
+  const missingShipId = [];
+  for (const vessel of vessels) {
+    const formattedVessel = normalizeVessel(vessel);
+    if (!formattedVessel.fields.SHIP_ID) {
+      missingShipId.push(vessel);
+      continue;
+    }
+    if (options.report) {
+      formattedVessel.fields.REPORT = options.report;
+    }
+    byShipId.set(formattedVessel.fields.SHIP_ID, { raw: vessel, formatted: formattedVessel });
+  }
+
+  // Check every vessel against the data quality rules and act on the validation mode
+  const quality = createQualitySummary(validation.mode);
+  const entries = [];
+  const quarantined = [];
+  for (const entry of byShipId.values()) {
+    const result = validateVessel(entry.formatted.fields, validation);
+    recordValidation(quality, result);
+
+    if (result.flags.length > 0 && validation.mode !== 'flag') {
+      logger.debug(`Vessel ${entry.formatted.fields.SHIP_ID} failed validation`,
+        { shipId: entry.formatted.fields.SHIP_ID, mode: validation.mode, flags: result.flags });
+      if (validation.mode === 'quarantine') {
+        quarantined.push({ raw: entry.raw, flags: result.flags });
+      }
+      continue;
+    }
+
+    // Clean vessels get an empty list so that earlier flags are cleared
+    entry.formatted.fields.QUALITY_FLAGS = JSON.stringify(result.flags);
+    entry.formatted.fields.QUALITY_SCORE = result.score;
+    entry.positionFlagged = hasPositionFlags(result.flags);
+    entries.push(entry);
+  }
+
+  return { entries, missingShipId, quarantined, quality };
+}
+
+/**
+ * Reject reason of a vessel that failed validation in quarantine mode
+ * @param {Array<Object>} flags - Flags from validateVessel
+ * @returns {string} - Message stored with the reject
+ */
+function quarantineMessage(flags) {
+  return `failed validation: ${flags.map(flag => flag.message).join('; ')}`;
+}
+
+module.exports = {
+  prepareVesselBatch,
+  quarantineMessage
+};
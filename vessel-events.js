@@ -0,0 +1,275 @@
+// Change detection between stored and incoming vessel state, and the
+// vessel_events stream it produces.
+//
+// Consumers can subscribe in-process through the `vesselEvents` emitter, which
+// emits 'event' and the event's type after the writing transaction commits, or
+// from any other process with LISTEN on the vessel_events channel.
+const { EventEmitter } = require('events');
+const { FIELD_MAP, converters, quoteIdentifier } = require('./vessel-fields');
+const { findGeofences } = require('./geofence');
+const { valuesRow } = require('./sql');
+const logger = require('./logger').child({ module: 'vessel-events' });
+
+const EVENTS_TABLE = 'vessel_events';
+const NOTIFY_CHANNEL = 'vessel_events';
+
+// Draught is reported in steps of 0.1 m, smaller differences are rounding
+const DRAUGHT_CHANGE_THRESHOLD = 0.1;
+
+// Floating point differences of a full step fall just short of it, e.g. 9.2 - 9.1 = 0.0999...
+const THRESHOLD_EPSILON = 1e-9;
+
+// Fields whose changes produce an event, by event type
+const FIELD_EVENTS = [
+  { type: 'status_changed', fields: ['STATUS'] },
+  { type: 'draught_changed', fields: ['DRAUGHT_MAX', 'DRAUGHT_MIN'], threshold: DRAUGHT_CHANGE_THRESHOLD },
+  { type: 'owner_changed', fields: ['REGISTERED_OWNER', 'BENEFICIAL_OWNER'] },
+  { type: 'manager_changed', fields: ['COMMERCIAL_MANAGER', 'TECHNICAL_MANAGER', 'ISM_MANAGER', 'OPERATOR'] },
+  { type: 'flag_changed', fields: ['FLAG'] },
+  { type: 'name_changed', fields: ['SHIPNAME'] }
+];
+
+// Stored fields needed to diff a vessel, the position for geofence transitions
+const WATCHED_FIELDS = [...new Set(FIELD_EVENTS.flatMap(definition => definition.fields)), 'LAT', 'LON'];
+
+// Navigational statuses of a vessel that is not on a voyage
+const STATIONARY_STATUS = /moored|at anchor|aground/i;
+const UNDERWAY_STATUS = /under ?way/i;
+
+const vesselEvents = new EventEmitter();
+
+/**
+ * Bring a stored column value into the form normalizeVessel produces
+ * @param {string} field - Canonical field name
+ * @param {*} value - Value as returned by pg
+ * @returns {*} - Comparable value, or null
+ */
+function toFieldValue(field, value) {
+  if (value === null || value === undefined) return null;
+  return converters[FIELD_MAP[field].type](value instanceof Date ? value.toISOString() : value);
+}
+
+/**
+ * Compare a vessel's stored state with its incoming fields.
+ * A null incoming value means "not reported" and never counts as a change,
+ * matching the COALESCE in the upsert.
+ * @param {Object|null} stored - Stored state keyed by canonical field name, or null for a new vessel
+ * @param {Object} incoming - Normalized incoming fields
+ * @param {Array<Object>} geofences - Geofences to detect entries and exits of, see geofence.js
+ * @returns {Array<Object>} - Events as { shipId, type, field, oldValue, newValue }. Geofence
+ *   events also carry the vessel's `shipName` and new `position` for alerts; these are not stored.
+ */
+function diffVessel(stored, incoming, geofences = []) {
+  const shipId = incoming.SHIP_ID;
+
+  if (!stored) {
+    return [{ shipId, type: 'new_vessel', field: null, oldValue: null, newValue: incoming.SHIPNAME ?? null }];
+  }
+
+  const events = [];
+  for (const { type, fields, threshold } of FIELD_EVENTS) {
+    for (const field of fields) {
+      const oldValue = stored[field] ?? null;
+      const newValue = incoming[field] ?? null;
+      // A field seen for the first time is not a change
+      if (newValue === null || oldValue === null || newValue === oldValue) continue;
+      if (threshold && Math.abs(newValue - oldValue) < threshold - THRESHOLD_EPSILON) continue;
+
+      events.push({ shipId, type, field, oldValue, newValue });
+    }
+  }
+
+  // A status change between stationary and under way starts or ends a voyage
+  const oldStatus = stored.STATUS;
+  const newStatus = incoming.STATUS;
+  if (oldStatus && newStatus && oldStatus !== newStatus) {
+    if (STATIONARY_STATUS.test(oldStatus) && UNDERWAY_STATUS.test(newStatus)) {
+      events.push({ shipId, type: 'voyage_started', field: 'STATUS', oldValue: oldStatus, newValue: newStatus });
+    } else if (UNDERWAY_STATUS.test(oldStatus) && STATIONARY_STATUS.test(newStatus)) {
+      events.push({ shipId, type: 'voyage_ended', field: 'STATUS', oldValue: oldStatus, newValue: newStatus });
+    }
+  }
+
+  // Geofence transitions need a known position on both runs
+  const before = geofences.length > 0 ? findGeofences(geofences, stored.LAT, stored.LON) : null;
+  const after = before ? findGeofences(geofences, incoming.LAT, incoming.LON) : null;
+  if (before && after) {
+    const details = { shipName: incoming.SHIPNAME ?? null, position: { lat: incoming.LAT, lon: incoming.LON } };
+    for (const name of after.filter(name => !before.includes(name))) {
+      events.push({ shipId, type: 'geofence_entered', field: 'geofence', oldValue: null, newValue: name, ...details });
+    }
+    for (const name of before.filter(name => !after.includes(name))) {
+      events.push({ shipId, type: 'geofence_exited', field: 'geofence', oldValue: name, newValue: null, ...details });
+    }
+  }
+
+  return events;
+}
+
+/**
+ * Load the watched fields of stored vessels
+ * @param {Object} client - PostgreSQL client
+ * @param {Array<string>} shipIds - SHIP_IDs to load
+ * @returns {Promise<Map>} - SHIP_ID -> stored state keyed by canonical field name
+ */
+async function loadStoredState(client, shipIds) {
+  const columns = WATCHED_FIELDS.map(field => quoteIdentifier(FIELD_MAP[field].column));
+  const result = await client.query(
+    `SELECT ship_id, ${columns.join(', ')} FROM vessels_mt WHERE ship_id = ANY($1)`,
+    [shipIds]
+  );
+
+  const state = new Map();
+  for (const row of result.rows) {
+    const fields = {};
+    for (const field of WATCHED_FIELDS) {
+      fields[field] = toFieldValue(field, row[FIELD_MAP[field].column]);
+    }
+    state.set(String(row.ship_id), fields);
+  }
+  return state;
+}
+
+/**
+ * Diff a batch of incoming vessels against their stored state
+ * @param {Object} client - PostgreSQL client, inside the writing transaction
+ * @param {Array<Object>} vesselsFields - Normalized fields of each vessel
+ * @param {Array<Object>} geofences - Geofences to detect entries and exits of
+ * @returns {Promise<Array<Object>>} - Events, see diffVessel
+ */
+async function detectEvents(client, vesselsFields, geofences = []) {
+  const stored = await loadStoredState(client, vesselsFields.map(fields => fields.SHIP_ID));
+  return vesselsFields.flatMap(fields => diffVessel(stored.get(fields.SHIP_ID) || null, fields, geofences));
+}
+
+/**
+ * Insert events into vessel_events and notify listeners of the channel.
+ * Notifications are delivered when the surrounding transaction commits.
+ * @param {Object} client - PostgreSQL client
+ * @param {Array<Object>} events - Events from detectEvents
+ * @param {string} report - Tag of the report the vessels came from
+ * @returns {Promise<Array<Object>>} - Events with their `id` and `detectedAt`
+ */
+async function recordEvents(client, events, report = null) {
+  if (events.length === 0) {
+    return [];
+  }
+
+  const values = [];
+  const rows = events.map(event => {
+    const offset = values.length;
+    values.push(
+      event.shipId,
+      event.type,
+      event.field,
+      event.oldValue === null ? null : JSON.stringify(event.oldValue),
+      event.newValue === null ? null : JSON.stringify(event.newValue),
+      report
+    );
+    return valuesRow(offset, 6);
+  });
+
+  const result = await client.query(`
+    INSERT INTO ${EVENTS_TABLE} (ship_id, event_type, field, old_value, new_value, report)
+    VALUES ${rows.join(', ')}
+    RETURNING id, detected_at
+  `, values);
+
+  const recorded = events.map((event, i) => ({
+    id: result.rows[i].id,
+    ...event,
+    report,
+    detectedAt: result.rows[i].detected_at
+  }));
+
+  // Keep payloads small, NOTIFY rejects payloads over 8000 bytes
+  await client.query(
+    'SELECT pg_notify($1, payload) FROM unnest($2::text[]) AS payload',
+    [NOTIFY_CHANNEL, recorded.map(event => JSON.stringify({ id: event.id, shipId: event.shipId, type: event.type }))]
+  );
+
+  return recorded;
+}
+
+/**
+ * Emit committed events to in-process subscribers
+ * @param {Array<Object>} events - Events returned by recordEvents
+ */
+function publishEvents(events) {
+  for (const event of events) {
+    try {
+      vesselEvents.emit('event', event);
+      vesselEvents.emit(event.type, event);
+    } catch (error) {
+      logger.error('Vessel event subscriber failed', { type: event.type, shipId: event.shipId, error });
+    }
+  }
+}
+
+/**
+ * Listen for events written by any process
+ * @param {Object} client - Dedicated PostgreSQL client, not returned to the pool while listening
+ * @param {Function} handler - Called with { id, shipId, type } for every event
+ * @returns {Promise<Function>} - Async function that stops listening
+ */
+async function listenForEvents(client, handler) {
+  const onNotification = message => {
+    if (message.channel !== NOTIFY_CHANNEL) return;
+    try {
+      handler(JSON.parse(message.payload));
+    } catch (error) {
+      logger.error('Vessel event listener failed', { payload: message.payload, error });
+    }
+  };
+
+  client.on('notification', onNotification);
+  await client.query(`LISTEN ${NOTIFY_CHANNEL}`);
+
+  return async () => {
+    client.removeListener('notification', onNotification);
+    await client.query(`UNLISTEN ${NOTIFY_CHANNEL}`);
+  };
+}
+
+/**
+ * Fetch recorded events, oldest first
+ * @param {Object} client - PostgreSQL client or pool
+ * @param {Object} filters - Query filters
+ * @param {string} filters.shipId - Only events of this vessel
+ * @param {string} filters.type - Only events of this type
+ * @param {number} filters.afterId - Only events with a larger id, for polling consumers
+ * @param {Date|string} filters.since - Only events detected at or after this time
+ * @param {number} filters.limit - Maximum rows (default: 100, at most 1000)
+ * @returns {Promise<Array>} - Event rows
+ */
+async function getEvents(client, filters = {}) {
+  const limit = Math.min(parseInt(filters.limit, 10) || 100, 1000);
+  const result = await client.query(`
+    SELECT *
+    FROM ${EVENTS_TABLE}
+    WHERE ($1::text IS NULL OR ship_id = $1)
+      AND ($2::text IS NULL OR event_type = $2)
+      AND ($3::bigint IS NULL OR id > $3)
+      AND ($4::timestamptz IS NULL OR detected_at >= $4)
+    ORDER BY id
+    LIMIT $5
+  `, [
+    filters.shipId ?? null,
+    filters.type ?? null,
+    filters.afterId ?? null,
+    filters.since ? new Date(filters.since).toISOString() : null,
+    limit
+  ]);
+  return result.rows;
+}
+
+module.exports = {
+  NOTIFY_CHANNEL,
+  vesselEvents,
+  diffVessel,
+  detectEvents,
+  recordEvents,
+  publishEvents,
+  listenForEvents,
+  getEvents
+};
@@ -0,0 +1,183 @@
+// Declarative map from MarineTraffic report fields to vessels_mt columns
+const logger = require('./logger').child({ module: 'vessel-fields' });
+
+/**
+ * Value converters by column type. Each returns null for values that
+ * cannot be converted so that one malformed cell does not fail the write.
+ */
+const converters = {
+  text(value) {
+    const text = String(value).trim();
+    return text === '' ? null : text;
+  },
+
+  float(value) {
+    if (typeof value === 'number') {
+      return Number.isFinite(value) ? value : null;
+    }
+    // Replace any commas with dots for decimal values
+    const numValue = parseFloat(String(value).replace(',', '.'));
+    return isNaN(numValue) ? null : numValue;
+  },
+
+  integer(value) {
+    const numValue = converters.float(value);
+    return numValue === null ? null : Math.round(numValue);
+  },
+
+  timestamp(value) {
+    // If it's a number, treat as Unix timestamp in seconds
+    const date = !isNaN(value) ? new Date(parseInt(value) * 1000) : new Date(value);
+    return isNaN(date.getTime()) ? null : date.toISOString();
+  },
+
+  date(value) {
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date.toISOString().split('T')[0]; // YYYY-MM-DD
+  },
+
+  json(value) {
+    return typeof value === 'string' ? value : JSON.stringify(value);
+  }
+};
+
+/**
+ * MarineTraffic field name -> { column, type, aliases }.
+ * Aliases cover the report column names from the reports URL and the
+ * alternative spellings MarineTraffic has used in its JSON responses.
+ */
+const FIELD_MAP = {
+  SHIP_ID: { column: 'ship_id', type: 'text' },
+  IMO: { column: 'imo', type: 'text' },
+  MMSI: { column: 'mmsi', type: 'text' },
+  CALLSIGN: { column: 'callsign', type: 'text' },
+  ENI: { column: 'eni', type: 'text' },
+  SHIPNAME: { column: 'shipname', type: 'text', aliases: ['SHIP_NAME', 'NAME'] },
+  FLAG: { column: 'flag', type: 'text', aliases: ['CODE2'] },
+  SHIPTYPE: { column: 'shiptype', type: 'text', aliases: ['SHIP_TYPE'] },
+  TYPE_NAME: { column: 'type_name', type: 'text', aliases: ['SPECIFIC_SHIP_TYPE'] },
+  MARKET: { column: 'market', type: 'text' },
+  VESSEL_CLASS: { column: 'vessel_class', type: 'text' },
+  AREA: { column: 'area', type: 'text', aliases: ['AREA_NAME'] },
+  AREA_LOCAL: { column: 'area_local', type: 'text' },
+  LAT: { column: 'lat', type: 'float', aliases: ['LAT_OF_LATEST_POSITION'] },
+  LON: { column: 'lon', type: 'float', aliases: ['LON_OF_LATEST_POSITION'] },
+  SPEED: { column: 'speed', type: 'float' },
+  COURSE: { column: 'course', type: 'float' },
+  STATUS: { column: 'status', type: 'text', aliases: ['STATUS_NAME'] },
+  LAST_POS: { column: 'last_pos', type: 'timestamp', aliases: ['TIME_OF_LATEST_POSITION', 'TIMESTAMP'] },
+  FIRST_POS_TIMESTAMP: { column: 'first_pos_timestamp', type: 'timestamp', aliases: ['FIRST_AIS_POS_DATE'] },
+  ETA_UPDATED: { column: 'eta_updated', type: 'timestamp' },
+  DRAUGHT_MAX: { column: 'draught_max', type: 'float' },
+  DRAUGHT_MIN: { column: 'draught_min', type: 'float' },
+  YEAR_BUILT: { column: 'year_built', type: 'integer', aliases: ['YEAR_OF_BUILD'] },
+  LAUNCH_DATE: { column: 'launch_date', type: 'date' },
+  LENGTH: { column: 'length', type: 'float' },
+  WIDTH: { column: 'width', type: 'float' },
+  LENGTH_B_W_PERPENDICULARS: { column: 'length_b_w_perpendiculars', type: 'float', aliases: ['LENGTH_BETWEEN_PERPENDICULARS'] },
+  LENGTH_REGISTERED: { column: 'length_registered', type: 'float' },
+  DEPTH: { column: 'depth', type: 'float' },
+  BREADTH_MOULDED: { column: 'breadth_moulded', type: 'float' },
+  BREADTH_EXTREME: { column: 'breadth_extreme', type: 'float' },
+  GROSS_TONNAGE: { column: 'gross_tonnage', type: 'integer', aliases: ['GT'] },
+  DWT: { column: 'dwt', type: 'integer', aliases: ['DEADWEIGHT'] },
+  TEU: { column: 'teu', type: 'integer' },
+  PAX: { column: 'pax', type: 'integer' },
+  LIQUID_GAS: { column: 'liquid_gas', type: 'float', aliases: ['LIQUID_GAS_CAPACITY'] },
+  LIQUID_OIL: { column: 'liquid_oil', type: 'float', aliases: ['LIQUID_OIL_CAPACITY'] },
+  // Not a MarineTraffic field: the tag of the report definition the vessel was scraped by
+  REPORT: { column: 'report', type: 'text' },
+  // Not MarineTraffic fields either: the results of vessel-validation.js
+  QUALITY_FLAGS: { column: 'quality_flags', type: 'json' },
+  QUALITY_SCORE: { column: 'quality_score', type: 'integer' }
+};
+
+// Every party role in the report comes with the same four columns
+const PARTY_ROLES = [
+  'COMMERCIAL_MANAGER', 'REGISTERED_OWNER', 'BENEFICIAL_OWNER', 'TECHNICAL_MANAGER',
+  'ISM_MANAGER', 'OPERATOR', 'P_I_CLUB', 'CLASS_SOCIETY', 'SHIP_BUILDER', 'ENGINE_BUILDER'
+];
+
+for (const role of PARTY_ROLES) {
+  for (const suffix of ['', '_EMAIL', '_CITY', '_COUNTRY']) {
+    FIELD_MAP[role + suffix] = { column: (role + suffix).toLowerCase(), type: 'text' };
+  }
+}
+
+// Column holding every field that is not in FIELD_MAP
+const EXTRA_COLUMN = 'extra';
+
+// Uppercased source key -> canonical field name, including aliases
+const FIELD_LOOKUP = new Map();
+for (const [field, definition] of Object.entries(FIELD_MAP)) {
+  FIELD_LOOKUP.set(field, field);
+  for (const alias of definition.aliases || []) {
+    FIELD_LOOKUP.set(alias, field);
+  }
+}
+
+// Unknown fields are only warned about once per process
+const warnedFields = new Set();
+
+/**
+ * Quote an SQL identifier so that any field name is safe to interpolate
+ * @param {string} name - Column or table name
+ * @returns {string} - Double-quoted identifier
+ */
+function quoteIdentifier(name) {
+  return `"${String(name).replace(/"/g, '""')}"`;
+}
+
+/**
+ * Resolve a source key to its canonical MarineTraffic field name
+ * @param {string} key - Key as it appears in the scraped object
+ * @returns {string|null} - Canonical field name, or null if unknown
+ */
+function resolveField(key) {
+  return FIELD_LOOKUP.get(String(key).trim().toUpperCase()) || null;
+}
+
+/**
+ * Normalize a scraped vessel to canonical field names and typed values.
+ * Fields that are not in FIELD_MAP are collected in `extra`.
+ * @param {Object} vessel - Raw vessel object as scraped
+ * @returns {Object} - { fields, extra } keyed by canonical field name
+ */
+function normalizeVessel(vessel) {
+  const fields = {};
+  const extra = {};
+
+  for (const [key, value] of Object.entries(vessel)) {
+    const field = resolveField(key);
+
+    if (!field) {
+      if (!warnedFields.has(key)) {
+        warnedFields.add(key);
+        logger.warn(`Unknown vessel field "${key}", storing it in ${EXTRA_COLUMN}`, { field: key });
+      }
+      extra[key] = value === undefined ? null : value;
+      continue;
+    }
+
+    // An exact field name takes precedence over one of its aliases
+    if (field in fields && key.toUpperCase() !== field) {
+      continue;
+    }
+
+    fields[field] = value === null || value === undefined
+      ? null
+      : converters[FIELD_MAP[field].type](value);
+  }
+
+  return { fields, extra };
+}
+
+module.exports = {
+  FIELD_MAP,
+  PARTY_ROLES,
+  EXTRA_COLUMN,
+  converters,
+  quoteIdentifier,
+  resolveField,
+  normalizeVessel
+};
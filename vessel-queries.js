@@ -0,0 +1,138 @@
+// Read queries over the current vessel state in vessels_mt
+const DEFAULT_LIMIT = 1000;
+const MAX_LIMIT = 10000;
+
+/**
+ * Parse a bounding box given as "minLon,minLat,maxLon,maxLat"
+ * @param {string} value - Bounding box string
+ * @returns {Array<number>|null} - [minLon, minLat, maxLon, maxLat], or null if invalid
+ */
+function parseBoundingBox(value) {
+  if (!value) return null;
+  const parts = String(value).split(',').map(Number);
+  if (parts.length !== 4 || parts.some(isNaN)) return null;
+  return parts;
+}
+
+/**
+ * Split a comma-separated filter value into a list
+ * @param {string|Array} value - Filter value
+ * @returns {Array<string>} - Non-empty values
+ */
+function toList(value) {
+  if (value === undefined || value === null || value === '') return [];
+  return (Array.isArray(value) ? value : String(value).split(','))
+    .map(item => String(item).trim())
+    .filter(Boolean);
+}
+
+/**
+ * Build the WHERE conditions of the vessel filters, the ones report URLs use
+ * plus status, report tag and bounding box
+ * @param {Object} filters - Query filters
+ * @param {string|Array} filters.flag - Flag code(s)
+ * @param {string|Array} filters.shipType - Ship type code(s)
+ * @param {string|Array} filters.area - Area(s)
+ * @param {string|Array} filters.status - Navigational status(es)
+ * @param {string|Array} filters.report - Report tag(s)
+ * @param {Array<number>} filters.bbox - [minLon, minLat, maxLon, maxLat]
+ * @param {Array} values - Query parameters, appended to
+ * @param {string} alias - Table alias of vessels_mt, if the query joins it
+ * @returns {Array<string>} - SQL conditions to AND together
+ */
+function buildVesselConditions(filters, values, alias = '') {
+  const conditions = [];
+  const column = name => (alias ? `${alias}.${name}` : name);
+
+  const addListFilter = (name, value) => {
+    const list = toList(value);
+    if (list.length > 0) {
+      values.push(list);
+      conditions.push(`${column(name)} = ANY($${values.length})`);
+    }
+  };
+
+  addListFilter('flag', filters.flag);
+  addListFilter('shiptype', filters.shipType);
+  addListFilter('area', filters.area);
+  addListFilter('status', filters.status);
+  addListFilter('report', filters.report);
+
+  if (filters.bbox) {
+    const [minLon, minLat, maxLon, maxLat] = filters.bbox;
+    values.push(minLat, maxLat);
+    conditions.push(`${column('lat')} BETWEEN $${values.length - 1} AND $${values.length}`);
+
+    // A box whose west edge is east of its east edge crosses the antimeridian
+    values.push(minLon, maxLon);
+    conditions.push(minLon <= maxLon
+      ? `${column('lon')} BETWEEN $${values.length - 1} AND $${values.length}`
+      : `(${column('lon')} >= $${values.length - 1} OR ${column('lon')} <= $${values.length})`);
+  }
+
+  return conditions;
+}
+
+/**
+ * List vessels matching the given filters, most recently positioned first
+ * @param {Object} client - PostgreSQL client or pool
+ * @param {Object} filters - Query filters, see buildVesselConditions
+ * @param {number} filters.limit - Maximum rows (default: 1000, between 1 and 10000)
+ * @param {number} filters.offset - Rows to skip (default: 0, never negative)
+ * @returns {Promise<Array>} - Vessel rows
+ */
+async function listVessels(client, filters = {}) {
+  const values = [];
+  const conditions = buildVesselConditions(filters, values);
+
+  // PostgreSQL rejects a negative LIMIT or OFFSET
+  const limit = Math.max(Math.min(parseInt(filters.limit, 10) || DEFAULT_LIMIT, MAX_LIMIT), 1);
+  const offset = Math.max(parseInt(filters.offset, 10) || 0, 0);
+  values.push(limit, offset);
+
+  const result = await client.query(`
+    SELECT *
+    FROM vessels_mt
+    ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+    ORDER BY last_pos DESC NULLS LAST, ship_id
+    LIMIT $${values.length - 1} OFFSET $${values.length}
+  `, values);
+
+  return result.rows;
+}
+
+/**
+ * Fetch the stored state of one vessel
+ * @param {Object} client - PostgreSQL client or pool
+ * @param {string|number} shipId - MarineTraffic SHIP_ID
+ * @returns {Promise<Object|null>} - Vessel row, or null if unknown
+ */
+async function getVessel(client, shipId) {
+  const result = await client.query('SELECT * FROM vessels_mt WHERE ship_id = $1', [String(shipId)]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Find vessels by IMO number, MMSI or SHIP_ID. An MMSI can be reassigned, so
+ * more than one vessel may match.
+ * @param {Object} client - PostgreSQL client or pool
+ * @param {string|number} identifier - IMO number, MMSI or MarineTraffic SHIP_ID
+ * @returns {Promise<Array>} - Matching vessel rows, most recently positioned first
+ */
+async function findVessels(client, identifier) {
+  const result = await client.query(`
+    SELECT *
+    FROM vessels_mt
+    WHERE imo = $1 OR mmsi = $1 OR ship_id = $1
+    ORDER BY last_pos DESC NULLS LAST, ship_id
+  `, [String(identifier)]);
+  return result.rows;
+}
+
+module.exports = {
+  parseBoundingBox,
+  buildVesselConditions,
+  listVessels,
+  getVessel,
+  findVessels
+};
@@ -2,44 +2,328 @@
 require('dotenv').config();
 const puppeteer = require('puppeteer-extra');
 const StealthPlugin = require('puppeteer-extra-plugin-stealth');
+const { loadReportDefinitions, buildReportUrl } = require('./report-config');
+const { isVesselApiUrl, isVesselPayload } = require('./extraction');
+const { resolveStrategies, runStrategies } = require('./strategies');
+const { createRecorder } = require('./replay');
+const { createSessionStore } = require('./session-store');
+const { ScrapeError, classifyError } = require('./scrape-errors');
+const { DEFAULT_DIAGNOSTICS_DIR, attachNetworkLog, saveDiagnostics } = require('./diagnostics');
+const logger = require('./logger').child({ module: 'scraper' });
+
+const MARINETRAFFIC_HOST = 'marinetraffic.com';
+const VESSELS_DATA_URL = 'https://www.marinetraffic.com/en/data/?asset_type=vessels';
+
+// Browser kept open across runs when keepBrowser is set, and the account it is logged in as
+let sharedBrowser = null;
+let sharedBrowserAccount = null;
+
+// Elements of CAPTCHA and bot challenge pages shown instead of MarineTraffic
+const CHALLENGE_SELECTORS = [
+  'iframe[src*="captcha"]',
+  '.g-recaptcha',
+  '.h-captcha',
+  '#challenge-form',
+  '#cf-challenge-running',
+  '#px-captcha'
+];
 puppeteer.use(StealthPlugin());
 
+/**
+ * Fetch one page of a reports API response from inside the logged-in page
+ * @param {Object} page - Puppeteer page
+ * @param {string} url - API URL of the page
+ * @returns {Promise<Object>} - Parsed JSON payload
+ */
+async function fetchApiPage(page, url) {
+  return page.evaluate(async pageUrl => {
+    const response = await fetch(pageUrl, {
+      credentials: 'include',
+      headers: { Accept: 'application/json', 'X-Requested-With': 'XMLHttpRequest' }
+    });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    return response.json();
+  }, url);
+}
+
+/**
+ * Check whether the page shows a CAPTCHA or bot challenge instead of MarineTraffic
+ * @param {Object} page - Puppeteer page
+ * @returns {Promise<boolean>} - True on a challenge page
+ */
+async function isChallengePage(page) {
+  const title = await page.title().catch(() => '');
+  if (/just a moment|attention required|are you a robot/i.test(title)) {
+    return true;
+  }
+  const challenge = await page.$(CHALLENGE_SELECTORS.join(', ')).catch(() => null);
+  return Boolean(challenge);
+}
+
+/**
+ * Log in to MarineTraffic with the login form, accepting the cookie consent first
+ * @param {Object} page - Puppeteer page
+ * @param {string} username - MarineTraffic username
+ * @param {string} password - MarineTraffic password
+ * @param {number} timeout - Navigation timeout in ms
+ * @throws {ScrapeError} - 'captcha' on a challenge page, 'bad_credentials' when MarineTraffic
+ *   rejects the login and 'layout_changed' when the login form is missing
+ */
+async function login(page, username, password, timeout) {
+  logger.info('Navigating to MarineTraffic with stealth...');
+  await page.goto('https://www.marinetraffic.com/en/users/login', {
+    waitUntil: 'networkidle2',
+    timeout
+  });
+
+  // Handle cookie consent if present (try multiple possible selectors)
+  try {
+    // Try specific cookie button format first
+    const cookieButton = await page.waitForSelector('#qc-cmp2-ui > div.qc-cmp2-footer.qc-cmp2-footer-overlay.qc-cmp2-footer-scrolled > div > button.css-1yp8yiu', { timeout: 3000 }).catch(() => null);
+    if (cookieButton) {
+      await cookieButton.click();
+      logger.info('Clicked specific cookie consent button');
+    } else {
+      // Fallback to other cookie button formats
+      const cookieButton1 = await page.waitForXPath('//*[@id="qc-cmp2-ui"]/div[2]/div/button[2]', { timeout: 3000 }).catch(() => null);
+      if (cookieButton1) {
+        await cookieButton1.click();
+        logger.info('Clicked XPath cookie consent button');
+      } else {
+        // Try generic CSS selector as last resort
+        const cookieButton2 = await page.waitForSelector('button.css-1yp8yiu', { timeout: 3000 }).catch(() => null);
+        if (cookieButton2) {
+          await cookieButton2.click();
+          logger.info('Clicked CSS cookie consent button');
+        } else {
+          // Try any button that might be related to cookies or acceptance
+          const anyAcceptButton = await page.$$eval('button', buttons => {
+            const acceptButton = buttons.find(button =>
+              button.textContent.toLowerCase().includes('accept') ||
+              button.textContent.toLowerCase().includes('agree') ||
+              button.textContent.toLowerCase().includes('consent')
+            );
+            if (acceptButton) {
+              acceptButton.click();
+              return true;
+            }
+            return false;
+          }).catch(() => false);
+
+          if (anyAcceptButton) {
+            logger.info('Clicked generic accept/agree button');
+          } else {
+            logger.info('No cookie consent button found, continuing...');
+          }
+        }
+      }
+    }
+  } catch (error) {
+    logger.warn('No cookie consent button found or error handling cookies', { error: error.message });
+  }
+
+  if (await isChallengePage(page)) {
+    throw new ScrapeError('captcha', 'MarineTraffic showed a CAPTCHA instead of the login form');
+  }
+
+  logger.info('Logging in...');
+  await page.waitForSelector('#email', { timeout: 10000 }).catch(error => {
+    throw new ScrapeError('layout_changed', 'MarineTraffic login form was not found, the page layout may have changed',
+      { cause: error });
+  });
+  await page.type('#email', username);
+  await page.type('#password', password);
+  await page.click('#login_form_submit');
+  logger.info('Login submitted');
+
+  // Wait for login to complete
+  logger.info('Waiting for login to complete...');
+  // Wait for navigation or for a selector that indicates successful login
+  let waitError = null;
+  await Promise.race([
+    page.waitForNavigation({ timeout: 30000 }),
+    page.waitForSelector('.user-menu-item', { timeout: 30000 })
+  ]).catch(error => { waitError = error; });
+
+  if (await isChallengePage(page)) {
+    throw new ScrapeError('captcha', 'MarineTraffic showed a CAPTCHA after the login was submitted');
+  }
+  if (page.url().includes('/users/login')) {
+    throw new ScrapeError('bad_credentials', 'MarineTraffic rejected the login, check the account credentials');
+  }
+  if (waitError) {
+    throw waitError;
+  }
+  logger.info('Login successful');
+}
+
+/**
+ * Restore stored cookies and localStorage into a fresh page
+ * @param {Object} page - Puppeteer page, before any navigation
+ * @param {Object} session - Stored session ({ cookies, localStorage })
+ */
+async function restoreSession(page, session) {
+  if (session.cookies && session.cookies.length > 0) {
+    const cdp = await page.createCDPSession();
+    await cdp.send('Network.setCookies', { cookies: session.cookies });
+    await cdp.detach();
+  }
+
+  // localStorage can only be written from the MarineTraffic origin, so seed it
+  // on every new document before the site's own scripts run
+  if (session.localStorage && Object.keys(session.localStorage).length > 0) {
+    await page.evaluateOnNewDocument((items, host) => {
+      if (location.hostname !== host) return;
+      for (const [key, value] of Object.entries(items)) {
+        if (localStorage.getItem(key) === null) {
+          localStorage.setItem(key, value);
+        }
+      }
+    }, session.localStorage, MARINETRAFFIC_HOST);
+  }
+}
+
+/**
+ * Capture the cookies and localStorage of a logged-in page
+ * @param {Object} page - Puppeteer page on the MarineTraffic origin
+ * @returns {Promise<Object>} - Session ({ cookies, localStorage })
+ */
+async function captureSession(page) {
+  const cdp = await page.createCDPSession();
+  const { cookies } = await cdp.send('Network.getAllCookies');
+  await cdp.detach();
+
+  const localStorageItems = await page.evaluate(() => ({ ...localStorage })).catch(() => ({}));
+
+  return {
+    cookies: cookies.filter(cookie => cookie.domain.endsWith(MARINETRAFFIC_HOST)),
+    localStorage: localStorageItems
+  };
+}
+
+/**
+ * Check whether the page is logged in by loading the vessels data page
+ * @param {Object} page - Puppeteer page
+ * @param {number} timeout - Navigation timeout in ms
+ * @returns {Promise<boolean>} - True if the session is still logged in
+ * @throws {ScrapeError} - 'captcha' on a challenge page
+ */
+async function hasValidSession(page, timeout) {
+  await page.goto(VESSELS_DATA_URL, { waitUntil: 'networkidle2', timeout });
+
+  if (page.url().includes('/users/login')) {
+    return false;
+  }
+  if (await isChallengePage(page)) {
+    throw new ScrapeError('captcha', 'MarineTraffic showed a CAPTCHA instead of the vessels page');
+  }
+
+  const userMenu = await page.waitForSelector('.user-menu-item', { timeout: 10000 }).catch(() => null);
+  return Boolean(userMenu);
+}
+
+/**
+ * Launch a browser, or reuse the long-lived one when keepBrowser is set
+ * @param {boolean} headless - Run browser in headless mode
+ * @param {boolean} keepBrowser - Keep one browser open across runs
+ * @returns {Promise<Object>} - Puppeteer browser
+ */
+async function getBrowser(headless, keepBrowser) {
+  if (keepBrowser && sharedBrowser && sharedBrowser.connected) {
+    return sharedBrowser;
+  }
+
+  const browser = await puppeteer.launch({
+    headless,
+    args: [
+      '--no-sandbox',
+      '--disable-setuid-sandbox',
+      '--disable-web-security',
+      '--disable-features=IsolateOrigins,site-per-process'
+    ]
+  });
+
+  if (keepBrowser) {
+    sharedBrowser = browser;
+    sharedBrowserAccount = null;
+  }
+  return browser;
+}
+
+/**
+ * Close the long-lived browser kept open by keepBrowser, if any
+ */
+async function closeBrowser() {
+  if (sharedBrowser) {
+    const browser = sharedBrowser;
+    sharedBrowser = null;
+    sharedBrowserAccount = null;
+    await browser.close();
+    logger.info('Browser closed');
+  }
+}
+
 /**
  * Scrapes vessel data from MarineTraffic detailed reports
  * @param {Object} options - Configuration options
- * @param {string} options.username - MarineTraffic username
- * @param {string} options.password - MarineTraffic password
+ * @param {string} options.username - MarineTraffic username, usually handed out by the
+ *   credential pool, see credentials.js (default: MT_USERNAME)
+ * @param {string} options.password - MarineTraffic password (default: MT_PASSWORD)
  * @param {boolean} options.headless - Run browser in headless mode (default: true)
  * @param {number} options.timeout - Global timeout in ms (default: 60000)
- * @returns {Promise<Object>} - JSON data of vessels
+ * @param {Object} options.report - Report definition to scrape (default: first one in reports.json)
+ * @param {Object|null} options.sessionStore - Where to keep the login session (default: from SESSION_STORE)
+ * @param {boolean} options.keepBrowser - Keep one browser open across runs (default: SCRAPER_KEEP_BROWSER)
+ * @param {string} options.recordDir - Save responses and page HTML here for replay.js (default: SCRAPER_RECORD_DIR)
+ * @param {string|null} options.diagnosticsDir - Save a screenshot, the HTML and a network log of failed
+ *   scrapes here, see diagnostics.js; null turns this off (default: SCRAPER_DIAGNOSTICS_DIR or
+ *   ./diagnostics, off with SCRAPER_DIAGNOSTICS=false)
+ * @param {string|Array<string>} options.strategies - Extraction strategies to try, in order
+ *   (default: EXTRACTION_STRATEGIES or all of them, see strategies/index.js)
+ * @returns {Promise<Object>} - JSON data of vessels, with `provenance` describing the
+ *   extraction strategy, source and row count that produced it
+ * @throws {ScrapeError} - Typed by `kind`, see scrape-errors.js; a report without vessels is
+ *   'empty_report'. `diagnostics` holds the directory of the saved artifacts, if any.
  */
 async function scrapeVesselData(options = {}) {
   const {
     username = process.env.MT_USERNAME,
     password = process.env.MT_PASSWORD,
     headless = true,
-    timeout = 60000
+    timeout = 60000,
+    report = loadReportDefinitions()[0],
+    sessionStore = createSessionStore(),
+    keepBrowser = process.env.SCRAPER_KEEP_BROWSER === 'true',
+    recordDir = process.env.SCRAPER_RECORD_DIR,
+    diagnosticsDir = process.env.SCRAPER_DIAGNOSTICS === 'false'
+      ? null
+      : process.env.SCRAPER_DIAGNOSTICS_DIR || DEFAULT_DIAGNOSTICS_DIR
   } = options;
 
+  // Resolve before launching the browser so a bad configuration fails fast
+  const strategies = resolveStrategies(options.strategies);
+
   if (!username || !password) {
     throw new Error('MarineTraffic username and password are required');
   }
 
   let browser = null;
+  let page = null;
   let vesselData = null;
+  let vesselResponse = null;
+  let pagingInProgress = false;
+  let throttled = false;
+  let networkLog = null;
+  const recorder = recordDir ? createRecorder(recordDir) : null;
 
   try {
-    browser = await puppeteer.launch({
-      headless,
-      args: [
-        '--no-sandbox',
-        '--disable-setuid-sandbox',
-        '--disable-web-security',
-        '--disable-features=IsolateOrigins,site-per-process'
-      ]
-    });
-
-    const page = await browser.newPage();
+    browser = await getBrowser(headless, keepBrowser);
+    page = await browser.newPage();
+    if (diagnosticsDir) {
+      networkLog = attachNetworkLog(page);
+    }
 
     // Set realistic viewport and user agent
     await page.setViewport({ width: 1366, height: 768 });
@@ -54,346 +338,156 @@ async function scrapeVesselData(options = {}) {
 
     page.on('response', async response => {
       const url = response.url();
+      if (response.status() === 429 && url.includes(MARINETRAFFIC_HOST)) {
+        throttled = true;
+      }
       // Look for API endpoints that might contain vessel data
-      if (url.includes('/api/exportAPI') ||
-          url.includes('/en/reports') ||
-          url.includes('/api/exportData') ||
-          url.includes('/exportJSON') ||
-          url.includes('/en/vesselDetails') ||
-          url.includes('/en/ais/details') ||
-          url.includes('/api/vd') ||
-          url.includes('/api/exportVessels')) {
-        try {
-          const contentType = response.headers()['content-type'] || '';
-          if (contentType.includes('application/json')) {
-            const data = await response.json();
-            console.log('Captured vessel data API response from:', url);
-
-            // Check if this response contains what looks like vessel data
-            if (data &&
-                ((data.data && Array.isArray(data.data) && data.data.length > 0) ||
-                 (data.vessels && Array.isArray(data.vessels) && data.vessels.length > 0) ||
-                 (Array.isArray(data) && data.length > 0 && (data[0].imo || data[0].IMO || data[0].mmsi || data[0].MMSI)))) {
-              console.log('Found what appears to be vessel data!');
-              vesselData = data;
-            }
-          }
-        } catch (e) {
-          console.log('Error parsing response from', url, e.message);
+      if (!isVesselApiUrl(url)) return;
+
+      try {
+        const contentType = response.headers()['content-type'] || '';
+        if (!contentType.includes('application/json')) return;
+
+        const data = await response.json();
+        logger.debug('Captured vessel data API response', { url });
+
+        if (recorder) {
+          recorder.recordResponse({ url, status: response.status(), paging: pagingInProgress, body: data });
         }
+
+        // Ignore the page requests we issue ourselves while walking a report
+        if (!pagingInProgress && isVesselPayload(data)) {
+          logger.info('Found what appears to be vessel data!');
+          vesselResponse = { url, data };
+        }
+      } catch (e) {
+        logger.debug('Error parsing response', { url, error: e.message });
       }
     });
 
-    console.log('Navigating to MarineTraffic with stealth...');
-    await page.goto('https://www.marinetraffic.com/en/users/login', {
-      waitUntil: 'networkidle2',
-      timeout
-    });
+    // A kept browser still holds the cookies of the account that used it last
+    if (keepBrowser && sharedBrowserAccount !== username) {
+      const cdp = await page.createCDPSession();
+      await cdp.send('Network.clearBrowserCookies');
+      await cdp.detach();
+      sharedBrowserAccount = username;
+    }
 
-    // Handle cookie consent if present (try multiple possible selectors)
-    try {
-      // Try specific cookie button format first
-      const cookieButton = await page.waitForSelector('#qc-cmp2-ui > div.qc-cmp2-footer.qc-cmp2-footer-overlay.qc-cmp2-footer-scrolled > div > button.css-1yp8yiu', { timeout: 3000 }).catch(() => null);
-      if (cookieButton) {
-        await cookieButton.click();
-        console.log('Clicked specific cookie consent button');
-      } else {
-        // Fallback to other cookie button formats
-        const cookieButton1 = await page.waitForXPath('//*[@id="qc-cmp2-ui"]/div[2]/div/button[2]', { timeout: 3000 }).catch(() => null);
-        if (cookieButton1) {
-          await cookieButton1.click();
-          console.log('Clicked XPath cookie consent button');
-        } else {
-          // Try generic CSS selector as last resort
-          const cookieButton2 = await page.waitForSelector('button.css-1yp8yiu', { timeout: 3000 }).catch(() => null);
-          if (cookieButton2) {
-            await cookieButton2.click();
-            console.log('Clicked CSS cookie consent button');
-          } else {
-            // Try any button that might be related to cookies or acceptance
-            const anyAcceptButton = await page.$$eval('button', buttons => {
-              const acceptButton = buttons.find(button =>
-                button.textContent.toLowerCase().includes('accept') ||
-                button.textContent.toLowerCase().includes('agree') ||
-                button.textContent.toLowerCase().includes('consent')
-              );
-              if (acceptButton) {
-                acceptButton.click();
-                return true;
-              }
-              return false;
-            }).catch(() => false);
-
-            if (anyAcceptButton) {
-              console.log('Clicked generic accept/agree button');
-            } else {
-              console.log('No cookie consent button found, continuing...');
-            }
-          }
-        }
-      }
-    } catch (error) {
-      console.log('No cookie consent button found or error handling cookies:', error.message);
+    // Reuse a stored session when possible and only log in when it has expired
+    let loggedIn = false;
+    const session = sessionStore ? await sessionStore.load(username) : null;
+    if (session) {
+      logger.info('Restoring stored MarineTraffic session...');
+      await restoreSession(page, session);
     }
 
-    console.log('Logging in...');
-    await page.waitForSelector('#email', { timeout: 10000 });
-    await page.type('#email', username);
-    await page.type('#password', password);
-    await page.click('#login_form_submit');
-    console.log('Login submitted');
-
-    // Wait for login to complete
-    console.log('Waiting for login to complete...');
-    // Wait for navigation or for a selector that indicates successful login
-    await Promise.race([
-      page.waitForNavigation({ timeout: 30000 }),
-      page.waitForSelector('.user-menu-item', { timeout: 30000 })
-    ]);
-    console.log('Login successful');
-
-    // Navigate to vessels page
-    console.log('Navigating to vessels page...');
-    await page.goto('https://www.marinetraffic.com/en/data/?asset_type=vessels', {
-      waitUntil: 'networkidle2',
-      timeout
-    });
+    if (session || keepBrowser) {
+      loggedIn = await hasValidSession(page, timeout);
+      logger.info(loggedIn ? 'Stored session is valid, skipping login' : 'Stored session has expired');
+    }
+
+    if (!loggedIn) {
+      await login(page, username, password, timeout);
+
+      if (sessionStore) {
+        await sessionStore.save(username, await captureSession(page));
+        logger.info(`Session saved to ${sessionStore.type} store`);
+      }
+
+      // Navigate to vessels page
+      logger.info('Navigating to vessels page...');
+      await page.goto(VESSELS_DATA_URL, {
+        waitUntil: 'networkidle2',
+        timeout
+      });
+    }
 
     // Wait for vessels page to load properly
-    console.log('Waiting for vessels to load...');
+    logger.info('Waiting for vessels to load...');
 
     // Try a more general selector - the original seems to be failing
     try {
       await page.waitForSelector('#mainSection', { timeout: 30000 });
-      console.log('Main section loaded');
+      logger.info('Main section loaded');
     } catch (error) {
-      console.log('Could not find main section, continuing anyway:', error.message);
+      logger.warn('Could not find main section, continuing anyway', { error: error.message });
     }
 
-    // Navigate to the specific detailed reports page with all parameters
-    console.log('Navigating to detailed vessels reports page with all parameters...');
-    const detailedReportsUrl = 'https://www.marinetraffic.com/en/reports/?asset_type=vessels&columns=flag,shipname,imo,mmsi,ship_type,time_of_latest_position:desc,area,area_local,lat_of_latest_position,lon_of_latest_position,status,eni,speed,course,draught_max,draught_min,specific_ship_type,year_of_build,commercial_manager,commercial_manager_email,commercial_manager_city,commercial_manager_country,registered_owner,registered_owner_email,registered_owner_city,registered_owner_country,beneficial_owner,beneficial_owner_email,beneficial_owner_city,beneficial_owner_country,technical_manager,technical_manager_email,technical_manager_city,technical_manager_country,p_i_club,p_i_club_email,p_i_club_city,p_i_club_country,ship_builder,ship_builder_email,ship_builder_city,ship_builder_country,class_society,class_society_email,class_society_city,class_society_country,engine_builder,engine_builder_email,engine_builder_city,engine_builder_country,ism_manager,ism_manager_email,ism_manager_city,ism_manager_country,operator,operator_email,operator_city,operator_country,length,width,gross_tonnage,dwt,teu,liquid_gas_capacity,pax,launch_date,length_between_perpendiculars,length_registered,depth,breadth_moulded,breadth_extreme,liquid_oil_capacity,callsign,market,vessel_class,first_ais_pos_date&ship_type_in=8';
+    // Navigate to the detailed reports page built from the report definition
+    logger.info(`Navigating to detailed vessels reports page for report "${report.name}"...`);
+    const detailedReportsUrl = buildReportUrl(report);
 
     await page.goto(detailedReportsUrl, {
       waitUntil: 'networkidle2',
       timeout: 90000 // Longer timeout for this complex page
     });
 
+    if (await isChallengePage(page)) {
+      throw new ScrapeError('captcha', 'MarineTraffic showed a CAPTCHA instead of the report');
+    }
+
     // After navigation, wait a bit for any XHR requests to complete
-    console.log('Waiting for data to load...');
+    logger.info('Waiting for data to load...');
     // Using setTimeout with a promise instead of waitForTimeout
     await new Promise(resolve => setTimeout(resolve, 5000));
 
-    // The critical part - don't wait for a specific table selector that might not exist
-    // Instead, check if we've already captured data via network requests
-    if (!vesselData) {
-      console.log('Attempting to find vessel data on the page...');
-
-      // Try to find any table element that might contain our data
-      try {
-        // Try different table selectors
-        const tableSelectors = [
-          'table.MuiTable-root',
-          'table',
-          '.data-table',
-          '.grid-table',
-          '[role="grid"]',
-          '.ag-root-wrapper'
-        ];
-
-        for (const selector of tableSelectors) {
-          const element = await page.$(selector).catch(() => null);
-          if (element) {
-            console.log(`Found table element with selector: ${selector}`);
-
-            // Try to extract data from this table
-            const tableData = await page.evaluate((selector) => {
-              const table = document.querySelector(selector);
-              if (!table) return null;
-
-              // Check if it's a regular HTML table
-              const rows = Array.from(table.querySelectorAll('tr, [role="row"]'));
-              if (rows.length === 0) return null;
-
-              // Try to get headers
-              let headers = [];
-              const headerRow = rows[0];
-              const headerCells = headerRow.querySelectorAll('th, [role="columnheader"], td');
-              if (headerCells.length > 0) {
-                headers = Array.from(headerCells).map(cell => cell.textContent.trim());
-              } else {
-                // If no headers, make generic ones
-                const firstRow = rows[0];
-                const cellCount = firstRow.querySelectorAll('td, [role="gridcell"]').length;
-                headers = Array.from({ length: cellCount }, (_, i) => `Column${i}`);
-              }
-
-              // Get data rows (skip header row)
-              const dataRows = rows.slice(1);
-              const data = dataRows.map(row => {
-                const cells = row.querySelectorAll('td, [role="gridcell"]');
-                if (cells.length === 0) return null;
-
-                const rowData = {};
-                headers.forEach((header, index) => {
-                  if (cells[index]) {
-                    rowData[header] = cells[index].textContent.trim();
-                  }
-                });
-
-                return rowData;
-              }).filter(Boolean); // Remove any null entries
-
-              return data.length > 0 ? { data } : null;
-            }, selector);
-
-            if (tableData && tableData.data && tableData.data.length > 0) {
-              console.log(`Extracted ${tableData.data.length} rows from table`);
-              vesselData = tableData;
-              break;
-            }
-          }
-        }
-      } catch (error) {
-        console.log('Error extracting from tables:', error.message);
-      }
+    // Keep the rendered page for offline replay
+    if (recorder) {
+      recorder.setPage(await page.content());
+      recorder.setMeta({ report, reportUrl: detailedReportsUrl });
     }
 
-    // If we still don't have data, try to get it from JavaScript variables
-    if (!vesselData) {
-      try {
-        console.log('Trying to extract data from JavaScript variables...');
-        const jsData = await page.evaluate(() => {
-          // Common patterns for where data might be stored
-          if (window.vesselData) return { source: 'window.vesselData', data: window.vesselData };
-          if (window.gridData) return { source: 'window.gridData', data: window.gridData };
-          if (window.tableData) return { source: 'window.tableData', data: window.tableData };
-          if (window.reportData) return { source: 'window.reportData', data: window.reportData };
-
-          // Look for data in React's __INITIAL_DATA__ or similar
-          for (const key in window) {
-            if (window[key] && typeof window[key] === 'object') {
-              // Check for data arrays
-              if (Array.isArray(window[key])) {
-                const sample = window[key][0];
-                if (sample && (sample.imo || sample.IMO || sample.mmsi || sample.MMSI)) {
-                  return { source: `window.${key}`, data: { data: window[key] } };
-                }
-              }
-
-              // Check for nested data properties
-              if (window[key].data && Array.isArray(window[key].data)) {
-                const sample = window[key].data[0];
-                if (sample && (sample.imo || sample.IMO || sample.mmsi || sample.MMSI)) {
-                  return { source: `window.${key}.data`, data: window[key] };
-                }
-              }
-
-              // Check other common property names
-              for (const prop of ['vessels', 'ships', 'tankers', 'results']) {
-                if (window[key][prop] && Array.isArray(window[key][prop])) {
-                  const sample = window[key][prop][0];
-                  if (sample && (sample.imo || sample.IMO || sample.mmsi || sample.MMSI)) {
-                    return { source: `window.${key}.${prop}`, data: { data: window[key][prop] } };
-                  }
-                }
-              }
-            }
-          }
-
-          return null;
-        });
+    // Responses from here on are our own page requests, not the report's first page
+    pagingInProgress = true;
 
-        if (jsData) {
-          console.log(`Found data in JavaScript variable: ${jsData.source}`);
-          vesselData = jsData.data;
-        }
-      } catch (error) {
-        console.log('Error extracting from JavaScript variables:', error.message);
-      }
-    }
+    // Run the extraction strategies in order until one finds vessel rows
+    vesselData = await runStrategies(strategies, {
+      page,
+      vesselResponse,
+      getHtml: () => page.content(),
+      fetchPage: url => fetchApiPage(page, url)
+    });
 
-    // As a fallback, use the raw HTML of the page to look for JSON data
     if (!vesselData) {
-      try {
-        console.log('Searching page HTML for JSON data...');
-        const htmlData = await page.evaluate(() => {
-          const html = document.documentElement.outerHTML;
-
-          // Look for data arrays in JSON format
-          const patterns = [
-            /"data"\s*:\s*\[\s*\{\s*"([^"]+)"\s*:/,
-            /"vessels"\s*:\s*\[\s*\{\s*"([^"]+)"\s*:/,
-            /"ships"\s*:\s*\[\s*\{\s*"([^"]+)"\s*:/,
-            /"tankers"\s*:\s*\[\s*\{\s*"([^"]+)"\s*:/
-          ];
-
-          for (const pattern of patterns) {
-            const match = html.match(pattern);
-            if (match) {
-              // Try to extract the full JSON object
-              let bracketCount = 0;
-              let startPos = html.indexOf(match[0]);
-              let endPos = startPos;
-
-              // Find the containing object by matching brackets
-              for (let i = startPos; i < html.length; i++) {
-                if (html[i] === '{') bracketCount++;
-                if (html[i] === '}') bracketCount--;
-
-                if (bracketCount === 0 && i > startPos) {
-                  endPos = i + 1;
-                  break;
-                }
-              }
-
-              if (endPos > startPos) {
-                try {
-                  // Extract the full object
-                  const jsonStr = html.substring(startPos - 1, endPos);
-                  const data = JSON.parse(jsonStr);
-                  if (data && (data.data || data.vessels || data.ships || data.tankers)) {
-                    return { source: 'html-json', data };
-                  }
-                } catch (e) {
-                  // Continue with next pattern if parsing fails
-                }
-              }
-            }
-          }
-
-          return null;
-        });
-
-        if (htmlData) {
-          console.log(`Found JSON data in HTML: ${htmlData.source}`);
-          vesselData = htmlData.data;
-        }
-      } catch (error) {
-        console.log('Error extracting JSON from HTML:', error.message);
+      if (throttled) {
+        throw new ScrapeError('throttled', 'MarineTraffic throttled the account (HTTP 429) and no vessel data was retrieved');
       }
+      throw new ScrapeError('empty_report', 'No extraction strategy found vessel data on the page');
     }
+    if (throttled) {
+      logger.warn('MarineTraffic throttled some requests (HTTP 429), the data may be incomplete');
+    }
+  } catch (error) {
+    const scrapeError = classifyError(error);
 
-    // If we still don't have data, return whatever response we got
-    if (!vesselData) {
-      console.log('Could not extract specific vessel data, using most recent API response');
-      // This will use the last API response we captured, even if it wasn't what we were looking for
+    // Save what the page showed before it is closed below
+    if (diagnosticsDir) {
+      scrapeError.diagnostics = await saveDiagnostics({ dir: diagnosticsDir, page, networkLog, error: scrapeError, report });
     }
 
-  } catch (error) {
-    console.error('Scraper error:', error);
+    // An empty report is an outcome the caller records, not a scraper failure
+    const level = scrapeError.kind === 'empty_report' ? 'warn' : 'error';
+    logger[level]('Scraper error', { kind: scrapeError.kind, error: scrapeError, diagnostics: scrapeError.diagnostics });
 
-    // Propagate the error
-    throw error;
+    throw scrapeError;
   } finally {
-    // Always close the browser when done
-    if (browser) {
+    // Write the recorded fixture even when the run failed, it is most useful then
+    if (recorder) {
+      await recorder.flush()
+        .then(() => logger.info(`Recorded fixture to ${recordDir}`))
+        .catch(error => logger.warn('Could not write recorded fixture', { error: error.message }));
+    }
+
+    // Always close the browser when done, or just the page when it is kept open
+    if (keepBrowser) {
+      if (page) await page.close().catch(() => {});
+    } else if (browser) {
       await browser.close();
-      console.log('Browser closed');
+      logger.info('Browser closed');
     }
   }
 
   return vesselData;
 }
 
-module.exports = { scrapeVesselData };
\ No newline at end of file
+module.exports = { scrapeVesselData, closeBrowser };
\ No newline at end of file
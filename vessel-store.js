@@ -0,0 +1,306 @@
+// Writes scraped vessels to vessels_mt, the position history, the company links,
+// screening hits and anomalies in batches, the write path of the postgres storage backend
+const { pool } = require('./db');
+const logger = require('./logger').child({ module: 'vessel-store' });
+const { recordPositions } = require('./position-history');
+const { recordCompanyLinks } = require('./companies');
+const { screenVessels, recordScreeningHits } = require('./screening');
+const { detectAnomalies, recordAnomalies } = require('./anomalies');
+const { detectEvents, recordEvents, publishEvents } = require('./vessel-events');
+const { FIELD_MAP, EXTRA_COLUMN, normalizeVessel, quoteIdentifier } = require('./vessel-fields');
+const { valuesRow } = require('./sql');
+const { resolveValidationOptions, logQualitySummary } = require('./vessel-validation');
+const { prepareVesselBatch, quarantineMessage } = require('./vessel-batch');
+
+const DEFAULT_BATCH_SIZE = 500;
+
+// PostgreSQL accepts at most 65535 bind parameters per statement
+const MAX_QUERY_PARAMS = 65535;
+
+/**
+ * Format vessel data to match database schema
+ * @param {Object} vessel - Vessel data object
+ * @returns {Object} - Normalized vessel as { fields, extra }, see vessel-fields.js
+ */
+function formatVesselData(vessel) {
+  return normalizeVessel(vessel);
+}
+
+/**
+ * Split an array into chunks of at most `size` elements
+ * @param {Array} items - Items to split
+ * @param {number} size - Maximum chunk size
+ * @returns {Array<Array>} - Chunks in original order
+ */
+function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+}
+
+/**
+ * Upsert a batch of formatted vessels with one multi-row
+ * INSERT ... ON CONFLICT (ship_id) DO UPDATE statement.
+ *
+ * The batch shares one column list, so a field that is missing from a row
+ * is sent as NULL and COALESCEd with the stored value rather than wiping it.
+ * Rows whose values are all unchanged are skipped by the WHERE clause and
+ * therefore not returned.
+ *
+ * @param {Object} client - PostgreSQL client
+ * @param {Array<Object>} batch - Formatted vessels with unique SHIP_IDs
+ * @returns {Promise<Object>} - { inserted, updated, unchanged }
+ */
+async function upsertVesselBatch(client, batch) {
+  const fieldNames = new Set();
+  let hasExtra = false;
+
+  for (const vessel of batch) {
+    Object.keys(vessel.fields).forEach(field => fieldNames.add(field));
+    if (Object.keys(vessel.extra).length > 0) hasExtra = true;
+  }
+
+  const fields = ['SHIP_ID', ...[...fieldNames].filter(field => field !== 'SHIP_ID')];
+  const columns = fields.map(field => FIELD_MAP[field].column);
+  if (hasExtra) columns.push(EXTRA_COLUMN);
+
+  const values = [];
+  const rows = batch.map(vessel => {
+    const rowValues = fields.map(field => vessel.fields[field] ?? null);
+    if (hasExtra) {
+      rowValues.push(Object.keys(vessel.extra).length > 0 ? JSON.stringify(vessel.extra) : null);
+    }
+
+    const offset = values.length;
+    values.push(...rowValues);
+    return valuesRow(offset, rowValues.length);
+  });
+
+  const updatable = columns.slice(1).map(quoteIdentifier);
+  const merged = updatable.map(column => `COALESCE(EXCLUDED.${column}, v.${column})`);
+
+  // A batch that only carries SHIP_IDs has nothing to update
+  const conflictAction = updatable.length === 0
+    ? 'DO NOTHING'
+    : `DO UPDATE SET ${updatable.map((column, i) => `${column} = ${merged[i]}`).join(', ')}, updated_at = NOW()
+      WHERE (${updatable.map(column => `v.${column}`).join(', ')}) IS DISTINCT FROM (${merged.join(', ')})`;
+
+  const result = await client.query(`
+    INSERT INTO vessels_mt AS v (${columns.map(quoteIdentifier).join(', ')})
+    VALUES ${rows.join(', ')}
+    ON CONFLICT (ship_id) ${conflictAction}
+    RETURNING (xmax = 0) AS inserted
+  `, values);
+
+  const inserted = result.rows.filter(row => row.inserted).length;
+  const updated = result.rowCount - inserted;
+
+  return { inserted, updated, unchanged: batch.length - result.rowCount };
+}
+
+/**
+ * Run a callback inside a savepoint so that a failing statement only rolls
+ * back its own work instead of aborting the surrounding transaction
+ * @param {Object} client - PostgreSQL client inside a transaction
+ * @param {string} name - Savepoint name
+ * @param {Function} callback - Async function to run
+ * @returns {Promise<*>} - Result of the callback
+ */
+async function withSavepoint(client, name, callback) {
+  await client.query(`SAVEPOINT ${name}`);
+  try {
+    const result = await callback();
+    await client.query(`RELEASE SAVEPOINT ${name}`);
+    return result;
+  } catch (error) {
+    await client.query(`ROLLBACK TO SAVEPOINT ${name}`);
+    throw error;
+  }
+}
+
+/**
+ * Store a vessel that could not be written, together with the reason
+ * @param {Object} client - PostgreSQL client
+ * @param {Object} vessel - Raw vessel object as scraped
+ * @param {string} message - Error message
+ */
+async function recordReject(client, vessel, message) {
+  await client.query(
+    'INSERT INTO vessel_rejects (ship_id, payload, error) VALUES ($1, $2, $3)',
+    [vessel.SHIP_ID != null ? String(vessel.SHIP_ID) : null, JSON.stringify(vessel), message]
+  );
+}
+
+/**
+ * Write one batch of vessels with their positions, state change events,
+ * company links, screening hits and anomalies.
+ * If the batch statement fails, every vessel is retried on its own savepoint
+ * so that only the offending rows are rejected.
+ * @param {Object} client - PostgreSQL client inside a transaction
+ * @param {Array<Object>} batch - Entries of { raw, formatted, positionFlagged } with unique SHIP_IDs
+ * @param {Object} context - Write context
+ * @param {string} context.report - Tag of the report the vessels came from
+ * @param {Array<Object>} context.geofences - Geofences to detect entries and exits of
+ * @param {Object} context.watchlist - Watchlist to screen against, or null, see screening.js
+ * @param {Object} context.anomalies - Anomaly options, or null to skip detection, see anomalies.js
+ * @returns {Promise<Object>} - { inserted, updated, unchanged, failed, positions, events, screeningHits, anomalies }
+ *   where events lists the recorded events, and screeningHits and anomalies count new rows
+ */
+async function saveBatch(client, batch, { report, geofences, watchlist, anomalies: anomalyOptions }) {
+  const writeRows = async rows => {
+    // Diff against the stored state before the upsert overwrites it
+    const events = await detectEvents(client, rows.map(entry => entry.formatted.fields), geofences);
+    const hits = watchlist ? screenVessels(rows.map(entry => entry.formatted.fields), watchlist, { events }) : [];
+    // Positions that failed validation are bad data rather than anomalies
+    const anomalies = anomalyOptions
+      ? await detectAnomalies(client,
+        rows.filter(entry => !entry.positionFlagged).map(entry => entry.formatted.fields), anomalyOptions)
+      : [];
+    const counts = await upsertVesselBatch(client, rows.map(entry => entry.formatted));
+    // Append to the position history unless these positions were already recorded
+    // or failed validation
+    counts.positions = await recordPositions(client,
+      rows.filter(entry => !entry.positionFlagged).map(entry => entry.formatted.fields));
+    counts.events = await recordEvents(client, events, report);
+    await recordCompanyLinks(client, rows.map(entry => entry.formatted.fields));
+    counts.screeningHits = await recordScreeningHits(client, hits, report);
+    counts.anomalies = await recordAnomalies(client, anomalies, report);
+    return counts;
+  };
+
+  try {
+    const counts = await withSavepoint(client, 'vessel_batch', () => writeRows(batch));
+    return { ...counts, failed: 0 };
+  } catch (error) {
+    logger.warn(`Batch of ${batch.length} vessels failed, retrying one by one`, { error: error.message });
+  }
+
+  const counts = { inserted: 0, updated: 0, unchanged: 0, failed: 0, positions: 0, events: [], screeningHits: 0, anomalies: 0 };
+  for (const entry of batch) {
+    try {
+      const rowCounts = await withSavepoint(client, 'vessel_row', () => writeRows([entry]));
+      counts.inserted += rowCounts.inserted;
+      counts.updated += rowCounts.updated;
+      counts.unchanged += rowCounts.unchanged;
+      counts.positions += rowCounts.positions;
+      counts.events.push(...rowCounts.events);
+      counts.screeningHits += rowCounts.screeningHits;
+      counts.anomalies += rowCounts.anomalies;
+    } catch (error) {
+      logger.error(`Error saving vessel ${entry.formatted.fields.SHIP_ID}`,
+        { shipId: entry.formatted.fields.SHIP_ID, error: error.message });
+      await recordReject(client, entry.raw, error.message);
+      counts.failed++;
+    }
+  }
+  return counts;
+}
+
+/**
+ * Save vessel data to PostgreSQL database
+ * @param {Array} vessels - Array of vessel objects
+ * @param {Object} options - Save options
+ * @param {number} options.batchSize - Vessels per INSERT statement (default: DB_BATCH_SIZE or 500)
+ * @param {string} options.report - Tag of the report definition the vessels came from
+ * @param {Object} options.pool - PostgreSQL pool (default: shared pool from db.js)
+ * @param {Object} options.validation - Validation options, see vessel-validation.resolveValidationOptions
+ * @param {Array<Object>} options.geofences - Geofences to detect entries and exits of, see geofence.js
+ * @param {Object} options.watchlist - Watchlist to screen vessels against, see screening.loadWatchlists
+ * @param {Object} options.anomalies - Anomaly detection options, see anomalies.resolveAnomalyOptions
+ * @returns {Promise<Object>} - Counts of inserted, updated, unchanged and failed vessels,
+ *   of new position history rows, of state change events and, when enabled, of new
+ *   screening hits and anomalies, as committed, and the run's data `quality` summary
+ */
+async function saveVesselsToDatabase(vessels, options = {}) {
+  const counts = { inserted: 0, updated: 0, unchanged: 0, failed: 0, positions: 0 };
+  const validation = resolveValidationOptions(options.validation);
+
+  if (!vessels || vessels.length === 0) {
+    logger.info('No vessels to save to database');
+    return counts;
+  }
+
+  // Keep each statement under the bind parameter limit
+  const maxBatchSize = Math.floor(MAX_QUERY_PARAMS / (Object.keys(FIELD_MAP).length + 1));
+  const batchSize = Math.min(
+    parseInt(options.batchSize || process.env.DB_BATCH_SIZE, 10) || DEFAULT_BATCH_SIZE,
+    maxBatchSize
+  );
+
+  const { entries, missingShipId, quarantined, quality } = prepareVesselBatch(vessels, {
+    report: options.report,
+    validation
+  });
+
+  const client = await (options.pool || pool).connect();
+
+  try {
+    // Start a transaction
+    await client.query('BEGIN');
+
+    // Counts and events only become real once the transaction commits
+    const pending = { ...counts };
+    const pendingEvents = [];
+    let pendingHits = 0;
+    let pendingAnomalies = 0;
+
+    for (const vessel of missingShipId) {
+      logger.error(`Error saving vessel ${vessel.SHIPNAME || '(unnamed)'}: vessel has no SHIP_ID`);
+      await recordReject(client, vessel, 'vessel has no SHIP_ID');
+      pending.failed++;
+    }
+
+    for (const { raw, flags } of quarantined) {
+      await recordReject(client, raw, quarantineMessage(flags));
+    }
+
+    for (const batch of chunk(entries, batchSize)) {
+      const { events, screeningHits, anomalies, ...batchCounts } = await saveBatch(client, batch, {
+        report: options.report || null,
+        geofences: options.geofences || [],
+        watchlist: options.watchlist || null,
+        anomalies: options.anomalies || null
+      });
+      for (const key of Object.keys(pending)) {
+        pending[key] += batchCounts[key];
+      }
+      pendingEvents.push(...events);
+      pendingHits += screeningHits;
+      pendingAnomalies += anomalies;
+    }
+
+    // Commit the transaction. PostgreSQL answers COMMIT with ROLLBACK when
+    // the transaction was aborted, so treat that as a failure.
+    const commitResult = await client.query('COMMIT');
+    if (commitResult.command === 'ROLLBACK') {
+      throw new Error('Transaction was aborted and rolled back on COMMIT');
+    }
+    Object.assign(counts, pending);
+
+    // Hits and anomalies are only counted when screening and detection are enabled
+    const optional = {
+      ...(options.watchlist ? { screeningHits: pendingHits } : {}),
+      ...(options.anomalies ? { anomalies: pendingAnomalies } : {})
+    };
+    logger.info('Database update committed', { ...counts, events: pendingEvents.length, ...optional });
+    logQualitySummary(quality);
+    publishEvents(pendingEvents);
+    return { ...counts, events: pendingEvents.length, ...optional, quality };
+  } catch (error) {
+    // Roll back the transaction on error
+    await client.query('ROLLBACK');
+    logger.error('Transaction failed, changes rolled back', { error });
+    throw error;
+  } finally {
+    // Release the client back to the pool
+    client.release();
+  }
+}
+
+module.exports = {
+  formatVesselData,
+  upsertVesselBatch,
+  saveVesselsToDatabase
+};
@@ -0,0 +1,233 @@
+// Data quality rules checked on normalized vessels before they are written
+const logger = require('./logger').child({ module: 'validation' });
+
+// What to do with a vessel that breaks a rule: store it with its flags,
+// move it to vessel_rejects, or skip it
+const VALIDATION_MODES = ['flag', 'quarantine', 'drop'];
+
+const DEFAULT_MAX_SPEED_KNOTS = 50;
+const DEFAULT_MAX_DRAUGHT_METERS = 30;
+
+// AIS started in the early 2000s, so older position times are bogus
+const EARLIEST_TIMESTAMP = Date.parse('2000-01-01T00:00:00Z');
+
+// Reported clocks drift a little, only later times count as future
+const FUTURE_TOLERANCE_MS = 5 * 60 * 1000;
+
+// Largest valid absolute latitude and longitude. AIS encodes an unavailable
+// position as 91/181, so it falls outside.
+const MAX_LATITUDE = 90;
+const MAX_LONGITUDE = 180;
+
+// Fields whose flags make a vessel's position unfit for the position history
+const POSITION_FIELDS = ['LAT', 'LON', 'LAST_POS'];
+
+/**
+ * Check the IMO number check digit: the first six digits weighted 7..2,
+ * summed, and the last digit of the sum must equal the seventh digit
+ * @param {string} imo - IMO number
+ * @returns {boolean} - True for a well-formed IMO number
+ */
+function isValidImo(imo) {
+  if (!/^\d{7}$/.test(imo)) return false;
+  const digits = imo.split('').map(Number);
+  const sum = digits.slice(0, 6).reduce((total, digit, i) => total + digit * (7 - i), 0);
+  return sum % 10 === digits[6];
+}
+
+/**
+ * Check whether a latitude and longitude form a usable position
+ * @param {*} lat - Latitude
+ * @param {*} lon - Longitude
+ * @returns {boolean} - True for two numbers within range, false for 91/181 or missing values
+ */
+function isValidPosition(lat, lon) {
+  return typeof lat === 'number' && typeof lon === 'number' &&
+    Math.abs(lat) <= MAX_LATITUDE && Math.abs(lon) <= MAX_LONGITUDE;
+}
+
+/**
+ * Build a numeric range rule
+ * @param {string} name - Rule name
+ * @param {string} field - Canonical field name
+ * @param {number} min - Smallest valid value
+ * @param {Function} max - (options) => largest valid value
+ * @param {number} weight - Points deducted from the quality score
+ * @returns {Object} - Rule
+ */
+function rangeRule(name, field, min, max, weight) {
+  return {
+    name,
+    field,
+    weight,
+    check(value, options) {
+      const limit = max(options);
+      return value >= min && value <= limit ? null : `${field} ${value} is outside ${min}..${limit}`;
+    }
+  };
+}
+
+/**
+ * Build a timestamp sanity rule
+ * @param {string} field - Canonical field name
+ * @returns {Object} - Rule
+ */
+function timestampRule(field) {
+  return {
+    name: 'timestamp_range',
+    field,
+    weight: 20,
+    check(value, options) {
+      const time = Date.parse(value);
+      if (time > options.now.getTime() + FUTURE_TOLERANCE_MS) return `${field} ${value} is in the future`;
+      if (time < EARLIEST_TIMESTAMP) return `${field} ${value} is before 2000`;
+      return null;
+    }
+  };
+}
+
+/**
+ * Validation rules. Each checks one field, is skipped when the field is null,
+ * and returns a message when the value is invalid.
+ */
+const RULES = [
+  {
+    name: 'imo_check_digit',
+    field: 'IMO',
+    weight: 20,
+    // MarineTraffic reports vessels without an IMO number as 0
+    check: value => (value === '0' || isValidImo(value) ? null : `IMO ${value} fails the check digit`)
+  },
+  {
+    name: 'mmsi_format',
+    field: 'MMSI',
+    weight: 20,
+    check: value => (/^\d{9}$/.test(value) ? null : `MMSI ${value} is not 9 digits`)
+  },
+  // AIS encodes "not available" as 91 for latitude, 181 for longitude,
+  // 102.3 for speed and 360 for course, so these fall outside the ranges
+  rangeRule('lat_range', 'LAT', -MAX_LATITUDE, () => MAX_LATITUDE, 30),
+  rangeRule('lon_range', 'LON', -MAX_LONGITUDE, () => MAX_LONGITUDE, 30),
+  rangeRule('speed_range', 'SPEED', 0, options => options.maxSpeed, 10),
+  {
+    name: 'course_range',
+    field: 'COURSE',
+    weight: 5,
+    check: value => (value >= 0 && value < 360 ? null : `COURSE ${value} is outside 0..360`)
+  },
+  rangeRule('draught_range', 'DRAUGHT_MAX', 0, options => options.maxDraught, 10),
+  rangeRule('draught_range', 'DRAUGHT_MIN', 0, options => options.maxDraught, 10),
+  rangeRule('year_built_range', 'YEAR_BUILT', 1850, options => options.now.getUTCFullYear() + 5, 5),
+  timestampRule('LAST_POS'),
+  timestampRule('FIRST_POS_TIMESTAMP'),
+  timestampRule('ETA_UPDATED')
+];
+
+/**
+ * Resolve validation options from the environment
+ * @param {Object} options - Overrides
+ * @param {string} options.mode - flag, quarantine or drop (default: VALIDATION_MODE or flag)
+ * @param {number} options.maxSpeed - Fastest plausible speed in knots (default: VALIDATION_MAX_SPEED or 50)
+ * @param {number} options.maxDraught - Deepest plausible draught in meters (default: VALIDATION_MAX_DRAUGHT or 30)
+ * @param {Date} options.now - Reference time for timestamp checks (default: now)
+ * @returns {Object} - Complete validation options
+ */
+function resolveValidationOptions(options = {}) {
+  const {
+    mode = process.env.VALIDATION_MODE || 'flag',
+    maxSpeed = parseFloat(process.env.VALIDATION_MAX_SPEED) || DEFAULT_MAX_SPEED_KNOTS,
+    maxDraught = parseFloat(process.env.VALIDATION_MAX_DRAUGHT) || DEFAULT_MAX_DRAUGHT_METERS,
+    now = new Date()
+  } = options;
+
+  if (!VALIDATION_MODES.includes(mode)) {
+    throw new Error(`Unknown validation mode "${mode}", expected one of: ${VALIDATION_MODES.join(', ')}`);
+  }
+
+  return { mode, maxSpeed, maxDraught, now };
+}
+
+/**
+ * Check a normalized vessel against every rule
+ * @param {Object} fields - Normalized fields, see vessel-fields.normalizeVessel
+ * @param {Object} options - Options from resolveValidationOptions
+ * @returns {Object} - { flags, score } where flags lists the broken rules as
+ *   { rule, field, message } and score runs from 100 (clean) down to 0
+ */
+function validateVessel(fields, options) {
+  const flags = [];
+  let penalty = 0;
+
+  for (const rule of RULES) {
+    const value = fields[rule.field];
+    if (value === null || value === undefined) continue;
+
+    const message = rule.check(value, options);
+    if (message) {
+      flags.push({ rule: rule.name, field: rule.field, message });
+      penalty += rule.weight;
+    }
+  }
+
+  return { flags, score: Math.max(0, 100 - penalty) };
+}
+
+/**
+ * Check whether a vessel's flags make its position unfit for the position history
+ * @param {Array<Object>} flags - Flags from validateVessel
+ * @returns {boolean} - True if the position fields are flagged
+ */
+function hasPositionFlags(flags) {
+  return flags.some(flag => POSITION_FIELDS.includes(flag.field));
+}
+
+/**
+ * Create an empty per-run data quality summary
+ * @param {string} mode - Validation mode of the run
+ * @returns {Object} - Summary to pass to recordValidation
+ */
+function createQualitySummary(mode) {
+  return { mode, checked: 0, clean: 0, flagged: 0, quarantined: 0, dropped: 0, rules: {} };
+}
+
+/**
+ * Add one vessel's validation result to a run summary
+ * @param {Object} summary - Summary from createQualitySummary
+ * @param {Object} result - Result of validateVessel
+ */
+function recordValidation(summary, result) {
+  summary.checked++;
+  if (result.flags.length === 0) {
+    summary.clean++;
+    return;
+  }
+
+  const outcome = { flag: 'flagged', quarantine: 'quarantined', drop: 'dropped' }[summary.mode];
+  summary[outcome]++;
+  for (const flag of result.flags) {
+    summary.rules[flag.rule] = (summary.rules[flag.rule] || 0) + 1;
+  }
+}
+
+/**
+ * Log a run's data quality summary
+ * @param {Object} summary - Summary from createQualitySummary
+ */
+function logQualitySummary(summary) {
+  const failing = summary.checked - summary.clean;
+  const log = failing > 0 ? logger.warn : logger.info;
+  log(`Data quality: ${failing} of ${summary.checked} vessels broke validation rules`, summary);
+}
+
+module.exports = {
+  VALIDATION_MODES,
+  RULES,
+  isValidImo,
+  isValidPosition,
+  resolveValidationOptions,
+  validateVessel,
+  hasPositionFlags,
+  createQualitySummary,
+  recordValidation,
+  logQualitySummary
+};